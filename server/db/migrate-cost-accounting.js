@@ -0,0 +1,59 @@
+// Migration script to add token and cost accounting
+// Totals live on jobs; each job_records row carries its own embedding tokens and cost
+
+import { neon } from '@neondatabase/serverless';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+async function migrate() {
+  console.log('Starting migration: Adding token and cost columns...');
+
+  try {
+    await sql`
+      ALTER TABLE jobs
+      ADD COLUMN IF NOT EXISTS input_tokens INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS output_tokens INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS embedding_tokens INTEGER DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS cost_usd DOUBLE PRECISION DEFAULT 0
+    `;
+    console.log('✅ Added token and cost columns to jobs');
+
+    await sql`
+      ALTER TABLE job_records
+      ADD COLUMN IF NOT EXISTS embedding_tokens INTEGER,
+      ADD COLUMN IF NOT EXISTS cost_usd DOUBLE PRECISION
+    `;
+    console.log('✅ Added embedding_tokens and cost_usd to job_records');
+
+    // Jobs that ran before this migration: backfill what the ledger already knows
+    await sql`
+      UPDATE jobs SET
+        input_tokens = totals.input_tokens,
+        output_tokens = totals.output_tokens
+      FROM (
+        SELECT job_id, COALESCE(SUM(input_tokens), 0) AS input_tokens, COALESCE(SUM(output_tokens), 0) AS output_tokens
+        FROM job_records
+        GROUP BY job_id
+      ) AS totals
+      WHERE jobs.id = totals.job_id AND COALESCE(jobs.input_tokens, 0) = 0
+    `;
+    console.log('✅ Backfilled chat token totals from job_records');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
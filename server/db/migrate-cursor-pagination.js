@@ -0,0 +1,44 @@
+// Migration script to add cursor-based batch pagination fields
+// Jobs page through the collection by primary key instead of offset
+
+import { neon } from '@neondatabase/serverless';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+async function migrate() {
+  console.log('Starting migration: Adding cursor pagination fields...');
+
+  try {
+    await sql`
+      ALTER TABLE database_instances
+      ADD COLUMN IF NOT EXISTS pagination_mode TEXT DEFAULT 'cursor'
+    `;
+
+    // Existing jobs keep paging by offset so in-flight jobs resume where they were
+    await sql`
+      ALTER TABLE jobs
+      ADD COLUMN IF NOT EXISTS pagination_mode TEXT DEFAULT 'offset',
+      ADD COLUMN IF NOT EXISTS last_seen_pk TEXT,
+      ADD COLUMN IF NOT EXISTS cursor_pk_type TEXT
+    `;
+
+    console.log('✅ Added cursor pagination columns successfully');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
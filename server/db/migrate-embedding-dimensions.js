@@ -0,0 +1,35 @@
+// Migration script to add embedding_dimensions to database_instances
+// Stores the collection's vector dimension, validated against the embedding model on save
+
+import { neon } from '@neondatabase/serverless';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+async function migrate() {
+  console.log('Starting migration: Adding embedding_dimensions column...');
+
+  try {
+    await sql`
+      ALTER TABLE database_instances
+      ADD COLUMN IF NOT EXISTS embedding_dimensions INTEGER
+    `;
+    console.log('✅ Added embedding_dimensions column to database_instances');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
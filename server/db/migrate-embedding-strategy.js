@@ -0,0 +1,37 @@
+// Migration script to add embedding strategy settings to database_instances
+// Long content can be truncated, chunked and averaged, or chunked into separate rows
+
+import { neon } from '@neondatabase/serverless';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+async function migrate() {
+  console.log('Starting migration: Adding embedding strategy columns...');
+
+  try {
+    await sql`
+      ALTER TABLE database_instances
+      ADD COLUMN IF NOT EXISTS embedding_strategy TEXT DEFAULT 'truncate',
+      ADD COLUMN IF NOT EXISTS embedding_chunk_tokens INTEGER DEFAULT 512,
+      ADD COLUMN IF NOT EXISTS embedding_chunk_overlap INTEGER DEFAULT 64
+    `;
+    console.log('✅ Added embedding_strategy, embedding_chunk_tokens and embedding_chunk_overlap columns');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
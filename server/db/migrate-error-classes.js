@@ -0,0 +1,36 @@
+// Migration script to add error classes to the job ledger
+// Failed records carry the class of their failure so exceptions can be grouped by cause
+
+import { neon } from '@neondatabase/serverless';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+async function migrate() {
+  console.log('Starting migration: Adding error_class to job_records...');
+
+  try {
+    await sql`
+      ALTER TABLE job_records
+      ADD COLUMN IF NOT EXISTS error_class TEXT
+    `;
+    console.log('✅ Added error_class to job_records');
+    console.log('ℹ️  Failures recorded before this migration stay unclassified');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
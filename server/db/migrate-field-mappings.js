@@ -0,0 +1,35 @@
+// Migration script to add field_mappings to database_instances
+// Holds the extra input fields and output mappings an augmentor writes per record
+
+import { neon } from '@neondatabase/serverless';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+async function migrate() {
+  console.log('Starting migration: Adding field_mappings column...');
+
+  try {
+    await sql`
+      ALTER TABLE database_instances
+      ADD COLUMN IF NOT EXISTS field_mappings TEXT
+    `;
+    console.log('✅ Added field_mappings column to database_instances');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
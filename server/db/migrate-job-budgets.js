@@ -0,0 +1,52 @@
+// Migration script to add budget caps
+// Instances get per-job and monthly caps; jobs get their own cap and a pause reason
+
+import { neon } from '@neondatabase/serverless';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+async function migrate() {
+  console.log('Starting migration: Adding budget caps...');
+
+  try {
+    await sql`
+      ALTER TABLE database_instances
+      ADD COLUMN IF NOT EXISTS job_budget_usd DOUBLE PRECISION,
+      ADD COLUMN IF NOT EXISTS job_budget_tokens BIGINT,
+      ADD COLUMN IF NOT EXISTS monthly_budget_usd DOUBLE PRECISION,
+      ADD COLUMN IF NOT EXISTS monthly_budget_tokens BIGINT
+    `;
+    console.log('✅ Added budget columns to database_instances');
+
+    await sql`
+      ALTER TABLE jobs
+      ADD COLUMN IF NOT EXISTS budget_usd DOUBLE PRECISION,
+      ADD COLUMN IF NOT EXISTS budget_tokens BIGINT,
+      ADD COLUMN IF NOT EXISTS pause_reason TEXT
+    `;
+    console.log('✅ Added budget_usd, budget_tokens and pause_reason to jobs');
+
+    // Monthly spend is summed per instance over recent ledger rows
+    await sql`
+      CREATE INDEX IF NOT EXISTS job_records_instance_id_created_date_idx ON job_records (instance_id, created_date)
+    `;
+    console.log('✅ Created job_records instance/date index');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+// Migration script to replace is_processing_batch with job leases
+// A lease (owner + expiry) is claimed atomically and expires if a worker crashes
+
+import { neon } from '@neondatabase/serverless';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+async function migrate() {
+  console.log('Starting migration: Adding job lease columns...');
+
+  try {
+    await sql`
+      ALTER TABLE jobs
+      ADD COLUMN IF NOT EXISTS lease_owner TEXT,
+      ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ
+    `;
+    console.log('✅ Added lease_owner and lease_expires_at columns');
+
+    await sql`
+      ALTER TABLE jobs
+      DROP COLUMN IF EXISTS is_processing_batch
+    `;
+    console.log('✅ Dropped is_processing_batch column');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
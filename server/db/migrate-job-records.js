@@ -0,0 +1,53 @@
+// Migration script to create the job_records ledger table
+// One row per record processed by an augmentor job
+
+import { neon } from '@neondatabase/serverless';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+async function migrate() {
+  console.log('Starting migration: Creating job_records...');
+
+  try {
+    await sql`
+      CREATE TABLE IF NOT EXISTS job_records (
+        id TEXT PRIMARY KEY,
+        created_date TIMESTAMP NOT NULL DEFAULT NOW(),
+        job_id TEXT NOT NULL,
+        instance_id TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        pass INTEGER,
+        chars_before INTEGER,
+        chars_after INTEGER,
+        model TEXT,
+        duration_ms INTEGER,
+        input_tokens INTEGER,
+        output_tokens INTEGER,
+        error TEXT
+      )
+    `;
+    await sql`
+      CREATE INDEX IF NOT EXISTS job_records_job_id_status_idx ON job_records (job_id, status)
+    `;
+
+    console.log('✅ Created job_records table successfully');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+// Migration script to add offline execution to jobs
+// Offline jobs run Pass 2 through provider batch APIs and record the batch they are waiting on
+
+import { neon } from '@neondatabase/serverless';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+async function migrate() {
+  console.log('Starting migration: Adding offline batch tracking to jobs...');
+
+  try {
+    await sql`
+      ALTER TABLE jobs
+      ADD COLUMN IF NOT EXISTS offline_batch_id TEXT,
+      ADD COLUMN IF NOT EXISTS offline_batch_model TEXT,
+      ADD COLUMN IF NOT EXISTS offline_batch_status TEXT,
+      ADD COLUMN IF NOT EXISTS offline_batch_submitted_at TIMESTAMP
+    `;
+    console.log('✅ Added offline_batch_id, offline_batch_model, offline_batch_status, offline_batch_submitted_at to jobs');
+    console.log('ℹ️  Existing jobs keep their execution_type - offline is chosen per job when it starts');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
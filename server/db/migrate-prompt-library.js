@@ -0,0 +1,125 @@
+// Migration script to add the versioned prompt library
+// Creates prompts + prompt_versions, seeds the built-in default prompts, and moves
+// each augmentor instance's inline prompt into the library as version 1
+
+import { neon } from '@neondatabase/serverless';
+import { randomUUID } from 'crypto';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+// Formerly DEFAULT_PROMPTS in CreateInstanceDialog
+const DEFAULT_PROMPTS = [
+  {
+    ai_operation: 'strip_english',
+    name: 'Strip English',
+    template: 'Given the following text, remove all English words and phrases, leaving only non-English content. If the text is purely English, return an empty string. The text is: {{FIELD_VALUE}}'
+  },
+  {
+    ai_operation: 'translate',
+    name: 'Translate',
+    template: 'Translate the following text to [TARGET_LANGUAGE]. The text is: {{FIELD_VALUE}}'
+  },
+  {
+    ai_operation: 'extract_entities',
+    name: 'Extract Entities',
+    template: "Extract named entities (people, organizations, locations, dates) from the following text. Return the result as a single JSON object with keys 'people', 'organizations', 'locations', 'dates'. The text is: {{FIELD_VALUE}}"
+  },
+  {
+    ai_operation: 'summarize',
+    name: 'Summarize',
+    template: 'Summarize the following text in one or two sentences. The text is: {{FIELD_VALUE}}'
+  }
+];
+
+async function migrate() {
+  console.log('Starting migration: Creating prompt library...');
+
+  try {
+    await sql`
+      CREATE TABLE IF NOT EXISTS prompts (
+        id TEXT PRIMARY KEY,
+        created_date TIMESTAMP NOT NULL DEFAULT NOW(),
+        updated_date TIMESTAMP NOT NULL DEFAULT NOW(),
+        created_by TEXT,
+        name TEXT NOT NULL,
+        description TEXT,
+        ai_operation TEXT
+      )
+    `;
+    await sql`
+      CREATE TABLE IF NOT EXISTS prompt_versions (
+        id TEXT PRIMARY KEY,
+        created_date TIMESTAMP NOT NULL DEFAULT NOW(),
+        created_by TEXT,
+        prompt_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        template TEXT NOT NULL,
+        notes TEXT,
+        UNIQUE (prompt_id, version)
+      )
+    `;
+    console.log('✅ Created prompts and prompt_versions tables');
+
+    await sql`
+      ALTER TABLE database_instances
+      ADD COLUMN IF NOT EXISTS prompt_version_id TEXT
+    `;
+    await sql`
+      ALTER TABLE jobs
+      ADD COLUMN IF NOT EXISTS prompt_version_id TEXT
+    `;
+    console.log('✅ Added prompt_version_id to database_instances and jobs');
+
+    for (const prompt of DEFAULT_PROMPTS) {
+      const [existing] = await sql`SELECT id FROM prompts WHERE ai_operation = ${prompt.ai_operation} LIMIT 1`;
+      if (existing) continue;
+
+      const promptId = randomUUID();
+      await sql`
+        INSERT INTO prompts (id, created_by, name, ai_operation)
+        VALUES (${promptId}, 'system', ${prompt.name}, ${prompt.ai_operation})
+      `;
+      await sql`
+        INSERT INTO prompt_versions (id, created_by, prompt_id, version, template, notes)
+        VALUES (${randomUUID()}, 'system', ${promptId}, 1, ${prompt.template}, 'Built-in default prompt')
+      `;
+      console.log(`✅ Seeded default prompt: ${prompt.name}`);
+    }
+
+    const instances = await sql`
+      SELECT id, name, prompt, created_by FROM database_instances
+      WHERE prompt_version_id IS NULL AND prompt IS NOT NULL AND prompt <> ''
+    `;
+    for (const instance of instances) {
+      const promptId = randomUUID();
+      const versionId = randomUUID();
+      await sql`
+        INSERT INTO prompts (id, created_by, name, description)
+        VALUES (${promptId}, ${instance.created_by}, ${instance.name}, ${`Imported from instance ${instance.name}`})
+      `;
+      await sql`
+        INSERT INTO prompt_versions (id, created_by, prompt_id, version, template, notes)
+        VALUES (${versionId}, ${instance.created_by}, ${promptId}, 1, ${instance.prompt}, 'Imported inline prompt')
+      `;
+      await sql`UPDATE database_instances SET prompt_version_id = ${versionId} WHERE id = ${instance.id}`;
+    }
+    console.log(`✅ Moved ${instances.length} inline instance prompts into the library`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+// Migration script for the Zilliz write mode and the record_backups table
+// Backups hold original rows while a delete+insert write is in flight
+
+import { neon } from '@neondatabase/serverless';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+async function migrate() {
+  console.log('Starting migration: Adding write_mode and record_backups...');
+
+  try {
+    await sql`
+      ALTER TABLE database_instances
+      ADD COLUMN IF NOT EXISTS write_mode TEXT DEFAULT 'upsert'
+    `;
+    console.log('✅ Added write_mode column');
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS record_backups (
+        id TEXT PRIMARY KEY,
+        created_date TIMESTAMP NOT NULL DEFAULT NOW(),
+        job_id TEXT NOT NULL,
+        instance_id TEXT NOT NULL,
+        record_id TEXT NOT NULL,
+        data TEXT NOT NULL
+      )
+    `;
+    await sql`
+      CREATE INDEX IF NOT EXISTS record_backups_job_id_idx ON record_backups (job_id)
+    `;
+    console.log('✅ Created record_backups table');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
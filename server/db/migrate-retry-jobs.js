@@ -0,0 +1,37 @@
+// Migration script to add retry-failed job fields
+// A retry job links to its parent and is scoped by a 'pk in [...]' filter
+
+import { neon } from '@neondatabase/serverless';
+
+if (!process.env.DATABASE_URL) {
+  console.error('DATABASE_URL is not set in environment variables');
+  process.exit(1);
+}
+
+const sql = neon(process.env.DATABASE_URL);
+
+async function migrate() {
+  console.log('Starting migration: Adding parent_job_id and record_filter...');
+
+  try {
+    await sql`
+      ALTER TABLE jobs
+      ADD COLUMN IF NOT EXISTS parent_job_id TEXT,
+      ADD COLUMN IF NOT EXISTS record_filter TEXT
+    `;
+
+    console.log('✅ Added retry job columns successfully');
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the migration
+migrate().then(() => {
+  console.log('\n🎉 Database schema updated successfully');
+  process.exit(0);
+}).catch(error => {
+  console.error('Fatal error:', error);
+  process.exit(1);
+});
@@ -1,4 +1,4 @@
-import { pgTable, text, timestamp, integer, boolean } from 'drizzle-orm/pg-core';
+import { pgTable, text, timestamp, integer, bigint, boolean, doublePrecision } from 'drizzle-orm/pg-core';
 
 // DatabaseInstance table
 export const databaseInstances = pgTable('database_instances', {
@@ -14,12 +14,21 @@ export const databaseInstances = pgTable('database_instances', {
   zilliz_token: text('zilliz_token').notNull(),
   collection_name: text('collection_name').notNull(),
   embedding_model_name: text('embedding_model_name').default('text-embedding-3-large'),
+  embedding_dimensions: integer('embedding_dimensions'), // Vector field dimension, checked against the model on save
+  embedding_strategy: text('embedding_strategy').default('truncate'), // 'truncate' | 'chunk_average' | 'chunk_rows'
+  embedding_chunk_tokens: integer('embedding_chunk_tokens').default(512),
+  embedding_chunk_overlap: integer('embedding_chunk_overlap').default(64),
   primary_key_field: text('primary_key_field').default('id'),
   query_filter: text('query_filter'),
+  pagination_mode: text('pagination_mode').default('cursor'), // 'cursor' (pk > last seen) | 'offset'
+  write_mode: text('write_mode').default('upsert'), // 'upsert' | 'delete_insert' (originals backed up to record_backups first)
   target_field: text('target_field'),
   vector_field_name: text('vector_field_name'),
   ai_operation: text('ai_operation'), // 'strip_english' | 'translate' | 'extract_entities' | 'summarize' | 'custom'
-  prompt: text('prompt'),
+  prompt: text('prompt'), // Copy of the referenced prompt version's template
+  prompt_version_id: text('prompt_version_id'), // prompt_versions.id the instance runs
+  output_schema: text('output_schema'), // JSON field list for structured output (see server/llm/structured-output.js)
+  field_mappings: text('field_mappings'), // JSON input fields + output mappings (see server/llm/field-mappings.js)
   generative_model_name: text('generative_model_name').default('gpt-4o'),
 
   // Two-pass processing configuration
@@ -28,13 +37,21 @@ export const databaseInstances = pgTable('database_instances', {
 
   status: text('status').notNull().default('active'), // 'active' | 'paused' | 'error'
 
+  // Budget caps (see server/workers/job-budget.js) - null means uncapped
+  job_budget_usd: doublePrecision('job_budget_usd'), // Copied to each new job as its own cap
+  job_budget_tokens: bigint('job_budget_tokens', { mode: 'number' }),
+  monthly_budget_usd: doublePrecision('monthly_budget_usd'), // Across all of the instance's jobs per calendar month (UTC)
+  monthly_budget_tokens: bigint('monthly_budget_tokens', { mode: 'number' }),
+
   // New scheduling fields
   schedule_enabled: boolean('schedule_enabled').default(false),
   schedule_days: text('schedule_days'), // JSON array: ['monday', 'tuesday', etc.]
-  schedule_frequency: text('schedule_frequency').default('once_daily'), // 'once_daily' | 'twice_daily' | 'every_x_hours' | 'hourly'
+  schedule_frequency: text('schedule_frequency').default('once_daily'), // 'once_daily' | 'twice_daily' | 'every_x_hours' | 'hourly' | 'cron'
   schedule_hours_interval: integer('schedule_hours_interval').default(4), // For every X hours
   schedule_time: text('schedule_time').default('09:00'), // Time format HH:MM
   schedule_time_second: text('schedule_time_second').default('21:00'), // Second time for twice daily
+  schedule_cron: text('schedule_cron'), // 5-field cron expression when schedule_frequency is 'cron'
+  schedule_timezone: text('schedule_timezone').default('UTC'), // IANA timezone the schedule times are in, e.g. 'Europe/London'
 
   // Legacy scheduling fields (kept for backward compatibility)
   schedule_interval: integer('schedule_interval').default(0),
@@ -55,15 +72,22 @@ export const jobs = pgTable('jobs', {
   created_by: text('created_by'),
 
   instance_id: text('instance_id').notNull(),
-  status: text('status').notNull().default('pending'), // 'pending' | 'running' | 'completed' | 'failed' | 'cancelled'
-  execution_type: text('execution_type').notNull().default('full_execution'), // 'full_execution' | 'dry_run'
+  status: text('status').notNull().default('pending'), // 'pending' | 'running' | 'paused' | 'completed' | 'failed' | 'cancelled'
+  execution_type: text('execution_type').notNull().default('full_execution'), // 'full_execution' | 'offline' | 'dry_run'
   started_at: timestamp('started_at'),
   last_batch_at: timestamp('last_batch_at'),
-  current_batch_offset: integer('current_batch_offset').default(0),
+  current_batch_offset: integer('current_batch_offset').default(0), // Records scanned so far
+  pagination_mode: text('pagination_mode').default('offset'), // 'cursor' | 'offset' - copied from the instance at job creation
+  last_seen_pk: text('last_seen_pk'), // Cursor: highest primary key fetched so far (stored as text for int64 safety)
+  cursor_pk_type: text('cursor_pk_type'), // 'int' | 'string' - how last_seen_pk is compared in filters
+  parent_job_id: text('parent_job_id'), // Job whose failed records this job retries
+  prompt_version_id: text('prompt_version_id'), // Prompt version the instance ran when the job was created
+  record_filter: text('record_filter'), // 'pk in [...]' filter used instead of the instance query_filter
   total_records: integer('total_records').default(0),
   processed_records: integer('processed_records').default(0),
   failed_records: integer('failed_records').default(0),
-  is_processing_batch: boolean('is_processing_batch').default(false),
+  lease_owner: text('lease_owner'), // Worker currently processing a batch (see workers/job-lease.js)
+  lease_expires_at: timestamp('lease_expires_at', { withTimezone: true }), // Lease is free once this passes; extended by heartbeat
 
   // Two-pass processing tracking
   current_pass: integer('current_pass').default(1), // 1 = programmatic, 2 = AI
@@ -72,6 +96,21 @@ export const jobs = pgTable('jobs', {
   pass2_needed: integer('pass2_needed').default(0), // Records that need AI processing
   pass2_processed: integer('pass2_processed').default(0), // Records processed in pass 2
 
+  // Spend, summed from job_records as batches finish
+  input_tokens: integer('input_tokens').default(0), // Prompt tokens across Pass 2 and field-mapping calls
+  output_tokens: integer('output_tokens').default(0), // Completion tokens
+  embedding_tokens: integer('embedding_tokens').default(0),
+  cost_usd: doublePrecision('cost_usd').default(0), // Priced with llm/pricing.js at the time of each batch
+  budget_usd: doublePrecision('budget_usd'), // Spend cap for this job - null means uncapped
+  budget_tokens: bigint('budget_tokens', { mode: 'number' }),
+  pause_reason: text('pause_reason'), // 'budget' when paused by a budget cap, otherwise null
+
+  // Offline jobs - the provider batch (see server/llm/batch.js) the current page's Pass 2 is waiting on
+  offline_batch_id: text('offline_batch_id'),
+  offline_batch_model: text('offline_batch_model'), // Model the batch was submitted to, in case the instance changes meanwhile
+  offline_batch_status: text('offline_batch_status'), // Provider's status as of the last poll
+  offline_batch_submitted_at: timestamp('offline_batch_submitted_at'),
+
   details: text('details'),
 });
 
@@ -84,3 +123,61 @@ export const jobLogs = pgTable('job_logs', {
   level: text('level').notNull().default('INFO'), // 'INFO' | 'ERROR'
   message: text('message').notNull(),
 });
+
+// JobRecord table - per-record ledger of what a job did to each record
+export const jobRecords = pgTable('job_records', {
+  id: text('id').primaryKey(),
+  created_date: timestamp('created_date').defaultNow().notNull(),
+
+  job_id: text('job_id').notNull(),
+  instance_id: text('instance_id').notNull(),
+  record_id: text('record_id').notNull(),
+  status: text('status').notNull(), // 'success' | 'failed'
+  pass: integer('pass'), // 1 = cleaned programmatically, 2 = AI refined, null = never processed
+  chars_before: integer('chars_before'),
+  chars_after: integer('chars_after'),
+  model: text('model'), // Generative model used for Pass 2
+  duration_ms: integer('duration_ms'), // Time spent on the record's AI call
+  input_tokens: integer('input_tokens'),
+  output_tokens: integer('output_tokens'),
+  embedding_tokens: integer('embedding_tokens'),
+  cost_usd: doublePrecision('cost_usd'), // Chat plus embedding cost; null when no model's pricing is known
+  error: text('error'),
+  error_class: text('error_class'), // 'retryable' | 'rate_limited' | 'content_too_large' | 'fatal', for failures
+});
+
+// RecordBackup table - original Zilliz rows saved before a delete+insert write,
+// restored automatically if the insert fails
+export const recordBackups = pgTable('record_backups', {
+  id: text('id').primaryKey(),
+  created_date: timestamp('created_date').defaultNow().notNull(),
+
+  job_id: text('job_id').notNull(),
+  instance_id: text('instance_id').notNull(),
+  record_id: text('record_id').notNull(),
+  data: text('data').notNull(), // JSON of the full original record, including vectors
+});
+
+// Prompt table - a named prompt in the shared library
+export const prompts = pgTable('prompts', {
+  id: text('id').primaryKey(),
+  created_date: timestamp('created_date').defaultNow().notNull(),
+  updated_date: timestamp('updated_date').defaultNow().notNull(),
+  created_by: text('created_by'),
+
+  name: text('name').notNull(),
+  description: text('description'),
+  ai_operation: text('ai_operation'), // Operation this prompt is the default for, if any
+});
+
+// PromptVersion table - immutable prompt templates; editing a prompt adds a version
+export const promptVersions = pgTable('prompt_versions', {
+  id: text('id').primaryKey(),
+  created_date: timestamp('created_date').defaultNow().notNull(),
+  created_by: text('created_by'), // Author of this version
+
+  prompt_id: text('prompt_id').notNull(),
+  version: integer('version').notNull(), // 1, 2, 3... per prompt
+  template: text('template').notNull(),
+  notes: text('notes'),
+});
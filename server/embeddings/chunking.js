@@ -0,0 +1,94 @@
+/**
+ * Token-aware text splitting for embeddings
+ * There is no tokenizer for every provider, so tokens are estimated the way
+ * BPE vocabularies tend to split text: words and numbers cost one token per
+ * ~4 characters, each punctuation mark costs one, and each CJK character costs
+ * one. The estimate errs on the high side so chunks stay under model limits.
+ */
+
+export const EMBEDDING_STRATEGIES = ['truncate', 'chunk_average', 'chunk_rows'];
+
+export const DEFAULT_CHUNK_TOKENS = 512;
+export const DEFAULT_CHUNK_OVERLAP = 64;
+
+const CHARS_PER_WORD_TOKEN = 4;
+const TOKEN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[\p{L}\p{N}_]+|[^\p{L}\p{N}_\s]/gu;
+const CJK_PATTERN = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]$/u;
+
+/**
+ * Split text into estimated tokens as { start, end } character offsets.
+ * Offsets let chunks be cut from the original text with whitespace intact.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of (text || '').matchAll(TOKEN_PATTERN)) {
+    const word = match[0];
+    const start = match.index;
+
+    if (word.length <= CHARS_PER_WORD_TOKEN || CJK_PATTERN.test(word)) {
+      tokens.push({ start, end: start + word.length });
+      continue;
+    }
+
+    for (let offset = 0; offset < word.length; offset += CHARS_PER_WORD_TOKEN) {
+      tokens.push({ start: start + offset, end: start + Math.min(offset + CHARS_PER_WORD_TOKEN, word.length) });
+    }
+  }
+  return tokens;
+}
+
+export function estimateTokens(text) {
+  return tokenize(text).length;
+}
+
+// Cut text after its first maxTokens tokens
+export function truncateToTokens(text, maxTokens) {
+  const tokens = tokenize(text);
+  if (tokens.length <= maxTokens) return text;
+  return text.slice(0, tokens[maxTokens - 1].end);
+}
+
+/**
+ * Split text into chunks of at most chunkTokens tokens, each repeating the
+ * last overlapTokens tokens of the previous chunk.
+ * Returns [{ text, tokens }]
+ */
+export function chunkText(text, { chunkTokens = DEFAULT_CHUNK_TOKENS, overlapTokens = DEFAULT_CHUNK_OVERLAP } = {}) {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return [];
+  if (tokens.length <= chunkTokens) return [{ text, tokens: tokens.length }];
+
+  // Overlap must leave room for new tokens or chunking never advances
+  const overlap = Math.min(Math.max(overlapTokens, 0), chunkTokens - 1);
+  const step = chunkTokens - overlap;
+
+  const chunks = [];
+  for (let first = 0; first < tokens.length; first += step) {
+    const last = Math.min(first + chunkTokens, tokens.length) - 1;
+    chunks.push({
+      text: text.slice(tokens[first].start, tokens[last].end),
+      tokens: last - first + 1
+    });
+    if (last === tokens.length - 1) break;
+  }
+  return chunks;
+}
+
+/**
+ * Mean-pool chunk vectors, weighted by chunk length, then L2-normalize so the
+ * pooled vector scores like a single embedding under cosine/IP metrics.
+ */
+export function poolEmbeddings(vectors, weights = vectors.map(() => 1)) {
+  const pooled = new Array(vectors[0].length).fill(0);
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+  vectors.forEach((vector, i) => {
+    const weight = weights[i] / totalWeight;
+    for (let d = 0; d < vector.length; d++) {
+      pooled[d] += vector[d] * weight;
+    }
+  });
+
+  const norm = Math.sqrt(pooled.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? pooled.map(v => v / norm) : pooled;
+}
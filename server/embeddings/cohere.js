@@ -0,0 +1,63 @@
+import { parseRateLimitHeaders } from '../workers/rate-limiter.js';
+
+const DEFAULT_COHERE_BASE_URL = 'https://api.cohere.com';
+
+// Prices are USD per 1M input tokens
+export const COHERE_EMBEDDING_MODELS = [
+  { id: 'embed-multilingual-v3.0', label: 'Cohere embed-multilingual-v3.0', dimensions: 1024, supportsDimensions: false, maxInputTokens: 512, pricing: { input: 0.1 } },
+  { id: 'embed-english-v3.0', label: 'Cohere embed-english-v3.0', dimensions: 1024, supportsDimensions: false, maxInputTokens: 512, pricing: { input: 0.1 } },
+  { id: 'embed-multilingual-light-v3.0', label: 'Cohere embed-multilingual-light-v3.0', dimensions: 384, supportsDimensions: false, maxInputTokens: 512, pricing: { input: 0.1 } }
+];
+
+/**
+ * Cohere's /v2/embed API. COHERE_BASE_URL points this at any service
+ * speaking the same protocol (e.g. a Cohere model hosted on Bedrock/Azure gateways).
+ */
+export const cohereEmbeddingProvider = {
+  id: 'cohere',
+  label: 'Cohere',
+
+  isConfigured: () => !!process.env.COHERE_API_KEY,
+
+  listModels: () => COHERE_EMBEDDING_MODELS,
+
+  matchesModel: (model) => model.startsWith('embed-'),
+
+  async embed({ model, inputs, purpose, signal }) {
+    if (!process.env.COHERE_API_KEY) {
+      throw new Error('COHERE_API_KEY environment variable is not configured. Please add it to your Railway environment variables to generate Cohere embeddings.');
+    }
+
+    const response = await fetch(`${process.env.COHERE_BASE_URL || DEFAULT_COHERE_BASE_URL}/v2/embed`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.COHERE_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model,
+        texts: inputs,
+        input_type: purpose === 'query' ? 'search_query' : 'search_document',
+        embedding_types: ['float']
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Cohere API error (${response.status}): ${errorText}`);
+      error.status = response.status;
+      error.rateLimit = parseRateLimitHeaders(response.headers);
+      throw error;
+    }
+
+    const result = await response.json();
+    return {
+      embeddings: result.embeddings.float,
+      rateLimit: parseRateLimitHeaders(response.headers),
+      usage: result.meta?.billed_units?.input_tokens !== undefined
+        ? { input_tokens: result.meta.billed_units.input_tokens }
+        : null
+    };
+  }
+};
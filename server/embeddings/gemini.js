@@ -0,0 +1,46 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { geminiRateLimit } from '../llm/gemini.js';
+
+// Prices are USD per 1M input tokens
+export const GEMINI_EMBEDDING_MODELS = [
+  { id: 'gemini-embedding-001', label: 'Gemini Embedding', dimensions: 3072, supportsDimensions: false, maxInputTokens: 2048, pricing: { input: 0.15 } },
+  { id: 'text-embedding-004', label: 'Google text-embedding-004', dimensions: 768, supportsDimensions: false, maxInputTokens: 2048, pricing: { input: 0 } }
+];
+
+export const geminiEmbeddingProvider = {
+  id: 'gemini',
+  label: 'Google',
+
+  isConfigured: () => !!process.env.GOOGLE_API_KEY,
+
+  listModels: () => GEMINI_EMBEDDING_MODELS,
+
+  matchesModel: (model) => model.startsWith('gemini-embedding'),
+
+  async embed({ model, inputs, purpose, signal }) {
+    if (!process.env.GOOGLE_API_KEY) {
+      throw new Error('GOOGLE_API_KEY environment variable is not configured. Please add it to your Railway environment variables to generate Gemini embeddings.');
+    }
+
+    const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+    const embeddingModel = genAI.getGenerativeModel({ model });
+    let result;
+    try {
+      result = await embeddingModel.batchEmbedContents({
+        requests: inputs.map(text => ({
+          content: { role: 'user', parts: [{ text }] },
+          taskType: purpose === 'query' ? 'RETRIEVAL_QUERY' : 'RETRIEVAL_DOCUMENT'
+        }))
+      }, { signal });
+    } catch (error) {
+      error.rateLimit = geminiRateLimit(error);
+      throw error;
+    }
+
+    // Gemini doesn't report token usage for embeddings
+    return {
+      embeddings: result.embeddings.map(e => e.values),
+      usage: null
+    };
+  }
+};
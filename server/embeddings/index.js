@@ -0,0 +1,180 @@
+/**
+ * Embedding provider registry
+ * Each provider adapter declares its models (native dimensions, input limits,
+ * pricing) and an embed() returning { embeddings: number[][], usage | null }.
+ * embed() is passed a `signal` that aborts when the call times out.
+ * Model names resolve the same way as generative models (see ../llm/index.js):
+ * "<provider id>/" prefix, then catalog, then naming convention, then OpenAI.
+ */
+
+import { openaiEmbeddingProvider } from './openai.js';
+import { geminiEmbeddingProvider } from './gemini.js';
+import { cohereEmbeddingProvider } from './cohere.js';
+import { localHttpEmbeddingProvider } from './local-http.js';
+import { chunkText, poolEmbeddings, truncateToTokens, estimateTokens, DEFAULT_CHUNK_TOKENS, DEFAULT_CHUNK_OVERLAP } from './chunking.js';
+import { getRateLimiter } from '../workers/rate-limiter.js';
+
+// Inputs per embedding request when a document is split into chunks (Cohere caps requests at 96)
+const CHUNK_REQUEST_SIZE = 64;
+
+// Input limit for models missing from the catalog
+const DEFAULT_MAX_INPUT_TOKENS = 512;
+
+// Share of the model's input limit used. Token counts are estimated (see ./chunking.js), and
+// Cyrillic, Greek or long compounds can come to more real tokens than the estimate.
+const INPUT_TOKEN_MARGIN = 0.9;
+
+const PROVIDERS = [
+  openaiEmbeddingProvider,
+  geminiEmbeddingProvider,
+  cohereEmbeddingProvider,
+  localHttpEmbeddingProvider
+];
+
+/**
+ * Resolve an embedding model name to { provider, modelId, model }.
+ * model is the catalog entry, or null for models the registry doesn't know.
+ */
+export function resolveEmbeddingModel(modelName) {
+  const name = (modelName || '').trim();
+
+  for (const provider of PROVIDERS) {
+    const prefix = `${provider.id}/`;
+    if (name.startsWith(prefix)) {
+      const modelId = name.slice(prefix.length);
+      return { provider, modelId, model: provider.listModels().find(m => m.id === modelId) || null };
+    }
+  }
+
+  for (const provider of PROVIDERS) {
+    const model = provider.listModels().find(m => m.id === name);
+    if (model) return { provider, modelId: name, model };
+  }
+
+  const provider = PROVIDERS.find(p => p.matchesModel(name)) || openaiEmbeddingProvider;
+  return { provider, modelId: name, model: null };
+}
+
+export function listEmbeddingModels() {
+  return PROVIDERS.flatMap(provider => {
+    const configured = provider.isConfigured();
+    return provider.listModels().map(model => ({
+      value: resolveEmbeddingModel(model.id).provider === provider ? model.id : `${provider.id}/${model.id}`,
+      label: model.label,
+      provider: provider.label,
+      provider_id: provider.id,
+      configured,
+      dimensions: model.dimensions,
+      supports_dimensions: model.supportsDimensions,
+      max_input_tokens: model.maxInputTokens,
+      pricing: model.pricing
+    }));
+  });
+}
+
+/**
+ * Embed a list of texts.
+ * options.purpose: 'document' (stored records, default) or 'query' (search terms)
+ * options.dimensions: output size, for models that can shorten their vectors
+ * options.timeoutMs: time limit for the call, not counting time queued behind the rate limiter
+ * Usage is estimated from the texts (and flagged `estimated`) when the provider doesn't report it.
+ */
+export async function embedTexts(modelName, texts, { purpose = 'document', dimensions, timeoutMs } = {}) {
+  const { provider, modelId, model } = resolveEmbeddingModel(modelName);
+  const requestDimensions = dimensions && model?.supportsDimensions && dimensions !== model.dimensions
+    ? dimensions
+    : undefined;
+  const inputTokens = texts.reduce((sum, text) => sum + estimateTokens(text), 0);
+
+  const { rateLimit, ...result } = await getRateLimiter(`${provider.id}/${modelId}`).run(
+    ({ signal }) => provider.embed({ model: modelId, inputs: texts, purpose, dimensions: requestDimensions, signal }),
+    {
+      tokens: inputTokens,
+      usedTokens: (response) => response.usage?.input_tokens,
+      timeoutMs,
+      timeoutMessage: `Embedding generation timed out after ${Math.round(timeoutMs / 1000)}s`
+    }
+  );
+  if (result.embeddings.length !== texts.length) {
+    throw new Error(`${provider.label} returned ${result.embeddings.length} embeddings for ${texts.length} inputs`);
+  }
+  const usage = result.usage || {
+    input_tokens: inputTokens,
+    estimated: true
+  };
+  return { ...result, usage, provider: provider.id, model: modelId };
+}
+
+/**
+ * Embed one document according to an instance's embedding strategy:
+ *   truncate       - a single vector from the first tokens the model accepts
+ *   chunk_average  - chunk the text and pool the chunk vectors into one
+ *   chunk_rows     - the pooled vector, plus each chunk's own vector for separate rows
+ * Truncated text and chunks stay under 90% of the model's input limit; timeoutMs applies to each embedding call.
+ * Returns { embedding, chunks: [{ text, tokens, embedding }], usage }
+ */
+export async function embedDocument(modelName, text, {
+  strategy = 'truncate',
+  chunkTokens = DEFAULT_CHUNK_TOKENS,
+  overlapTokens = DEFAULT_CHUNK_OVERLAP,
+  dimensions,
+  timeoutMs
+} = {}) {
+  const { model } = resolveEmbeddingModel(modelName);
+  const inputLimit = Math.floor((model?.maxInputTokens || DEFAULT_MAX_INPUT_TOKENS) * INPUT_TOKEN_MARGIN);
+
+  if (strategy === 'truncate') {
+    const result = await embedTexts(modelName, [truncateToTokens(text, inputLimit)], { dimensions, timeoutMs });
+    return { embedding: result.embeddings[0], chunks: [], usage: result.usage };
+  }
+
+  const chunks = chunkText(text, { chunkTokens: Math.min(chunkTokens, inputLimit), overlapTokens });
+  if (chunks.length === 0) {
+    throw new Error('No content to embed');
+  }
+
+  const embeddings = [];
+  let inputTokens = 0;
+  let estimated = false;
+  for (let i = 0; i < chunks.length; i += CHUNK_REQUEST_SIZE) {
+    const result = await embedTexts(modelName, chunks.slice(i, i + CHUNK_REQUEST_SIZE).map(c => c.text), { dimensions, timeoutMs });
+    embeddings.push(...result.embeddings);
+    inputTokens += result.usage.input_tokens || 0;
+    estimated = estimated || !!result.usage.estimated;
+  }
+
+  return {
+    embedding: chunks.length === 1 ? embeddings[0] : poolEmbeddings(embeddings, chunks.map(c => c.tokens)),
+    chunks: chunks.map((chunk, i) => ({ ...chunk, embedding: embeddings[i] })),
+    usage: { input_tokens: inputTokens, ...(estimated ? { estimated } : {}) }
+  };
+}
+
+/**
+ * Check that a model can produce vectors of the collection's dimension.
+ * Models missing from the catalog are probed with a single embedding call.
+ * Returns { valid, dimensions, error }.
+ */
+export async function checkEmbeddingDimensions(modelName, collectionDimensions) {
+  const { model } = resolveEmbeddingModel(modelName);
+
+  let nativeDimensions = model?.dimensions;
+  if (!nativeDimensions) {
+    const probe = await embedTexts(modelName, ['dimension check']);
+    nativeDimensions = probe.embeddings[0].length;
+  }
+
+  if (nativeDimensions === collectionDimensions) {
+    return { valid: true, dimensions: collectionDimensions, error: null };
+  }
+
+  if (model?.supportsDimensions && collectionDimensions < nativeDimensions) {
+    return { valid: true, dimensions: collectionDimensions, error: null };
+  }
+
+  return {
+    valid: false,
+    dimensions: nativeDimensions,
+    error: `Embedding model ${modelName} produces ${nativeDimensions}-dimensional vectors but the collection's vector field expects ${collectionDimensions}`
+  };
+}
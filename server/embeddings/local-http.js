@@ -0,0 +1,77 @@
+import { parseRateLimitHeaders } from '../workers/rate-limiter.js';
+
+/**
+ * Self-hosted embedding server over HTTP (text-embeddings-inference, Ollama,
+ * a sentence-transformers wrapper, ...).
+ * LOCAL_EMBEDDING_URL receives { model, input: [texts] } and may answer in the
+ * OpenAI shape ({ data: [{ embedding }] }) or as { embeddings: [[...]] }.
+ * LOCAL_EMBEDDING_MODELS lists "model:dimensions" pairs, e.g. "bge-m3:1024".
+ */
+function getModels() {
+  return (process.env.LOCAL_EMBEDDING_MODELS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [id, dimensions] = entry.split(':').map(part => part.trim());
+      return {
+        id,
+        label: `${id} (local)`,
+        dimensions: parseInt(dimensions, 10) || null,
+        supportsDimensions: false,
+        maxInputTokens: parseInt(process.env.LOCAL_EMBEDDING_MAX_TOKENS, 10) || 512,
+        pricing: { input: 0 } // Self-hosted - no per-token charge
+      };
+    });
+}
+
+export const localHttpEmbeddingProvider = {
+  id: 'local',
+  label: 'Local HTTP',
+
+  isConfigured: () => !!process.env.LOCAL_EMBEDDING_URL,
+
+  listModels: getModels,
+
+  // Only reached via the 'local/' prefix or the configured model list
+  matchesModel: () => false,
+
+  async embed({ model, inputs, signal }) {
+    if (!process.env.LOCAL_EMBEDDING_URL) {
+      throw new Error('LOCAL_EMBEDDING_URL environment variable is not configured. Set it to your embedding server\'s endpoint to use local embedding models.');
+    }
+
+    const response = await fetch(process.env.LOCAL_EMBEDDING_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.LOCAL_EMBEDDING_API_KEY ? { 'Authorization': `Bearer ${process.env.LOCAL_EMBEDDING_API_KEY}` } : {})
+      },
+      body: JSON.stringify({ model, input: inputs }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Local embedding server error (${response.status}): ${errorText}`);
+      error.status = response.status;
+      error.rateLimit = parseRateLimitHeaders(response.headers);
+      throw error;
+    }
+
+    const result = await response.json();
+    const embeddings = Array.isArray(result.data)
+      ? result.data.map(d => d.embedding)
+      : result.embeddings;
+
+    if (!Array.isArray(embeddings)) {
+      throw new Error('Local embedding server returned an unrecognised response (expected data[].embedding or embeddings[])');
+    }
+
+    return {
+      embeddings,
+      rateLimit: parseRateLimitHeaders(response.headers),
+      usage: result.usage?.prompt_tokens !== undefined ? { input_tokens: result.usage.prompt_tokens } : null
+    };
+  }
+};
@@ -0,0 +1,46 @@
+import OpenAI from 'openai';
+import { parseRateLimitHeaders } from '../workers/rate-limiter.js';
+
+// Prices are USD per 1M input tokens
+export const OPENAI_EMBEDDING_MODELS = [
+  { id: 'text-embedding-3-large', label: 'OpenAI text-embedding-3-large', dimensions: 3072, supportsDimensions: true, maxInputTokens: 8191, pricing: { input: 0.13 } },
+  { id: 'text-embedding-3-small', label: 'OpenAI text-embedding-3-small', dimensions: 1536, supportsDimensions: true, maxInputTokens: 8191, pricing: { input: 0.02 } },
+  { id: 'text-embedding-ada-002', label: 'OpenAI text-embedding-ada-002', dimensions: 1536, supportsDimensions: false, maxInputTokens: 8191, pricing: { input: 0.1 } }
+];
+
+export const openaiEmbeddingProvider = {
+  id: 'openai',
+  label: 'OpenAI',
+
+  isConfigured: () => !!process.env.OPENAI_API_KEY,
+
+  listModels: () => OPENAI_EMBEDDING_MODELS,
+
+  // Unknown embedding models have always gone to OpenAI, so the registry falls back here
+  matchesModel: (model) => model.startsWith('text-embedding-'),
+
+  async embed({ model, inputs, dimensions, signal }) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY environment variable is not configured. Please add it to your Railway environment variables to generate OpenAI embeddings.');
+    }
+
+    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    let response, httpResponse;
+    try {
+      ({ data: response, response: httpResponse } = await openai.embeddings.create({
+        model,
+        input: inputs,
+        ...(dimensions ? { dimensions } : {})
+      }, { signal }).withResponse());
+    } catch (error) {
+      error.rateLimit = parseRateLimitHeaders(error.headers);
+      throw error;
+    }
+
+    return {
+      rateLimit: parseRateLimitHeaders(httpResponse.headers),
+      embeddings: response.data.sort((a, b) => a.index - b.index).map(d => d.embedding),
+      usage: response.usage ? { input_tokens: response.usage.prompt_tokens || 0 } : null
+    };
+  }
+};
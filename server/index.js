@@ -9,6 +9,8 @@ import jobsRouter from './routes/jobs.js';
 import queryRouter from './routes/query.js';
 import augmentorRouter from './routes/augmentor.js';
 import authRouter from './routes/auth.js';
+import modelsRouter from './routes/models.js';
+import promptsRouter from './routes/prompts.js';
 import { configurePassport } from './config/passport.js';
 import { startScheduler } from './workers/scheduler.js';
 
@@ -64,6 +66,8 @@ app.use('/api/instances', instancesRouter);
 app.use('/api/jobs', jobsRouter);
 app.use('/api/query', queryRouter);
 app.use('/api/augmentor', augmentorRouter);
+app.use('/api/models', modelsRouter);
+app.use('/api/prompts', promptsRouter);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -0,0 +1,169 @@
+import { parseRateLimitHeaders } from '../workers/rate-limiter.js';
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_BATCHES_URL = 'https://api.anthropic.com/v1/messages/batches';
+const ANTHROPIC_VERSION = '2023-06-01';
+const MAX_OUTPUT_TOKENS = 16384; // Cap per request - non-streaming responses beyond this risk timeouts
+
+// Prices are USD per 1M tokens
+export const ANTHROPIC_MODELS = [
+  { id: 'claude-sonnet-4-5', label: 'Claude Sonnet 4.5', description: 'Excellent quality, strong at multilingual text (~10-20s)', contextWindow: 200000, maxOutputTokens: 64000, pricing: { input: 3, output: 15 } },
+  { id: 'claude-haiku-4-5', label: 'Claude Haiku 4.5', description: 'Fast and cheap, good quality (~3-6s)', contextWindow: 200000, maxOutputTokens: 64000, pricing: { input: 1, output: 5 } },
+  { id: 'claude-opus-4-1', label: 'Claude Opus 4.1', description: 'Highest quality, slower and expensive (~30s+)', contextWindow: 200000, maxOutputTokens: 32000, pricing: { input: 15, output: 75 } }
+];
+
+function getHeaders() {
+  if (!process.env.ANTHROPIC_API_KEY) {
+    throw new Error('ANTHROPIC_API_KEY environment variable is not configured. Please add it to your Railway environment variables to use Claude models.');
+  }
+  return {
+    'x-api-key': process.env.ANTHROPIC_API_KEY,
+    'anthropic-version': ANTHROPIC_VERSION,
+    'Content-Type': 'application/json'
+  };
+}
+
+// Messages API request body for a chat
+function buildMessagesRequest({ model, messages, temperature, json }) {
+  // System prompts are a top-level field in the Messages API
+  const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+  // No JSON mode in the Messages API - prefilling the reply with "{" has the same effect
+  const conversation = messages.filter(m => m.role !== 'system').map(m => ({ role: m.role, content: m.content }));
+  if (json) conversation.push({ role: 'assistant', content: '{' });
+
+  const maxOutputTokens = ANTHROPIC_MODELS.find(m => m.id === model)?.maxOutputTokens || MAX_OUTPUT_TOKENS;
+
+  return {
+    model,
+    max_tokens: Math.min(maxOutputTokens, MAX_OUTPUT_TOKENS),
+    temperature,
+    ...(system ? { system } : {}),
+    messages: conversation
+  };
+}
+
+// { content, usage } from a Messages API response - JSON replies get their prefilled "{" back
+function readMessage(message, json) {
+  const text = (message.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+  return {
+    content: json ? `{${text}` : text,
+    usage: message.usage ? {
+      input_tokens: message.usage.input_tokens || 0,
+      output_tokens: message.usage.output_tokens || 0
+    } : null
+  };
+}
+
+async function fetchBatchApi(url, { method = 'GET', body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: getHeaders(),
+    ...(body ? { body: JSON.stringify(body) } : {})
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`Anthropic API error (${response.status}): ${errorText}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+function describeBatch(batch) {
+  const counts = batch.request_counts || {};
+  const ended = batch.processing_status === 'ended';
+  return {
+    id: batch.id,
+    status: !ended ? 'in_progress' : batch.cancel_initiated_at ? 'cancelled' : 'completed',
+    providerStatus: batch.processing_status,
+    error: null,
+    counts: {
+      total: (counts.processing || 0) + (counts.succeeded || 0) + (counts.errored || 0) + (counts.canceled || 0) + (counts.expired || 0),
+      completed: counts.succeeded || 0,
+      failed: (counts.errored || 0) + (counts.canceled || 0) + (counts.expired || 0)
+    },
+    resultsUrl: batch.results_url || null
+  };
+}
+
+// Message Batches API (see ./batch.js) - results stay available for 29 days
+const anthropicBatchApi = {
+  async submit({ model, requests, temperature, json }) {
+    const response = await fetchBatchApi(ANTHROPIC_BATCHES_URL, {
+      method: 'POST',
+      body: {
+        requests: requests.map(({ custom_id, messages }) => ({
+          custom_id,
+          params: buildMessagesRequest({ model, messages, temperature, json })
+        }))
+      }
+    });
+    return describeBatch(await response.json());
+  },
+
+  async retrieve(batchId) {
+    const response = await fetchBatchApi(`${ANTHROPIC_BATCHES_URL}/${batchId}`);
+    return describeBatch(await response.json());
+  },
+
+  async results(batch, { json }) {
+    const results = new Map();
+    if (!batch.resultsUrl) return results;
+
+    const response = await fetchBatchApi(batch.resultsUrl);
+    const lines = (await response.text()).split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    for (const { custom_id, result } of lines) {
+      if (result?.type === 'succeeded') {
+        results.set(custom_id, readMessage(result.message, json));
+      } else {
+        results.set(custom_id, {
+          error: result?.type === 'errored'
+            ? result.error?.error?.message || 'Request failed'
+            : `Request ${result?.type || 'failed'} before it was processed`
+        });
+      }
+    }
+    return results;
+  },
+
+  async cancel(batchId) {
+    await fetchBatchApi(`${ANTHROPIC_BATCHES_URL}/${batchId}/cancel`, { method: 'POST' });
+  }
+};
+
+export const anthropicProvider = {
+  id: 'anthropic',
+  label: 'Anthropic',
+
+  isConfigured: () => !!process.env.ANTHROPIC_API_KEY,
+
+  listModels: () => ANTHROPIC_MODELS,
+
+  matchesModel: (model) => model.startsWith('claude-'),
+
+  async chat({ model, messages, temperature, json, signal }) {
+    const response = await fetch(ANTHROPIC_API_URL, {
+      method: 'POST',
+      headers: getHeaders(),
+      body: JSON.stringify(buildMessagesRequest({ model, messages, temperature, json })),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Anthropic API error (${response.status}): ${errorText}`);
+      error.status = response.status;
+      error.rateLimit = parseRateLimitHeaders(response.headers);
+      throw error;
+    }
+
+    const result = await response.json();
+    return {
+      ...readMessage(result, json),
+      rateLimit: parseRateLimitHeaders(response.headers)
+    };
+  },
+
+  batch: anthropicBatchApi
+};
@@ -0,0 +1,54 @@
+import { AzureOpenAI } from 'openai';
+import { OPENAI_MODELS, openAIChat } from './openai.js';
+
+const DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * Deployments come from AZURE_OPENAI_DEPLOYMENTS as "deployment:model" pairs,
+ * e.g. "prod-gpt4o:gpt-4o,cheap:gpt-4o-mini". The model part is used to look
+ * up context limits and pricing from the OpenAI catalog.
+ */
+function getDeployments() {
+  return (process.env.AZURE_OPENAI_DEPLOYMENTS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [deployment, baseModel] = entry.split(':').map(part => part.trim());
+      const catalogEntry = OPENAI_MODELS.find(m => m.id === (baseModel || deployment));
+      return {
+        id: deployment,
+        label: `${deployment} (Azure)`,
+        description: catalogEntry ? `Azure deployment of ${catalogEntry.label}` : 'Azure OpenAI deployment',
+        contextWindow: catalogEntry?.contextWindow || null,
+        maxOutputTokens: catalogEntry?.maxOutputTokens || null,
+        pricing: catalogEntry?.pricing || null
+      };
+    });
+}
+
+export const azureOpenAIProvider = {
+  id: 'azure',
+  label: 'Azure OpenAI',
+
+  isConfigured: () => !!(process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY),
+
+  listModels: getDeployments,
+
+  // Deployment names are arbitrary, so Azure models are only reached via the 'azure/' prefix
+  matchesModel: () => false,
+
+  async chat({ model, messages, temperature, json, signal }) {
+    if (!process.env.AZURE_OPENAI_ENDPOINT || !process.env.AZURE_OPENAI_API_KEY) {
+      throw new Error('AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY environment variables must be configured to use Azure OpenAI deployments.');
+    }
+
+    const client = new AzureOpenAI({
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || DEFAULT_API_VERSION,
+      deployment: model
+    });
+    return openAIChat(client, model, messages, temperature, json, signal);
+  }
+};
@@ -0,0 +1,88 @@
+/**
+ * Provider batch APIs for offline jobs
+ * An offline job sends each page's Pass 2 prompts as one provider batch instead
+ * of real-time calls: batch requests are billed at a discount (see ./pricing.js)
+ * and can't time out, but results can take up to the provider's completion
+ * window. The scheduler polls the job until its batch has finished.
+ *
+ * Providers that support batches expose `batch`:
+ *   submit({ model, requests: [{ custom_id, messages }], temperature, json }) -> batch
+ *   retrieve(batchId) -> batch
+ *   results(batch, { json }) -> Map of custom_id -> { content, usage } | { error }
+ *   cancel(batchId)
+ * where batch is { id, status, providerStatus, error, counts } plus whatever the
+ * provider needs to fetch results. status is normalized to 'in_progress',
+ * 'completed', 'failed', 'expired' or 'cancelled'; every request in a batch
+ * shares one json setting.
+ */
+
+import { createHash } from 'crypto';
+import { resolveModel } from './index.js';
+
+const CUSTOM_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+export function supportsChatBatch(modelName) {
+  return !!resolveModel(modelName).provider.batch;
+}
+
+function getBatchApi(modelName) {
+  const { provider, modelId } = resolveModel(modelName);
+  if (!provider.batch) {
+    throw new Error(`${provider.label} has no batch API - offline jobs need an OpenAI or Anthropic model`);
+  }
+  return { api: provider.batch, modelId };
+}
+
+// Anthropic only accepts custom ids of up to 64 letters, digits, "_" and "-", so other record ids are hashed
+function toCustomId(id) {
+  const text = String(id);
+  return CUSTOM_ID_PATTERN.test(text) ? text : `h-${createHash('sha256').update(text).digest('hex').slice(0, 62)}`;
+}
+
+/**
+ * Submit one chat request per record to the batch API of the provider serving `modelName`.
+ * requests: [{ id, messages }] - id is the record id results are returned under
+ */
+export async function submitChatBatch(modelName, requests, { temperature = 0.3, json = false } = {}) {
+  const { api, modelId } = getBatchApi(modelName);
+  return api.submit({
+    model: modelId,
+    requests: requests.map(({ id, messages }) => ({ custom_id: toCustomId(id), messages })),
+    temperature,
+    json
+  });
+}
+
+// Current state of a submitted batch; `done` once it will make no more progress
+export async function getChatBatch(modelName, batchId) {
+  const batch = await getBatchApi(modelName).api.retrieve(batchId);
+  return { ...batch, done: batch.status !== 'in_progress' };
+}
+
+/**
+ * Results of a finished batch keyed by record id: { content, usage } or { error }.
+ * Records the batch never got to (it expired or was cancelled) have no entry.
+ * Usage is flagged as batch usage so it's priced at the batch rate.
+ */
+export async function getChatBatchResults(modelName, batch, ids, { json = false } = {}) {
+  const byCustomId = await getBatchApi(modelName).api.results(batch, { json });
+
+  const results = new Map();
+  for (const id of ids) {
+    const result = byCustomId.get(toCustomId(id));
+    if (!result) continue;
+    results.set(String(id), result.error ? result : {
+      content: result.content,
+      usage: result.usage && {
+        ...result.usage,
+        batch_input_tokens: result.usage.input_tokens,
+        batch_output_tokens: result.usage.output_tokens
+      }
+    });
+  }
+  return results;
+}
+
+export async function cancelChatBatch(modelName, batchId) {
+  await getBatchApi(modelName).api.cancel(batchId);
+}
@@ -0,0 +1,74 @@
+/**
+ * Multi-field mappings for augmentor instances
+ * Besides rewriting target_field, an instance can read extra input fields and
+ * write several output fields in the same pass over a record.
+ *
+ * field_mappings (stored as JSON text):
+ *   {
+ *     "input_fields": ["title", "url"],
+ *     "outputs": [
+ *       { "field": "summary", "prompt": "Summarize {{record.title}}: {{FIELD_VALUE}}" },
+ *       { "field": "langcode", "prompt": "Detect the language of: {{FIELD_VALUE}}", "path": "language" },
+ *       { "field": "tags", "path": "keywords" }
+ *     ]
+ *   }
+ *
+ * An output with a prompt gets its own model call. Prompts are templates (see
+ * ./prompt-template.js) where {{FIELD_VALUE}} is the record's processed target
+ * content and input fields can be used by bare name. With a path too, the
+ * model answers in JSON and the value at that path is written. A path alone
+ * reads from the instance's structured output.
+ */
+
+import { z } from 'zod';
+
+const FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PATH_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+const fieldMappingsDefinition = z.object({
+  input_fields: z.array(z.string().regex(FIELD_NAME_PATTERN, 'Input field names must be letters, digits and underscores')).default([]),
+  outputs: z.array(z.object({
+    field: z.string().regex(FIELD_NAME_PATTERN, 'Output field names must be letters, digits and underscores'),
+    prompt: z.string().trim().min(1).optional(),
+    path: z.string().regex(PATH_PATTERN, 'Paths look like "keywords" or "entities.people"').optional()
+  }).refine(output => output.prompt || output.path, 'Each output needs a prompt, a path, or both')).default([])
+});
+
+/**
+ * Parse and validate an instance's field_mappings.
+ * Accepts JSON text or an object; returns the definition, or null when unset.
+ * Throws with a readable message when the definition is invalid.
+ */
+export function parseFieldMappings(fieldMappings) {
+  if (fieldMappings === null || fieldMappings === undefined || fieldMappings === '') return null;
+
+  let raw = fieldMappings;
+  if (typeof fieldMappings === 'string') {
+    try {
+      raw = JSON.parse(fieldMappings);
+    } catch (error) {
+      throw new Error(`Field mappings are not valid JSON: ${error.message}`);
+    }
+  }
+
+  const result = fieldMappingsDefinition.safeParse(raw);
+  if (!result.success) {
+    const issues = result.error.issues
+      .map(issue => `${issue.path.length ? issue.path.join('.') : '(root)'}: ${issue.message}`)
+      .join('; ');
+    throw new Error(`Invalid field mappings - ${issues}`);
+  }
+
+  const fields = result.data.outputs.map(output => output.field);
+  const duplicate = fields.find((field, i) => fields.indexOf(field) !== i);
+  if (duplicate) {
+    throw new Error(`Invalid field mappings - "${duplicate}" is written by more than one output`);
+  }
+
+  return result.data;
+}
+
+// Read "a.b.0" out of an object; undefined when any step is missing
+export function getValueAtPath(data, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+}
@@ -0,0 +1,86 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { rateLimitFromRetryDelay } from '../workers/rate-limiter.js';
+
+// Prices are USD per 1M tokens
+export const GEMINI_MODELS = [
+  { id: 'gemini-pro-latest', label: 'Gemini Pro', description: 'Latest Pro, excellent quality (~5-10s)', contextWindow: 1048576, maxOutputTokens: 65536, pricing: { input: 1.25, output: 10 } },
+  { id: 'gemini-flash-latest', label: 'Gemini Flash', description: 'Latest Flash, very fast (~2-4s)', contextWindow: 1048576, maxOutputTokens: 65536, pricing: { input: 0.3, output: 2.5 } }
+];
+
+// Map Gemini SDK failures to clearer messages
+function describeGeminiError(error) {
+  if (error.message?.includes('API key not valid') || error.message?.includes('API_KEY_INVALID')) {
+    return 'Google API key is invalid. Please check your GOOGLE_API_KEY in Railway environment variables and redeploy the application.';
+  }
+  if (error.message?.includes('quota') || error.message?.includes('QUOTA')) {
+    return 'Google AI API quota exceeded. Please check your Google AI Studio quota limits.';
+  }
+  if (error.message?.includes('SAFETY') || error.message?.includes('safety')) {
+    return `Gemini safety filter triggered: ${error.message}`;
+  }
+  if (error.message?.includes('RECITATION') || error.message?.includes('recitation')) {
+    return `Gemini recitation check failed (content may be copyrighted): ${error.message}`;
+  }
+  return `Gemini API error: ${error.message} (${error.name || 'unknown error type'})`;
+}
+
+// Gemini reports how long to back off in a RetryInfo error detail rather than a header
+export function geminiRateLimit(error) {
+  const retryInfo = (error.errorDetails || []).find(detail => detail['@type']?.endsWith('google.rpc.RetryInfo'));
+  return retryInfo ? rateLimitFromRetryDelay(retryInfo.retryDelay) : null;
+}
+
+export const geminiProvider = {
+  id: 'gemini',
+  label: 'Google',
+
+  isConfigured: () => !!process.env.GOOGLE_API_KEY,
+
+  listModels: () => GEMINI_MODELS,
+
+  matchesModel: (model) => model.startsWith('gemini-'),
+
+  async chat({ model, messages, json, signal }) {
+    if (!process.env.GOOGLE_API_KEY) {
+      throw new Error('GOOGLE_API_KEY environment variable is not configured. Please add it to your Railway environment variables to use Gemini models.');
+    }
+
+    try {
+      const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
+      // The SDK expects just the model name without 'models/' prefix
+      const generativeModel = genAI.getGenerativeModel({
+        model,
+        ...(json ? { generationConfig: { responseMimeType: 'application/json' } } : {})
+      });
+
+      // Gemini uses a simpler format - just concatenate messages
+      const prompt = messages.map(msg => {
+        if (msg.role === 'system') return `Instructions: ${msg.content}`;
+        return msg.content;
+      }).join('\n\n');
+
+      console.log(`[Gemini] Model: ${model}, Prompt size: ${prompt.length} chars`);
+
+      const result = await generativeModel.generateContent(prompt, { signal });
+      const response = await result.response;
+      const usage = response.usageMetadata;
+
+      return {
+        content: response.text(),
+        usage: usage ? {
+          input_tokens: usage.promptTokenCount || 0,
+          output_tokens: usage.candidatesTokenCount || 0
+        } : null
+      };
+    } catch (error) {
+      console.error('[Gemini] Error name:', error.name);
+      console.error('[Gemini] Error message:', error.message);
+
+      const described = new Error(describeGeminiError(error));
+      described.status = error.status;
+      described.cause = error; // Keeps network failure codes visible to the retry policy
+      described.rateLimit = geminiRateLimit(error);
+      throw described;
+    }
+  }
+};
@@ -0,0 +1,124 @@
+/**
+ * LLM provider registry
+ * Each provider adapter declares its models (context limits, pricing) and a
+ * chat() that returns { content, usage: { input_tokens, output_tokens } | null }.
+ * chat() is passed a `signal` that aborts when the call times out.
+ * Providers with a batch API also expose `batch` (see ./batch.js).
+ *
+ * Model names resolve to a provider by:
+ *   1. an explicit "<provider id>/" prefix, e.g. 'azure/prod-gpt4o' or 'openai-compatible/llama3'
+ *   2. the provider's model catalog
+ *   3. the provider's naming convention (gemini-*, claude-*, gpt-*)
+ *   4. OpenAI, which has always been the default
+ */
+
+import { openaiProvider } from './openai.js';
+import { geminiProvider } from './gemini.js';
+import { anthropicProvider } from './anthropic.js';
+import { azureOpenAIProvider } from './azure-openai.js';
+import { openAICompatibleProvider } from './openai-compatible.js';
+import { mockProvider } from './mock.js';
+import { estimateTokens } from '../embeddings/chunking.js';
+import { getRateLimiter } from '../workers/rate-limiter.js';
+
+const PROVIDERS = [
+  openaiProvider,
+  geminiProvider,
+  anthropicProvider,
+  azureOpenAIProvider,
+  openAICompatibleProvider,
+  mockProvider
+];
+
+export function getProvider(providerId) {
+  return PROVIDERS.find(p => p.id === providerId) || null;
+}
+
+/**
+ * Resolve a model name to { provider, modelId, model }.
+ * modelId is the name sent to the provider's API; model is the catalog entry (or null).
+ */
+export function resolveModel(modelName) {
+  const name = (modelName || '').trim();
+
+  for (const provider of PROVIDERS) {
+    const prefix = `${provider.id}/`;
+    if (name.startsWith(prefix)) {
+      const modelId = name.slice(prefix.length);
+      return { provider, modelId, model: provider.listModels().find(m => m.id === modelId) || null };
+    }
+  }
+
+  for (const provider of PROVIDERS) {
+    const model = provider.listModels().find(m => m.id === name);
+    if (model) return { provider, modelId: name, model };
+  }
+
+  const provider = PROVIDERS.find(p => p.matchesModel(name)) || openaiProvider;
+  return { provider, modelId: name, model: null };
+}
+
+// Context limits and pricing for a model name, or null if unknown
+export function getModelInfo(modelName) {
+  return resolveModel(modelName).model;
+}
+
+// Value stored on instances for a catalog model - prefixed unless the bare name resolves to the same provider
+function getModelValue(provider, model) {
+  return resolveModel(model.id).provider === provider ? model.id : `${provider.id}/${model.id}`;
+}
+
+/**
+ * Every model from every provider, in the shape served by GET /api/models
+ */
+export function listModels() {
+  return PROVIDERS.flatMap(provider => {
+    const configured = provider.isConfigured();
+    return provider.listModels().map(model => ({
+      value: getModelValue(provider, model),
+      label: model.label,
+      description: model.description,
+      provider: provider.label,
+      provider_id: provider.id,
+      configured,
+      context_window: model.contextWindow,
+      max_output_tokens: model.maxOutputTokens,
+      pricing: model.pricing
+    }));
+  });
+}
+
+// Calls to the same provider model share one rate limiter (see ../workers/rate-limiter.js)
+export function chatRateLimitKey(modelName) {
+  const { provider, modelId } = resolveModel(modelName);
+  return `${provider.id}/${modelId}`;
+}
+
+/**
+ * Send a chat request to whichever provider serves `modelName`
+ * messages: [{ role: 'system' | 'user' | 'assistant', content }]
+ * json: ask the provider for a JSON object response (see ./structured-output.js)
+ * timeoutMs: time limit for the call, not counting time queued behind the rate limiter
+ * When the provider reports no usage, it is estimated from the text and flagged `estimated`.
+ */
+export async function chatCompletion(modelName, messages, { temperature = 0.3, json = false, timeoutMs } = {}) {
+  const { provider, modelId } = resolveModel(modelName);
+  const promptTokens = messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+
+  const { rateLimit, ...result } = await getRateLimiter(chatRateLimitKey(modelName)).run(
+    ({ signal }) => provider.chat({ model: modelId, messages, temperature, json, signal }),
+    {
+      tokens: promptTokens,
+      usedTokens: (response) => response.usage && response.usage.input_tokens + response.usage.output_tokens,
+      timeoutMs,
+      timeoutMessage: `${modelName} request timed out after ${Math.round(timeoutMs / 1000)}s - the prompt may be too long or the service is slow`
+    }
+  );
+
+  const usage = result.usage || {
+    input_tokens: promptTokens,
+    output_tokens: estimateTokens(result.content),
+    estimated: true
+  };
+  return { ...result, usage, provider: provider.id, model: modelId };
+}
@@ -0,0 +1,120 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { estimateTokens } from '../embeddings/chunking.js';
+
+/**
+ * Local mock provider for running jobs end to end without a model API.
+ * Enabled with MOCK_LLM_ENABLED=true, which adds the 'mock/echo' model. It
+ * replies with the last user message unchanged ("{}" in JSON mode, so it can't
+ * produce structured output) and has a batch API whose batches are files in
+ * MOCK_BATCH_DIR that complete MOCK_BATCH_DELAY_MS after submission.
+ */
+
+const MOCK_MODELS = [
+  { id: 'echo', label: 'Mock echo', description: 'Local mock - replies with the prompt it was sent, for testing', contextWindow: 128000, maxOutputTokens: null, pricing: { input: 0, output: 0 } }
+];
+
+const isEnabled = () => process.env.MOCK_LLM_ENABLED === 'true';
+
+const getBatchDir = () => process.env.MOCK_BATCH_DIR || path.join(os.tmpdir(), 'mock-llm-batches');
+
+function assertEnabled() {
+  if (!isEnabled()) {
+    throw new Error('The mock provider is disabled. Set MOCK_LLM_ENABLED=true to use mock models.');
+  }
+}
+
+function reply(messages, json) {
+  if (json) return '{}';
+  const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+  return lastUserMessage?.content || '';
+}
+
+async function readBatch(batchId) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(getBatchDir(), `${path.basename(batchId)}.json`), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    const notFound = new Error(`Mock batch ${batchId} not found in ${getBatchDir()}`);
+    notFound.status = 404;
+    throw notFound;
+  }
+}
+
+async function writeBatch(batch) {
+  await fs.mkdir(getBatchDir(), { recursive: true });
+  await fs.writeFile(path.join(getBatchDir(), `${batch.id}.json`), JSON.stringify(batch));
+}
+
+function describeBatch(batch) {
+  const delayMs = parseInt(process.env.MOCK_BATCH_DELAY_MS, 10) || 0;
+  const status = batch.cancelled ? 'cancelled' : Date.now() >= batch.created_at + delayMs ? 'completed' : 'in_progress';
+  return {
+    id: batch.id,
+    status,
+    providerStatus: status,
+    error: null,
+    counts: {
+      total: batch.requests.length,
+      completed: status === 'completed' ? batch.requests.length : 0,
+      failed: 0
+    }
+  };
+}
+
+const mockBatchApi = {
+  async submit({ requests, json }) {
+    assertEnabled();
+    const batch = { id: `mock_batch_${randomUUID()}`, created_at: Date.now(), json, requests };
+    await writeBatch(batch);
+    return describeBatch(batch);
+  },
+
+  async retrieve(batchId) {
+    return describeBatch(await readBatch(batchId));
+  },
+
+  async results({ id }) {
+    const batch = await readBatch(id);
+    const results = new Map();
+    if (describeBatch(batch).status !== 'completed') return results;
+
+    for (const { custom_id, messages } of batch.requests) {
+      const content = reply(messages, batch.json);
+      results.set(custom_id, {
+        content,
+        usage: {
+          input_tokens: messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+          output_tokens: estimateTokens(content)
+        }
+      });
+    }
+    return results;
+  },
+
+  async cancel(batchId) {
+    await writeBatch({ ...await readBatch(batchId), cancelled: true });
+  }
+};
+
+export const mockProvider = {
+  id: 'mock',
+  label: 'Mock',
+
+  isConfigured: isEnabled,
+
+  listModels: () => (isEnabled() ? MOCK_MODELS : []),
+
+  // Only reached via the 'mock/' prefix
+  matchesModel: () => false,
+
+  async chat({ messages, json }) {
+    assertEnabled();
+    // No usage - the registry estimates it from the text
+    return { content: reply(messages, json), usage: null };
+  },
+
+  batch: mockBatchApi
+};
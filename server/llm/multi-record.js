@@ -0,0 +1,92 @@
+/**
+ * Multi-record prompts for batched Pass 2
+ * Several records go to the model in one call, each wrapped in a tag carrying
+ * its record id. The model answers in JSON mode with one output per id:
+ *   { "results": [{ "id": "123", "output": "..." }, ...] }
+ * Each entry is validated on its own, so one missing or malformed record
+ * doesn't sink the rest of the batch - the caller retries just those records.
+ */
+
+import { z } from 'zod';
+import { parseJsonContent } from './structured-output.js';
+
+const SYSTEM_PROMPT = [
+  'You will receive several records. Each record is wrapped in <record id="..."> tags and contains its own instructions and content.',
+  'Apply each record\'s instructions to that record only, independently of the others.',
+  'Reply with only a JSON object of the form {"results": [{"id": "<record id>", "output": "<processed content>"}]},',
+  'with exactly one entry per record, using the record ids exactly as given. Each output must be a string.'
+].join(' ');
+
+const resultEntry = z.object({
+  id: z.union([z.string(), z.number()]).transform(String),
+  output: z.string()
+});
+
+const escapeId = (id) => String(id).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+/**
+ * Chat messages for a batch of records.
+ * records: [{ id, prompt }] - prompt is the record's rendered instance prompt
+ */
+export function buildMultiRecordMessages(records) {
+  const body = records
+    .map(({ id, prompt }) => `<record id="${escapeId(id)}">\n${prompt}\n</record>`)
+    .join('\n\n');
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: body }
+  ];
+}
+
+/**
+ * Match a multi-record reply to the records that were sent.
+ * Returns { outputs, problems } - Maps of record id to its output text, and of
+ * record id to why it has none (missing, duplicated, malformed or empty).
+ * A reply that isn't JSON at all leaves every record with a problem.
+ */
+export function parseMultiRecordResponse(content, ids) {
+  const outputs = new Map();
+  const problems = new Map();
+  const expected = new Set(ids.map(String));
+
+  let entries;
+  try {
+    const data = parseJsonContent(content);
+    entries = Array.isArray(data) ? data : data?.results;
+    if (!Array.isArray(entries)) throw new Error('Reply has no "results" array');
+  } catch (error) {
+    for (const id of expected) problems.set(id, error.message);
+    return { outputs, problems };
+  }
+
+  const seen = new Set();
+  for (const entry of entries) {
+    const result = resultEntry.safeParse(entry);
+    if (!result.success) {
+      // Without a usable id there's no telling which record this was meant for
+      const id = entry && (typeof entry.id === 'string' || typeof entry.id === 'number') ? String(entry.id) : null;
+      if (id && expected.has(id)) problems.set(id, 'Output is not a string');
+      continue;
+    }
+
+    const { id, output } = result.data;
+    if (!expected.has(id)) continue;
+    if (seen.has(id)) {
+      outputs.delete(id);
+      problems.set(id, 'Model returned more than one output for this record');
+      continue;
+    }
+    seen.add(id);
+
+    if (!output.trim()) {
+      problems.set(id, 'Model returned an empty output');
+    } else if (!problems.has(id)) {
+      outputs.set(id, output.trim());
+    }
+  }
+
+  for (const id of expected) {
+    if (!outputs.has(id) && !problems.has(id)) problems.set(id, 'Missing from the model\'s reply');
+  }
+  return { outputs, problems };
+}
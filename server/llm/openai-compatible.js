@@ -0,0 +1,51 @@
+import OpenAI from 'openai';
+import { openAIChat } from './openai.js';
+
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+/**
+ * Any server speaking the OpenAI chat API (vLLM, Ollama, LM Studio, ...).
+ * Configured with OPENAI_COMPATIBLE_BASE_URL (e.g. http://localhost:11434/v1)
+ * and OPENAI_COMPATIBLE_MODELS, a comma-separated list of model names.
+ */
+function getModels() {
+  const contextWindow = parseInt(process.env.OPENAI_COMPATIBLE_CONTEXT_WINDOW, 10) || DEFAULT_CONTEXT_WINDOW;
+
+  return (process.env.OPENAI_COMPATIBLE_MODELS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+    .map(name => ({
+      id: name,
+      label: name,
+      description: `Self-hosted model at ${process.env.OPENAI_COMPATIBLE_BASE_URL || 'unconfigured base URL'}`,
+      contextWindow,
+      maxOutputTokens: null,
+      pricing: { input: 0, output: 0 } // Self-hosted - no per-token charge
+    }));
+}
+
+export const openAICompatibleProvider = {
+  id: 'openai-compatible',
+  label: 'OpenAI-compatible',
+
+  isConfigured: () => !!process.env.OPENAI_COMPATIBLE_BASE_URL,
+
+  listModels: getModels,
+
+  // Only reached via the 'openai-compatible/' prefix or the configured model list
+  matchesModel: () => false,
+
+  async chat({ model, messages, temperature, json, signal }) {
+    if (!process.env.OPENAI_COMPATIBLE_BASE_URL) {
+      throw new Error('OPENAI_COMPATIBLE_BASE_URL environment variable is not configured. Set it to your server\'s /v1 URL to use self-hosted models.');
+    }
+
+    const client = new OpenAI({
+      baseURL: process.env.OPENAI_COMPATIBLE_BASE_URL,
+      // Most local servers ignore the key, but the SDK requires one
+      apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed'
+    });
+    return openAIChat(client, model, messages, temperature, json, signal);
+  }
+};
@@ -0,0 +1,157 @@
+import OpenAI, { toFile } from 'openai';
+import { parseRateLimitHeaders } from '../workers/rate-limiter.js';
+
+// Prices are USD per 1M tokens
+export const OPENAI_MODELS = [
+  { id: 'gpt-4o', label: 'GPT-4o', description: 'Latest OpenAI, excellent quality (~15-20s)', contextWindow: 128000, maxOutputTokens: 16384, pricing: { input: 2.5, output: 10 } },
+  { id: 'gpt-4o-mini', label: 'GPT-4o mini', description: 'Cheap and fast, good quality (~5-8s)', contextWindow: 128000, maxOutputTokens: 16384, pricing: { input: 0.15, output: 0.6 } },
+  { id: 'gpt-4-turbo', label: 'GPT-4 Turbo', description: 'Good quality, fast (~15-20s)', contextWindow: 128000, maxOutputTokens: 4096, pricing: { input: 10, output: 30 } },
+  { id: 'gpt-4', label: 'GPT-4', description: 'Highest quality, slower (~30-40s)', contextWindow: 8192, maxOutputTokens: 8192, pricing: { input: 30, output: 60 } },
+  { id: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo', description: 'Fast but lower quality (~5-7s)', contextWindow: 16385, maxOutputTokens: 4096, pricing: { input: 0.5, output: 1.5 } }
+];
+
+/**
+ * Chat completion against any client exposing the OpenAI chat API
+ * (OpenAI, Azure OpenAI, vLLM, Ollama, ...), normalized to { content, usage, rateLimit }
+ * json: use JSON mode (json_object is the most widely supported response format)
+ */
+export async function openAIChat(client, model, messages, temperature, json = false, signal) {
+  let completion, response;
+  try {
+    ({ data: completion, response } = await client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    }, { signal }).withResponse());
+  } catch (error) {
+    error.rateLimit = parseRateLimitHeaders(error.headers);
+    throw error;
+  }
+
+  return {
+    rateLimit: parseRateLimitHeaders(response.headers),
+    content: completion.choices[0]?.message?.content || '',
+    usage: completion.usage ? {
+      input_tokens: completion.usage.prompt_tokens || 0,
+      output_tokens: completion.usage.completion_tokens || 0
+    } : null
+  };
+}
+
+const OPENAI_BATCH_STATUSES = {
+  validating: 'in_progress',
+  in_progress: 'in_progress',
+  finalizing: 'in_progress',
+  cancelling: 'in_progress',
+  completed: 'completed',
+  failed: 'failed',
+  expired: 'expired',
+  cancelled: 'cancelled'
+};
+
+async function readJsonlFile(client, fileId) {
+  if (!fileId) return [];
+  const response = await client.files.content(fileId);
+  return (await response.text()).split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+/**
+ * Batch API (see ./batch.js) against any client exposing the OpenAI files and
+ * batches APIs. Requests are uploaded as a JSONL file and run within 24 hours.
+ */
+function createOpenAIBatchApi(getClient) {
+  const describe = (batch) => ({
+    id: batch.id,
+    status: OPENAI_BATCH_STATUSES[batch.status] || 'in_progress',
+    providerStatus: batch.status,
+    error: batch.errors?.data?.map(e => e.message).join('; ') || null,
+    counts: batch.request_counts ? {
+      total: batch.request_counts.total,
+      completed: batch.request_counts.completed,
+      failed: batch.request_counts.failed
+    } : null,
+    outputFileId: batch.output_file_id || null,
+    errorFileId: batch.error_file_id || null
+  });
+
+  return {
+    async submit({ model, requests, temperature, json }) {
+      const client = getClient();
+      const jsonl = requests.map(({ custom_id, messages }) => JSON.stringify({
+        custom_id,
+        method: 'POST',
+        url: '/v1/chat/completions',
+        body: { model, messages, temperature, ...(json ? { response_format: { type: 'json_object' } } : {}) }
+      })).join('\n');
+
+      const file = await client.files.create({ file: await toFile(Buffer.from(jsonl), 'requests.jsonl'), purpose: 'batch' });
+      return describe(await client.batches.create({
+        input_file_id: file.id,
+        endpoint: '/v1/chat/completions',
+        completion_window: '24h'
+      }));
+    },
+
+    async retrieve(batchId) {
+      return describe(await getClient().batches.retrieve(batchId));
+    },
+
+    // Successful requests are in the output file, failed ones in the error file
+    async results(batch) {
+      const client = getClient();
+      const lines = [
+        ...await readJsonlFile(client, batch.outputFileId),
+        ...await readJsonlFile(client, batch.errorFileId)
+      ];
+
+      const results = new Map();
+      for (const line of lines) {
+        const body = line.response?.body;
+        if (line.error || line.response?.status_code !== 200) {
+          results.set(line.custom_id, {
+            error: line.error?.message || body?.error?.message || `Request failed with status ${line.response?.status_code}`
+          });
+          continue;
+        }
+        results.set(line.custom_id, {
+          content: body.choices[0]?.message?.content || '',
+          usage: body.usage ? {
+            input_tokens: body.usage.prompt_tokens || 0,
+            output_tokens: body.usage.completion_tokens || 0
+          } : null
+        });
+      }
+      return results;
+    },
+
+    async cancel(batchId) {
+      await getClient().batches.cancel(batchId);
+    }
+  };
+}
+
+function createClient() {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error('OPENAI_API_KEY environment variable is not configured. Please add it to your Railway environment variables to use OpenAI models.');
+  }
+  return new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+}
+
+export const openaiProvider = {
+  id: 'openai',
+  label: 'OpenAI',
+
+  isConfigured: () => !!process.env.OPENAI_API_KEY,
+
+  listModels: () => OPENAI_MODELS,
+
+  // Unknown model names have always gone to OpenAI, so the registry falls back here
+  matchesModel: (model) => /^(gpt-|o\d|chatgpt-)/.test(model),
+
+  async chat({ model, messages, temperature, json, signal }) {
+    return openAIChat(createClient(), model, messages, temperature, json, signal);
+  },
+
+  batch: createOpenAIBatchApi(createClient)
+};
@@ -0,0 +1,77 @@
+/**
+ * Model price table
+ * Prices are USD per 1M tokens: { input, output } for chat models and { input }
+ * for embedding models. The provider catalogs supply the defaults; MODEL_PRICES
+ * (a JSON object keyed by model name, as stored on instances) overrides them
+ * and prices models the catalogs don't know, e.g.
+ *   MODEL_PRICES={"gpt-4o":{"input":2.5,"output":10},"azure/prod-gpt4o":{"input":2.5,"output":10}}
+ * Tokens served through a provider batch API (offline jobs) cost
+ * BATCH_PRICE_FACTOR of the listed price.
+ */
+
+import { getModelInfo } from './index.js';
+import { resolveEmbeddingModel } from '../embeddings/index.js';
+
+export const BATCH_PRICE_FACTOR = 0.5; // OpenAI and Anthropic both bill batch requests at half price
+
+let cachedOverrides = null;
+let cachedOverridesSource = null;
+
+function getPriceOverrides() {
+  const source = process.env.MODEL_PRICES || '';
+  if (source === cachedOverridesSource) return cachedOverrides;
+
+  cachedOverridesSource = source;
+  cachedOverrides = {};
+  if (source.trim()) {
+    try {
+      const parsed = JSON.parse(source);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        cachedOverrides = parsed;
+      } else {
+        console.error('MODEL_PRICES must be a JSON object keyed by model name - ignoring it');
+      }
+    } catch (error) {
+      console.error('MODEL_PRICES is not valid JSON - ignoring it:', error.message);
+    }
+  }
+  return cachedOverrides;
+}
+
+function getOverride(modelName) {
+  const overrides = getPriceOverrides();
+  const name = (modelName || '').trim();
+  return overrides[name] || null;
+}
+
+// { input, output } USD per 1M tokens for a chat model, or null if unknown
+export function getChatPricing(modelName) {
+  return getOverride(modelName) || getModelInfo(modelName)?.pricing || null;
+}
+
+// { input } USD per 1M tokens for an embedding model, or null if unknown
+export function getEmbeddingPricing(modelName) {
+  return getOverride(modelName) || resolveEmbeddingModel(modelName).model?.pricing || null;
+}
+
+// Full-price equivalent of a token count whose `batch` part was served by a batch API
+function billedTokens(total = 0, batch = 0) {
+  return (total || 0) - (batch || 0) + (batch || 0) * BATCH_PRICE_FACTOR;
+}
+
+// USD cost of a chat call, or null when the model's pricing is unknown.
+// batch_input_tokens/batch_output_tokens are the part of the usage served by a batch API.
+export function priceChatUsage(modelName, usage) {
+  const pricing = getChatPricing(modelName);
+  if (!pricing || !usage) return null;
+  const inputTokens = billedTokens(usage.input_tokens, usage.batch_input_tokens);
+  const outputTokens = billedTokens(usage.output_tokens, usage.batch_output_tokens);
+  return (inputTokens * (pricing.input || 0) + outputTokens * (pricing.output || 0)) / 1_000_000;
+}
+
+// USD cost of embedding calls, or null when the model's pricing is unknown
+export function priceEmbeddingUsage(modelName, usage) {
+  const pricing = getEmbeddingPricing(modelName);
+  if (!pricing || !usage) return null;
+  return (usage.input_tokens || 0) * (pricing.input || 0) / 1_000_000;
+}
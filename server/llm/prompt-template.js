@@ -0,0 +1,203 @@
+/**
+ * Prompt templates
+ *
+ *   {{FIELD_VALUE}}                          the record's target content (after Pass 1)
+ *   {{record.title}}                         any field of the record; nested paths like record.meta.author work too
+ *   {{record.title | default: "Untitled"}}   fallback when the field is missing or empty
+ *   {{title}}                                shorthand for a declared input field (see ./field-mappings.js)
+ *   {{#if record.url}} ... {{else}} ... {{/if}}
+ *   {{#if record.langcode == "de"}} ... {{/if}}     also !=
+ *   {{#unless record.summary}} ... {{/unless}}
+ *
+ * Templates are validated when an instance is saved. Rendering is lenient:
+ * an unknown {{name}} is left as written so older prompts keep working.
+ */
+
+const TAG_PATTERN = /\{\{\s*([\s\S]*?)\s*\}\}/g;
+const REF_PATTERN = /^(?:FIELD_VALUE|record(?:\.[A-Za-z0-9_]+)+|[A-Za-z_][A-Za-z0-9_]*)$/;
+const VARIABLE_PATTERN = /^(\S+)(?:\s*\|\s*default\s*:\s*"((?:[^"\\]|\\.)*)")?$/;
+const CONDITION_PATTERN = /^(\S+)(?:\s*(==|!=)\s*"((?:[^"\\]|\\.)*)")?$/;
+
+export class PromptTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptTemplateError';
+  }
+}
+
+function unescape(value) {
+  return value.replace(/\\(.)/g, '$1');
+}
+
+function parseRef(ref, tag) {
+  if (!REF_PATTERN.test(ref)) {
+    throw new PromptTemplateError(`Invalid reference "${ref}" in {{${tag}}}`);
+  }
+  return ref;
+}
+
+/**
+ * Parse a template into nodes:
+ *   { type: 'text', value }
+ *   { type: 'var', ref, defaultValue }
+ *   { type: 'if', ref, op, value, negate, then: [...], else: [...] }
+ * Throws PromptTemplateError for malformed tags or unbalanced blocks.
+ */
+export function parseTemplate(template) {
+  const root = { children: [] };
+  const stack = [root];
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inElse ? block.node.else : (block.node ? block.node.then : block.children);
+  };
+
+  let lastIndex = 0;
+  for (const match of (template || '').matchAll(TAG_PATTERN)) {
+    if (match.index > lastIndex) {
+      current().push({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+    const tag = match[1];
+
+    const blockOpen = tag.match(/^#(if|unless)\s+([\s\S]+)$/);
+    if (blockOpen) {
+      const condition = blockOpen[2].trim().match(CONDITION_PATTERN);
+      if (!condition) {
+        throw new PromptTemplateError(`Invalid condition in {{${tag}}}`);
+      }
+      const node = {
+        type: 'if',
+        ref: parseRef(condition[1], tag),
+        op: condition[2] || null,
+        value: condition[3] !== undefined ? unescape(condition[3]) : null,
+        negate: blockOpen[1] === 'unless',
+        then: [],
+        else: []
+      };
+      current().push(node);
+      stack.push({ node, keyword: blockOpen[1], inElse: false });
+      continue;
+    }
+
+    if (tag === 'else') {
+      const block = stack[stack.length - 1];
+      if (!block.node || block.inElse) {
+        throw new PromptTemplateError('{{else}} without a matching {{#if}}');
+      }
+      block.inElse = true;
+      continue;
+    }
+
+    const blockClose = tag.match(/^\/(if|unless)$/);
+    if (blockClose) {
+      const block = stack[stack.length - 1];
+      if (!block.node || block.keyword !== blockClose[1]) {
+        throw new PromptTemplateError(`{{${tag}}} without a matching {{#${blockClose[1]}}}`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    const variable = tag.match(VARIABLE_PATTERN);
+    if (!variable) {
+      throw new PromptTemplateError(`Invalid tag {{${tag}}}`);
+    }
+    current().push({
+      type: 'var',
+      ref: parseRef(variable[1], tag),
+      defaultValue: variable[2] !== undefined ? unescape(variable[2]) : null,
+      raw: match[0]
+    });
+  }
+
+  if (lastIndex < (template || '').length) {
+    current().push({ type: 'text', value: template.slice(lastIndex) });
+  }
+  if (stack.length > 1) {
+    throw new PromptTemplateError(`Missing {{/${stack[stack.length - 1].keyword}}}`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Every reference a template uses, as { kind: 'field_value' | 'record' | 'name', name }.
+ * For record references name is the top-level field (record.meta.author -> meta).
+ */
+export function getTemplateReferences(template) {
+  const refs = [];
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'text') continue;
+      if (node.ref === 'FIELD_VALUE') refs.push({ kind: 'field_value', name: 'FIELD_VALUE' });
+      else if (node.ref.startsWith('record.')) refs.push({ kind: 'record', name: node.ref.split('.')[1] });
+      else refs.push({ kind: 'name', name: node.ref });
+      if (node.type === 'if') {
+        walk(node.then);
+        walk(node.else);
+      }
+    }
+  };
+  walk(parseTemplate(template));
+  return refs;
+}
+
+function resolveRef(ref, context) {
+  if (ref === 'FIELD_VALUE') return context.fieldValue;
+  if (ref.startsWith('record.')) {
+    return ref.split('.').slice(1).reduce(
+      (value, key) => (value === null || value === undefined ? undefined : value[key]),
+      context.record
+    );
+  }
+  return context.inputFields.includes(ref) ? context.record?.[ref] : undefined;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || value === false ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function renderNodes(nodes, context) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.value;
+
+    const isKnown = node.ref === 'FIELD_VALUE' || node.ref.startsWith('record.') || context.inputFields.includes(node.ref);
+
+    if (node.type === 'var') {
+      if (!isKnown) return node.raw;
+      const value = resolveRef(node.ref, context);
+      return isEmpty(value) && node.defaultValue !== null ? node.defaultValue : formatValue(value);
+    }
+
+    const value = resolveRef(node.ref, context);
+    let result;
+    if (node.op === '==') result = formatValue(value) === node.value;
+    else if (node.op === '!=') result = formatValue(value) !== node.value;
+    else result = !isEmpty(value);
+    if (node.negate) result = !result;
+
+    return renderNodes(result ? node.then : node.else, context);
+  }).join('');
+}
+
+/**
+ * Render a prompt for one record.
+ * context: { fieldValue, record, inputFields } - inputFields are the bare names allowed as {{name}}
+ */
+export function renderPrompt(template, { fieldValue = '', record = {}, inputFields = [] } = {}) {
+  let nodes;
+  try {
+    nodes = parseTemplate(template);
+  } catch (error) {
+    // Saved before templates were validated - fall back to the original single placeholder
+    if (!(error instanceof PromptTemplateError)) throw error;
+    return (template || '').replace(/\{\{FIELD_VALUE\}\}/g, () => fieldValue);
+  }
+  return renderNodes(nodes, { fieldValue, record, inputFields: inputFields || [] });
+}
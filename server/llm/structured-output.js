@@ -0,0 +1,203 @@
+/**
+ * Structured output for augmentor instances
+ * An instance's output_schema lists the fields the model must return as a JSON
+ * object. Responses are validated with zod, and each field can be written to its
+ * own Zilliz field instead of only the target field.
+ *
+ * output_schema (stored as JSON text):
+ *   {
+ *     "fields": [
+ *       { "name": "people", "type": "string[]", "description": "People mentioned", "zilliz_field": "people" },
+ *       { "name": "summary", "type": "string", "required": false }
+ *     ]
+ *   }
+ */
+
+import { z } from 'zod';
+import { chatCompletion } from './index.js';
+
+// Attempts per record before an invalid response fails it
+export const STRUCTURED_OUTPUT_ATTEMPTS = 3;
+
+export const OUTPUT_FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'string[]', 'number[]', 'object'];
+
+const FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const outputSchemaDefinition = z.object({
+  fields: z.array(z.object({
+    name: z.string().regex(FIELD_NAME_PATTERN, 'Field names must be letters, digits and underscores'),
+    type: z.enum(OUTPUT_FIELD_TYPES),
+    description: z.string().optional(),
+    required: z.boolean().optional(),
+    zilliz_field: z.string().regex(FIELD_NAME_PATTERN, 'Zilliz field names must be letters, digits and underscores').optional()
+  })).min(1, 'Output schema needs at least one field')
+});
+
+function formatZodIssues(error) {
+  return error.issues
+    .map(issue => `${issue.path.length ? issue.path.join('.') : '(root)'}: ${issue.message}`)
+    .join('; ');
+}
+
+/**
+ * Parse and validate an instance's output_schema.
+ * Accepts JSON text or an object; returns the definition, or null when unset.
+ * Throws with a readable message when the definition is invalid.
+ */
+export function parseOutputSchema(outputSchema) {
+  if (outputSchema === null || outputSchema === undefined || outputSchema === '') return null;
+
+  let raw = outputSchema;
+  if (typeof outputSchema === 'string') {
+    try {
+      raw = JSON.parse(outputSchema);
+    } catch (error) {
+      throw new Error(`Output schema is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const result = outputSchemaDefinition.safeParse(raw);
+  if (!result.success) {
+    throw new Error(`Invalid output schema - ${formatZodIssues(result.error)}`);
+  }
+
+  const names = result.data.fields.map(f => f.name);
+  const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+  if (duplicate) {
+    throw new Error(`Invalid output schema - field "${duplicate}" is defined twice`);
+  }
+
+  return result.data;
+}
+
+function zodTypeFor(type) {
+  switch (type) {
+    case 'string': return z.string();
+    case 'number': return z.number();
+    case 'integer': return z.number().int();
+    case 'boolean': return z.boolean();
+    case 'string[]': return z.array(z.string());
+    case 'number[]': return z.array(z.number());
+    case 'object': return z.record(z.any());
+    default: throw new Error(`Unknown output field type: ${type}`);
+  }
+}
+
+// zod validator for model responses
+export function buildResponseValidator(definition) {
+  return z.object(Object.fromEntries(definition.fields.map(field => [
+    field.name,
+    field.required === false ? zodTypeFor(field.type).nullable().optional() : zodTypeFor(field.type)
+  ])));
+}
+
+// Instructions appended to the prompt so every provider knows the expected shape
+export function buildSchemaInstructions(definition) {
+  const lines = definition.fields.map(field => {
+    const optional = field.required === false ? ', optional' : '';
+    const description = field.description ? ` - ${field.description}` : '';
+    return `- "${field.name}" (${field.type}${optional})${description}`;
+  });
+
+  return [
+    'Respond with a single JSON object and nothing else - no markdown, no commentary.',
+    'The object must have these keys:',
+    ...lines
+  ].join('\n');
+}
+
+// The prompt as sent for structured output - the instance prompt followed by the schema instructions
+export function buildStructuredPrompt(prompt, definition) {
+  return `${prompt}\n\n${buildSchemaInstructions(definition)}`;
+}
+
+// Parse a JSON-mode reply. Models sometimes wrap JSON in a markdown fence even when told not to.
+export function parseJsonContent(content) {
+  const text = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Model did not return valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Parse and validate a model response against the schema.
+ * Returns the validated object; throws with the JSON or validation problem otherwise.
+ */
+export function parseStructuredResponse(content, validator) {
+  const data = parseJsonContent(content);
+
+  const result = validator.safeParse(data);
+  if (!result.success) {
+    throw new Error(`Model output does not match the output schema - ${formatZodIssues(result.error)}`);
+  }
+  return result.data;
+}
+
+/**
+ * Map validated output onto Zilliz fields.
+ * Fields with a zilliz_field are written there. If none of them maps to the
+ * target field, the target field gets the whole validated object as JSON.
+ * Returns { fields: { [zillizField]: value }, content } where content is the
+ * target field's new text, or null when its mapped field was left out.
+ */
+export function mapStructuredOutput(definition, data, targetField) {
+  const fields = {};
+  for (const field of definition.fields) {
+    if (field.zilliz_field && data[field.name] !== undefined && data[field.name] !== null) {
+      fields[field.zilliz_field] = data[field.name];
+    }
+  }
+
+  if (!definition.fields.some(field => field.zilliz_field === targetField)) {
+    return { fields, content: JSON.stringify(data) };
+  }
+
+  const value = fields[targetField];
+  delete fields[targetField];
+  if (value === undefined) {
+    return { fields, content: null };
+  }
+  return { fields, content: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+/**
+ * Run a prompt in JSON mode and validate the reply. Invalid replies are sent
+ * back to the model with the validation error until attempts run out.
+ * Returns { data, content, prompt, usage, attempts } - prompt is the message
+ * actually sent, and usage is summed over attempts. timeoutMs applies to each attempt.
+ */
+export async function structuredCompletion(modelName, prompt, definition, {
+  temperature = 0.3,
+  attempts = STRUCTURED_OUTPUT_ATTEMPTS,
+  timeoutMs
+} = {}) {
+  const validator = buildResponseValidator(definition);
+  const messages = [{ role: 'user', content: buildStructuredPrompt(prompt, definition) }];
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let lastError;
+
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const result = await chatCompletion(modelName, messages, { temperature, json: true, timeoutMs });
+    usage.input_tokens += result.usage?.input_tokens || 0;
+    usage.output_tokens += result.usage?.output_tokens || 0;
+
+    try {
+      const data = parseStructuredResponse(result.content, validator);
+      return { data, content: result.content, prompt: messages[0].content, usage, attempts: attempt };
+    } catch (error) {
+      lastError = error;
+      console.log(`[Structured output] Attempt ${attempt}/${attempts} invalid: ${error.message}`);
+      messages.push(
+        { role: 'assistant', content: result.content },
+        { role: 'user', content: `That response was invalid: ${error.message}\nReply again with only the corrected JSON object.` }
+      );
+    }
+  }
+
+  // Already retried with feedback - retrying the whole exchange again won't help
+  const error = new Error(`${lastError.message} (after ${attempts} attempts)`);
+  error.retryable = false;
+  throw error;
+}
@@ -1,18 +1,33 @@
 import express from 'express';
-import OpenAI from 'openai';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import pLimit from 'p-limit';
 import { getDb, generateId } from '../db/client.js';
-import { databaseInstances, jobs, jobLogs } from '../db/schema.js';
+import { databaseInstances, jobs, jobLogs, jobRecords, recordBackups, promptVersions } from '../db/schema.js';
 import { eq } from 'drizzle-orm';
 import { requireAuth } from '../middleware/auth.js';
+import { chatCompletion, chatRateLimitKey } from '../llm/index.js';
+import { priceChatUsage, priceEmbeddingUsage } from '../llm/pricing.js';
+import { embedDocument } from '../embeddings/index.js';
+import { estimateTokens } from '../embeddings/chunking.js';
+import { parseOutputSchema, structuredCompletion, mapStructuredOutput, parseJsonContent, buildStructuredPrompt, buildResponseValidator, parseStructuredResponse } from '../llm/structured-output.js';
+import { parseFieldMappings, getValueAtPath } from '../llm/field-mappings.js';
+import { buildMultiRecordMessages, parseMultiRecordResponse } from '../llm/multi-record.js';
+import { supportsChatBatch, submitChatBatch, getChatBatch, getChatBatchResults } from '../llm/batch.js';
+import { renderPrompt } from '../llm/prompt-template.js';
+import { acquireJobLease, startLeaseHeartbeat, heldLease, RELEASED_LEASE } from '../workers/job-lease.js';
+import { createBatchBudget, BUDGET_PAUSE_REASON } from '../workers/job-budget.js';
+import { getRateLimiter, parseRateLimitHeaders, zillizRateLimitKey } from '../workers/rate-limiter.js';
+import { withRetry, classifyError, shrinkContent } from '../workers/retry-policy.js';
 
 const router = express.Router();
 
 const BATCH_SIZE = 25; // Increased for better throughput with parallel AI processing
+const OFFLINE_BATCH_SIZE = 500; // Records per page for offline jobs - each page waits on one provider batch, so pages are larger
 const MAX_CONTENT_LENGTH = 100000; // Increased to handle larger content (max seen: 62k chars)
+const MAX_ANALYSIS_RECORDS = 500; // Largest records returned by content analysis (stats cover every record scanned)
+const MAX_ANALYSIS_SCAN = 100000; // Records content analysis reads before reporting a sample
+const ANALYSIS_TIME_LIMIT_MS = 120000; // Content analysis runs inside one request - stay well under Railway's 5 min timeout
 const OPENAI_TIMEOUT = 60000; // 60 seconds base timeout (30s was too aggressive for large content)
-const MAX_RETRIES = 3;
+const EMBEDDING_TIMEOUT = 60000; // Per embedding request
 const CLEAN_THRESHOLD = 0.15; // If <15% of content remains after language removal, consider it "clean" (skip AI)
 
 // Top 300 most common words for each supported language
@@ -225,109 +240,13 @@ function removeLanguageSentences(text, languagesToRemove = ['en']) {
   };
 }
 
-// Utility functions
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-async function withRetry(operation, maxRetries = MAX_RETRIES) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      return await operation();
-    } catch (error) {
-      if (attempt === maxRetries) throw error;
-
-      const delay = 1000 * Math.pow(2, attempt - 1); // Exponential backoff: 1s, 2s, 4s
-      console.log(`Attempt ${attempt} failed: ${error.message}. Retrying in ${delay}ms...`);
-      await sleep(delay);
-    }
-  }
-}
-
-async function withTimeout(promise, timeoutMs, errorMessage) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) =>
-      setTimeout(() => reject(new Error(errorMessage || `Operation timed out after ${timeoutMs}ms`)), timeoutMs)
-    )
-  ]);
-}
-
-// AI Service Router - calls OpenAI or Gemini based on model name
-async function callAIService(modelName, messages, temperature = 0.3) {
-  if (modelName.startsWith('gemini-')) {
-    // Use Google Gemini
-    if (!process.env.GOOGLE_API_KEY) {
-      throw new Error('GOOGLE_API_KEY environment variable is not configured. Please add it to your Railway environment variables to use Gemini models.');
-    }
-
-    try {
-      const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-      // The SDK expects just the model name without 'models/' prefix
-      const model = genAI.getGenerativeModel({ model: modelName });
-
-      // Convert OpenAI message format to Gemini format
-      // Gemini uses a simpler format - just concatenate messages
-      const prompt = messages.map(msg => {
-        if (msg.role === 'system') return `Instructions: ${msg.content}`;
-        return msg.content;
-      }).join('\n\n');
-
-      // Log prompt details for debugging
-      console.log(`[Gemini] Model: ${modelName}, Prompt size: ${prompt.length} chars`);
-
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = response.text();
-
-      // Return in OpenAI-compatible format
-      return {
-        choices: [{
-          message: {
-            content: text
-          }
-        }]
-      };
-    } catch (error) {
-      // Log full error details for debugging
-      console.error('[Gemini] Full error object:', JSON.stringify(error, null, 2));
-      console.error('[Gemini] Error name:', error.name);
-      console.error('[Gemini] Error message:', error.message);
-      console.error('[Gemini] Error stack:', error.stack);
-
-      // Provide clearer error messages for common Gemini API errors
-      if (error.message?.includes('API key not valid') || error.message?.includes('API_KEY_INVALID')) {
-        throw new Error('Google API key is invalid. Please check your GOOGLE_API_KEY in Railway environment variables and redeploy the application.');
-      }
-      if (error.message?.includes('quota') || error.message?.includes('QUOTA')) {
-        throw new Error('Google AI API quota exceeded. Please check your Google AI Studio quota limits.');
-      }
-      if (error.message?.includes('SAFETY') || error.message?.includes('safety')) {
-        throw new Error(`Gemini safety filter triggered: ${error.message}`);
-      }
-      if (error.message?.includes('RECITATION') || error.message?.includes('recitation')) {
-        throw new Error(`Gemini recitation check failed (content may be copyrighted): ${error.message}`);
-      }
-      // Re-throw with full details
-      throw new Error(`Gemini API error: ${error.message} (${error.name || 'unknown error type'})`);
-    }
-  } else {
-    // Use OpenAI
-    if (!process.env.OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY environment variable is not configured. Please add it to your Railway environment variables to use OpenAI models.');
-    }
-
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    return await openai.chat.completions.create({
-      model: modelName,
-      messages: messages,
-      temperature: temperature,
-    });
-  }
-}
+// Inserts and deletes aren't retried automatically - a request the server applied before the
+// client gave up would be applied twice, and a repeated insert duplicates rows
+const NON_RETRYABLE_ZILLIZ_PATHS = ['/v2/vectordb/entities/insert', '/v2/vectordb/entities/delete'];
 
 async function zillizApiCall(endpoint, token, path, body, timeout = 30000) {
-  return withRetry(async () => {
+  // The timeout starts once the cluster's rate limiter lets the call through
+  const call = () => getRateLimiter(zillizRateLimitKey(endpoint)).run(async () => {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), timeout);
 
@@ -345,7 +264,10 @@ async function zillizApiCall(endpoint, token, path, body, timeout = 30000) {
 
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`Zilliz API error (${response.status}): ${errorText}`);
+        const error = new Error(`Zilliz API error (${response.status}): ${errorText}`);
+        error.status = response.status;
+        error.rateLimit = parseRateLimitHeaders(response.headers);
+        throw error;
       }
 
       let responseText = await response.text();
@@ -355,22 +277,524 @@ async function zillizApiCall(endpoint, token, path, body, timeout = 30000) {
     } catch (error) {
       clearTimeout(timeoutId);
       if (error.name === 'AbortError') {
-        throw new Error(`Zilliz request timeout after ${timeout}ms`);
+        const timeoutError = new Error(`Zilliz request timeout after ${timeout}ms`);
+        timeoutError.code = 'ETIMEDOUT';
+        throw timeoutError;
       }
       throw error;
     }
   });
+
+  return NON_RETRYABLE_ZILLIZ_PATHS.includes(path) ? call() : withRetry(call);
+}
+
+// Collection schema from Zilliz ({ fields: [{ name, type, primaryKey, params }], ... })
+export async function describeCollection(instance) {
+  const response = assertZillizOk(await zillizApiCall(
+    instance.zilliz_endpoint,
+    instance.zilliz_token,
+    '/v2/vectordb/collections/describe',
+    { collectionName: instance.collection_name }
+  ), 'describe');
+  return response.data || {};
+}
+
+// One record of the collection, for working out value types when the schema isn't available
+export async function fetchSampleRecord(instance) {
+  const response = assertZillizOk(await zillizApiCall(
+    instance.zilliz_endpoint,
+    instance.zilliz_token,
+    '/v2/vectordb/entities/query',
+    { collectionName: instance.collection_name, filter: '', limit: 1, outputFields: [instance.primary_key_field] }
+  ), 'query');
+  return response.data?.[0] || null;
+}
+
+// Dimension of the instance's vector field according to the collection schema
+export async function getVectorFieldDimension(instance) {
+  const { fields = [] } = await describeCollection(instance);
+  const field = fields.find(f => f.name === instance.vector_field_name);
+
+  if (!field) {
+    throw new Error(`Vector field "${instance.vector_field_name}" not found in collection ${instance.collection_name}`);
+  }
+  if (!/FloatVector/i.test(field.type || '')) {
+    throw new Error(`Field "${instance.vector_field_name}" is ${field.type}, not a float vector field`);
+  }
+
+  const dim = (field.params || []).find(p => p.key === 'dim')?.value ?? field.elementTypeParams?.dim;
+  return parseInt(dim, 10);
+}
+
+// Look up whether the collection's primary key is numeric ('int') or a string ('string')
+export async function getPrimaryKeyType(instance, sampleRecord) {
+  try {
+    const { fields = [] } = await describeCollection(instance);
+    const pkField = fields.find(f => f.primaryKey || f.name === instance.primary_key_field);
+    if (pkField?.type) {
+      return /int/i.test(pkField.type) ? 'int' : 'string';
+    }
+  } catch (error) {
+    console.error(`Could not describe collection ${instance.collection_name}:`, error.message);
+  }
+
+  // Fall back to the shape of a fetched value
+  return typeof sampleRecord?.[instance.primary_key_field] === 'number' ? 'int' : 'string';
+}
+
+// Combine the instance filter with a "pk > lastSeen" cursor condition
+function buildCursorFilter(queryFilter, pkField, lastSeenPk, pkType) {
+  const conditions = [];
+  if (queryFilter && queryFilter.trim()) {
+    conditions.push(`(${queryFilter})`);
+  }
+  if (lastSeenPk !== null && lastSeenPk !== undefined && lastSeenPk !== '') {
+    conditions.push(pkType === 'int'
+      ? `${pkField} > ${lastSeenPk}`
+      : `${pkField} > "${String(lastSeenPk).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`);
+  }
+  return conditions.join(' && ');
+}
+
+// "pk in [...]" filter scoping a job to exactly the given records
+export function buildRecordIdInFilter(pkField, ids, pkType) {
+  const values = ids.map(id => pkType === 'int'
+    ? String(id)
+    : `"${String(id).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`);
+  return `${pkField} in [${values.join(', ')}]`;
+}
+
+// Rows written by the chunk_rows embedding strategy use "<parent id>#chunk-<n>" as their primary key
+const CHUNK_ROW_SEPARATOR = '#chunk-';
+
+function buildChunkRowId(parentId, chunkIndex) {
+  return `${parentId}${CHUNK_ROW_SEPARATOR}${chunkIndex}`;
+}
+
+// Chunk rows are search copies of a record, never records to process themselves
+function excludeChunkRows(instance, filter) {
+  if (instance.embedding_strategy !== 'chunk_rows') return filter;
+  const exclusion = `not (${instance.primary_key_field} like "%${CHUNK_ROW_SEPARATOR}%")`;
+  return filter && filter.trim() ? `(${filter}) && ${exclusion}` : exclusion;
+}
+
+// Matches every chunk row of the given parent records
+function buildChunkRowFilter(pkField, parentIds) {
+  return parentIds
+    .map(id => `${pkField} like "${String(id).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}${CHUNK_ROW_SEPARATOR}%"`)
+    .join(' || ');
+}
+
+/**
+ * Run an instance's prompt for one record. With an output schema the model is
+ * called in JSON mode and its validated fields are mapped onto Zilliz fields.
+ * Returns { content, fields, data, prompt, usage, attempts } - content is null
+ * when the target field should keep its current text, prompt is what was sent.
+ * timeoutMs applies to each model call.
+ */
+async function runInstancePrompt(instance, outputSchema, prompt, { timeoutMs = OPENAI_TIMEOUT } = {}) {
+  if (!outputSchema) {
+    const result = await chatCompletion(instance.generative_model_name, [{ role: 'user', content: prompt }], { temperature: 0.3, timeoutMs });
+    return { content: result.content.trim(), fields: {}, data: null, prompt, usage: result.usage, attempts: 1 };
+  }
+
+  const result = await structuredCompletion(instance.generative_model_name, prompt, outputSchema, { temperature: 0.3, timeoutMs });
+  const mapped = mapStructuredOutput(outputSchema, result.data, instance.target_field);
+  return {
+    content: mapped.content,
+    fields: mapped.fields,
+    data: result.data,
+    prompt: result.prompt,
+    usage: result.usage,
+    attempts: result.attempts
+  };
+}
+
+/**
+ * Run an instance's prompt on one record's content with the retry policy.
+ * A context-length error resends the prompt with less of the content.
+ * Returns runInstancePrompt's result plus keptFraction - the share of the
+ * content that was sent (1 unless it had to be shrunk).
+ */
+async function runRecordPrompt(instance, outputSchema, { content, record, inputFields }, { timeoutMs } = {}) {
+  let keptFraction = 1;
+  const result = await withRetry(async ({ keepFraction }) => {
+    keptFraction = keepFraction;
+    const prompt = renderPrompt(instance.prompt, { fieldValue: shrinkContent(content, keepFraction), record, inputFields });
+    return await runInstancePrompt(instance, outputSchema, prompt, { timeoutMs });
+  }, { shrink: true });
+  return { ...result, keptFraction };
+}
+
+// Provider batch request for one record (see ../llm/batch.js) - the message runInstancePrompt would send
+function buildOfflineRequest(outputSchema, { id, prompt }) {
+  return {
+    id,
+    messages: [{ role: 'user', content: outputSchema ? buildStructuredPrompt(prompt, outputSchema) : prompt }]
+  };
+}
+
+/**
+ * Read a record's reply from a provider batch the way runInstancePrompt reads a
+ * real-time one. Returns { content, fields, data }; throws when the reply is
+ * empty or doesn't match the output schema.
+ */
+function parseOfflineReply(instance, outputSchema, reply) {
+  if (!outputSchema) {
+    const content = reply.trim();
+    if (!content) throw new Error('Model returned an empty output');
+    return { content, fields: {}, data: null };
+  }
+
+  const data = parseStructuredResponse(reply, buildResponseValidator(outputSchema));
+  const mapped = mapStructuredOutput(outputSchema, data, instance.target_field);
+  return { content: mapped.content, fields: mapped.fields, data };
+}
+
+/**
+ * Produce an instance's extra output fields for one record (see ../llm/field-mappings.js).
+ * Any failing output fails the whole record, so a record is never half-written.
+ * Returns { fields, prompts, usage } - prompts are the rendered prompts by output field
+ */
+async function runFieldMappings(instance, fieldMappings, { record, fieldValue, structuredData }) {
+  const fields = {};
+  const prompts = {};
+  const usage = { input_tokens: 0, output_tokens: 0 };
+
+  for (const output of fieldMappings.outputs) {
+    try {
+      if (!output.prompt) {
+        // Optional structured fields may be absent - leave the Zilliz field as it is
+        const value = getValueAtPath(structuredData || {}, output.path);
+        if (value !== undefined && value !== null) fields[output.field] = value;
+        continue;
+      }
+
+      const result = await withRetry(async ({ keepFraction }) => {
+        const prompt = renderPrompt(output.prompt, {
+          fieldValue: shrinkContent(fieldValue, keepFraction),
+          record,
+          inputFields: fieldMappings.input_fields
+        });
+        prompts[output.field] = prompt;
+        return await chatCompletion(instance.generative_model_name, [{ role: 'user', content: prompt }], {
+          temperature: 0.3,
+          json: !!output.path,
+          timeoutMs: OPENAI_TIMEOUT
+        });
+      }, { shrink: true });
+      usage.input_tokens += result.usage?.input_tokens || 0;
+      usage.output_tokens += result.usage?.output_tokens || 0;
+
+      if (output.path) {
+        const value = getValueAtPath(parseJsonContent(result.content), output.path);
+        if (value === undefined) {
+          throw new Error(`path "${output.path}" not found in model output`);
+        }
+        fields[output.field] = value;
+      } else {
+        fields[output.field] = result.content.trim();
+      }
+    } catch (error) {
+      const fieldError = new Error(`Output field ${output.field}: ${error.message}`);
+      fieldError.errorClass = classifyError(error);
+      throw fieldError;
+    }
+  }
+
+  return { fields, prompts, usage };
+}
+
+// embedDocument() options from an instance's embedding settings
+function getEmbeddingOptions(instance) {
+  return {
+    strategy: instance.embedding_strategy || 'truncate',
+    chunkTokens: instance.embedding_chunk_tokens || undefined,
+    overlapTokens: instance.embedding_chunk_overlap ?? undefined,
+    dimensions: instance.embedding_dimensions
+  };
+}
+
+// Order primary keys the way Zilliz does (int64 compared as BigInt to avoid precision loss)
+function comparePrimaryKeys(a, b, pkType) {
+  if (pkType === 'int') {
+    const diff = BigInt(a) - BigInt(b);
+    return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+  }
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+const RECORD_PAGE_SIZE = 5000; // Page size for full-collection scans (Zilliz caps a single query at 16,384)
+
+// Walk every record matching `filter` one page at a time, by primary key.
+// Zilliz returns query results in primary key order, so "pk > last seen" never skips or repeats.
+async function* iterateRecordPages(instance, { filter = '', outputFields = [], pageSize = RECORD_PAGE_SIZE } = {}) {
+  const pkField = instance.primary_key_field;
+  const fields = [...new Set([pkField, ...outputFields])];
+  let lastSeenPk = null;
+  let pkType = null;
+
+  while (true) {
+    const response = await zillizApiCall(
+      instance.zilliz_endpoint,
+      instance.zilliz_token,
+      '/v2/vectordb/entities/query',
+      {
+        collectionName: instance.collection_name,
+        filter: buildCursorFilter(filter, pkField, lastSeenPk, pkType),
+        limit: pageSize,
+        outputFields: fields
+      }
+    );
+
+    const records = response.data || [];
+    if (records.length === 0) return;
+
+    if (!pkType) {
+      pkType = await getPrimaryKeyType(instance, records[0]);
+    }
+    records.sort((a, b) => comparePrimaryKeys(a[pkField], b[pkField], pkType));
+
+    yield records;
+
+    if (records.length < pageSize) return;
+    lastSeenPk = String(records[records.length - 1][pkField]);
+  }
+}
+
+// Count records matching `filter` with count(*), falling back to paging through the collection
+// (or returning null, with scan: false)
+async function countRecords(instance, filter = '', { scan = true } = {}) {
+  try {
+    const response = await zillizApiCall(
+      instance.zilliz_endpoint,
+      instance.zilliz_token,
+      '/v2/vectordb/entities/query',
+      {
+        collectionName: instance.collection_name,
+        filter,
+        outputFields: ['count(*)']
+      }
+    );
+
+    const count = response.data?.[0]?.['count(*)'];
+    if (response.code === 0 && count !== undefined) {
+      return Number(count);
+    }
+    console.warn(`count(*) not available for ${instance.collection_name}: ${response.message || 'no count returned'}`);
+  } catch (error) {
+    console.warn(`count(*) failed for ${instance.collection_name}, paging instead:`, error.message);
+  }
+
+  if (!scan) return null;
+  let total = 0;
+  for await (const page of iterateRecordPages(instance, { filter })) {
+    total += page.length;
+  }
+  return total;
+}
+
+// Zilliz reports write errors as HTTP 200 with a non-zero code
+function assertZillizOk(response, action) {
+  if (response && response.code !== undefined && response.code !== 0) {
+    throw new Error(`Zilliz ${action} failed (code ${response.code}): ${response.message || 'unknown error'}`);
+  }
+  return response;
+}
+
+function buildRecordIdFilter(pkField, ids) {
+  return ids.map(id => `${pkField} == "${id}"`).join(' || ');
+}
+
+/**
+ * Replace the chunk rows of freshly written records. Old chunks are deleted first
+ * since a shorter document produces fewer chunks than last time.
+ * A failure marks the parents failed in the ledger so retry-failed picks them up.
+ * Returns the number of records that failed.
+ */
+async function writeChunkRows(instance, parentRecords, chunkRecords, ledgerRowsById, addLog) {
+  const pkField = instance.primary_key_field;
+  const parentIds = parentRecords.map(record => record[pkField]);
+
+  try {
+    assertZillizOk(await zillizApiCall(
+      instance.zilliz_endpoint,
+      instance.zilliz_token,
+      '/v2/vectordb/entities/delete',
+      { collectionName: instance.collection_name, filter: buildChunkRowFilter(pkField, parentIds) }
+    ), 'delete chunk rows');
+
+    if (chunkRecords.length > 0) {
+      assertZillizOk(await zillizApiCall(
+        instance.zilliz_endpoint,
+        instance.zilliz_token,
+        '/v2/vectordb/entities/upsert',
+        { collectionName: instance.collection_name, data: chunkRecords }
+      ), 'upsert chunk rows');
+    }
+    await addLog(`✓ Wrote ${chunkRecords.length} chunk rows for ${parentIds.length} records`);
+    return 0;
+  } catch (error) {
+    await addLog(`Chunk row write failed: ${error.message}`, 'ERROR');
+    for (const id of parentIds) {
+      Object.assign(ledgerRowsById.get(String(id)), { status: 'failed', error: `Chunk rows write failed: ${error.message}`, error_class: classifyError(error) });
+    }
+    return parentIds.length;
+  }
+}
+
+// Put back any originals saved by deleteAndInsertRecords for this job. Returns how many were restored.
+async function restoreRecordBackups(instance, jobId, addLog) {
+  const db = getDb();
+  const backups = await db.select().from(recordBackups).where(eq(recordBackups.job_id, jobId));
+  if (backups.length === 0) return 0;
+
+  const originals = backups.map(backup => JSON.parse(backup.data));
+  await addLog(`Restoring ${originals.length} original records from backup`);
+
+  try {
+    // Delete first in case the failed insert was partially applied
+    assertZillizOk(await zillizApiCall(
+      instance.zilliz_endpoint,
+      instance.zilliz_token,
+      '/v2/vectordb/entities/delete',
+      { collectionName: instance.collection_name, filter: buildRecordIdFilter(instance.primary_key_field, backups.map(b => b.record_id)) }
+    ), 'delete');
+    assertZillizOk(await zillizApiCall(
+      instance.zilliz_endpoint,
+      instance.zilliz_token,
+      '/v2/vectordb/entities/insert',
+      { collectionName: instance.collection_name, data: originals }
+    ), 'insert');
+  } catch (error) {
+    await addLog(`Restore failed: ${error.message}. Originals are kept in record_backups for job ${jobId}`, 'ERROR');
+    throw error;
+  }
+
+  await db.delete(recordBackups).where(eq(recordBackups.job_id, jobId));
+  await addLog(`✓ Restored ${originals.length} original records`);
+  return originals.length;
+}
+
+// Replace records with delete+insert. Originals are backed up first and restored if the delete or insert fails.
+async function deleteAndInsertRecords(instance, jobId, originals, updatedRecords, addLog) {
+  const db = getDb();
+  const pkField = instance.primary_key_field;
+
+  await db.insert(recordBackups).values(originals.map(record => ({
+    id: generateId(),
+    job_id: jobId,
+    instance_id: instance.id,
+    record_id: String(record[pkField]),
+    data: JSON.stringify(record),
+    created_date: new Date()
+  })));
+
+  try {
+    assertZillizOk(await zillizApiCall(
+      instance.zilliz_endpoint,
+      instance.zilliz_token,
+      '/v2/vectordb/entities/delete',
+      { collectionName: instance.collection_name, filter: buildRecordIdFilter(pkField, updatedRecords.map(r => r[pkField])) }
+    ), 'delete');
+  } catch (error) {
+    // A delete that failed or timed out may still have been applied - put the originals back
+    // (the restore deletes first, so it's safe either way). If that fails too, the backups stay
+    // for the restore at the start of the next batch.
+    await addLog(`Batch delete failed: ${error.message}`, 'ERROR');
+    await restoreRecordBackups(instance, jobId, addLog);
+    throw error;
+  }
+
+  try {
+    assertZillizOk(await zillizApiCall(
+      instance.zilliz_endpoint,
+      instance.zilliz_token,
+      '/v2/vectordb/entities/insert',
+      { collectionName: instance.collection_name, data: updatedRecords }
+    ), 'insert');
+  } catch (error) {
+    await addLog(`Batch insert failed: ${error.message}`, 'ERROR');
+    await restoreRecordBackups(instance, jobId, addLog);
+    throw error;
+  }
+
+  await db.delete(recordBackups).where(eq(recordBackups.job_id, jobId));
+}
+
+// Create a job for an augmentor instance and kick off batch processing - EXPORTED for scheduler
+// options.parentJobId/recordFilter create a job scoped to specific records (see /api/jobs/:id/retry-failed)
+// options.executionType 'offline' runs Pass 2 through the model provider's batch API (see ../llm/batch.js)
+export async function startAugmentorJob(instance, createdBy, options = {}) {
+  const db = getDb();
+
+  console.log(`Starting augmentor job for instance: ${instance.name}`);
+
+  // Create new job
+  const jobId = generateId();
+  const now = new Date();
+
+  await db.insert(jobs).values({
+    id: jobId,
+    created_date: now,
+    updated_date: now,
+    instance_id: instance.id,
+    status: 'pending',
+    execution_type: options.executionType || 'full_execution',
+    current_batch_offset: 0,
+    pagination_mode: instance.pagination_mode || 'cursor',
+    total_records: 0,
+    processed_records: 0,
+    failed_records: 0,
+    parent_job_id: options.parentJobId || null,
+    record_filter: options.recordFilter || null,
+    prompt_version_id: instance.prompt_version_id || null,
+    budget_usd: instance.job_budget_usd ?? null,
+    budget_tokens: instance.job_budget_tokens ?? null,
+    created_by: createdBy
+  });
+
+  // Log job creation
+  await db.insert(jobLogs).values({
+    id: generateId(),
+    job_id: jobId,
+    level: 'INFO',
+    message: options.parentJobId
+      ? `Job created to retry failed records of job ${options.parentJobId}`
+      : createdBy === 'scheduler' ? 'Job created by scheduler' : 'Job created',
+    created_date: now
+  });
+  if (options.executionType === 'offline') {
+    await db.insert(jobLogs).values({
+      id: generateId(),
+      job_id: jobId,
+      level: 'INFO',
+      message: `Offline execution - Pass 2 runs through the ${instance.generative_model_name} batch API, ${OFFLINE_BATCH_SIZE} records per batch`,
+      created_date: now
+    });
+  }
+
+  // Trigger first batch processing (async)
+  processBatch(jobId).catch(err =>
+    console.error(`Failed to start batch processing for job ${jobId}:`, err)
+  );
+
+  return jobId;
 }
 
 // Start a new augmentor job
 router.post('/start', requireAuth, async (req, res) => {
   try {
-    const { instance_id } = req.body;
+    const { instance_id, execution_type = 'full_execution' } = req.body;
 
     if (!instance_id) {
       return res.status(400).json({ error: 'Missing instance_id' });
     }
 
+    if (execution_type !== 'full_execution' && execution_type !== 'offline') {
+      return res.status(400).json({ error: 'execution_type must be full_execution or offline' });
+    }
+
     const db = getDb();
 
     // Get instance
@@ -387,45 +811,16 @@ router.post('/start', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Instance is not an augmentor type' });
     }
 
-    console.log(`Starting augmentor job for instance: ${instance.name}`);
-
-    // Create new job
-    const jobId = generateId();
-    const now = new Date();
-
-    await db.insert(jobs).values({
-      id: jobId,
-      created_date: now,
-      updated_date: now,
-      instance_id: instance.id,
-      status: 'pending',
-      execution_type: 'full_execution',
-      current_batch_offset: 0,
-      total_records: 0,
-      processed_records: 0,
-      failed_records: 0,
-      is_processing_batch: false,
-      created_by: req.user?.email || 'unknown'
-    });
-
-    // Log job creation
-    await db.insert(jobLogs).values({
-      id: generateId(),
-      job_id: jobId,
-      level: 'INFO',
-      message: 'Job created',
-      created_date: now
-    });
+    if (execution_type === 'offline' && !supportsChatBatch(instance.generative_model_name)) {
+      return res.status(400).json({ error: `${instance.generative_model_name} has no batch API - offline execution needs an OpenAI or Anthropic model` });
+    }
 
-    // Trigger first batch processing (async)
-    processBatch(jobId).catch(err =>
-      console.error(`Failed to start batch processing for job ${jobId}:`, err)
-    );
+    const jobId = await startAugmentorJob(instance, req.user?.email || 'unknown', { executionType: execution_type });
 
     res.json({
       success: true,
       job_id: jobId,
-      message: 'Augmentor job started'
+      message: execution_type === 'offline' ? 'Offline augmentor job started' : 'Augmentor job started'
     });
 
   } catch (error) {
@@ -434,7 +829,451 @@ router.post('/start', requireAuth, async (req, res) => {
   }
 });
 
-// Dry run - process one record and show two-pass processing results
+// Dry-run sampling - which records a dry run processes
+const DRY_RUN_SAMPLING = ['first', 'random', 'largest', 'per_language', 'ids'];
+const MAX_DRY_RUN_SAMPLE = 20;
+// Random and per-language sampling stop scanning after this many records
+const MAX_SAMPLE_SCAN_RECORDS = 50000;
+// Characters of content used to guess a record's language when there's no language field
+const LANGUAGE_SAMPLE_CHARS = 2000;
+
+// Fetch the first `limit` records a run would process
+async function fetchDryRunRecords(instance, limit) {
+  const queryResponse = await zillizApiCall(
+    instance.zilliz_endpoint,
+    instance.zilliz_token,
+    '/v2/vectordb/entities/query',
+    {
+      collectionName: instance.collection_name,
+      filter: excludeChunkRows(instance, instance.query_filter || ''),
+      offset: 0,
+      limit,
+      outputFields: ['*']
+    }
+  );
+  return queryResponse.data || [];
+}
+
+// Fetch full records by primary key, in the order given
+async function fetchRecordsById(instance, ids) {
+  if (ids.length === 0) return [];
+
+  const pkField = instance.primary_key_field;
+  const pkType = await getPrimaryKeyType(instance, { [pkField]: ids[0] });
+  const response = assertZillizOk(await zillizApiCall(
+    instance.zilliz_endpoint,
+    instance.zilliz_token,
+    '/v2/vectordb/entities/query',
+    {
+      collectionName: instance.collection_name,
+      filter: buildRecordIdInFilter(pkField, ids, pkType),
+      limit: ids.length,
+      outputFields: ['*']
+    }
+  ), 'query');
+
+  const byId = new Map((response.data || []).map(record => [String(record[pkField]), record]));
+  return ids.map(id => byId.get(String(id))).filter(Boolean);
+}
+
+// Reservoir sampling - keeps a uniform sample of `size` items from a stream
+function createReservoir(size) {
+  const items = [];
+  let seen = 0;
+  return {
+    items,
+    add(item) {
+      seen++;
+      if (items.length < size) {
+        items.push(item);
+      } else {
+        const index = Math.floor(Math.random() * seen);
+        if (index < size) items[index] = item;
+      }
+    }
+  };
+}
+
+// Dominant Pass 1 language of a record's content ('other' when none is recognized)
+function detectRecordLanguage(content) {
+  const { languageCounts } = removeLanguageSentences((content || '').slice(0, LANGUAGE_SAMPLE_CHARS)).stats;
+  const [top] = Object.entries(languageCounts)
+    .filter(([lang]) => lang !== 'other')
+    .sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : 'other';
+}
+
+/**
+ * Pick the records a dry run processes.
+ *   first        - the first records matching the query filter (the original behaviour)
+ *   random       - a uniform random sample of matching records
+ *   largest      - the largest records by extracted content size, as in content analysis
+ *   per_language - an even spread over languages, read from languageField or detected like Pass 1
+ *   ids          - exactly the given primary keys, whether or not they match the filter
+ * Returns { records, scanned, scan_capped, missing_ids, languages }
+ */
+async function selectDryRunRecords(instance, { sampleSize = 1, sampling = 'first', recordIds = [], languageField = null } = {}) {
+  const pkField = instance.primary_key_field;
+
+  if (sampling === 'first') {
+    return { records: await fetchDryRunRecords(instance, sampleSize), scanned: null, scan_capped: false };
+  }
+
+  if (sampling === 'ids') {
+    const records = await fetchRecordsById(instance, recordIds);
+    const found = new Set(records.map(record => String(record[pkField])));
+    return {
+      records,
+      scanned: null,
+      scan_capped: false,
+      missing_ids: recordIds.filter(id => !found.has(String(id)))
+    };
+  }
+
+  if (sampling === 'largest') {
+    const { stats, largestRecords } = await analyzeContentSizes(instance, { keep: sampleSize });
+    return {
+      records: await fetchRecordsById(instance, largestRecords.map(r => r.id)),
+      scanned: stats.total_records,
+      scan_capped: false
+    };
+  }
+
+  // random and per_language stream the collection, keeping only small reservoirs
+  const outputFields = sampling === 'per_language' ? [languageField || instance.target_field] : [];
+  const overall = createReservoir(sampleSize);
+  const byLanguage = new Map();
+  let scanned = 0;
+  let scanCapped = false;
+
+  for await (const page of iterateRecordPages(instance, {
+    filter: excludeChunkRows(instance, instance.query_filter || ''),
+    outputFields
+  })) {
+    for (const record of page) {
+      if (sampling === 'random') {
+        overall.add(record[pkField]);
+      } else {
+        const language = languageField
+          ? String(record[languageField] ?? 'unknown')
+          : detectRecordLanguage(record[instance.target_field]);
+        if (!byLanguage.has(language)) byLanguage.set(language, createReservoir(sampleSize));
+        byLanguage.get(language).add(record[pkField]);
+      }
+      scanned++;
+    }
+    if (scanned >= MAX_SAMPLE_SCAN_RECORDS) {
+      scanCapped = true;
+      break;
+    }
+  }
+
+  if (sampling === 'random') {
+    return { records: await fetchRecordsById(instance, overall.items), scanned, scan_capped: scanCapped };
+  }
+
+  // Take records round-robin across languages so each one is represented
+  const pools = [...byLanguage.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+  const ids = [];
+  const languageById = new Map();
+  for (let round = 0; ids.length < sampleSize && pools.some(([, pool]) => pool.items.length > round); round++) {
+    for (const [language, pool] of pools) {
+      if (ids.length >= sampleSize) break;
+      if (pool.items.length > round) {
+        ids.push(pool.items[round]);
+        languageById.set(String(pool.items[round]), language);
+      }
+    }
+  }
+
+  const records = await fetchRecordsById(instance, ids);
+  return {
+    records,
+    scanned,
+    scan_capped: scanCapped,
+    languages: Object.fromEntries(records.map(record => [String(record[pkField]), languageById.get(String(record[pkField]))]))
+  };
+}
+
+/**
+ * Validate dry-run sampling options from a request body.
+ * Returns { options } or { error }.
+ */
+function parseSamplingOptions(body, { defaultSampleSize = 1, maxSampleSize = MAX_DRY_RUN_SAMPLE } = {}) {
+  const sampling = body.sampling || 'first';
+  if (!DRY_RUN_SAMPLING.includes(sampling)) {
+    return { error: `sampling must be one of: ${DRY_RUN_SAMPLING.join(', ')}` };
+  }
+
+  if (sampling === 'ids') {
+    const recordIds = Array.isArray(body.record_ids) ? body.record_ids.filter(id => id !== '' && id !== null && id !== undefined) : [];
+    if (recordIds.length === 0 || recordIds.length > maxSampleSize) {
+      return { error: `Provide between 1 and ${maxSampleSize} record_ids` };
+    }
+    return { options: { sampling, recordIds, sampleSize: recordIds.length } };
+  }
+
+  const sampleSize = body.sample_size === undefined ? defaultSampleSize : parseInt(body.sample_size);
+  if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > maxSampleSize) {
+    return { error: `sample_size must be between 1 and ${maxSampleSize}` };
+  }
+
+  return { options: { sampling, sampleSize, languageField: body.language_field || null } };
+}
+
+/**
+ * Everything before Pass 2 for one dry-run record: tag extraction, truncation
+ * and Pass 1 language filtering.
+ * Returns { contentToProcess, hasTag, enableTwoPass, languagesToRemove, pass1Result, needsAI, contentForAI }
+ */
+function prepareDryRunContent(instance, record, outputSchema) {
+  const originalContent = record[instance.target_field] || '';
+
+  // Extract content from tags if present
+  let contentToProcess = originalContent;
+  const tagRegex = /\[pagecontent\](.*?)\[\/pagecontent\]/gs;
+  const match = tagRegex.exec(originalContent);
+  const hasTag = !!match;
+  if (hasTag) {
+    contentToProcess = match[1];
+  }
+
+  if (contentToProcess.length > MAX_CONTENT_LENGTH) {
+    contentToProcess = contentToProcess.substring(0, MAX_CONTENT_LENGTH);
+  }
+
+  const enableTwoPass = instance.enable_two_pass !== false;
+  const languagesToRemove = (instance.languages_to_remove || 'en').split(',').map(l => l.trim());
+
+  let pass1Result = null;
+  let needsAI = true;
+  let contentForAI = contentToProcess;
+
+  if (enableTwoPass) {
+    pass1Result = removeLanguageSentences(contentToProcess, languagesToRemove);
+    // Structured fields only come from the model, so every record goes to Pass 2
+    needsAI = !!outputSchema || pass1Result.stats.percentRemaining > CLEAN_THRESHOLD;
+    contentForAI = pass1Result.cleanedText;
+  }
+
+  return { contentToProcess, hasTag, enableTwoPass, languagesToRemove, pass1Result, needsAI, contentForAI };
+}
+
+/**
+ * Run one record through the whole pipeline without writing anything.
+ * Returns the dry-run result for the record (the single-record response body).
+ */
+async function runDryRunRecord(instance, record, { outputSchema, fieldMappings }) {
+  // ===== PASS 1: Language Filtering =====
+  const {
+    contentToProcess, hasTag, enableTwoPass, languagesToRemove, pass1Result, needsAI, contentForAI
+  } = prepareDryRunContent(instance, record, outputSchema);
+
+  if (enableTwoPass) {
+    console.log(`Pass 1: Removed languages: ${languagesToRemove.join(', ')}`);
+    console.log(`Pass 1 complete: ${pass1Result.stats.sentencesRemoved} sentences removed (${Math.round((1 - pass1Result.stats.percentRemaining) * 100)}%)`);
+    console.log(`AI needed: ${needsAI ? 'YES' : 'NO'} (${Math.round(pass1Result.stats.percentRemaining * 100)}% content remaining)`);
+  }
+
+  // ===== PASS 2: AI Processing (if needed) =====
+  let processedContent = contentForAI;
+  let aiSkipped = !needsAI;
+  let structuredOutput = null;
+  let promptSent = null;
+  let aiUsage = null;
+  let aiLatencyMs = null;
+  let contentKeptFraction = 1;
+
+  if (needsAI) {
+    console.log(`Pass 2: Sending to ${instance.generative_model_name} for AI processing...`);
+
+    const startedAt = Date.now();
+    const aiResult = await runRecordPrompt(instance, outputSchema, {
+      content: contentForAI,
+      record,
+      inputFields: fieldMappings?.input_fields
+    });
+    aiLatencyMs = Date.now() - startedAt;
+    contentKeptFraction = aiResult.keptFraction;
+
+    processedContent = aiResult.content ?? contentForAI;
+    promptSent = aiResult.prompt;
+    aiUsage = aiResult.usage || null;
+    if (outputSchema) {
+      structuredOutput = { data: aiResult.data, fields: aiResult.fields, attempts: aiResult.attempts };
+    }
+    console.log('Pass 2 complete: AI processing done');
+  } else {
+    console.log('Pass 2 skipped: Content sufficiently cleaned by Pass 1');
+  }
+
+  // Extra output fields, shown before/after so each mapping can be checked
+  const mappedFields = [];
+  for (const [field, value] of Object.entries(structuredOutput?.fields || {})) {
+    mappedFields.push({ field, source: 'output_schema', before: record[field] ?? null, after: value });
+  }
+  if (fieldMappings?.outputs.length) {
+    console.log(`Running ${fieldMappings.outputs.length} field mappings...`);
+    const mappingResult = await runFieldMappings(instance, fieldMappings, {
+      record,
+      fieldValue: processedContent,
+      structuredData: structuredOutput?.data
+    });
+    for (const output of fieldMappings.outputs) {
+      mappedFields.push({
+        field: output.field,
+        source: output.prompt ? (output.path ? `prompt → ${output.path}` : 'prompt') : `path ${output.path}`,
+        before: record[output.field] ?? null,
+        after: mappingResult.fields[output.field] ?? record[output.field] ?? null,
+        prompt_rendered: mappingResult.prompts[output.field] ?? null
+      });
+    }
+    if (mappingResult.usage.input_tokens || mappingResult.usage.output_tokens) {
+      aiUsage = {
+        input_tokens: (aiUsage?.input_tokens || 0) + mappingResult.usage.input_tokens,
+        output_tokens: (aiUsage?.output_tokens || 0) + mappingResult.usage.output_tokens
+      };
+    }
+  }
+
+  // Generate embedding for final content
+  let embedding = null;
+  let embeddingChunks = [];
+  if (instance.vector_field_name) {
+    console.log(`Generating embedding for final content (${instance.embedding_strategy || 'truncate'})...`);
+    const embeddingResult = await withRetry(async () => {
+      return await embedDocument(instance.embedding_model_name, processedContent, {
+        ...getEmbeddingOptions(instance),
+        timeoutMs: EMBEDDING_TIMEOUT
+      });
+    });
+    embedding = embeddingResult.embedding;
+    embeddingChunks = embeddingResult.chunks;
+    console.log(`Embedding generated: ${embedding.length} dimensions from ${embeddingChunks.length || 1} chunk(s)`);
+  }
+
+  return {
+    record_id: record[instance.primary_key_field],
+    two_pass_enabled: enableTwoPass,
+
+    // Backward compatibility for existing UI
+    before: {
+      content: contentToProcess,
+      record_id: record[instance.primary_key_field]
+    },
+
+    after: {
+      content: processedContent,
+      embedding_dimensions: embedding ? embedding.length : null
+    },
+
+    metadata: {
+      model: needsAI ? instance.generative_model_name : 'Pass 1 only (no AI)',
+      embedding_model: instance.embedding_model_name,
+      prompt_used: instance.prompt,
+      prompt_rendered: promptSent,
+      content_kept_percent: Math.round(contentKeptFraction * 100) // Below 100 when the content exceeded the model's context
+    },
+
+    mapped_fields: mappedFields,
+
+    // Detailed two-pass breakdown (new fields)
+    original: {
+      content: contentToProcess,
+      length: contentToProcess.length,
+      had_tags: hasTag
+    },
+
+    pass1: enableTwoPass ? {
+      enabled: true,
+      languages_removed: languagesToRemove,
+      stats: {
+        sentences_total: pass1Result.stats.sentencesOriginal,
+        language_counts: pass1Result.stats.languageCounts,
+        sentences_removed: pass1Result.stats.sentencesRemoved,
+        sentences_kept: pass1Result.stats.sentencesKept,
+        chars_original: pass1Result.stats.original,
+        chars_after_filtering: pass1Result.stats.cleaned,
+        chars_removed: pass1Result.stats.removed,
+        percent_remaining: Math.round(pass1Result.stats.percentRemaining * 100)
+      },
+      cleaned_content: pass1Result.cleanedText,
+      fully_cleaned: !needsAI
+    } : {
+      enabled: false,
+      message: 'Two-pass processing disabled for this instance'
+    },
+
+    pass2: {
+      needed: needsAI,
+      skipped: aiSkipped,
+      model_used: needsAI ? instance.generative_model_name : null,
+      content: needsAI ? processedContent : null,
+      structured_output: structuredOutput,
+      usage: aiUsage,
+      latency_ms: aiLatencyMs,
+      reason: aiSkipped ? `Content ${Math.round(pass1Result.stats.percentRemaining * 100)}% remaining after Pass 1 (threshold: ${CLEAN_THRESHOLD * 100}%)` : null
+    },
+
+    final: {
+      content: processedContent,
+      length: processedContent.length,
+      embedding_dimensions: embedding ? embedding.length : null,
+      estimated_tokens: estimateTokens(processedContent),
+      embedding_strategy: instance.embedding_strategy || 'truncate',
+      embedding_chunks: embeddingChunks.map(chunk => ({ tokens: chunk.tokens, length: chunk.text.length })),
+      processing_path: aiSkipped ? 'Pass 1 only (programmatic)' : 'Pass 1 + Pass 2 (AI)'
+    }
+  };
+}
+
+// Pass 1 / Pass 2 totals over a sampled dry run
+function aggregateDryRunResults(instance, results) {
+  const succeeded = results.filter(r => !r.error);
+  const withPass1 = succeeded.filter(r => r.pass1?.enabled);
+  const aiCalls = succeeded.filter(r => r.pass2.needed);
+  const average = (values) => values.length ? Math.round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+
+  const languageCounts = {};
+  for (const result of withPass1) {
+    for (const [lang, count] of Object.entries(result.pass1.stats.language_counts || {})) {
+      languageCounts[lang] = (languageCounts[lang] || 0) + count;
+    }
+  }
+
+  const usage = {
+    input_tokens: aiCalls.reduce((sum, r) => sum + (r.pass2.usage?.input_tokens || 0), 0),
+    output_tokens: aiCalls.reduce((sum, r) => sum + (r.pass2.usage?.output_tokens || 0), 0)
+  };
+
+  return {
+    records: results.length,
+    errors: results.length - succeeded.length,
+    pass1: {
+      enabled: withPass1.length > 0,
+      language_counts: languageCounts,
+      sentences_removed: withPass1.reduce((sum, r) => sum + r.pass1.stats.sentences_removed, 0),
+      chars_original: withPass1.reduce((sum, r) => sum + r.pass1.stats.chars_original, 0),
+      chars_after_filtering: withPass1.reduce((sum, r) => sum + r.pass1.stats.chars_after_filtering, 0),
+      avg_percent_remaining: average(withPass1.map(r => r.pass1.stats.percent_remaining)),
+      fully_cleaned: withPass1.filter(r => r.pass1.fully_cleaned).length
+    },
+    pass2: {
+      ai_calls: aiCalls.length,
+      ai_skipped: succeeded.length - aiCalls.length,
+      avg_latency_ms: average(aiCalls.map(r => r.pass2.latency_ms)),
+      usage,
+      estimated_cost_usd: priceChatUsage(instance.generative_model_name, usage)
+    },
+    final: {
+      avg_length: average(succeeded.map(r => r.final.length)),
+      avg_estimated_tokens: average(succeeded.map(r => r.final.estimated_tokens)),
+      mapped_fields: succeeded.reduce((sum, r) => sum + r.mapped_fields.length, 0)
+    }
+  };
+}
+
+// Dry run - process one record (or a sample of records) and show two-pass processing results
 router.post('/dry-run', requireAuth, async (req, res) => {
   try {
     const { instance_id } = req.body;
@@ -443,6 +1282,11 @@ router.post('/dry-run', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Missing instance_id' });
     }
 
+    const sampling = parseSamplingOptions(req.body);
+    if (sampling.error) {
+      return res.status(400).json({ error: sampling.error });
+    }
+
     const db = getDb();
 
     // Get instance
@@ -459,185 +1303,374 @@ router.post('/dry-run', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Instance is not an augmentor type' });
     }
 
-    console.log(`Dry run for instance: ${instance.name}`);
+    const { options } = sampling;
+    console.log(`Dry run for instance: ${instance.name} (${options.sampling}, ${options.sampleSize} record(s))`);
 
-    // Fetch ONE record
-    const queryBody = {
-      collectionName: instance.collection_name,
-      filter: instance.query_filter || '',
-      offset: 0,
-      limit: 1,
-      outputFields: ['*']
-    };
+    const selection = await selectDryRunRecords(instance, options);
+    const { records } = selection;
 
-    const queryResponse = await zillizApiCall(
-      instance.zilliz_endpoint,
-      instance.zilliz_token,
-      '/v2/vectordb/entities/query',
-      queryBody
-    );
+    if (records.length === 0) {
+      return res.status(404).json({ error: options.sampling === 'ids' ? 'None of the record IDs were found' : 'No records found in collection' });
+    }
 
-    const records = queryResponse.data || [];
+    const outputSchema = parseOutputSchema(instance.output_schema);
+    const fieldMappings = parseFieldMappings(instance.field_mappings);
 
-    if (records.length === 0) {
-      return res.status(404).json({ error: 'No records found in collection' });
+    // A single record keeps the original response: its result at the top level
+    if (records.length === 1 && options.sampling === 'first') {
+      const result = await runDryRunRecord(instance, records[0], { outputSchema, fieldMappings });
+      console.log('Dry run complete, sending response');
+      return res.json({ success: true, ...result });
     }
 
-    const record = records[0];
-    const originalContent = record[instance.target_field] || '';
+    // Sampled runs keep going past a failing record so one bad record doesn't hide the rest
+    const samples = [];
+    for (const record of records) {
+      try {
+        const result = await runDryRunRecord(instance, record, { outputSchema, fieldMappings });
+        samples.push({ ...result, language: selection.languages?.[String(record[instance.primary_key_field])] });
+      } catch (error) {
+        console.error(`Dry run failed for record ${record[instance.primary_key_field]}:`, error.message);
+        samples.push({ record_id: record[instance.primary_key_field], error: error.message, error_class: classifyError(error) });
+      }
+    }
+
+    // The first successful sample stays at the top level for the single-record view
+    const firstResult = samples.find(sample => !sample.error) || {};
+    console.log(`Dry run complete for ${samples.length} records, sending response`);
+    res.json({
+      success: true,
+      ...firstResult,
+      sampling: {
+        strategy: options.sampling,
+        requested: options.sampleSize,
+        selected: records.length,
+        scanned: selection.scanned,
+        scan_capped: selection.scan_capped,
+        missing_ids: selection.missing_ids || [],
+        language_field: options.languageField || null
+      },
+      aggregate: aggregateDryRunResults(instance, samples),
+      samples
+    });
+  } catch (error) {
+    console.error('Dry run error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+const MAX_COMPARISON_VARIANTS = 4;
+const MAX_COMPARISON_RECORDS = 10;
+
+/**
+ * Resolve comparison variants against the instance. Each variant may override
+ * the model, the prompt text, or pick a prompt library version.
+ * Returns [{ label, model, prompt, prompt_version_id }]; throws with status 400/404 on bad input.
+ */
+async function resolveComparisonVariants(db, instance, variants) {
+  const resolved = [];
+  for (const [index, variant] of variants.entries()) {
+    let prompt = variant.prompt ?? instance.prompt;
+    let promptVersionId = variant.prompt !== undefined ? null : instance.prompt_version_id || null;
+    let promptLabel = variant.prompt !== undefined ? 'custom prompt' : 'current prompt';
+
+    if (variant.prompt_version_id) {
+      const [version] = await db.select().from(promptVersions).where(eq(promptVersions.id, variant.prompt_version_id));
+      if (!version) {
+        const error = new Error(`Variant ${index + 1}: prompt version not found`);
+        error.status = 404;
+        throw error;
+      }
+      prompt = version.template;
+      promptVersionId = version.id;
+      promptLabel = `prompt v${version.version}`;
+    }
 
-    // Extract content from tags if present
-    let contentToProcess = originalContent;
-    const tagRegex = /\[pagecontent\](.*?)\[\/pagecontent\]/gs;
-    const match = tagRegex.exec(originalContent);
-    const hasTag = !!match;
-    if (hasTag) {
-      contentToProcess = match[1];
+    if (!prompt || !prompt.trim()) {
+      const error = new Error(`Variant ${index + 1}: prompt is empty`);
+      error.status = 400;
+      throw error;
     }
 
-    if (contentToProcess.length > MAX_CONTENT_LENGTH) {
-      contentToProcess = contentToProcess.substring(0, MAX_CONTENT_LENGTH);
+    const model = variant.model || instance.generative_model_name;
+    resolved.push({
+      label: variant.label || `${model} · ${promptLabel}`,
+      model,
+      prompt,
+      prompt_version_id: promptVersionId
+    });
+  }
+  return resolved;
+}
+
+// A/B comparison - run the same sampled records through several model/prompt variants
+// (accepts the same sampling options as /dry-run)
+router.post('/dry-run/compare', requireAuth, async (req, res) => {
+  try {
+    const { instance_id, variants } = req.body;
+
+    if (!instance_id) {
+      return res.status(400).json({ error: 'Missing instance_id' });
+    }
+    if (!Array.isArray(variants) || variants.length < 2 || variants.length > MAX_COMPARISON_VARIANTS) {
+      return res.status(400).json({ error: `Provide between 2 and ${MAX_COMPARISON_VARIANTS} variants to compare` });
+    }
+    const sampling = parseSamplingOptions(req.body, { defaultSampleSize: 3, maxSampleSize: MAX_COMPARISON_RECORDS });
+    if (sampling.error) {
+      return res.status(400).json({ error: sampling.error });
     }
 
-    // ===== PASS 1: Language Filtering =====
-    const enableTwoPass = instance.enable_two_pass !== false;
-    const languagesToRemove = (instance.languages_to_remove || 'en').split(',').map(l => l.trim());
+    const db = getDb();
 
-    let pass1Result = null;
-    let needsAI = true;
-    let contentForAI = contentToProcess;
+    const [instance] = await db
+      .select()
+      .from(databaseInstances)
+      .where(eq(databaseInstances.id, instance_id));
 
-    if (enableTwoPass) {
-      console.log(`Pass 1: Removing languages: ${languagesToRemove.join(', ')}`);
-      pass1Result = removeLanguageSentences(contentToProcess, languagesToRemove);
-      needsAI = pass1Result.stats.percentRemaining > CLEAN_THRESHOLD;
-      contentForAI = pass1Result.cleanedText;
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
 
-      console.log(`Pass 1 complete: ${pass1Result.stats.sentencesRemoved} sentences removed (${Math.round((1 - pass1Result.stats.percentRemaining) * 100)}%)`);
-      console.log(`AI needed: ${needsAI ? 'YES' : 'NO'} (${Math.round(pass1Result.stats.percentRemaining * 100)}% content remaining)`);
+    if (instance.instance_type !== 'augmentor') {
+      return res.status(400).json({ error: 'Instance is not an augmentor type' });
     }
 
-    // ===== PASS 2: AI Processing (if needed) =====
-    let processedContent = contentForAI;
-    let aiSkipped = !needsAI;
+    const resolvedVariants = await resolveComparisonVariants(db, instance, variants);
+    const outputSchema = parseOutputSchema(instance.output_schema);
+    const fieldMappings = parseFieldMappings(instance.field_mappings);
 
-    if (needsAI) {
-      const promptWithContent = instance.prompt.replace(/\{\{FIELD_VALUE\}\}/g, contentForAI);
-      console.log(`Pass 2: Sending to ${instance.generative_model_name} for AI processing...`);
-
-      const aiResult = await withTimeout(
-        withRetry(async () => {
-          return await callAIService(
-            instance.generative_model_name,
-            [{ role: 'user', content: promptWithContent }],
-            0.3
-          );
-        }),
-        OPENAI_TIMEOUT,
-        'AI request timeout - the prompt may be too long or the service is slow'
-      );
-
-      processedContent = aiResult.choices[0].message.content.trim();
-      console.log('Pass 2 complete: AI processing done');
-    } else {
-      console.log('Pass 2 skipped: Content sufficiently cleaned by Pass 1');
+    const { records } = await selectDryRunRecords(instance, sampling.options);
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'No records found in collection' });
     }
 
-    // Generate embedding for final content
-    let embedding = null;
-    if (instance.vector_field_name) {
-      console.log('Generating embedding for final content...');
-      const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-      const embeddingResult = await withTimeout(
-        withRetry(async () => {
-          return await openai.embeddings.create({
-            model: instance.embedding_model_name,
-            input: processedContent
+    console.log(`Comparison dry run for instance ${instance.name}: ${resolvedVariants.length} variants x ${records.length} records`);
+
+    const recordResults = [];
+    for (const record of records) {
+      const { contentToProcess, needsAI, contentForAI } = prepareDryRunContent(instance, record, outputSchema);
+
+      // Variants run one after another so their latencies don't compete
+      const outputs = [];
+      for (const variant of resolvedVariants) {
+        if (!needsAI) {
+          outputs.push({ skipped: true, content: contentForAI, chars: contentForAI.length, char_delta: 0, latency_ms: 0, usage: null, cost_usd: 0, error: null });
+          continue;
+        }
+
+        const variantInstance = { ...instance, generative_model_name: variant.model, prompt: variant.prompt };
+        const startedAt = Date.now();
+        try {
+          const aiResult = await runRecordPrompt(variantInstance, outputSchema, {
+            content: contentForAI,
+            record,
+            inputFields: fieldMappings?.input_fields
+          });
+          const content = aiResult.content ?? contentForAI;
+          outputs.push({
+            skipped: false,
+            content,
+            chars: content.length,
+            char_delta: content.length - contentForAI.length,
+            latency_ms: Date.now() - startedAt,
+            usage: aiResult.usage || null,
+            cost_usd: priceChatUsage(variant.model, aiResult.usage),
+            structured_output: outputSchema ? aiResult.data : undefined,
+            content_kept_percent: Math.round(aiResult.keptFraction * 100),
+            error: null
           });
-        }),
-        60000,
-        'Embedding generation timeout - OpenAI took longer than 60 seconds'
-      );
-      embedding = embeddingResult.data[0].embedding;
-      console.log(`Embedding generated: ${embedding.length} dimensions`);
+        } catch (error) {
+          console.log(`Comparison variant "${variant.label}" failed on record ${record[instance.primary_key_field]}: ${error.message}`);
+          outputs.push({ skipped: false, content: null, chars: null, char_delta: null, latency_ms: Date.now() - startedAt, usage: null, cost_usd: null, error: error.message, error_class: classifyError(error) });
+        }
+      }
+
+      recordResults.push({
+        record_id: record[instance.primary_key_field],
+        original_length: contentToProcess.length,
+        input: contentForAI,
+        input_length: contentForAI.length,
+        ai_needed: needsAI,
+        outputs
+      });
+    }
+
+    // Per-variant totals, with deltas against the first variant (the baseline)
+    const summaries = resolvedVariants.map((variant, index) => {
+      const outputs = recordResults.map(r => r.outputs[index]);
+      const succeeded = outputs.filter(o => !o.error);
+      const called = succeeded.filter(o => !o.skipped);
+      const costs = called.map(o => o.cost_usd);
+      return {
+        ...variant,
+        records: outputs.length,
+        errors: outputs.length - succeeded.length,
+        avg_latency_ms: called.length ? Math.round(called.reduce((sum, o) => sum + o.latency_ms, 0) / called.length) : null,
+        input_tokens: called.reduce((sum, o) => sum + (o.usage?.input_tokens || 0), 0),
+        output_tokens: called.reduce((sum, o) => sum + (o.usage?.output_tokens || 0), 0),
+        cost_usd: costs.some(c => c === null) ? null : costs.reduce((sum, c) => sum + c, 0),
+        total_chars: succeeded.reduce((sum, o) => sum + o.chars, 0)
+      };
+    });
+    const baseline = summaries[0];
+    for (const summary of summaries) {
+      summary.vs_baseline = {
+        latency_ms: summary.avg_latency_ms !== null && baseline.avg_latency_ms !== null ? summary.avg_latency_ms - baseline.avg_latency_ms : null,
+        cost_usd: summary.cost_usd !== null && baseline.cost_usd !== null ? summary.cost_usd - baseline.cost_usd : null,
+        chars: summary.total_chars - baseline.total_chars
+      };
     }
 
-    // Return comprehensive two-pass results
-    console.log('Dry run complete, sending response');
     res.json({
       success: true,
-      record_id: record[instance.primary_key_field],
-      two_pass_enabled: enableTwoPass,
+      instance_id: instance.id,
+      // Only the instance prompt is compared - field mappings and embeddings are skipped
+      compared: 'pass2',
+      variants: summaries,
+      records: recordResults
+    });
+  } catch (error) {
+    console.error('Comparison dry run error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-      // Backward compatibility for existing UI
-      before: {
-        content: contentToProcess,
-        record_id: record[instance.primary_key_field]
-      },
+// Content Analysis - analyze all records' content sizes
+router.post('/content-analysis', requireAuth, async (req, res) => {
+  try {
+    const { instance_id } = req.body;
 
-      after: {
-        content: processedContent,
-        embedding_dimensions: embedding ? embedding.length : null
-      },
+    if (!instance_id) {
+      return res.status(400).json({ error: 'Missing instance_id' });
+    }
 
-      metadata: {
-        model: needsAI ? instance.generative_model_name : 'Pass 1 only (no AI)',
-        embedding_model: instance.embedding_model_name,
-        prompt_used: instance.prompt
-      },
+    const db = getDb();
 
-      // Detailed two-pass breakdown (new fields)
-      original: {
-        content: contentToProcess,
-        length: contentToProcess.length,
-        had_tags: hasTag
-      },
+    // Get instance
+    const [instance] = await db
+      .select()
+      .from(databaseInstances)
+      .where(eq(databaseInstances.id, instance_id));
 
-      pass1: enableTwoPass ? {
-        enabled: true,
-        languages_removed: languagesToRemove,
-        stats: {
-          sentences_total: pass1Result.stats.sentencesOriginal,
-          language_counts: pass1Result.stats.languageCounts,
-          sentences_removed: pass1Result.stats.sentencesRemoved,
-          sentences_kept: pass1Result.stats.sentencesKept,
-          chars_original: pass1Result.stats.original,
-          chars_after_filtering: pass1Result.stats.cleaned,
-          chars_removed: pass1Result.stats.removed,
-          percent_remaining: Math.round(pass1Result.stats.percentRemaining * 100)
-        },
-        cleaned_content: pass1Result.cleanedText,
-        fully_cleaned: !needsAI
-      } : {
-        enabled: false,
-        message: 'Two-pass processing disabled for this instance'
-      },
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
 
-      pass2: {
-        needed: needsAI,
-        skipped: aiSkipped,
-        model_used: needsAI ? instance.generative_model_name : null,
-        content: needsAI ? processedContent : null,
-        reason: aiSkipped ? `Content ${Math.round(pass1Result.stats.percentRemaining * 100)}% remaining after Pass 1 (threshold: ${CLEAN_THRESHOLD * 100}%)` : null
-      },
+    if (instance.instance_type !== 'augmentor') {
+      return res.status(400).json({ error: 'Instance is not an augmentor type' });
+    }
+
+    console.log(`Content analysis for instance: ${instance.name}`);
+
+    const { stats, largestRecords } = await analyzeContentSizes(instance);
+
+    if (stats.total_records === 0) {
+      return res.status(404).json({ error: 'No records found in collection' });
+    }
 
-      final: {
-        content: processedContent,
-        length: processedContent.length,
-        embedding_dimensions: embedding ? embedding.length : null,
-        processing_path: aiSkipped ? 'Pass 1 only (programmatic)' : 'Pass 1 + Pass 2 (AI)'
+    res.json({
+      success: true,
+      stats,
+      records: largestRecords,
+      instance: {
+        id: instance.id,
+        name: instance.name,
+        collection: instance.collection_name,
+        target_field: instance.target_field
       }
     });
-    console.log('Dry run response sent successfully');
 
   } catch (error) {
-    console.error('Dry run error:', error);
+    console.error('Content analysis error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Content Analysis - analyze all records' content sizes
-router.post('/content-analysis', requireAuth, async (req, res) => {
+const DEFAULT_ESTIMATE_SAMPLE = 50;
+const MAX_ESTIMATE_SAMPLE = 200;
+const FIELD_MAPPING_OUTPUT_TOKENS = 100; // Assumed completion size of a field-mapping prompt
+
+/**
+ * Estimate the spend of a full execution without calling any model.
+ * Samples records in processing order, runs Pass 1 locally, estimates the tokens
+ * each model call would use, and scales the averages to every record in scope.
+ * Completions are assumed to be about as long as the content sent to the model.
+ */
+async function estimateExecutionCost(instance, sampleSize) {
+  const totalRecords = await countRecords(instance, excludeChunkRows(instance, instance.query_filter || ''));
+  const records = totalRecords > 0 ? await fetchDryRunRecords(instance, Math.min(sampleSize, totalRecords)) : [];
+  const outputSchema = parseOutputSchema(instance.output_schema);
+  const fieldMappings = parseFieldMappings(instance.field_mappings);
+  const mappingPrompts = (fieldMappings?.outputs || []).filter(output => output.prompt);
+
+  const sampled = { input_tokens: 0, output_tokens: 0, pass2_input_tokens: 0, pass2_output_tokens: 0, embedding_tokens: 0, ai_calls: 0 };
+  for (const record of records) {
+    const { needsAI, contentForAI } = prepareDryRunContent(instance, record, outputSchema);
+    const contentTokens = estimateTokens(contentForAI);
+
+    if (needsAI) {
+      const prompt = renderPrompt(instance.prompt, { fieldValue: contentForAI, record, inputFields: fieldMappings?.input_fields });
+      sampled.pass2_input_tokens += estimateTokens(prompt);
+      sampled.pass2_output_tokens += contentTokens;
+      sampled.input_tokens += estimateTokens(prompt);
+      sampled.output_tokens += contentTokens;
+      sampled.ai_calls++;
+    }
+
+    for (const output of mappingPrompts) {
+      const prompt = renderPrompt(output.prompt, { fieldValue: contentForAI, record, inputFields: fieldMappings.input_fields });
+      sampled.input_tokens += estimateTokens(prompt);
+      sampled.output_tokens += FIELD_MAPPING_OUTPUT_TOKENS;
+    }
+
+    if (instance.vector_field_name) {
+      sampled.embedding_tokens += contentTokens;
+    }
+  }
+
+  const scale = records.length > 0 ? totalRecords / records.length : 0;
+  const tokens = {
+    input: Math.round(sampled.input_tokens * scale),
+    output: Math.round(sampled.output_tokens * scale),
+    embedding: Math.round(sampled.embedding_tokens * scale)
+  };
+  const chatCost = priceChatUsage(instance.generative_model_name, { input_tokens: tokens.input, output_tokens: tokens.output });
+  const embeddingCost = instance.vector_field_name
+    ? priceEmbeddingUsage(instance.embedding_model_name, { input_tokens: tokens.embedding })
+    : 0;
+  // Offline jobs send Pass 2 through the provider's batch API; field mappings stay real-time
+  const offlineChatCost = priceChatUsage(instance.generative_model_name, {
+    input_tokens: tokens.input,
+    output_tokens: tokens.output,
+    batch_input_tokens: Math.round(sampled.pass2_input_tokens * scale),
+    batch_output_tokens: Math.round(sampled.pass2_output_tokens * scale)
+  });
+
+  return {
+    total_records: totalRecords,
+    sampled_records: records.length,
+    ai_fraction: records.length > 0 ? sampled.ai_calls / records.length : 0,
+    model: instance.generative_model_name,
+    embedding_model: instance.vector_field_name ? instance.embedding_model_name : null,
+    tokens,
+    cost_usd: {
+      chat: chatCost,
+      embedding: embeddingCost,
+      total: chatCost === null && embeddingCost === null ? null : (chatCost || 0) + (embeddingCost || 0)
+    },
+    pricing_known: { chat: chatCost !== null, embedding: embeddingCost !== null },
+    offline: {
+      available: supportsChatBatch(instance.generative_model_name),
+      cost_usd: {
+        chat: offlineChatCost,
+        total: offlineChatCost === null && embeddingCost === null ? null : (offlineChatCost || 0) + (embeddingCost || 0)
+      }
+    }
+  };
+}
+
+// Estimated tokens and cost of a full execution, shown before it starts
+router.post('/estimate', requireAuth, async (req, res) => {
   try {
     const { instance_id } = req.body;
 
@@ -645,9 +1678,13 @@ router.post('/content-analysis', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Missing instance_id' });
     }
 
+    const sampleSize = req.body.sample_size === undefined ? DEFAULT_ESTIMATE_SAMPLE : parseInt(req.body.sample_size);
+    if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > MAX_ESTIMATE_SAMPLE) {
+      return res.status(400).json({ error: `sample_size must be between 1 and ${MAX_ESTIMATE_SAMPLE}` });
+    }
+
     const db = getDb();
 
-    // Get instance
     const [instance] = await db
       .select()
       .from(databaseInstances)
@@ -661,100 +1698,177 @@ router.post('/content-analysis', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Instance is not an augmentor type' });
     }
 
-    console.log(`Content analysis for instance: ${instance.name}`);
-
-    // Fetch ALL records (no limit) to analyze
-    const queryBody = {
-      collectionName: instance.collection_name,
-      filter: instance.query_filter || '',
-      offset: 0,
-      limit: 16384, // Max limit for Zilliz
-      outputFields: [instance.primary_key_field, instance.target_field]
-    };
-
-    const queryResponse = await zillizApiCall(
-      instance.zilliz_endpoint,
-      instance.zilliz_token,
-      '/v2/vectordb/entities/query',
-      queryBody
-    );
-
-    const records = queryResponse.data || [];
+    res.json({ success: true, ...await estimateExecutionCost(instance, sampleSize) });
+  } catch (error) {
+    console.error('Cost estimate error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (records.length === 0) {
-      return res.status(404).json({ error: 'No records found in collection' });
-    }
+/**
+ * Content size statistics over the records matching the instance filter,
+ * plus the `keep` largest records by extracted content size (largest first).
+ * Streams the collection keeping running totals and only the largest records,
+ * so memory stays flat on collections with millions of rows. The scan stops
+ * after MAX_ANALYSIS_SCAN records or ANALYSIS_TIME_LIMIT_MS; the stats then
+ * cover the first records by primary key, flagged with `sampled` and the
+ * number of records in scope.
+ */
+async function analyzeContentSizes(instance, { keep = MAX_ANALYSIS_RECORDS } = {}) {
+  const stats = {
+    total_records: 0,
+    avg_size: 0,
+    min_size: 0,
+    max_size: 0,
+    records_with_tags: 0,
+    records_would_truncate: 0,
+    current_max_length: MAX_CONTENT_LENGTH,
+    sampled: false
+  };
+  let totalExtractedSize = 0;
+  let largestRecords = [];
+  const filter = excludeChunkRows(instance, instance.query_filter || '');
+  const startedAt = Date.now();
 
-    // Analyze content sizes
-    const contentAnalysis = records.map(record => {
+  for await (const page of iterateRecordPages(instance, { filter, outputFields: [instance.target_field] })) {
+    for (const record of page) {
       const content = record[instance.target_field] || '';
 
       // Check if content has pagecontent tags
       const tagRegex = /\[pagecontent\](.*?)\[\/pagecontent\]/gs;
       const match = tagRegex.exec(content);
       const extractedContent = match ? match[1] : content;
+      const extractedSize = extractedContent.length;
 
-      return {
+      stats.min_size = stats.total_records === 0 ? extractedSize : Math.min(stats.min_size, extractedSize);
+      stats.max_size = Math.max(stats.max_size, extractedSize);
+      stats.total_records++;
+      totalExtractedSize += extractedSize;
+      if (match) stats.records_with_tags++;
+      if (extractedSize > MAX_CONTENT_LENGTH) stats.records_would_truncate++;
+
+      largestRecords.push({
         id: record[instance.primary_key_field],
         total_size: content.length,
-        extracted_size: extractedContent.length,
+        extracted_size: extractedSize,
         has_tags: !!match,
-        would_truncate: extractedContent.length > MAX_CONTENT_LENGTH,
-        truncated_size: Math.min(extractedContent.length, MAX_CONTENT_LENGTH)
-      };
-    });
+        would_truncate: extractedSize > MAX_CONTENT_LENGTH,
+        truncated_size: Math.min(extractedSize, MAX_CONTENT_LENGTH)
+      });
+    }
 
-    // Sort by extracted_size descending (largest first)
-    contentAnalysis.sort((a, b) => b.extracted_size - a.extracted_size);
-
-    // Calculate statistics
-    const stats = {
-      total_records: contentAnalysis.length,
-      avg_size: Math.round(contentAnalysis.reduce((sum, r) => sum + r.extracted_size, 0) / contentAnalysis.length),
-      min_size: Math.min(...contentAnalysis.map(r => r.extracted_size)),
-      max_size: Math.max(...contentAnalysis.map(r => r.extracted_size)),
-      records_with_tags: contentAnalysis.filter(r => r.has_tags).length,
-      records_would_truncate: contentAnalysis.filter(r => r.would_truncate).length,
-      current_max_length: MAX_CONTENT_LENGTH
-    };
+    // Trim back to the largest records after each page
+    if (largestRecords.length > keep) {
+      largestRecords.sort((a, b) => b.extracted_size - a.extracted_size);
+      largestRecords = largestRecords.slice(0, keep);
+    }
 
-    res.json({
-      success: true,
-      stats,
-      records: contentAnalysis,
-      instance: {
-        id: instance.id,
-        name: instance.name,
-        collection: instance.collection_name,
-        target_field: instance.target_field
-      }
-    });
+    if (stats.total_records >= MAX_ANALYSIS_SCAN || Date.now() - startedAt > ANALYSIS_TIME_LIMIT_MS) {
+      stats.sampled = true;
+      break;
+    }
+  }
 
-  } catch (error) {
-    console.error('Content analysis error:', error);
-    res.status(500).json({ error: error.message });
+  if (stats.sampled) {
+    // null when count(*) isn't available - paging to count would be the full scan this avoids
+    stats.records_in_scope = await countRecords(instance, filter, { scan: false });
+    // The last page may have been the end of the collection after all
+    stats.sampled = stats.records_in_scope === null || stats.records_in_scope > stats.total_records;
   }
-});
+
+  // Sort by extracted_size descending (largest first)
+  largestRecords.sort((a, b) => b.extracted_size - a.extracted_size);
+  largestRecords = largestRecords.slice(0, keep);
+  stats.avg_size = stats.total_records > 0 ? Math.round(totalExtractedSize / stats.total_records) : 0;
+  stats.records_shown = largestRecords.length;
+
+  return { stats, largestRecords };
+}
 
 const MAX_BATCH_RETRIES = 3;
 
+// Ledger row for one record of a job (see jobRecords)
+function buildJobRecordRow(job, recordId, fields) {
+  return {
+    id: generateId(),
+    job_id: job.id,
+    instance_id: job.instance_id,
+    record_id: String(recordId),
+    created_date: new Date(),
+    ...fields
+  };
+}
+
+async function saveJobRecords(db, rows) {
+  if (rows.length > 0) {
+    await db.insert(jobRecords).values(rows);
+  }
+}
+
+// USD cost of one record's chat and embedding tokens, or null when neither model's pricing is known.
+// batchInputTokens/batchOutputTokens are the part of the chat tokens served by a provider batch.
+function priceRecordUsage(instance, { inputTokens, outputTokens, batchInputTokens, batchOutputTokens, embeddingTokens }) {
+  const chatCost = inputTokens || outputTokens
+    ? priceChatUsage(instance.generative_model_name, {
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      batch_input_tokens: batchInputTokens,
+      batch_output_tokens: batchOutputTokens
+    })
+    : 0;
+  const embeddingCost = embeddingTokens
+    ? priceEmbeddingUsage(instance.embedding_model_name, { input_tokens: embeddingTokens })
+    : 0;
+  if (chatCost === null && embeddingCost === null) return null;
+  return (chatCost || 0) + (embeddingCost || 0);
+}
+
+// Token and cost totals over job_records rows, added to the job after each batch
+function sumLedgerSpend(rows) {
+  return rows.reduce((spend, row) => ({
+    input_tokens: spend.input_tokens + (row.input_tokens || 0),
+    output_tokens: spend.output_tokens + (row.output_tokens || 0),
+    embedding_tokens: spend.embedding_tokens + (row.embedding_tokens || 0),
+    cost_usd: spend.cost_usd + (row.cost_usd || 0)
+  }), { input_tokens: 0, output_tokens: 0, embedding_tokens: 0, cost_usd: 0 });
+}
+
+// Job column updates that add a batch's spend to the running totals
+function addJobSpend(job, spend) {
+  return {
+    input_tokens: (job.input_tokens || 0) + spend.input_tokens,
+    output_tokens: (job.output_tokens || 0) + spend.output_tokens,
+    embedding_tokens: (job.embedding_tokens || 0) + spend.embedding_tokens,
+    cost_usd: (job.cost_usd || 0) + spend.cost_usd
+  };
+}
+
+// Spread into a job update once the page an offline batch was submitted for is done with
+const NO_OFFLINE_BATCH = {
+  offline_batch_id: null,
+  offline_batch_model: null,
+  offline_batch_status: null,
+  offline_batch_submitted_at: null
+};
+
 // Process a batch (called recursively) - EXPORTED for scheduler
 export async function processBatch(jobId, currentRetry = 0) {
   const db = getDb();
   const batchStartTime = Date.now();
   const BATCH_TIMEOUT_MS = 240000; // 4 minutes (safe margin under Railway's 5 min timeout)
+  let heartbeat = null;
 
   try {
     console.log(`[Batch] ===== Processing job ${jobId} (retry ${currentRetry}/${MAX_BATCH_RETRIES}) =====`);
 
     // Get job
-    const [job] = await db.select().from(jobs).where(eq(jobs.id, jobId));
+    let [job] = await db.select().from(jobs).where(eq(jobs.id, jobId));
     if (!job) {
       console.error(`[Batch] Job ${jobId} not found`);
       return;
     }
 
-    console.log(`[Batch] Job ${jobId} status: ${job.status}, offset: ${job.current_batch_offset}, processed: ${job.processed_records}/${job.total_records}, is_processing: ${job.is_processing_batch}`);
+    console.log(`[Batch] Job ${jobId} status: ${job.status}, offset: ${job.current_batch_offset}, processed: ${job.processed_records}/${job.total_records}, lease: ${job.lease_owner || 'none'}`);
 
     if (job.status === 'cancelled') {
       console.log(`[Batch] Job ${jobId} is cancelled, stopping`);
@@ -766,16 +1880,20 @@ export async function processBatch(jobId, currentRetry = 0) {
       return;
     }
 
-    // Check if already processing (race condition prevention)
-    if (job.is_processing_batch) {
-      console.log(`[Batch] Job ${jobId} is already being processed, skipping`);
+    if (job.status === 'paused') {
+      // Offset/cursor are left as-is so /resume picks up at the next batch
+      console.log(`[Batch] Job ${jobId} is paused, stopping`);
       return;
     }
 
-    // Set processing flag
-    await db.update(jobs)
-      .set({ is_processing_batch: true, updated_date: new Date() })
-      .where(eq(jobs.id, jobId));
+    // Claim the job - fails if another worker holds an unexpired lease
+    const leasedJob = await acquireJobLease(jobId);
+    if (!leasedJob) {
+      console.log(`[Batch] Job ${jobId} is already being processed by ${job.lease_owner || 'another worker'}, skipping`);
+      return;
+    }
+    job = leasedJob;
+    heartbeat = startLeaseHeartbeat(jobId);
 
     // Get instance
     const [instance] = await db
@@ -802,6 +1920,40 @@ export async function processBatch(jobId, currentRetry = 0) {
       });
     };
 
+    // Offline jobs wait here, one poll per scheduler run, until the page's provider batch has finished
+    let offlineBatch = null;
+    if (job.offline_batch_id) {
+      try {
+        offlineBatch = await getChatBatch(job.offline_batch_model, job.offline_batch_id);
+      } catch (error) {
+        if (classifyError(error) !== 'fatal') {
+          await addLog(`Could not check offline batch ${job.offline_batch_id}: ${error.message} - checking again on the next scheduler run`, 'ERROR');
+          await db.update(jobs).set({ ...RELEASED_LEASE, updated_date: new Date() }).where(heldLease(jobId));
+          return;
+        }
+        // The batch is gone or unreadable - its records are failed below
+        offlineBatch = { id: job.offline_batch_id, status: 'failed', providerStatus: 'unavailable', done: true, error: error.message };
+      }
+
+      const progress = offlineBatch.counts ? ` (${offlineBatch.counts.completed}/${offlineBatch.counts.total} requests done, ${offlineBatch.counts.failed} failed)` : '';
+      if (!offlineBatch.done) {
+        await db.update(jobs).set({
+          offline_batch_status: offlineBatch.providerStatus,
+          ...RELEASED_LEASE,
+          updated_date: new Date()
+        }).where(heldLease(jobId));
+        console.log(`[Batch] Job ${jobId} - offline batch ${offlineBatch.id} is ${offlineBatch.providerStatus}${progress}, checking again on the next scheduler run`);
+        return;
+      }
+      await addLog(`Offline batch ${offlineBatch.id} finished: ${offlineBatch.status}${progress}`, offlineBatch.status === 'completed' ? 'INFO' : 'ERROR');
+    }
+
+    // A previous batch may have stopped between delete and insert - put those originals back first
+    await restoreRecordBackups(instance, jobId, addLog);
+
+    // Retry jobs are scoped to their own record list instead of the instance filter
+    const scopeFilter = excludeChunkRows(instance, job.record_filter || instance.query_filter || '');
+
     // Start job if pending and get total record count
     let totalRecordsToProcess = job.total_records || 0; // Use existing count if job is already running
     console.log(`[Batch] Initial totalRecordsToProcess from job.total_records: ${totalRecordsToProcess}`);
@@ -811,55 +1963,17 @@ export async function processBatch(jobId, currentRetry = 0) {
       await addLog('Counting records in collection...');
 
       // First, count ALL records (no filter)
-      const allRecordsQuery = {
-        collectionName: instance.collection_name,
-        filter: '', // No filter - count everything
-        offset: 0,
-        limit: 16384, // Zilliz max limit
-        outputFields: [instance.primary_key_field]
-      };
-
-      const allRecordsResponse = await zillizApiCall(
-        instance.zilliz_endpoint,
-        instance.zilliz_token,
-        '/v2/vectordb/entities/query',
-        allRecordsQuery
-      );
-      const totalAllRecords = allRecordsResponse.data?.length || 0;
+      const totalAllRecords = await countRecords(instance, '');
 
       // Then count filtered records (in scope)
-      const filteredQuery = {
-        collectionName: instance.collection_name,
-        filter: instance.query_filter || '',
-        offset: 0,
-        limit: 16384, // Zilliz max limit
-        outputFields: [instance.primary_key_field, 'changed_flag']
-      };
-
       try {
-        const filteredResponse = await zillizApiCall(
-          instance.zilliz_endpoint,
-          instance.zilliz_token,
-          '/v2/vectordb/entities/query',
-          filteredQuery
-        );
-        totalRecordsToProcess = filteredResponse.data?.length || 0;
+        totalRecordsToProcess = await countRecords(instance, scopeFilter);
 
         await addLog(`📊 Collection Stats:`);
         await addLog(`  • All records in collection: ${totalAllRecords}`);
         await addLog(`  • Records matching filter: ${totalRecordsToProcess}`);
         await addLog(`  • Records to skip (already done): ${totalAllRecords - totalRecordsToProcess}`);
-        await addLog(`  • Filter being used: "${instance.query_filter || 'no filter'}"`);
-
-        // Debug: Check changed_flag distribution
-        if (filteredResponse.data && filteredResponse.data.length > 0) {
-          const flagStats = filteredResponse.data.reduce((acc, r) => {
-            const flag = r.changed_flag || 'not_set';
-            acc[flag] = (acc[flag] || 0) + 1;
-            return acc;
-          }, {});
-          await addLog(`  • Changed_flag distribution in scope: ${JSON.stringify(flagStats)}`);
-        }
+        await addLog(`  • Filter being used: "${scopeFilter || 'no filter'}"`);
 
         // Update job with total count
         await db.update(jobs)
@@ -881,16 +1995,33 @@ export async function processBatch(jobId, currentRetry = 0) {
     }
 
     // Fetch batch
-    await addLog(`Fetching batch at offset ${job.current_batch_offset} (batch size: ${BATCH_SIZE})`);
-    await addLog(`Using filter: "${instance.query_filter || 'no filter'}"`);
-
-    const queryBody = {
-      collectionName: instance.collection_name,
-      filter: instance.query_filter || '',
-      offset: job.current_batch_offset,
-      limit: BATCH_SIZE,
-      outputFields: ['*']
-    };
+    // Cursor mode walks the collection by primary key (pk > last seen), so records
+    // rewritten to changed_flag 'done' can't shift later pages out from under us.
+    // Offset mode is kept for instances that opt into it.
+    const useCursor = job.pagination_mode === 'cursor';
+    let pkType = job.cursor_pk_type;
+    const batchSize = job.execution_type === 'offline' ? OFFLINE_BATCH_SIZE : BATCH_SIZE;
+
+    let queryBody;
+    if (useCursor) {
+      await addLog(`Fetching batch after ${instance.primary_key_field} ${job.last_seen_pk ?? '(start)'} (batch size: ${batchSize})`);
+      queryBody = {
+        collectionName: instance.collection_name,
+        filter: buildCursorFilter(scopeFilter, instance.primary_key_field, job.last_seen_pk, pkType),
+        limit: batchSize,
+        outputFields: ['*']
+      };
+    } else {
+      await addLog(`Fetching batch at offset ${job.current_batch_offset} (batch size: ${batchSize})`);
+      queryBody = {
+        collectionName: instance.collection_name,
+        filter: scopeFilter,
+        offset: job.current_batch_offset,
+        limit: batchSize,
+        outputFields: ['*']
+      };
+    }
+    await addLog(`Using filter: "${queryBody.filter || 'no filter'}"`);
 
     const queryResponse = await zillizApiCall(
       instance.zilliz_endpoint,
@@ -902,6 +2033,20 @@ export async function processBatch(jobId, currentRetry = 0) {
     const records = queryResponse.data || [];
     await addLog(`Fetched ${records.length} records`);
 
+    // Position after this batch - the highest primary key fetched
+    let nextCursor = job.last_seen_pk;
+    if (useCursor && records.length > 0) {
+      if (!pkType) {
+        // First batch needs no cursor, so the key type is resolved here once
+        pkType = await getPrimaryKeyType(instance, records[0]);
+        await db.update(jobs)
+          .set({ cursor_pk_type: pkType, updated_date: new Date() })
+          .where(eq(jobs.id, jobId));
+      }
+      records.sort((a, b) => comparePrimaryKeys(a[instance.primary_key_field], b[instance.primary_key_field], pkType));
+      nextCursor = String(records[records.length - 1][instance.primary_key_field]);
+    }
+
     // Debug: Check changed_flag values in fetched records
     if (records.length > 0) {
       const flagCounts = records.reduce((acc, r) => {
@@ -917,10 +2062,11 @@ export async function processBatch(jobId, currentRetry = 0) {
         .set({
           status: 'completed',
           details: 'All records processed',
-          is_processing_batch: false,
+          ...NO_OFFLINE_BATCH,
+          ...RELEASED_LEASE,
           updated_date: new Date()
         })
-        .where(eq(jobs.id, jobId));
+        .where(heldLease(jobId));
       await addLog('Job completed - no more records to process');
       return;
     }
@@ -932,8 +2078,17 @@ export async function processBatch(jobId, currentRetry = 0) {
     const enableTwoPass = instance.enable_two_pass !== false; // Default to true
     const languagesToRemove = (instance.languages_to_remove || 'en').split(',').map(l => l.trim());
 
+    const outputSchema = parseOutputSchema(instance.output_schema);
+    const fieldMappings = parseFieldMappings(instance.field_mappings);
+
     await addLog(`Two-pass processing: ${enableTwoPass ? 'ENABLED' : 'DISABLED'}`);
     await addLog(`Languages to remove: ${languagesToRemove.join(', ')}`);
+    if (outputSchema) {
+      await addLog(`Structured output: ${outputSchema.fields.map(f => f.zilliz_field ? `${f.name}→${f.zilliz_field}` : f.name).join(', ')}`);
+    }
+    if (fieldMappings?.outputs.length) {
+      await addLog(`Field mappings: ${fieldMappings.outputs.map(o => o.field).join(', ')}`);
+    }
 
     // Prepare records and run Pass 1
     const recordsWithPass1 = records.map((record, idx) => {
@@ -956,7 +2111,8 @@ export async function processBatch(jobId, currentRetry = 0) {
 
       if (enableTwoPass) {
         pass1Result = removeLanguageSentences(content, languagesToRemove);
-        needsAI = pass1Result.stats.percentRemaining > CLEAN_THRESHOLD;
+        // Structured fields only come from the model, so every record goes to Pass 2
+        needsAI = !!outputSchema || pass1Result.stats.percentRemaining > CLEAN_THRESHOLD;
       }
 
       return {
@@ -976,9 +2132,26 @@ export async function processBatch(jobId, currentRetry = 0) {
 
     await addLog(`Pass 1 complete: ${cleanRecords.length} clean (no AI needed), ${aiNeededRecords.length} need AI refinement`);
 
-    // Log detailed Pass 1 stats for each record
+    // ===== BUDGET CHECK =====
+    // A job at its cap pauses here, before any Pass 2 call, without moving past this batch.
+    // A finished offline batch is already paid for, so its results are used regardless.
+    const budget = aiNeededRecords.length > 0 ? await createBatchBudget(db, job, instance) : null;
+    const reachedCap = !offlineBatch && budget?.exceeded();
+    if (reachedCap) {
+      await db.update(jobs).set({
+        status: 'paused',
+        pause_reason: BUDGET_PAUSE_REASON,
+        ...RELEASED_LEASE,
+        updated_date: new Date()
+      }).where(heldLease(jobId));
+      await addLog(`⏸️ ${reachedCap.message} - job paused before Pass 2. Raise the cap on the Jobs page to resume.`, 'ERROR');
+      console.log(`[Batch] Job ${jobId} paused by budget cap: ${reachedCap.message}`);
+      return;
+    }
+
+    // Log detailed Pass 1 stats for each record - offline pages were logged when their batch was submitted
     for (const r of recordsWithPass1) {
-      if (r.pass1Result) {
+      if (r.pass1Result && !offlineBatch) {
         const stats = r.pass1Result.stats;
         const percentRemoved = Math.round((1 - stats.percentRemaining) * 100);
         const langCounts = Object.entries(stats.languageCounts || {})
@@ -996,6 +2169,13 @@ export async function processBatch(jobId, currentRetry = 0) {
 
     // ===== PASS 2: AI PROCESSING (only for records that need it) =====
     const aiResponsesByIdx = {}; // Map idx -> AI response
+    const aiStatsByIdx = {}; // Map idx -> { durationMs, inputTokens, outputTokens }
+    const aiErrorsByIdx = {}; // Map idx -> error message for records whose AI call failed
+    const errorClassesByIdx = {}; // Map idx -> error class of the record's failure (see ../workers/retry-policy.js)
+    const structuredFieldsByIdx = {}; // Map idx -> { zilliz field: value } from structured output
+    const structuredDataByIdx = {}; // Map idx -> validated structured output object
+    const budgetSkippedIdx = new Set(); // Records not sent to the model because the budget cap was reached
+    let midBatchCap = null; // The cap reached partway through Pass 2, if any
 
     if (aiNeededRecords.length > 0) {
       await addLog(`Sending ${aiNeededRecords.length} records to ${instance.generative_model_name} for Pass 2 AI refinement...`);
@@ -1003,197 +2183,372 @@ export async function processBatch(jobId, currentRetry = 0) {
       // Check if batch prompt is too large for efficient processing
       const batchPrompts = aiNeededRecords.map((r, batchIdx) => {
         const contentForAI = enableTwoPass ? r.pass1Result.cleanedText : r.originalContent;
-        const promptWithContent = instance.prompt.replace(/\{\{FIELD_VALUE\}\}/g, contentForAI);
-        return { idx: r.idx, prompt: promptWithContent, content: contentForAI };
+        const promptWithContent = renderPrompt(instance.prompt, {
+          fieldValue: contentForAI,
+          record: r.record,
+          inputFields: fieldMappings?.input_fields
+        });
+        return { idx: r.idx, id: String(r.record[instance.primary_key_field]), record: r.record, prompt: promptWithContent, content: contentForAI };
       });
 
-      const combinedPromptTest = batchPrompts.map((p, i) => `[RECORD ${i + 1}]\n${p.prompt}`).join('\n\n---\n\n');
-      const combinedPromptSize = combinedPromptTest.length;
+      const multiRecordMessages = buildMultiRecordMessages(batchPrompts);
+      const combinedPromptSize = multiRecordMessages.reduce((sum, message) => sum + message.content.length, 0);
       await addLog(`Pass 2 combined prompt: ${combinedPromptSize} chars`);
 
-      // If combined prompt >50k chars, process individually to avoid timeouts
-      const processIndividually = combinedPromptSize > 50000;
+      // Runs records one call each: every record when the batch can't go in one call,
+      // otherwise just the ones the batched reply left without a valid output
+      const processRecordsIndividually = async (items) => {
+        // The model's shared rate limiter paces calls across every running job. Records are
+        // also started no faster than it lets them through, so each budget check sees the
+        // spend of the calls before it.
+        const rateLimit = getRateLimiter(chatRateLimitKey(instance.generative_model_name)).describe();
+        const limit = pLimit(rateLimit.concurrency);
+        await addLog(`Rate limit for ${rateLimit.key}: ${rateLimit.concurrency} concurrent, ${rateLimit.limits.rpm || 'unlimited'} requests/min, ${rateLimit.limits.tpm || 'unlimited'} tokens/min (${rateLimit.active} in flight, ${rateLimit.queued} queued)`);
+
+        const aiPromises = items.map(({ idx, record, prompt, content }) => limit(async () => {
+          // The cap can be reached partway through the batch - the rest are left for when the job resumes
+          const capReachedMidBatch = budget?.exceeded();
+          if (capReachedMidBatch) {
+            midBatchCap = capReachedMidBatch;
+            budgetSkippedIdx.add(idx);
+            return { idx, success: false, skipped: true, duration: 0 };
+          }
+
+          // Records retried after a batched call already carry their share of it
+          const priorStats = aiStatsByIdx[idx] || { durationMs: 0, inputTokens: null, outputTokens: null };
+          const startTime = Date.now();
+          try {
+            // Adaptive timeout based on content size
+            const contentSize = prompt.length;
+            const timeoutMs = Math.max(
+              30000, // Minimum 30 seconds
+              Math.min(
+                180000, // Maximum 180 seconds (3 minutes)
+                Math.round(contentSize * 6) // ~6ms per character (increased from 4ms)
+              )
+            );
+
+            const aiResult = await runRecordPrompt(instance, outputSchema, {
+              content,
+              record,
+              inputFields: fieldMappings?.input_fields
+            }, { timeoutMs });
+            if (aiResult.keptFraction < 1) {
+              await addLog(`WARNING: Record ${idx + 1} exceeded the model's context - processed the first ${Math.round(aiResult.keptFraction * 100)}% of its content`, 'ERROR');
+            }
+
+            aiResponsesByIdx[idx] = aiResult.content ?? content;
+            structuredFieldsByIdx[idx] = aiResult.fields;
+            structuredDataByIdx[idx] = aiResult.data;
+            aiStatsByIdx[idx] = {
+              ...priorStats,
+              durationMs: priorStats.durationMs + (Date.now() - startTime),
+              inputTokens: aiResult.usage ? (priorStats.inputTokens || 0) + aiResult.usage.input_tokens : priorStats.inputTokens,
+              outputTokens: aiResult.usage ? (priorStats.outputTokens || 0) + aiResult.usage.output_tokens : priorStats.outputTokens
+            };
+            budget?.charge(aiResult.usage, priceChatUsage(instance.generative_model_name, aiResult.usage));
+            const duration = Math.round((Date.now() - startTime) / 1000);
+            await addLog(`Record ${idx + 1}/${batchPrompts.length} processed in ${duration}s`);
+            return { idx, success: true, duration };
+          } catch (error) {
+            aiErrorsByIdx[idx] = error.message;
+            errorClassesByIdx[idx] = classifyError(error);
+            aiStatsByIdx[idx] = { ...priorStats, durationMs: priorStats.durationMs + (Date.now() - startTime) };
+            const duration = Math.round((Date.now() - startTime) / 1000);
+            await addLog(`Record ${idx + 1} failed after ${duration}s (${errorClassesByIdx[idx]}): ${error.message}`, 'ERROR');
+            return { idx, success: false, error: error.message, duration };
+          }
+        }));
+
+        const results = await Promise.all(aiPromises);
+        const successCount = results.filter(r => r.success).length;
+        const skippedCount = results.filter(r => r.skipped).length;
+        const totalDuration = Math.max(...results.map(r => r.duration || 0));
+        await addLog(`Pass 2 individual calls: ${successCount}/${items.length} records processed in parallel (${totalDuration}s total)${skippedCount ? `, ${skippedCount} not started - budget cap reached` : ''}`);
+      };
 
-      if (processIndividually) {
-        await addLog(`Large batch detected (${combinedPromptSize} chars) - processing records in parallel for improved speed`);
+      // If combined prompt >50k chars, process individually to avoid timeouts.
+      // Structured output is validated per record, so it always goes one record per call.
+      const processIndividually = !!outputSchema || combinedPromptSize > 50000;
+
+      if (job.execution_type === 'offline' && !offlineBatch) {
+        // One request per record to the provider's batch API. Nothing moves on until the
+        // scheduler finds the batch finished and this page is fetched again to apply it.
+        const submitted = await submitChatBatch(
+          instance.generative_model_name,
+          batchPrompts.map(p => buildOfflineRequest(outputSchema, p)),
+          { temperature: 0.3, json: !!outputSchema }
+        );
+        await db.update(jobs).set({
+          offline_batch_id: submitted.id,
+          offline_batch_model: instance.generative_model_name,
+          offline_batch_status: submitted.providerStatus,
+          offline_batch_submitted_at: new Date(),
+          last_batch_at: new Date(),
+          ...RELEASED_LEASE,
+          updated_date: new Date()
+        }).where(heldLease(jobId));
+        await addLog(`📦 Submitted ${batchPrompts.length} records to the ${instance.generative_model_name} batch API as ${submitted.id} - results are collected once it finishes`);
+        return;
 
-        // Adjust concurrency based on average content size
-        const avgContentSize = combinedPromptSize / batchPrompts.length;
-        const concurrency = avgContentSize > 30000 ? 5 : 8; // Increased - Gemini handles high concurrency well
+      } else if (job.execution_type === 'offline') {
+        const ids = batchPrompts.map(p => p.id);
+        const results = offlineBatch.status === 'failed'
+          ? new Map()
+          : await getChatBatchResults(job.offline_batch_model, offlineBatch, ids, { json: !!outputSchema });
+
+        if (offlineBatch.status === 'failed') {
+          // Nothing in the batch ran - fail its records for a retry job rather than paying real-time prices
+          const batchError = new Error(`Offline batch ${offlineBatch.id} failed: ${offlineBatch.error || 'no reason given'}`);
+          for (const p of batchPrompts) {
+            aiErrorsByIdx[p.idx] = batchError.message;
+            errorClassesByIdx[p.idx] = classifyError(batchError);
+          }
+          await addLog(batchError.message, 'ERROR');
+        } else {
+          const problems = new Map(); // record id -> why its batch result can't be used
+          for (const p of batchPrompts) {
+            const result = results.get(p.id);
+            if (!result || result.error) {
+              problems.set(p.id, result?.error || 'No result in the batch');
+              continue;
+            }
 
-        // Use parallel processing with concurrency limit
-        const limit = pLimit(concurrency);
-        await addLog(`Using concurrency limit of ${concurrency} for content avg size ${Math.round(avgContentSize)} chars`);
+            const usage = result.usage;
+            budget?.charge(usage, priceChatUsage(job.offline_batch_model, usage));
+            aiStatsByIdx[p.idx] = {
+              durationMs: null, // Time in the provider's queue isn't time spent on the record
+              inputTokens: usage?.input_tokens ?? null,
+              outputTokens: usage?.output_tokens ?? null,
+              batchInputTokens: usage?.batch_input_tokens ?? 0,
+              batchOutputTokens: usage?.batch_output_tokens ?? 0
+            };
 
-        const aiPromises = batchPrompts.map(({ idx, prompt, content }, arrayIdx) =>
-          limit(async () => {
-            const startTime = Date.now();
             try {
-              // Add small delay between requests to avoid rate limits
-              if (arrayIdx > 0) {
-                await new Promise(resolve => setTimeout(resolve, 100 * Math.min(arrayIdx, 5)));
-              }
-
-              // Adaptive timeout based on content size
-              const contentSize = prompt.length;
-              const timeoutMs = Math.max(
-                30000, // Minimum 30 seconds
-                Math.min(
-                  180000, // Maximum 180 seconds (3 minutes)
-                  Math.round(contentSize * 6) // ~6ms per character (increased from 4ms)
-                )
-              );
-
-              const aiResult = await withTimeout(
-                withRetry(async () => {
-                  return await callAIService(
-                    instance.generative_model_name,
-                    [{ role: 'user', content: prompt }],
-                    0.3
-                  );
-                }, 2, 1000), // Reduced retries to 2 with 1s delay
-                timeoutMs,
-                `AI processing timeout for individual record (${Math.round(timeoutMs/1000)}s timeout)`
-              );
-
-              aiResponsesByIdx[idx] = aiResult.choices[0].message.content.trim();
-              const duration = Math.round((Date.now() - startTime) / 1000);
-              await addLog(`Record ${idx + 1}/${batchPrompts.length} processed in ${duration}s`);
-              return { idx, success: true, duration };
+              const reply = parseOfflineReply(instance, outputSchema, result.content);
+              aiResponsesByIdx[p.idx] = reply.content ?? p.content;
+              structuredFieldsByIdx[p.idx] = reply.fields;
+              structuredDataByIdx[p.idx] = reply.data;
             } catch (error) {
-              const duration = Math.round((Date.now() - startTime) / 1000);
-              await addLog(`Record ${idx + 1} failed after ${duration}s: ${error.message}`, 'ERROR');
-              return { idx, success: false, error: error.message, duration };
+              problems.set(p.id, error.message);
             }
-          })
-        );
+          }
 
-        const results = await Promise.all(aiPromises);
-        const successCount = results.filter(r => r.success).length;
-        const totalDuration = Math.max(...results.map(r => r.duration || 0));
+          const retryIndividually = batchPrompts.filter(p => problems.has(p.id));
+          await addLog(`Offline batch results: ${batchPrompts.length - retryIndividually.length}/${batchPrompts.length} records processed`);
+          if (retryIndividually.length > 0) {
+            const reasons = retryIndividually.slice(0, 5).map(p => `${p.id}: ${problems.get(p.id)}`).join('; ');
+            await addLog(`Retrying ${retryIndividually.length} records with real-time calls (${reasons}${retryIndividually.length > 5 ? '; ...' : ''})`, 'ERROR');
+            await processRecordsIndividually(retryIndividually);
+          }
+        }
 
-        await addLog(`Pass 2 complete: AI processed ${successCount}/${batchPrompts.length} records in parallel (${totalDuration}s total)`);
+      } else if (processIndividually) {
+        await addLog(outputSchema
+          ? 'Structured output - processing records individually in parallel'
+          : `Large batch detected (${combinedPromptSize} chars) - processing records in parallel for improved speed`);
+        await processRecordsIndividually(batchPrompts);
 
       } else {
-        // Process as batch (original logic)
-        const combinedPrompt = batchPrompts.map((p, i) => `[RECORD ${i + 1}]\n${p.prompt}`).join('\n\n---\n\n');
+        // One call for the whole batch, answered as JSON keyed by record id (see ../llm/multi-record.js)
+        const batchStartedAt = Date.now();
+        let retryIndividually = [];
 
         try {
-          const aiResult = await withTimeout(
-            withRetry(async () => {
-              return await callAIService(
-                instance.generative_model_name,
-                [
-                  { role: 'system', content: 'Process each record separately. Return responses in the format: [RECORD X]\n<processed content>' },
-                  { role: 'user', content: combinedPrompt }
-                ],
-                0.3
-              );
-            }),
-            OPENAI_TIMEOUT,
-            'AI processing timeout - batch may be too large or service is slow'
-          );
-
-          const fullResponse = aiResult.choices[0].message.content;
-          const recordResponses = fullResponse.split(/\[RECORD \d+\]/);
-          const aiResponses = recordResponses.slice(1).map(r => r.trim());
-
-          if (aiResponses.length !== aiNeededRecords.length) {
-            throw new Error(`AI returned ${aiResponses.length} responses but expected ${aiNeededRecords.length}`);
-          }
-
-          // Map AI responses back to original indices
-          aiNeededRecords.forEach((r, batchIdx) => {
-            aiResponsesByIdx[r.idx] = aiResponses[batchIdx];
+          const aiResult = await withRetry(async () => {
+            return await chatCompletion(
+              instance.generative_model_name,
+              multiRecordMessages,
+              { temperature: 0.3, json: true, timeoutMs: OPENAI_TIMEOUT }
+            );
           });
+          budget?.charge(aiResult.usage, priceChatUsage(instance.generative_model_name, aiResult.usage));
+
+          const { outputs, problems } = parseMultiRecordResponse(aiResult.content, batchPrompts.map(p => p.id));
+
+          // One call served the whole batch, so its duration is shared and its tokens
+          // are split by prompt size - records retried below add their own call on top
+          const batchDurationMs = Date.now() - batchStartedAt;
+          const totalPromptChars = batchPrompts.reduce((sum, p) => sum + p.prompt.length, 0) || 1;
+          for (const p of batchPrompts) {
+            const share = p.prompt.length / totalPromptChars;
+            aiStatsByIdx[p.idx] = {
+              durationMs: batchDurationMs,
+              inputTokens: Math.round(aiResult.usage.input_tokens * share),
+              outputTokens: Math.round(aiResult.usage.output_tokens * share)
+            };
+            if (outputs.has(p.id)) {
+              aiResponsesByIdx[p.idx] = outputs.get(p.id);
+            }
+          }
 
-          await addLog(`Pass 2 complete: AI processed ${aiResponses.length} records as batch`);
+          retryIndividually = batchPrompts.filter(p => problems.has(p.id));
+          await addLog(`Pass 2 batch call: ${outputs.size}/${batchPrompts.length} records processed`);
+          if (retryIndividually.length > 0) {
+            const reasons = retryIndividually.slice(0, 5).map(p => `${p.id}: ${problems.get(p.id)}`).join('; ');
+            await addLog(`Retrying ${retryIndividually.length} records individually (${reasons}${retryIndividually.length > 5 ? '; ...' : ''})`, 'ERROR');
+          }
 
         } catch (batchError) {
-          // Retry batch processing if we haven't hit max retries
-          if (currentRetry < MAX_BATCH_RETRIES) {
-            await addLog(`Batch AI processing failed: ${batchError.message}. Retrying (${currentRetry + 1}/${MAX_BATCH_RETRIES})...`, 'ERROR');
+          const batchErrorClass = classifyError(batchError);
+
+          // Too large as one call - each record on its own may still fit
+          if (batchErrorClass === 'content_too_large') {
+            await addLog(`Batch exceeded the model's context: ${batchError.message}. Processing records individually.`, 'ERROR');
+            retryIndividually = batchPrompts;
+          } else {
+            // Retry batch processing if we haven't hit max retries - fatal errors
+            // would fail the same way again
+            const batchRetryable = batchErrorClass === 'retryable' || batchErrorClass === 'rate_limited';
+            if (batchRetryable && currentRetry < MAX_BATCH_RETRIES) {
+              await addLog(`Batch AI processing failed: ${batchError.message}. Retrying (${currentRetry + 1}/${MAX_BATCH_RETRIES})...`, 'ERROR');
+
+              await db.update(jobs).set({
+                ...RELEASED_LEASE, // Release lease for retry
+                updated_date: new Date()
+              }).where(heldLease(jobId));
+
+              // Retry with exponential backoff: 2s, 4s, 8s
+              const retryDelay = Math.pow(2, currentRetry + 1) * 1000;
+              setTimeout(() => processBatch(jobId, currentRetry + 1), retryDelay);
+              return;
+            }
+
+            // Max retries exceeded - skip this batch
+            await addLog(batchRetryable
+              ? `Batch AI processing failed after ${MAX_BATCH_RETRIES} attempts: ${batchError.message}. Skipping batch.`
+              : `Batch AI processing failed (${batchErrorClass}): ${batchError.message}. Skipping batch.`, 'ERROR');
+
+            const newOffset = job.current_batch_offset + records.length;
+            const newFailedRecords = job.failed_records + records.length;
+
+            await saveJobRecords(db, recordsWithPass1.map(r => buildJobRecordRow(job, r.record[instance.primary_key_field], {
+              status: 'failed',
+              pass: r.needsAI ? 2 : 1,
+              chars_before: r.originalContent.length,
+              model: r.needsAI ? instance.generative_model_name : null,
+              error: batchError.message,
+              error_class: batchErrorClass
+            })));
 
             await db.update(jobs).set({
-              is_processing_batch: false, // Clear flag for retry
+              current_batch_offset: newOffset,
+              last_seen_pk: nextCursor,
+              failed_records: newFailedRecords,
+              last_batch_at: new Date(),
+              ...RELEASED_LEASE, // Release lease so next batch can start
               updated_date: new Date()
-            }).where(eq(jobs.id, jobId));
+            }).where(heldLease(jobId));
 
-            // Retry with exponential backoff: 2s, 4s, 8s
-            const retryDelay = Math.pow(2, currentRetry + 1) * 1000;
-            setTimeout(() => processBatch(jobId, currentRetry + 1), retryDelay);
+            // Continue to next batch (reset retry counter)
+            await addLog('Moving to next batch');
+            setTimeout(() => processBatch(jobId, 0), 1000);
             return;
           }
+        }
 
-          // Max retries exceeded - skip this batch
-          await addLog(`Batch AI processing failed after ${MAX_BATCH_RETRIES} attempts: ${batchError.message}. Skipping batch.`, 'ERROR');
-
-          const newOffset = job.current_batch_offset + records.length;
-          const newFailedRecords = job.failed_records + records.length;
-
-          await db.update(jobs).set({
-            current_batch_offset: newOffset,
-            failed_records: newFailedRecords,
-            last_batch_at: new Date(),
-            is_processing_batch: false, // Clear flag so next batch can start
-            updated_date: new Date()
-          }).where(eq(jobs.id, jobId));
-
-          // Continue to next batch (reset retry counter)
-          await addLog('Moving to next batch');
-          setTimeout(() => processBatch(jobId, 0), 1000);
-          return;
+        if (retryIndividually.length > 0) {
+          await processRecordsIndividually(retryIndividually);
         }
       }
     } else {
       await addLog('No AI processing needed - all records cleaned by Pass 1');
     }
 
+    // ===== MID-BATCH BUDGET CAP =====
+    // Calls start in page order and spend only grows, so the skipped records are the tail of
+    // Pass 2. Only the records before the first of them are finished and recorded; the
+    // cursor/offset stops there and the job pauses, so everything after it - skipped or not -
+    // is fetched and processed again on resume.
+    let pageRecords = recordsWithPass1;
+    if (budgetSkippedIdx.size > 0) {
+      pageRecords = recordsWithPass1.slice(0, recordsWithPass1.findIndex(r => budgetSkippedIdx.has(r.idx)));
+      nextCursor = useCursor && pageRecords.length > 0
+        ? String(pageRecords[pageRecords.length - 1].record[instance.primary_key_field])
+        : job.last_seen_pk;
+      await addLog(`${midBatchCap.message} during Pass 2 - finishing the first ${pageRecords.length}/${records.length} records of this batch before pausing`, 'ERROR');
+    }
+
+    // Final content per record: AI result if available, otherwise Pass 1 result or original
+    const getFinalContent = (r) => {
+      if (aiResponsesByIdx[r.idx]) return aiResponsesByIdx[r.idx];
+      if (r.pass1Result) return r.pass1Result.cleanedText;
+      return r.originalContent;
+    };
+
+    // ===== FIELD MAPPINGS =====
+    // Extra output fields, each from its own prompt or a path into the structured output
+    const mappedFieldsByIdx = {}; // Map idx -> { zilliz field: value }
+    if (fieldMappings?.outputs.length) {
+      const mappingRecords = pageRecords.filter(r => !aiErrorsByIdx[r.idx]);
+      await addLog(`Running ${fieldMappings.outputs.length} field mappings for ${mappingRecords.length} records...`);
+
+      await Promise.all(mappingRecords.map(async (r) => {
+        const startTime = Date.now();
+        try {
+          const result = await runFieldMappings(instance, fieldMappings, {
+            record: r.record,
+            fieldValue: getFinalContent(r),
+            structuredData: structuredDataByIdx[r.idx]
+          });
+          mappedFieldsByIdx[r.idx] = result.fields;
+
+          const stats = aiStatsByIdx[r.idx] || { durationMs: 0, inputTokens: null, outputTokens: null };
+          aiStatsByIdx[r.idx] = {
+            ...stats,
+            durationMs: (stats.durationMs || 0) + (Date.now() - startTime),
+            inputTokens: (stats.inputTokens || 0) + result.usage.input_tokens,
+            outputTokens: (stats.outputTokens || 0) + result.usage.output_tokens
+          };
+        } catch (error) {
+          aiErrorsByIdx[r.idx] = error.message;
+          errorClassesByIdx[r.idx] = classifyError(error);
+          await addLog(`Record ${r.idx + 1} field mapping failed: ${error.message}`, 'ERROR');
+        }
+      }));
+    }
+
     // ===== GENERATE EMBEDDINGS =====
     // Generate embeddings for final processed content (Pass 1 or Pass 2 results)
     let embeddingsByIdx = {};
+    const embeddingErrorsByIdx = {}; // Map idx -> error for records without a usable vector
+    const embeddingTokensByIdx = {}; // Map idx -> embedding input tokens
+    const embeddingChunksByIdx = {}; // Map idx -> chunks, for the chunk_rows strategy
     if (instance.vector_field_name) {
-      await addLog('Generating embeddings for all records with rate limiting...');
+      await addLog('Generating embeddings for all records...');
 
-      const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-      const embeddingLimit = pLimit(5); // OpenAI can handle more concurrent requests
+      // Vectors must match the collection schema exactly - never write a mismatched one
+      const expectedDimensions = instance.embedding_dimensions || await getVectorFieldDimension(instance);
 
-      const embeddingPromises = recordsWithPass1.map(async (r, idx) => {
-        // Get final content: AI result if available, otherwise Pass 1 result or original
-        let finalContent;
-        if (aiResponsesByIdx[r.idx]) {
-          finalContent = aiResponsesByIdx[r.idx];
-        } else if (r.pass1Result) {
-          finalContent = r.pass1Result.cleanedText;
-        } else {
-          finalContent = r.originalContent;
-        }
+      const embeddingOptions = getEmbeddingOptions(instance);
 
-        return embeddingLimit(async () => {
-          try {
-            // Add small delay to avoid rate limits
-            if (idx > 0) {
-              await new Promise(resolve => setTimeout(resolve, 50 * Math.min(idx, 10)));
-            }
+      // Records whose AI step failed won't be written, so don't spend embedding calls on them.
+      // Calls queue behind the embedding model's rate limiter.
+      const embeddingPromises = pageRecords.filter(r => !aiErrorsByIdx[r.idx]).map(async (r) => {
+        const finalContent = getFinalContent(r);
 
-            const embeddingResult = await withTimeout(
-              withRetry(async () => {
-                return await openai.embeddings.create({
-                  model: instance.embedding_model_name,
-                  input: finalContent.substring(0, 8192) // Ensure content isn't too long
-                });
-              }, 2, 500), // 2 retries with 500ms delay
-              15000, // 15 second timeout
-              'Embedding generation timeout'
-            );
+        try {
+          const embeddingResult = await withRetry(async () => {
+            return await embedDocument(instance.embedding_model_name, finalContent, {
+              ...embeddingOptions,
+              dimensions: expectedDimensions,
+              timeoutMs: embeddingOptions.strategy === 'truncate' ? 15000 : 60000 // Chunk requests carry many chunks
+            });
+          });
 
-            return { idx: r.idx, embedding: embeddingResult.data[0].embedding };
-          } catch (error) {
-            console.error(`Embedding failed for record ${r.idx}:`, error.message);
-            // Return null embedding but don't fail the entire batch
-            return { idx: r.idx, embedding: null, error: error.message };
+          const { embedding, chunks, usage } = embeddingResult;
+          // The call is billed even if the vector turns out unusable
+          embeddingTokensByIdx[r.idx] = usage?.input_tokens || 0;
+          if (embedding.length !== expectedDimensions) {
+            throw new Error(`Embedding has ${embedding.length} dimensions but ${instance.vector_field_name} expects ${expectedDimensions}`);
           }
-        });
+          return { idx: r.idx, embedding, chunks };
+        } catch (error) {
+          console.error(`Embedding failed for record ${r.idx}:`, error.message);
+          errorClassesByIdx[r.idx] = classifyError(error);
+          // Return null embedding but don't fail the entire batch
+          return { idx: r.idx, embedding: null, error: error.message };
+        }
       });
 
       const embeddingResults = await Promise.all(embeddingPromises);
@@ -1202,6 +2557,9 @@ export async function processBatch(jobId, currentRetry = 0) {
       embeddingResults.forEach(result => {
         if (result.embedding) {
           embeddingsByIdx[result.idx] = result.embedding;
+          if (embeddingOptions.strategy === 'chunk_rows') {
+            embeddingChunksByIdx[result.idx] = result.chunks;
+          }
           embeddingSuccessCount++;
         }
       });
@@ -1210,31 +2568,39 @@ export async function processBatch(jobId, currentRetry = 0) {
 
       // Log any failures for debugging
       const failures = embeddingResults.filter(r => !r.embedding);
+      failures.forEach(f => { embeddingErrorsByIdx[f.idx] = f.error; });
       if (failures.length > 0) {
         await addLog(`Embedding failures: ${failures.map(f => `#${f.idx}`).join(', ')}`, 'ERROR');
       }
     }
 
     // ===== CHECK RAILWAY TIMEOUT =====
-    // Check if we're approaching Railway's timeout limit
+    // Check if we're approaching Railway's timeout limit. Offline pages are larger and their
+    // Pass 2 already ran at the provider - stopping here would only redo the embeddings.
     const elapsedTime = Date.now() - batchStartTime;
-    if (elapsedTime > BATCH_TIMEOUT_MS) {
+    if (job.execution_type !== 'offline' && elapsedTime > BATCH_TIMEOUT_MS) {
       await addLog(`Approaching Railway timeout (${Math.round(elapsedTime/1000)}s elapsed) - scheduling next batch to avoid timeout`);
       console.log(`[Batch] Job ${jobId} - Approaching Railway timeout, continuing in next batch`);
 
       // Update job state and schedule next batch
       await db.update(jobs)
         .set({
-          is_processing_batch: false,
+          ...RELEASED_LEASE,
           last_batch_at: new Date(),
           updated_date: new Date()
         })
-        .where(eq(jobs.id, jobId));
+        .where(heldLease(jobId));
 
       setTimeout(() => processBatch(jobId, 0), 1000);
       return;
     }
 
+    // Another worker took over (our heartbeat stalled past the lease) - don't write twice
+    if (heartbeat.isLost()) {
+      await addLog('Lease on this job was lost mid-batch - discarding results, another worker will redo this batch', 'ERROR');
+      return;
+    }
+
     // ===== UPDATE RECORDS IN ZILLIZ (Batched) =====
     let successCount = 0;
     let failCount = 0;
@@ -1244,109 +2610,192 @@ export async function processBatch(jobId, currentRetry = 0) {
 
     // Prepare all updated records first
     const updatedRecords = [];
-    const recordIds = [];
+    const chunkRecords = []; // Extra rows for the chunk_rows strategy
+    const ledgerRowsById = new Map(); // record id -> job_records row
 
-    for (const r of recordsWithPass1) {
+    for (const r of pageRecords) {
       const record = r.record;
       const recordId = record[instance.primary_key_field];
-      recordIds.push(recordId);
+      const aiStats = aiStatsByIdx[r.idx] || {};
+      const embeddingTokens = embeddingTokensByIdx[r.idx] ?? null;
+      const ledgerFields = {
+        chars_before: r.originalContent.length,
+        model: r.needsAI ? instance.generative_model_name : null,
+        duration_ms: aiStats.durationMs ?? null,
+        input_tokens: aiStats.inputTokens ?? null,
+        output_tokens: aiStats.outputTokens ?? null,
+        embedding_tokens: embeddingTokens,
+        cost_usd: priceRecordUsage(instance, { ...aiStats, embeddingTokens })
+      };
+
+      // Pass 2 failed - leave the record untouched so it can be retried
+      if (aiErrorsByIdx[r.idx]) {
+        failCount++;
+        failedRecordDetails.push({ recordId, error: aiErrorsByIdx[r.idx], contentSize: r.originalContent.length });
+        ledgerRowsById.set(String(recordId), buildJobRecordRow(job, recordId, {
+          ...ledgerFields,
+          status: 'failed',
+          pass: 2,
+          error: aiErrorsByIdx[r.idx],
+          error_class: errorClassesByIdx[r.idx] ?? null
+        }));
+        continue;
+      }
+
+      // No usable vector - writing the new text with the old (or a wrong-sized) vector would corrupt search
+      if (embeddingErrorsByIdx[r.idx]) {
+        failCount++;
+        failedRecordDetails.push({ recordId, error: embeddingErrorsByIdx[r.idx], contentSize: r.originalContent.length });
+        ledgerRowsById.set(String(recordId), buildJobRecordRow(job, recordId, {
+          ...ledgerFields,
+          status: 'failed',
+          pass: aiResponsesByIdx[r.idx] ? 2 : 1,
+          error: `Embedding failed: ${embeddingErrorsByIdx[r.idx]}`,
+          error_class: errorClassesByIdx[r.idx] ?? null
+        }));
+        continue;
+      }
 
       try {
         // Determine final processed content
         let processedContent;
+        let pass = null;
         if (aiResponsesByIdx[r.idx]) {
           processedContent = aiResponsesByIdx[r.idx];
+          pass = 2;
           pass2ProcessedCount++;
         } else if (r.pass1Result) {
           processedContent = r.pass1Result.cleanedText;
+          pass = 1;
           pass1CleanedCount++;
         } else {
           processedContent = r.originalContent;
         }
 
         // Reconstruct with tags if original had them
-        let updatedContent = processedContent;
         const originalContent = record[instance.target_field] || '';
         const tagRegex = /\[pagecontent\](.*?)\[\/pagecontent\]/gs;
-
-        if (tagRegex.test(originalContent)) {
-          updatedContent = originalContent.replace(tagRegex, `[pagecontent]${processedContent}[/pagecontent]`);
-        }
+        const hasTags = tagRegex.test(originalContent);
+        const withTags = (content) => hasTags
+          ? originalContent.replace(tagRegex, `[pagecontent]${content}[/pagecontent]`)
+          : content;
 
         const updatedRecord = {
           ...record,
-          [instance.target_field]: updatedContent,
+          [instance.target_field]: withTags(processedContent),
           changed_flag: 'done'
         };
 
+        // Validated structured output fields and field mappings, each in its own Zilliz field
+        Object.assign(updatedRecord, structuredFieldsByIdx[r.idx], mappedFieldsByIdx[r.idx]);
+
         // Add embedding if available
         if (instance.vector_field_name && embeddingsByIdx[r.idx]) {
           updatedRecord[instance.vector_field_name] = embeddingsByIdx[r.idx];
         }
 
         updatedRecords.push(updatedRecord);
+
+        // Long documents also get one row per chunk so each part is searchable on its own
+        const chunks = embeddingChunksByIdx[r.idx] || [];
+        if (chunks.length > 1) {
+          chunks.forEach((chunk, chunkIndex) => {
+            chunkRecords.push({
+              ...updatedRecord,
+              [instance.primary_key_field]: buildChunkRowId(recordId, chunkIndex),
+              [instance.target_field]: withTags(chunk.text),
+              [instance.vector_field_name]: chunk.embedding
+            });
+          });
+        }
         successCount++;
+        ledgerRowsById.set(String(recordId), buildJobRecordRow(job, recordId, {
+          ...ledgerFields,
+          status: 'success',
+          pass,
+          model: pass === 2 ? instance.generative_model_name : null,
+          chars_after: processedContent.length
+        }));
       } catch (error) {
         failCount++;
-        failedRecordDetails.push({ recordId, error: error.message });
-      }
-    }
-
-    // Batch delete all old records
-    if (recordIds.length > 0) {
-      try {
-        const filterExpr = recordIds.map(id => `${instance.primary_key_field} == "${id}"`).join(' || ');
-        await zillizApiCall(
-          instance.zilliz_endpoint,
-          instance.zilliz_token,
-          '/v2/vectordb/entities/delete',
-          { collectionName: instance.collection_name, filter: filterExpr }
-        );
-      } catch (error) {
-        await addLog(`Batch delete failed: ${error.message}`, 'ERROR');
+        failedRecordDetails.push({ recordId, error: error.message, contentSize: r.originalContent.length });
+        ledgerRowsById.set(String(recordId), buildJobRecordRow(job, recordId, {
+          ...ledgerFields,
+          status: 'failed',
+          error: error.message,
+          error_class: classifyError(error)
+        }));
       }
     }
 
-    // Batch insert all updated records
+    // Write all updated records back to Zilliz
     if (updatedRecords.length > 0) {
+      const writeMode = instance.write_mode || 'upsert';
+
       try {
-        await zillizApiCall(
-          instance.zilliz_endpoint,
-          instance.zilliz_token,
-          '/v2/vectordb/entities/insert',
-          { collectionName: instance.collection_name, data: updatedRecords }
-        );
-        await addLog(`✓ Batch updated ${updatedRecords.length} records in Zilliz`);
+        if (writeMode === 'delete_insert') {
+          const updatedIds = new Set(updatedRecords.map(r => String(r[instance.primary_key_field])));
+          const originals = records.filter(record => updatedIds.has(String(record[instance.primary_key_field])));
+          await deleteAndInsertRecords(instance, jobId, originals, updatedRecords, addLog);
+        } else {
+          assertZillizOk(await zillizApiCall(
+            instance.zilliz_endpoint,
+            instance.zilliz_token,
+            '/v2/vectordb/entities/upsert',
+            { collectionName: instance.collection_name, data: updatedRecords }
+          ), 'upsert');
+        }
+        await addLog(`✓ Batch updated ${updatedRecords.length} records in Zilliz (${writeMode})`);
+
+        if (instance.embedding_strategy === 'chunk_rows') {
+          const chunkFailures = await writeChunkRows(instance, updatedRecords, chunkRecords, ledgerRowsById, addLog);
+          successCount -= chunkFailures;
+          failCount += chunkFailures;
+        }
       } catch (error) {
-        await addLog(`Batch insert failed: ${error.message}`, 'ERROR');
+        await addLog(`Batch write failed: ${error.message}`, 'ERROR');
         failCount += updatedRecords.length;
         successCount = 0;
+
+        for (const updatedRecord of updatedRecords) {
+          const row = ledgerRowsById.get(String(updatedRecord[instance.primary_key_field]));
+          Object.assign(row, { status: 'failed', error: `Zilliz write failed: ${error.message}`, error_class: classifyError(error) });
+        }
       }
     }
 
+    const ledgerRows = [...ledgerRowsById.values()];
+    await saveJobRecords(db, ledgerRows);
+    const batchSpend = sumLedgerSpend(ledgerRows);
+
     // Update job progress with two-pass statistics
-    const newOffset = job.current_batch_offset + records.length;
+    const newOffset = job.current_batch_offset + pageRecords.length;
     const newProcessed = job.processed_records + successCount;
     const newFailed = job.failed_records + failCount;
-    const newPass1Processed = (job.pass1_processed || 0) + records.length;
+    const newPass1Processed = (job.pass1_processed || 0) + pageRecords.length;
     const newPass1Cleaned = (job.pass1_cleaned || 0) + pass1CleanedCount;
     const newPass2Needed = (job.pass2_needed || 0) + pass2ProcessedCount;
     const newPass2Processed = (job.pass2_processed || 0) + pass2ProcessedCount;
 
     await db.update(jobs).set({
       current_batch_offset: newOffset,
+      last_seen_pk: nextCursor,
       processed_records: newProcessed,
       failed_records: newFailed,
       pass1_processed: newPass1Processed,
       pass1_cleaned: newPass1Cleaned,
       pass2_needed: newPass2Needed,
       pass2_processed: newPass2Processed,
+      ...addJobSpend(job, batchSpend),
+      ...NO_OFFLINE_BATCH,
+      ...(midBatchCap && { status: 'paused', pause_reason: BUDGET_PAUSE_REASON }),
       last_batch_at: new Date(),
-      is_processing_batch: false, // Clear flag so next batch can start
+      ...RELEASED_LEASE, // Release lease so next batch can start
       updated_date: new Date()
-    }).where(eq(jobs.id, jobId));
+    }).where(heldLease(jobId));
 
     await addLog(`Batch complete: ${successCount} succeeded, ${failCount} failed | Pass1: ${pass1CleanedCount} clean, Pass2: ${pass2ProcessedCount} AI`);
+    await addLog(`Batch spend: ${batchSpend.input_tokens} in / ${batchSpend.output_tokens} out / ${batchSpend.embedding_tokens} embedding tokens, $${batchSpend.cost_usd.toFixed(4)}`);
 
     // Log failed records summary if any
     if (failedRecordDetails.length > 0) {
@@ -1354,7 +2803,13 @@ export async function processBatch(jobId, currentRetry = 0) {
       await addLog(`Consider retry for large content failures (${failedRecordDetails.filter(f => f.contentSize > 15000).length} records > 15k chars)`);
     }
 
-    console.log(`[Batch] Job ${jobId} - Batch complete. New offset: ${newOffset}, Processed: ${newProcessed}/${totalRecordsToProcess}`);
+    console.log(`[Batch] Job ${jobId} - Batch complete. New offset: ${newOffset}${useCursor ? `, cursor: ${nextCursor}` : ''}, Processed: ${newProcessed}/${totalRecordsToProcess}`);
+
+    if (midBatchCap) {
+      await addLog(`⏸️ ${midBatchCap.message} - job paused partway through the batch. Raise the cap on the Jobs page to resume.`, 'ERROR');
+      console.log(`[Batch] Job ${jobId} paused by budget cap: ${midBatchCap.message}`);
+      return;
+    }
 
     // Debug logging for batch continuation issue
     console.log(`[Batch Debug] totalRecordsToProcess=${totalRecordsToProcess}, job.total_records=${job.total_records}, newProcessed=${newProcessed}, newFailed=${newFailed}`);
@@ -1394,7 +2849,7 @@ export async function processBatch(jobId, currentRetry = 0) {
 
       if (newFailed > 0) {
         await addLog(`💡 Recommendation: ${newFailed} records failed. Consider:`);
-        await addLog(`- Running job again with changed_flag != "done" filter to retry failures`);
+        await addLog(`- Using "Retry failed" on the Jobs page to rerun just the failed records`);
         await addLog(`- Check logs for timeout errors (may need longer timeouts)`);
         await addLog(`- Verify Gemini API quotas and rate limits`);
       }
@@ -1415,9 +2870,9 @@ export async function processBatch(jobId, currentRetry = 0) {
       await db.update(jobs).set({
         status: 'failed',
         details: error.message,
-        is_processing_batch: false, // Clear flag on error
+        ...RELEASED_LEASE, // Release lease on error
         updated_date: new Date()
-      }).where(eq(jobs.id, jobId));
+      }).where(heldLease(jobId));
 
       await db.insert(jobLogs).values({
         id: generateId(),
@@ -1429,6 +2884,8 @@ export async function processBatch(jobId, currentRetry = 0) {
     } catch (e) {
       console.error('Failed to update job status:', e);
     }
+  } finally {
+    heartbeat?.stop();
   }
 }
 
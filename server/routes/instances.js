@@ -1,11 +1,242 @@
 import express from 'express';
 import { getDb, generateId } from '../db/client.js';
-import { databaseInstances } from '../db/schema.js';
-import { desc, eq } from 'drizzle-orm';
+import { databaseInstances, jobs } from '../db/schema.js';
+import { desc, eq, sql } from 'drizzle-orm';
 import { requireAuth } from '../middleware/auth.js';
+import { getNextRunTimes, getScheduleTimezone, formatInTimezone, isValidTimezone } from '../workers/schedule.js';
+import { validateCronExpression, describeCronExpression } from '../workers/cron-expression.js';
+import { checkEmbeddingDimensions } from '../embeddings/index.js';
+import { EMBEDDING_STRATEGIES } from '../embeddings/chunking.js';
+import { parseOutputSchema } from '../llm/structured-output.js';
+import { parseFieldMappings } from '../llm/field-mappings.js';
+import { describeCollection, getVectorFieldDimension } from './augmentor.js';
+import { resolveInstancePromptVersion, validatePromptTemplates } from './prompts.js';
+import { getMonthlySpendByInstance, normalizeBudgetCaps, INSTANCE_BUDGET_FIELDS } from '../workers/job-budget.js';
 
 const router = express.Router();
 
+// Spend per instance over all its jobs, and since the start of the calendar month (UTC)
+async function getSpendByInstance(db) {
+  const monthlySpend = await getMonthlySpendByInstance(db);
+  const rows = await db
+    .select({
+      instance_id: jobs.instance_id,
+      total_usd: sql`coalesce(sum(${jobs.cost_usd}), 0)::float8`,
+      input_tokens: sql`coalesce(sum(${jobs.input_tokens}), 0)::float8`,
+      output_tokens: sql`coalesce(sum(${jobs.output_tokens}), 0)::float8`,
+      embedding_tokens: sql`coalesce(sum(${jobs.embedding_tokens}), 0)::float8`
+    })
+    .from(jobs)
+    .groupBy(jobs.instance_id);
+
+  return new Map(rows.map(({ instance_id, ...spend }) => [
+    instance_id,
+    { ...spend, month_usd: monthlySpend.get(instance_id) || 0 }
+  ]));
+}
+
+const DEFAULT_PREVIEW_COUNT = 5;
+const MAX_PREVIEW_COUNT = 50;
+
+// Validate schedule fields on save/preview - returns an error message or null
+function validateSchedule(data) {
+  if (data.schedule_timezone && !isValidTimezone(data.schedule_timezone)) {
+    return `Unknown timezone: ${data.schedule_timezone}`;
+  }
+
+  if (data.schedule_enabled && data.schedule_frequency === 'cron') {
+    const { valid, error } = validateCronExpression(data.schedule_cron);
+    if (!valid) {
+      return `Invalid cron expression: ${error}`;
+    }
+  }
+
+  return null;
+}
+
+const EMBEDDING_FIELDS = [
+  'zilliz_endpoint', 'zilliz_token', 'collection_name', 'primary_key_field', 'vector_field_name',
+  'embedding_model_name', 'embedding_strategy', 'embedding_chunk_tokens', 'embedding_chunk_overlap'
+];
+
+// Returns an error message for invalid embedding strategy settings, or null
+function validateEmbeddingStrategy(data) {
+  const strategy = data.embedding_strategy || 'truncate';
+  if (!EMBEDDING_STRATEGIES.includes(strategy)) {
+    return `Invalid embedding strategy "${strategy}". Use one of: ${EMBEDDING_STRATEGIES.join(', ')}`;
+  }
+
+  const chunkTokens = data.embedding_chunk_tokens ?? 512;
+  const overlap = data.embedding_chunk_overlap ?? 64;
+  if (!Number.isInteger(chunkTokens) || chunkTokens < 16) {
+    return 'Chunk size must be a whole number of at least 16 tokens';
+  }
+  if (!Number.isInteger(overlap) || overlap < 0 || overlap >= chunkTokens) {
+    return 'Chunk overlap must be a whole number of tokens smaller than the chunk size';
+  }
+
+  return null;
+}
+
+// chunk_rows writes rows keyed "<id>#chunk-<n>", which only a VarChar primary key can hold
+async function validateChunkRowsPrimaryKey(data) {
+  const { fields = [] } = await describeCollection(data);
+  const pkField = fields.find(f => f.primaryKey || f.name === data.primary_key_field);
+  if (pkField && !/varchar/i.test(pkField.type || '')) {
+    return `The chunk-to-rows strategy needs a VarChar primary key, but ${pkField.name} is ${pkField.type}`;
+  }
+  return null;
+}
+
+/**
+ * Check the embedding model against the collection's vector field by describing the collection.
+ * Returns { error } or { dimensions } (null when the instance has no vector field).
+ */
+async function validateEmbedding(data) {
+  if (!data.vector_field_name) {
+    return { dimensions: null };
+  }
+
+  const strategyError = validateEmbeddingStrategy(data);
+  if (strategyError) {
+    return { error: strategyError };
+  }
+
+  let collectionDimensions;
+  try {
+    collectionDimensions = await getVectorFieldDimension(data);
+    if (data.embedding_strategy === 'chunk_rows') {
+      const pkError = await validateChunkRowsPrimaryKey(data);
+      if (pkError) return { error: pkError };
+    }
+  } catch (error) {
+    return { error: `Could not verify vector field: ${error.message}` };
+  }
+
+  try {
+    const { valid, error } = await checkEmbeddingDimensions(data.embedding_model_name, collectionDimensions);
+    return valid ? { dimensions: collectionDimensions } : { error };
+  } catch (error) {
+    return { error: `Could not check embedding model ${data.embedding_model_name}: ${error.message}` };
+  }
+}
+
+const AI_OUTPUT_FIELDS = [
+  'zilliz_endpoint', 'zilliz_token', 'collection_name', 'primary_key_field', 'target_field',
+  'vector_field_name', 'prompt', 'prompt_version_id', 'output_schema', 'field_mappings'
+];
+
+/**
+ * Validate an output schema and check its mapped fields exist in the collection
+ * (any name is accepted when the collection has dynamic fields enabled).
+ * Returns an error message, or null.
+ */
+async function validateOutputSchema(data) {
+  let outputSchema;
+  try {
+    outputSchema = parseOutputSchema(data.output_schema);
+  } catch (error) {
+    return error.message;
+  }
+  if (!outputSchema) return null;
+
+  const mappedFields = outputSchema.fields
+    .map(field => field.zilliz_field)
+    .filter(name => name && name !== data.target_field);
+  if (mappedFields.length === 0) return null;
+
+  try {
+    const collection = await describeCollection(data);
+    if (collection.enableDynamicField) return null;
+
+    const existing = new Set((collection.fields || []).map(f => f.name));
+    const missing = mappedFields.filter(name => !existing.has(name));
+    if (missing.length > 0) {
+      return `Output schema maps to fields missing from collection ${data.collection_name}: ${missing.join(', ')}`;
+    }
+  } catch (error) {
+    return `Could not verify output fields: ${error.message}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate field mappings: outputs may not overwrite the fields the augmentor
+ * already manages, path-only outputs need structured output to read from, and
+ * every field must exist in the collection (unless it has dynamic fields).
+ * Returns an error message, or null.
+ */
+async function validateFieldMappings(data) {
+  let fieldMappings;
+  try {
+    fieldMappings = parseFieldMappings(data.field_mappings);
+  } catch (error) {
+    return error.message;
+  }
+  if (!fieldMappings) return null;
+
+  const reserved = [data.primary_key_field, data.target_field, data.vector_field_name].filter(Boolean);
+  const clash = fieldMappings.outputs.find(output => reserved.includes(output.field));
+  if (clash) {
+    return `Output field ${clash.field} is already written by the instance (primary key, target or vector field)`;
+  }
+
+  const pathOnly = fieldMappings.outputs.find(output => !output.prompt);
+  if (pathOnly) {
+    try {
+      if (!parseOutputSchema(data.output_schema)) {
+        return `Output field ${pathOnly.field} reads path "${pathOnly.path}" but the instance has no output schema`;
+      }
+    } catch {
+      return null; // validateOutputSchema reports the schema itself
+    }
+  }
+
+  const fieldNames = [...fieldMappings.input_fields, ...fieldMappings.outputs.map(output => output.field)];
+  if (fieldNames.length === 0) return null;
+
+  try {
+    const collection = await describeCollection(data);
+    if (collection.enableDynamicField) return null;
+
+    const existing = new Set((collection.fields || []).map(f => f.name));
+    const missing = [...new Set(fieldNames.filter(name => !existing.has(name)))];
+    if (missing.length > 0) {
+      return `Field mappings use fields missing from collection ${data.collection_name}: ${missing.join(', ')}`;
+    }
+  } catch (error) {
+    return `Could not verify mapped fields: ${error.message}`;
+  }
+
+  return null;
+}
+
+// Output schemas and field mappings are stored as JSON text; blank means unset
+function serializeJsonSetting(value) {
+  if (!value) return null;
+  return typeof value === 'string' ? (value.trim() || null) : JSON.stringify(value);
+}
+
+// Next run times for an instance's schedule, formatted in its timezone
+function buildSchedulePreview(instance, count) {
+  const timezone = getScheduleTimezone(instance);
+  const runs = getNextRunTimes(instance, count).map(date => ({
+    at: date.toISOString(),
+    local: formatInTimezone(date, timezone)
+  }));
+
+  const description = instance.schedule_frequency === 'cron' && validateCronExpression(instance.schedule_cron).valid
+    ? describeCronExpression(instance.schedule_cron)
+    : null;
+
+  return { timezone, description, runs };
+}
+
+function parsePreviewCount(value) {
+  return Math.min(MAX_PREVIEW_COUNT, Math.max(1, parseInt(value) || DEFAULT_PREVIEW_COUNT));
+}
+
 // List all instances
 router.get('/', requireAuth, async (req, res) => {
   try {
@@ -20,10 +251,13 @@ router.get('/', requireAuth, async (req, res) => {
       .from(databaseInstances)
       .orderBy(desc(databaseInstances.created_date));
 
+    const spendByInstance = await getSpendByInstance(db);
+
     // Parse schedule_days JSON for each instance
     const processedInstances = instances.map(instance => ({
       ...instance,
-      schedule_days: instance.schedule_days ? JSON.parse(instance.schedule_days) : []
+      schedule_days: instance.schedule_days ? JSON.parse(instance.schedule_days) : [],
+      spend: spendByInstance.get(instance.id) || { total_usd: 0, month_usd: 0, input_tokens: 0, output_tokens: 0, embedding_tokens: 0 }
     }));
 
     console.log('instancesList: Found instances:', processedInstances.length);
@@ -65,15 +299,83 @@ router.get('/:id', requireAuth, async (req, res) => {
   }
 });
 
+// Preview next run times for an unsaved schedule configuration (used by the edit dialog)
+router.post('/schedule/preview', requireAuth, async (req, res) => {
+  try {
+    const config = req.body || {};
+
+    const scheduleError = validateSchedule(config);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    res.json({ data: buildSchedulePreview(config, parsePreviewCount(req.query.count)) });
+  } catch (error) {
+    console.error('Schedule preview error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview next run times for a saved instance
+router.get('/:id/schedule/preview', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = getDb();
+
+    const [instance] = await db
+      .select()
+      .from(databaseInstances)
+      .where(eq(databaseInstances.id, id));
+
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    res.json({ data: buildSchedulePreview(instance, parsePreviewCount(req.query.count)) });
+  } catch (error) {
+    console.error('Schedule preview error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Create instance
 router.post('/', requireAuth, async (req, res) => {
   try {
-    const instanceData = req.body;
+    const { prompt_notes, ...instanceData } = req.body;
     const db = getDb();
 
+    const scheduleError = validateSchedule(instanceData);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
+    const budgetError = normalizeBudgetCaps(instanceData, INSTANCE_BUDGET_FIELDS);
+    if (budgetError) {
+      return res.status(400).json({ error: budgetError });
+    }
+
+    const embeddingCheck = await validateEmbedding(instanceData);
+    if (embeddingCheck.error) {
+      return res.status(400).json({ error: embeddingCheck.error });
+    }
+
+    const outputSchemaError = await validateOutputSchema(instanceData)
+      || await validateFieldMappings(instanceData)
+      || await validatePromptTemplates(instanceData);
+    if (outputSchemaError) {
+      return res.status(400).json({ error: outputSchemaError });
+    }
+
+    // Every saved prompt lives in the prompt library; the instance keeps a copy of the version's text
+    const promptVersion = await resolveInstancePromptVersion(db, { ...instanceData, prompt_notes }, req.user?.email || 'unknown');
+
     // Convert schedule_days array to JSON string
     const processedData = {
       ...instanceData,
+      ...(promptVersion || {}),
+      embedding_dimensions: embeddingCheck.dimensions,
+      output_schema: serializeJsonSetting(instanceData.output_schema),
+      field_mappings: serializeJsonSetting(instanceData.field_mappings),
       schedule_days: instanceData.schedule_days ? JSON.stringify(instanceData.schedule_days) : null
     };
 
@@ -90,7 +392,7 @@ router.post('/', requireAuth, async (req, res) => {
     res.json({ data: newInstance });
   } catch (error) {
     console.error('Create instance error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -101,15 +403,76 @@ router.put('/:id', requireAuth, async (req, res) => {
     const instanceData = req.body;
     const db = getDb();
 
+    const scheduleError = validateSchedule(instanceData);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
+    }
+
     // Exclude fields that shouldn't be updated by the user
     const {
       id: _id,
       created_date,
       created_by,
       last_run,
+      prompt_notes,
+      spend,
       ...editableFields
     } = instanceData;
 
+    const budgetError = normalizeBudgetCaps(editableFields, INSTANCE_BUDGET_FIELDS);
+    if (budgetError) {
+      return res.status(400).json({ error: budgetError });
+    }
+
+    // Re-check vector dimensions and output fields when anything they depend on is part of the update
+    const checkEmbedding = EMBEDDING_FIELDS.some(field => field in editableFields);
+    const checkOutputSchema = AI_OUTPUT_FIELDS.some(field => field in editableFields);
+    let merged;
+    if (checkEmbedding || checkOutputSchema) {
+      const [existing] = await db
+        .select()
+        .from(databaseInstances)
+        .where(eq(databaseInstances.id, id));
+
+      if (!existing) {
+        return res.status(404).json({ error: 'Instance not found' });
+      }
+
+      merged = { ...existing, ...editableFields };
+
+      if (checkEmbedding) {
+        const embeddingCheck = await validateEmbedding(merged);
+        if (embeddingCheck.error) {
+          return res.status(400).json({ error: embeddingCheck.error });
+        }
+        editableFields.embedding_dimensions = embeddingCheck.dimensions;
+      }
+
+      if (checkOutputSchema) {
+        const outputSchemaError = await validateOutputSchema(merged)
+          || await validateFieldMappings(merged)
+          || await validatePromptTemplates(merged);
+        if (outputSchemaError) {
+          return res.status(400).json({ error: outputSchemaError });
+        }
+      }
+    }
+
+    if ('prompt' in editableFields || 'prompt_version_id' in editableFields) {
+      const promptVersion = await resolveInstancePromptVersion(
+        db,
+        { ...merged, prompt: editableFields.prompt, prompt_notes },
+        req.user?.email || 'unknown'
+      );
+      Object.assign(editableFields, promptVersion || { prompt_version_id: null });
+    }
+
+    for (const field of ['output_schema', 'field_mappings']) {
+      if (field in editableFields) {
+        editableFields[field] = serializeJsonSetting(editableFields[field]);
+      }
+    }
+
     // Convert schedule_days array to JSON string
     const processedFields = {
       ...editableFields,
@@ -129,7 +492,7 @@ router.put('/:id', requireAuth, async (req, res) => {
     res.json({ data: updatedInstance });
   } catch (error) {
     console.error('Update instance error:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
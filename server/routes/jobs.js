@@ -1,8 +1,18 @@
 import express from 'express';
-import { getDb } from '../db/client.js';
-import { jobs, jobLogs } from '../db/schema.js';
-import { desc, eq } from 'drizzle-orm';
-import { requireAuth } from '../middleware/auth.js';
+import { getDb, generateId } from '../db/client.js';
+import { databaseInstances, jobs, jobLogs, jobRecords, prompts, promptVersions } from '../db/schema.js';
+import { and, desc, eq, getTableColumns, sql } from 'drizzle-orm';
+import { requireAuth, requireAdmin } from '../middleware/auth.js';
+import { startAugmentorJob, processBatch, buildRecordIdInFilter, getPrimaryKeyType, fetchSampleRecord } from './augmentor.js';
+import { cancelChatBatch } from '../llm/batch.js';
+import {
+  findExceededCap,
+  getMonthlySpend,
+  normalizeBudgetCaps,
+  BUDGET_PAUSE_REASON,
+  INSTANCE_BUDGET_FIELDS,
+  JOB_BUDGET_FIELDS
+} from '../workers/job-budget.js';
 
 const router = express.Router();
 
@@ -12,9 +22,16 @@ router.get('/', requireAuth, async (req, res) => {
     const limit = parseInt(req.query.limit) || 20;
     const db = getDb();
 
+    // Include the prompt name and version number each job ran with
     const jobsList = await db
-      .select()
+      .select({
+        ...getTableColumns(jobs),
+        prompt_name: prompts.name,
+        prompt_version: promptVersions.version
+      })
       .from(jobs)
+      .leftJoin(promptVersions, eq(jobs.prompt_version_id, promptVersions.id))
+      .leftJoin(prompts, eq(promptVersions.prompt_id, prompts.id))
       .orderBy(desc(jobs.created_date))
       .limit(limit);
 
@@ -66,6 +83,36 @@ router.get('/:job_id/logs', requireAuth, async (req, res) => {
   }
 });
 
+// Get per-record results for a job (optionally filtered by status and error class)
+router.get('/:job_id/records', requireAuth, async (req, res) => {
+  try {
+    const { job_id } = req.params;
+    const { status, error_class } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const db = getDb();
+
+    const conditions = [eq(jobRecords.job_id, job_id)];
+    if (status) {
+      conditions.push(eq(jobRecords.status, status));
+    }
+    if (error_class) {
+      conditions.push(eq(jobRecords.error_class, error_class));
+    }
+
+    const records = await db
+      .select()
+      .from(jobRecords)
+      .where(and(...conditions))
+      .orderBy(desc(jobRecords.created_date))
+      .limit(limit);
+
+    res.json({ data: records });
+  } catch (error) {
+    console.error('Get job records error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete job and all its logs
 router.delete('/:id', requireAuth, async (req, res) => {
   try {
@@ -78,8 +125,9 @@ router.delete('/:id', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    // Delete all job logs first (foreign key constraint)
+    // Delete all job logs and record results first (foreign key constraint)
     await db.delete(jobLogs).where(eq(jobLogs.job_id, id));
+    await db.delete(jobRecords).where(eq(jobRecords.job_id, id));
 
     // Delete the job
     await db.delete(jobs).where(eq(jobs.id, id));
@@ -106,8 +154,8 @@ router.post('/:job_id/cancel', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    if (job.status !== 'running' && job.status !== 'pending') {
-      return res.status(400).json({ error: 'Job is not running or pending' });
+    if (job.status !== 'running' && job.status !== 'pending' && job.status !== 'paused') {
+      return res.status(400).json({ error: 'Job is not running, pending or paused' });
     }
 
     await db
@@ -115,6 +163,22 @@ router.post('/:job_id/cancel', requireAuth, async (req, res) => {
       .set({ status: 'cancelled', updated_date: new Date() })
       .where(eq(jobs.id, job_id));
 
+    // Stop an offline job's provider batch too, so requests it hasn't run yet aren't billed
+    if (job.offline_batch_id) {
+      try {
+        await cancelChatBatch(job.offline_batch_model, job.offline_batch_id);
+        await db.insert(jobLogs).values({
+          id: generateId(),
+          job_id,
+          level: 'INFO',
+          message: `Cancelled offline batch ${job.offline_batch_id}`,
+          created_date: new Date()
+        });
+      } catch (error) {
+        console.error(`Failed to cancel offline batch ${job.offline_batch_id}:`, error);
+      }
+    }
+
     res.json({ success: true, message: 'Job cancelled' });
   } catch (error) {
     console.error('Cancel job error:', error);
@@ -122,6 +186,237 @@ router.post('/:job_id/cancel', requireAuth, async (req, res) => {
   }
 });
 
+// Pause job - processing stops after the current batch
+router.post('/:job_id/pause', requireAuth, async (req, res) => {
+  try {
+    const { job_id } = req.params;
+    const db = getDb();
+
+    const [job] = await db
+      .select()
+      .from(jobs)
+      .where(eq(jobs.id, job_id));
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== 'running' && job.status !== 'pending') {
+      return res.status(400).json({ error: 'Job is not running or pending' });
+    }
+
+    await db
+      .update(jobs)
+      .set({ status: 'paused', pause_reason: null, updated_date: new Date() })
+      .where(eq(jobs.id, job_id));
+
+    await db.insert(jobLogs).values({
+      id: generateId(),
+      job_id,
+      level: 'INFO',
+      message: `Job paused by ${req.user?.email || 'unknown'}`,
+      created_date: new Date()
+    });
+
+    res.json({ success: true, message: 'Job paused' });
+  } catch (error) {
+    console.error('Pause job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resume a paused job from its saved offset/cursor
+router.post('/:job_id/resume', requireAuth, async (req, res) => {
+  try {
+    const { job_id } = req.params;
+    const db = getDb();
+
+    const [job] = await db
+      .select()
+      .from(jobs)
+      .where(eq(jobs.id, job_id));
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status !== 'paused') {
+      return res.status(400).json({ error: 'Job is not paused' });
+    }
+
+    // A job paused by its budget would pause again on the next batch
+    if (job.pause_reason === BUDGET_PAUSE_REASON) {
+      const [instance] = await db
+        .select()
+        .from(databaseInstances)
+        .where(eq(databaseInstances.id, job.instance_id));
+      const reachedCap = instance && findExceededCap(job, instance, await getMonthlySpend(db, instance.id));
+      if (reachedCap) {
+        return res.status(400).json({ error: `${reachedCap.message}. Raise the cap before resuming.`, scope: reachedCap.scope });
+      }
+    }
+
+    // Jobs paused before their first batch still need to count records
+    const status = job.started_at ? 'running' : 'pending';
+
+    await db
+      .update(jobs)
+      .set({ status, pause_reason: null, updated_date: new Date() })
+      .where(eq(jobs.id, job_id));
+
+    await db.insert(jobLogs).values({
+      id: generateId(),
+      job_id,
+      level: 'INFO',
+      message: `Job resumed by ${req.user?.email || 'unknown'}`,
+      created_date: new Date()
+    });
+
+    // Skipped by processBatch if a batch is still finishing - that batch schedules the next one
+    processBatch(job_id).catch(err =>
+      console.error(`Failed to resume batch processing for job ${job_id}:`, err)
+    );
+
+    res.json({ success: true, message: 'Job resumed' });
+  } catch (error) {
+    console.error('Resume job error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Change a job's budget caps, and optionally its instance's monthly caps
+router.put('/:job_id/budget', requireAdmin, async (req, res) => {
+  try {
+    const { job_id } = req.params;
+    const db = getDb();
+
+    const jobCaps = Object.fromEntries(JOB_BUDGET_FIELDS.filter(field => field in req.body).map(field => [field, req.body[field]]));
+    const instanceCaps = Object.fromEntries(INSTANCE_BUDGET_FIELDS.filter(field => field in req.body).map(field => [field, req.body[field]]));
+
+    const budgetError = normalizeBudgetCaps(jobCaps, JOB_BUDGET_FIELDS) || normalizeBudgetCaps(instanceCaps, INSTANCE_BUDGET_FIELDS);
+    if (budgetError) {
+      return res.status(400).json({ error: budgetError });
+    }
+
+    const [job] = await db
+      .select()
+      .from(jobs)
+      .where(eq(jobs.id, job_id));
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const changes = Object.entries({ ...jobCaps, ...instanceCaps })
+      .map(([field, value]) => `${field}=${value ?? 'none'}`);
+    if (changes.length === 0) {
+      return res.status(400).json({ error: `Provide at least one of: ${[...JOB_BUDGET_FIELDS, ...INSTANCE_BUDGET_FIELDS].join(', ')}` });
+    }
+
+    if (Object.keys(jobCaps).length > 0) {
+      await db
+        .update(jobs)
+        .set({ ...jobCaps, updated_date: new Date() })
+        .where(eq(jobs.id, job_id));
+    }
+
+    if (Object.keys(instanceCaps).length > 0) {
+      await db
+        .update(databaseInstances)
+        .set({ ...instanceCaps, updated_date: new Date() })
+        .where(eq(databaseInstances.id, job.instance_id));
+    }
+
+    await db.insert(jobLogs).values({
+      id: generateId(),
+      job_id,
+      level: 'INFO',
+      message: `Budget changed by ${req.user?.email || 'unknown'}: ${changes.join(', ')}`,
+      created_date: new Date()
+    });
+
+    res.json({ success: true, data: { ...jobCaps, ...instanceCaps } });
+  } catch (error) {
+    console.error('Update job budget error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start a new job scoped to the records that failed in this one
+router.post('/:id/retry-failed', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const db = getDb();
+
+    const [job] = await db
+      .select()
+      .from(jobs)
+      .where(eq(jobs.id, id));
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.status === 'running' || job.status === 'pending' || job.status === 'paused') {
+      return res.status(400).json({ error: 'Job is still in progress - wait for it to finish before retrying' });
+    }
+
+    const [instance] = await db
+      .select()
+      .from(databaseInstances)
+      .where(eq(databaseInstances.id, job.instance_id));
+
+    if (!instance) {
+      return res.status(404).json({ error: 'Instance not found' });
+    }
+
+    // A batch can be processed again (restart, or resume after a lost lease), so only records
+    // whose latest ledger row is a failure - not ones that succeeded afterwards - are retried
+    const failedRecords = await db
+      .selectDistinct({ record_id: jobRecords.record_id })
+      .from(jobRecords)
+      .where(and(
+        eq(jobRecords.job_id, id),
+        eq(jobRecords.status, 'failed'),
+        sql`not exists (
+          select 1 from job_records later
+          where later.job_id = ${jobRecords.job_id}
+            and later.record_id = ${jobRecords.record_id}
+            and later.status = 'success'
+            and later.created_date > ${jobRecords.created_date}
+        )`
+      ));
+
+    if (failedRecords.length === 0) {
+      return res.status(400).json({ error: 'Job has no failed records to retry' });
+    }
+
+    // Offset-mode jobs never recorded the key type. The sample is the fallback when the schema
+    // can't be read - a failed fetch errors rather than guessing, since a wrongly quoted key matches nothing.
+    const pkType = job.cursor_pk_type || await getPrimaryKeyType(instance, await fetchSampleRecord(instance));
+    const recordFilter = buildRecordIdInFilter(
+      instance.primary_key_field,
+      failedRecords.map(r => r.record_id),
+      pkType
+    );
+
+    const jobId = await startAugmentorJob(instance, req.user?.email || 'unknown', {
+      parentJobId: job.id,
+      recordFilter
+    });
+
+    res.json({
+      success: true,
+      job_id: jobId,
+      record_count: failedRecords.length,
+      message: `Retrying ${failedRecords.length} failed records`
+    });
+  } catch (error) {
+    console.error('Retry failed records error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get job exceptions (failed records)
 router.get('/:id/exceptions', requireAuth, async (req, res) => {
   try {
@@ -138,31 +433,40 @@ router.get('/:id/exceptions', requireAuth, async (req, res) => {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    // Get error logs for this job
-    const errorLogs = await db
+    // Failed records from the job's ledger
+    const failedRecords = await db
       .select()
-      .from(jobLogs)
-      .where(eq(jobLogs.job_id, id))
-      .orderBy(desc(jobLogs.created_date))
-      .limit(200); // Get more logs to find all errors
-
-    // Filter for error logs
-    const errorMessages = errorLogs.filter(log => log.level === 'ERROR' || log.message.includes('Failed') || log.message.includes('failed'));
-
-    // Parse out failed record information
-    const exceptions = errorMessages
-      .filter(log => log.message.includes('✗ Failed') || log.message.includes('failed after'))
-      .map(log => {
-        const recordIdMatch = log.message.match(/Record (\S+):/);
-        const errorMatch = log.message.match(/Failed - (.+)$/) || log.message.match(/failed after .+: (.+)$/);
-
-        return {
-          id: log.id,
-          recordId: recordIdMatch ? recordIdMatch[1] : 'Unknown',
-          error: errorMatch ? errorMatch[1] : log.message,
-          timestamp: log.created_date
-        };
-      });
+      .from(jobRecords)
+      .where(and(eq(jobRecords.job_id, id), eq(jobRecords.status, 'failed')))
+      .orderBy(desc(jobRecords.created_date));
+
+    const exceptions = failedRecords.map(record => ({
+      id: record.id,
+      recordId: record.record_id,
+      error: record.error || 'Unknown error',
+      errorClass: record.error_class,
+      pass: record.pass,
+      model: record.model,
+      charsBefore: record.chars_before,
+      durationMs: record.duration_ms,
+      timestamp: record.created_date
+    }));
+
+    // Failure counts by error message, most common first
+    const errorCounts = await db
+      .select({ error: jobRecords.error, count: sql`count(*)::int` })
+      .from(jobRecords)
+      .where(and(eq(jobRecords.job_id, id), eq(jobRecords.status, 'failed')))
+      .groupBy(jobRecords.error)
+      .orderBy(desc(sql`count(*)`));
+
+    // Failure counts by cause (see ../workers/retry-policy.js); null for unclassified failures
+    const errorClassCounts = await db
+      .select({ errorClass: jobRecords.error_class, count: sql`count(*)::int` })
+      .from(jobRecords)
+      .where(and(eq(jobRecords.job_id, id), eq(jobRecords.status, 'failed')))
+      .groupBy(jobRecords.error_class)
+      .orderBy(desc(sql`count(*)`));
 
     // Summary statistics
     const summary = {
@@ -182,6 +486,8 @@ router.get('/:id/exceptions', requireAuth, async (req, res) => {
       },
       summary,
       exceptions,
+      errorCounts,
+      errorClassCounts,
       totalExceptions: exceptions.length
     });
   } catch (error) {
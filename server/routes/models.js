@@ -0,0 +1,39 @@
+import express from 'express';
+import { listModels } from '../llm/index.js';
+import { listEmbeddingModels } from '../embeddings/index.js';
+import { requireAuth } from '../middleware/auth.js';
+import { listRateLimiters } from '../workers/rate-limiter.js';
+
+const router = express.Router();
+
+// List generative models from every registered LLM provider
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    res.json({ data: listModels() });
+  } catch (error) {
+    console.error('List models error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List embedding models from every registered embedding provider
+router.get('/embeddings', requireAuth, async (req, res) => {
+  try {
+    res.json({ data: listEmbeddingModels() });
+  } catch (error) {
+    console.error('List embedding models error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Current state of the shared rate limiters (AI, embedding and Zilliz calls in this process)
+router.get('/rate-limits', requireAuth, async (req, res) => {
+  try {
+    res.json({ data: listRateLimiters() });
+  } catch (error) {
+    console.error('List rate limits error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+export default router;
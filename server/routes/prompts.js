@@ -0,0 +1,409 @@
+import express from 'express';
+import { getDb, generateId } from '../db/client.js';
+import { databaseInstances, prompts, promptVersions } from '../db/schema.js';
+import { and, desc, eq, inArray, sql } from 'drizzle-orm';
+import { requireAuth } from '../middleware/auth.js';
+import { parseTemplate, getTemplateReferences } from '../llm/prompt-template.js';
+import { parseFieldMappings } from '../llm/field-mappings.js';
+import { describeCollection } from './augmentor.js';
+
+const router = express.Router();
+
+// Error carrying an HTTP status for the route handlers
+function promptError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function assertValidTemplate(template) {
+  if (!template || !template.trim()) {
+    throw promptError('Prompt template cannot be empty');
+  }
+  try {
+    parseTemplate(template);
+  } catch (error) {
+    throw promptError(`Invalid prompt template: ${error.message}`);
+  }
+}
+
+/**
+ * Validate the instance prompt and field mapping prompts as templates. Bare
+ * {{name}} references must be declared input fields, and {{record.field}}
+ * references must exist in the collection (unless it has dynamic fields).
+ * Returns an error message, or null.
+ */
+export async function validatePromptTemplates(data) {
+  let fieldMappings;
+  try {
+    fieldMappings = parseFieldMappings(data.field_mappings);
+  } catch {
+    return null; // validateFieldMappings reports the mappings themselves
+  }
+
+  const templates = [
+    { label: 'Prompt', template: data.prompt },
+    ...(fieldMappings?.outputs || [])
+      .filter(output => output.prompt)
+      .map(output => ({ label: `Prompt for output field ${output.field}`, template: output.prompt }))
+  ].filter(t => t.template);
+
+  const inputFields = fieldMappings?.input_fields || [];
+  const recordFields = new Set();
+
+  for (const { label, template } of templates) {
+    let refs;
+    try {
+      refs = getTemplateReferences(template);
+    } catch (error) {
+      return `${label}: ${error.message}`;
+    }
+
+    const unknown = refs.find(ref => ref.kind === 'name' && !inputFields.includes(ref.name));
+    if (unknown) {
+      return `${label}: unknown variable {{${unknown.name}}} - use {{record.${unknown.name}}} or declare it as an input field`;
+    }
+    refs.filter(ref => ref.kind === 'record').forEach(ref => recordFields.add(ref.name));
+  }
+
+  if (recordFields.size === 0) return null;
+
+  try {
+    const collection = await describeCollection(data);
+    if (collection.enableDynamicField) return null;
+
+    const existing = new Set((collection.fields || []).map(f => f.name));
+    const missing = [...recordFields].filter(name => !existing.has(name));
+    if (missing.length > 0) {
+      return `Prompts reference fields missing from collection ${data.collection_name}: ${missing.join(', ')}`;
+    }
+  } catch (error) {
+    return `Could not verify prompt fields: ${error.message}`;
+  }
+
+  return null;
+}
+
+async function getLatestVersion(db, promptId) {
+  const [latest] = await db
+    .select()
+    .from(promptVersions)
+    .where(eq(promptVersions.prompt_id, promptId))
+    .orderBy(desc(promptVersions.version))
+    .limit(1);
+  return latest || null;
+}
+
+/**
+ * Add a version to a prompt. With followLatest, instances that were running the
+ * previous latest version move to the new one - that's how library edits and
+ * rollbacks reach every instance sharing the prompt. Each is validated against
+ * its own collection first; one the new template doesn't fit stays pinned to
+ * the previous version. Instances pinned to older versions are left alone.
+ * The version and the instance moves are written in one transaction (a neon-http
+ * batch - the driver has no interactive transactions).
+ * Returns { version, instancesUpdated, instancesPinned: [{ id, name, error }] }
+ */
+export async function createPromptVersion(db, promptId, { template, notes, createdBy, followLatest = false }) {
+  assertValidTemplate(template);
+
+  const previous = await getLatestVersion(db, promptId);
+  const version = {
+    id: generateId(),
+    created_date: new Date(),
+    created_by: createdBy,
+    prompt_id: promptId,
+    version: (previous?.version || 0) + 1,
+    template,
+    notes: notes || null
+  };
+
+  const movingIds = [];
+  const instancesPinned = [];
+  if (followLatest && previous) {
+    const following = await db.select().from(databaseInstances)
+      .where(eq(databaseInstances.prompt_version_id, previous.id));
+    for (const instance of following) {
+      const error = await validatePromptTemplates({ ...instance, prompt: template });
+      if (error) {
+        instancesPinned.push({ id: instance.id, name: instance.name, error });
+      } else {
+        movingIds.push(instance.id);
+      }
+    }
+  }
+
+  const [, , moved] = await db.batch([
+    db.insert(promptVersions).values(version),
+    db.update(prompts).set({ updated_date: new Date() }).where(eq(prompts.id, promptId)),
+    ...(movingIds.length > 0 ? [
+      db.update(databaseInstances)
+        .set({ prompt_version_id: version.id, prompt: template, updated_date: new Date() })
+        // Still on the previous version - one saved in the meantime keeps its own choice
+        .where(and(inArray(databaseInstances.id, movingIds), eq(databaseInstances.prompt_version_id, previous.id)))
+        .returning({ id: databaseInstances.id })
+    ] : [])
+  ]);
+
+  return { version, instancesUpdated: moved?.length || 0, instancesPinned };
+}
+
+/**
+ * Work out the prompt version an instance save should reference.
+ * - an existing version with its template unchanged is kept
+ * - an edited template becomes a new version of the same prompt (only this instance moves)
+ * - an inline prompt with no version becomes a new library prompt
+ * Returns { prompt_version_id, prompt }, or null when the instance has no prompt.
+ */
+export async function resolveInstancePromptVersion(db, data, author) {
+  if (data.prompt_version_id) {
+    const [current] = await db
+      .select()
+      .from(promptVersions)
+      .where(eq(promptVersions.id, data.prompt_version_id));
+
+    if (!current) {
+      throw promptError('Prompt version not found', 404);
+    }
+    if (data.prompt === undefined || data.prompt === current.template) {
+      return { prompt_version_id: current.id, prompt: current.template };
+    }
+
+    const { version } = await createPromptVersion(db, current.prompt_id, {
+      template: data.prompt,
+      notes: data.prompt_notes || `Edited from instance ${data.name || ''}`.trim(),
+      createdBy: author
+    });
+    return { prompt_version_id: version.id, prompt: version.template };
+  }
+
+  if (!data.prompt || !data.prompt.trim()) {
+    return null;
+  }
+
+  assertValidTemplate(data.prompt);
+  const promptId = generateId();
+  const now = new Date();
+  await db.insert(prompts).values({
+    id: promptId,
+    created_date: now,
+    updated_date: now,
+    created_by: author,
+    name: data.name || 'Untitled prompt',
+    description: data.name ? `Created with instance ${data.name}` : null,
+    ai_operation: null
+  });
+  const { version } = await createPromptVersion(db, promptId, {
+    template: data.prompt,
+    notes: data.prompt_notes || 'Initial version',
+    createdBy: author
+  });
+  return { prompt_version_id: version.id, prompt: version.template };
+}
+
+// List prompts with their latest version and how many instances use them
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const db = getDb();
+
+    const allPrompts = await db.select().from(prompts).orderBy(prompts.name);
+    if (allPrompts.length === 0) {
+      return res.json({ data: [] });
+    }
+
+    const versions = await db
+      .select()
+      .from(promptVersions)
+      .where(inArray(promptVersions.prompt_id, allPrompts.map(p => p.id)))
+      .orderBy(desc(promptVersions.version));
+
+    const usage = await db
+      .select({ prompt_version_id: databaseInstances.prompt_version_id, count: sql`count(*)::int` })
+      .from(databaseInstances)
+      .groupBy(databaseInstances.prompt_version_id);
+    const usageByVersion = new Map(usage.map(u => [u.prompt_version_id, u.count]));
+
+    const data = allPrompts.map(prompt => {
+      const promptVersionsList = versions.filter(v => v.prompt_id === prompt.id);
+      return {
+        ...prompt,
+        latest_version: promptVersionsList[0] || null,
+        version_count: promptVersionsList.length,
+        instance_count: promptVersionsList.reduce((sum, v) => sum + (usageByVersion.get(v.id) || 0), 0)
+      };
+    });
+
+    res.json({ data });
+  } catch (error) {
+    console.error('List prompts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a prompt with its first version
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { name, description, ai_operation, template, notes } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Missing prompt name' });
+    }
+    assertValidTemplate(template);
+
+    const db = getDb();
+    const now = new Date();
+    const prompt = {
+      id: generateId(),
+      created_date: now,
+      updated_date: now,
+      created_by: req.user?.email || 'unknown',
+      name: name.trim(),
+      description: description || null,
+      ai_operation: ai_operation || null
+    };
+    await db.insert(prompts).values(prompt);
+
+    const { version } = await createPromptVersion(db, prompt.id, {
+      template,
+      notes: notes || 'Initial version',
+      createdBy: req.user?.email || 'unknown'
+    });
+
+    res.json({ data: { ...prompt, latest_version: version } });
+  } catch (error) {
+    console.error('Create prompt error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Get a prompt with every version (newest first) and the instances using each
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    const db = getDb();
+
+    const [prompt] = await db.select().from(prompts).where(eq(prompts.id, req.params.id));
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const versions = await db
+      .select()
+      .from(promptVersions)
+      .where(eq(promptVersions.prompt_id, prompt.id))
+      .orderBy(desc(promptVersions.version));
+
+    const instances = versions.length > 0
+      ? await db
+        .select({ id: databaseInstances.id, name: databaseInstances.name, prompt_version_id: databaseInstances.prompt_version_id })
+        .from(databaseInstances)
+        .where(inArray(databaseInstances.prompt_version_id, versions.map(v => v.id)))
+      : [];
+
+    res.json({
+      data: {
+        ...prompt,
+        versions: versions.map(version => ({
+          ...version,
+          instances: instances.filter(i => i.prompt_version_id === version.id).map(({ id, name }) => ({ id, name }))
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get prompt error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a prompt's name and description (templates change through versions)
+router.put('/:id', requireAuth, async (req, res) => {
+  try {
+    const { name, description, ai_operation } = req.body;
+    const db = getDb();
+
+    const [updated] = await db.update(prompts)
+      .set({
+        ...(name !== undefined ? { name } : {}),
+        ...(description !== undefined ? { description } : {}),
+        ...(ai_operation !== undefined ? { ai_operation: ai_operation || null } : {}),
+        updated_date: new Date()
+      })
+      .where(eq(prompts.id, req.params.id))
+      .returning();
+
+    if (!updated) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    res.json({ data: updated });
+  } catch (error) {
+    console.error('Update prompt error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a new version; instances on the previous latest version follow it
+router.post('/:id/versions', requireAuth, async (req, res) => {
+  try {
+    const { template, notes } = req.body;
+    const db = getDb();
+
+    const [prompt] = await db.select().from(prompts).where(eq(prompts.id, req.params.id));
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+
+    const latest = await getLatestVersion(db, prompt.id);
+    if (latest && latest.template === template) {
+      return res.status(400).json({ error: `Template is unchanged from version ${latest.version}` });
+    }
+
+    const { version, instancesUpdated, instancesPinned } = await createPromptVersion(db, prompt.id, {
+      template,
+      notes,
+      createdBy: req.user?.email || 'unknown',
+      followLatest: true
+    });
+
+    res.json({ data: version, instances_updated: instancesUpdated, instances_pinned: instancesPinned });
+  } catch (error) {
+    console.error('Create prompt version error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Roll back to an earlier version by saving its template as a new version,
+// so history stays linear and the rollback itself is recorded
+router.post('/:id/rollback', requireAuth, async (req, res) => {
+  try {
+    const { version_id } = req.body;
+
+    if (!version_id) {
+      return res.status(400).json({ error: 'Missing version_id' });
+    }
+
+    const db = getDb();
+    const [target] = await db.select().from(promptVersions).where(eq(promptVersions.id, version_id));
+    if (!target || target.prompt_id !== req.params.id) {
+      return res.status(404).json({ error: 'Prompt version not found' });
+    }
+
+    const latest = await getLatestVersion(db, req.params.id);
+    if (latest.id === target.id) {
+      return res.status(400).json({ error: `Version ${target.version} is already the latest version` });
+    }
+
+    const { version, instancesUpdated, instancesPinned } = await createPromptVersion(db, req.params.id, {
+      template: target.template,
+      notes: `Rolled back to version ${target.version}`,
+      createdBy: req.user?.email || 'unknown',
+      followLatest: true
+    });
+
+    res.json({ data: version, instances_updated: instancesUpdated, instances_pinned: instancesPinned });
+  } catch (error) {
+    console.error('Rollback prompt error:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -1,9 +1,10 @@
 import express from 'express';
-import OpenAI from 'openai';
 import { getDb } from '../db/client.js';
 import { databaseInstances } from '../db/schema.js';
 import { eq } from 'drizzle-orm';
 import { requireAuth } from '../middleware/auth.js';
+import { embedTexts } from '../embeddings/index.js';
+import { getRateLimiter, parseRateLimitHeaders, zillizRateLimitKey } from '../workers/rate-limiter.js';
 
 const router = express.Router();
 
@@ -34,16 +35,19 @@ router.post('/', requireAuth, async (req, res) => {
 
     console.log(`Query instance: ${instance.name}, search: "${search_term}"`);
 
-    // Initialize OpenAI
-    const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
     // Generate embedding for search term
-    const embeddingResponse = await openai.embeddings.create({
-      model: instance.embedding_model_name,
-      input: search_term
+    const embeddingResponse = await embedTexts(instance.embedding_model_name, [search_term], {
+      purpose: 'query',
+      dimensions: instance.embedding_dimensions
     });
 
-    const searchVector = embeddingResponse.data[0].embedding;
+    const searchVector = embeddingResponse.embeddings[0];
+
+    if (instance.embedding_dimensions && searchVector.length !== instance.embedding_dimensions) {
+      return res.status(400).json({
+        error: `Embedding has ${searchVector.length} dimensions but the collection expects ${instance.embedding_dimensions}. Check the instance's embedding model.`
+      });
+    }
 
     // Query Zilliz
     const zillizUrl = `${instance.zilliz_endpoint}/v2/vectordb/entities/search`;
@@ -56,22 +60,27 @@ router.post('/', requireAuth, async (req, res) => {
 
     console.log(`Querying Zilliz: ${zillizUrl}`);
 
-    const zillizResponse = await fetch(zillizUrl, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${instance.zilliz_token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(queryPayload)
-    });
-
-    if (!zillizResponse.ok) {
-      const errorText = await zillizResponse.text();
-      console.error('Zilliz error:', errorText);
-      return res.status(500).json({
-        error: `Zilliz API error: ${errorText}`
+    // Shares the cluster's rate limiter with any jobs writing to it
+    const zillizResponse = await getRateLimiter(zillizRateLimitKey(instance.zilliz_endpoint)).run(async () => {
+      const response = await fetch(zillizUrl, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${instance.zilliz_token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(queryPayload)
       });
-    }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        console.error('Zilliz error:', errorText);
+        const error = new Error(`Zilliz API error: ${errorText}`);
+        error.status = response.status;
+        error.rateLimit = parseRateLimitHeaders(response.headers);
+        throw error;
+      }
+      return response;
+    });
 
     let responseText = await zillizResponse.text();
     // Handle large IDs by converting them to strings
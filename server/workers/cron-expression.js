@@ -0,0 +1,238 @@
+import cron from 'node-cron';
+
+/**
+ * Cron expression support for the 'cron' schedule frequency
+ * Standard 5-field expressions: minute hour day-of-month month day-of-week.
+ * Day-of-month and day-of-week are combined with AND (matching node-cron),
+ * so '0 9 1-7 * 1' means "09:00 on the first Monday of the month".
+ */
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const FIELDS = [
+  { key: 'minutes', label: 'minute', unit: 'minute', min: 0, max: 59 },
+  { key: 'hours', label: 'hour', unit: 'hour', min: 0, max: 23 },
+  { key: 'daysOfMonth', label: 'day of month', unit: 'day', min: 1, max: 31 },
+  { key: 'months', label: 'month', unit: 'month', min: 1, max: 12, names: MONTH_NAMES },
+  { key: 'daysOfWeek', label: 'day of week', unit: 'day', min: 0, max: 7, names: DAY_NAMES }
+];
+
+const ORDINALS = { 1: 'first', 8: 'second', 15: 'third', 22: 'fourth' };
+
+function parseValue(token, field) {
+  if (/^\d+$/.test(token)) {
+    const value = parseInt(token, 10);
+    if (value < field.min || value > field.max) {
+      throw new Error(`${token} is out of range for ${field.label} (${field.min}-${field.max})`);
+    }
+    return value;
+  }
+
+  if (field.names) {
+    const index = field.names.findIndex(name => name.slice(0, 3).toLowerCase() === token.toLowerCase());
+    if (index !== -1) {
+      return field.key === 'months' ? index + 1 : index;
+    }
+  }
+
+  throw new Error(`Invalid ${field.label} value "${token}"`);
+}
+
+// Expand one field (e.g. '*/15', '1-5', 'mon,wed,fri') into a sorted array of values
+function expandField(raw, field) {
+  const values = new Set();
+
+  for (const part of raw.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || !range) {
+      throw new Error(`Invalid ${field.label} field "${raw}"`);
+    }
+
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid step "${stepText}" in ${field.label} field`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.key === 'daysOfWeek' ? 6 : field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid range "${range}" in ${field.label} field`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // 7 is an alias for Sunday
+      values.add(field.key === 'daysOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression into expanded value lists.
+ * Throws an Error describing the first problem found.
+ */
+export function parseCronExpression(expression) {
+  const parts = (expression || '').trim().split(/\s+/).filter(Boolean);
+
+  if (parts.length !== 5) {
+    throw new Error(`Expected 5 fields (minute hour day-of-month month day-of-week), got ${parts.length}`);
+  }
+
+  const parsed = { raw: parts };
+  FIELDS.forEach((field, i) => {
+    parsed[field.key] = expandField(parts[i], field);
+  });
+
+  // Anything we accept must also be accepted by node-cron
+  if (!cron.validate(parts.join(' '))) {
+    throw new Error('Expression is not supported by the scheduler');
+  }
+
+  return parsed;
+}
+
+export function validateCronExpression(expression) {
+  try {
+    parseCronExpression(expression);
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+/**
+ * Whether a parsed expression fires on the given calendar day
+ * ({ month (1-12), day, weekday (0=Sunday) })
+ */
+export function cronMatchesDay(parsed, { month, day, weekday }) {
+  return parsed.months.includes(month)
+    && parsed.daysOfMonth.includes(day)
+    && parsed.daysOfWeek.includes(weekday);
+}
+
+// Times of day ({ hour, minute }) a parsed expression fires at
+export function cronDailySlots(parsed) {
+  const slots = [];
+  for (const hour of parsed.hours) {
+    for (const minute of parsed.minutes) {
+      slots.push({ hour, minute });
+    }
+  }
+  return slots;
+}
+
+// ===== Human-readable descriptions =====
+
+const pad = (value) => String(value).padStart(2, '0');
+
+function isPlainList(raw) {
+  return /^\d+(,\d+)*$/.test(raw);
+}
+
+function joinList(items) {
+  if (items.length <= 1) return items.join('');
+  return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+// Describe a raw field like '1-5' or 'mon,wed' using formatValue for each value
+function describeParts(raw, field, formatValue) {
+  const describe = (token) => formatValue(parseValue(token, field));
+
+  return joinList(raw.split(',').map(part => {
+    const [range, step] = part.split('/');
+    const rangeText = range === '*'
+      ? null
+      : range.includes('-')
+        ? `${describe(range.split('-')[0])} through ${describe(range.split('-')[1])}`
+        : describe(range);
+
+    if (step) {
+      const every = `every ${step}${ordinalSuffix(step)} ${field.unit}`;
+      return rangeText ? `${every} from ${rangeText}` : every;
+    }
+    return rangeText;
+  }));
+}
+
+function ordinalSuffix(n) {
+  const value = parseInt(n, 10);
+  if (value % 100 >= 11 && value % 100 <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[value % 10] || 'th';
+}
+
+function describeTime(minuteRaw, hourRaw) {
+  // Fixed times: '0 9' -> 'At 09:00', '30 9,21' -> 'At 09:30 and 21:30'
+  if (isPlainList(minuteRaw) && isPlainList(hourRaw)) {
+    const minutes = minuteRaw.split(',').map(Number);
+    const hours = hourRaw.split(',').map(Number);
+    if (minutes.length * hours.length <= 6) {
+      const times = [];
+      for (const hour of hours) {
+        for (const minute of minutes) times.push(`${pad(hour)}:${pad(minute)}`);
+      }
+      return `At ${joinList(times)}`;
+    }
+  }
+
+  let text;
+  if (minuteRaw === '*') {
+    text = 'Every minute';
+  } else if (/^\*\/\d+$/.test(minuteRaw)) {
+    text = `Every ${minuteRaw.slice(2)} minutes`;
+  } else {
+    text = `At minute ${describeParts(minuteRaw, FIELDS[0], String)} past the hour`;
+  }
+
+  if (hourRaw === '*') return text;
+  if (/^\*\/\d+$/.test(hourRaw)) return `${text}, every ${hourRaw.slice(2)} hours`;
+  if (/^\d+-\d+$/.test(hourRaw)) {
+    const [from, to] = hourRaw.split('-').map(Number);
+    return `${text}, between ${pad(from)}:00 and ${pad(to)}:59`;
+  }
+  return `${text}, during hour ${describeParts(hourRaw, FIELDS[1], (h) => `${pad(h)}:00`)}`;
+}
+
+/**
+ * Human-readable description, e.g.
+ * '*\/15 8-17 * * 1-5' -> 'Every 15 minutes, between 08:00 and 17:59, on Monday through Friday'
+ */
+export function describeCronExpression(expression) {
+  const { raw } = parseCronExpression(expression);
+  const [minuteRaw, hourRaw, domRaw, monthRaw, dowRaw] = raw;
+  const phrases = [describeTime(minuteRaw, hourRaw)];
+
+  // 'N-N+6' day-of-month with a single weekday -> 'the first Monday of the month'
+  const weekRange = /^(\d+)-(\d+)$/.exec(domRaw);
+  if (weekRange && ORDINALS[weekRange[1]] && Number(weekRange[2]) === Number(weekRange[1]) + 6 && !/[,\-/*]/.test(dowRaw)) {
+    const dayName = DAY_NAMES[parseValue(dowRaw, FIELDS[4]) % 7];
+    phrases.push(`on the ${ORDINALS[weekRange[1]]} ${dayName} of the month`);
+  } else {
+    if (domRaw !== '*') {
+      const prefix = domRaw.includes('/') ? 'on' : 'on day';
+      phrases.push(`${prefix} ${describeParts(domRaw, FIELDS[2], String)} of the month`);
+    }
+    if (dowRaw !== '*') {
+      phrases.push(`on ${describeParts(dowRaw, FIELDS[4], (d) => DAY_NAMES[d % 7])}`);
+    }
+  }
+
+  if (monthRaw !== '*') {
+    phrases.push(`in ${describeParts(monthRaw, FIELDS[3], (m) => MONTH_NAMES[m - 1])}`);
+  }
+
+  return phrases.join(', ');
+}
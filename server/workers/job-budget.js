@@ -0,0 +1,131 @@
+/**
+ * Budget caps for augmentor jobs
+ * A job can carry its own caps (copied from the instance's job caps when it is
+ * created), and an instance can cap its spend per calendar month (UTC) across
+ * all of its jobs. Each cap is in USD, in tokens (prompt + completion +
+ * embedding), or both; null means uncapped.
+ *
+ * Monthly spend is summed from job_records by record date, so a job that runs
+ * across a month boundary counts toward the month each record was processed in.
+ */
+
+import { and, eq, gte, sql } from 'drizzle-orm';
+import { jobRecords } from '../db/schema.js';
+
+export const BUDGET_PAUSE_REASON = 'budget';
+
+export const INSTANCE_BUDGET_FIELDS = ['job_budget_usd', 'job_budget_tokens', 'monthly_budget_usd', 'monthly_budget_tokens'];
+export const JOB_BUDGET_FIELDS = ['budget_usd', 'budget_tokens'];
+
+const monthStart = () => sql`date_trunc('month', now() at time zone 'utc')`;
+const recordTokens = sql`coalesce(${jobRecords.input_tokens}, 0) + coalesce(${jobRecords.output_tokens}, 0) + coalesce(${jobRecords.embedding_tokens}, 0)`;
+
+/**
+ * Normalize the cap fields present in `data`, in place: '' or null clears a
+ * cap, token caps are rounded to whole tokens. Returns an error message, or
+ * null when every cap is a non-negative number.
+ */
+export function normalizeBudgetCaps(data, fields) {
+  for (const field of fields) {
+    if (!(field in data)) continue;
+
+    const value = data[field];
+    if (value === '' || value === null) {
+      data[field] = null;
+      continue;
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      return `${field} must be a non-negative number`;
+    }
+    data[field] = field.endsWith('_tokens') ? Math.round(number) : number;
+  }
+  return null;
+}
+
+export function hasBudgetCaps(job, instance) {
+  return [job.budget_usd, job.budget_tokens, instance.monthly_budget_usd, instance.monthly_budget_tokens]
+    .some(cap => cap !== null && cap !== undefined);
+}
+
+// { cost_usd, tokens } spent by an instance this calendar month
+export async function getMonthlySpend(db, instanceId) {
+  const [spend] = await db
+    .select({
+      cost_usd: sql`coalesce(sum(${jobRecords.cost_usd}), 0)::float8`,
+      tokens: sql`coalesce(sum(${recordTokens}), 0)::float8`
+    })
+    .from(jobRecords)
+    .where(and(eq(jobRecords.instance_id, instanceId), gte(jobRecords.created_date, monthStart())));
+  return spend;
+}
+
+// Map of instance id -> this month's cost_usd, for the instance list
+export async function getMonthlySpendByInstance(db) {
+  const rows = await db
+    .select({
+      instance_id: jobRecords.instance_id,
+      cost_usd: sql`coalesce(sum(${jobRecords.cost_usd}), 0)::float8`
+    })
+    .from(jobRecords)
+    .where(gte(jobRecords.created_date, monthStart()))
+    .groupBy(jobRecords.instance_id);
+  return new Map(rows.map(row => [row.instance_id, row.cost_usd]));
+}
+
+function jobTokens(job) {
+  return (job.input_tokens || 0) + (job.output_tokens || 0) + (job.embedding_tokens || 0);
+}
+
+function formatUsd(value) {
+  return `$${value.toFixed(2)}`;
+}
+
+/**
+ * The first cap a job has reached, as { scope: 'job' | 'instance', message },
+ * or null while it is within budget. `pending` is spend not yet saved to the
+ * job or the ledger (calls made earlier in the current batch).
+ */
+export function findExceededCap(job, instance, monthlySpend, pending = { cost_usd: 0, tokens: 0 }) {
+  const jobCost = (job.cost_usd || 0) + pending.cost_usd;
+  const jobTokenCount = jobTokens(job) + pending.tokens;
+  const monthCost = (monthlySpend?.cost_usd || 0) + pending.cost_usd;
+  const monthTokens = (monthlySpend?.tokens || 0) + pending.tokens;
+
+  if (job.budget_usd !== null && job.budget_usd !== undefined && jobCost >= job.budget_usd) {
+    return { scope: 'job', message: `Job budget reached: spent ${formatUsd(jobCost)} of its ${formatUsd(job.budget_usd)} cap` };
+  }
+  if (job.budget_tokens !== null && job.budget_tokens !== undefined && jobTokenCount >= job.budget_tokens) {
+    return { scope: 'job', message: `Job token budget reached: used ${jobTokenCount} of its ${job.budget_tokens} token cap` };
+  }
+  if (instance.monthly_budget_usd !== null && instance.monthly_budget_usd !== undefined && monthCost >= instance.monthly_budget_usd) {
+    return { scope: 'instance', message: `Monthly budget for ${instance.name} reached: spent ${formatUsd(monthCost)} of its ${formatUsd(instance.monthly_budget_usd)} cap this month` };
+  }
+  if (instance.monthly_budget_tokens !== null && instance.monthly_budget_tokens !== undefined && monthTokens >= instance.monthly_budget_tokens) {
+    return { scope: 'instance', message: `Monthly token budget for ${instance.name} reached: used ${monthTokens} of its ${instance.monthly_budget_tokens} token cap this month` };
+  }
+  return null;
+}
+
+/**
+ * Budget check for one batch: loads this month's spend once, then tracks the
+ * calls the batch makes so each Pass 2 call can be checked before it is sent.
+ * Returns null when neither the job nor the instance has a cap.
+ */
+export async function createBatchBudget(db, job, instance) {
+  if (!hasBudgetCaps(job, instance)) return null;
+
+  const monthlySpend = await getMonthlySpend(db, instance.id);
+  const pending = { cost_usd: 0, tokens: 0 };
+
+  return {
+    charge(usage, costUsd) {
+      pending.tokens += (usage?.input_tokens || 0) + (usage?.output_tokens || 0);
+      pending.cost_usd += costUsd || 0;
+    },
+    exceeded() {
+      return findExceededCap(job, instance, monthlySpend, pending);
+    }
+  };
+}
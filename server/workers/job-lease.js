@@ -0,0 +1,84 @@
+/**
+ * Job leasing for batch processing
+ * A worker claims a job with a single conditional UPDATE, so only one
+ * worker (or server replica) can process a job's batch at a time. The lease
+ * is extended by a heartbeat while the batch runs; if the worker crashes the
+ * lease simply expires and the job can be picked up again.
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+import { and, eq, isNull, lt, or, sql } from 'drizzle-orm';
+import { getDb } from '../db/client.js';
+import { jobs } from '../db/schema.js';
+
+// Identifies this process in jobs.lease_owner
+export const WORKER_ID = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+const LEASE_SECONDS = 120;
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Spread into an update's .set() to give the lease back
+export const RELEASED_LEASE = { lease_owner: null, lease_expires_at: null };
+
+// Database time is used throughout so clock skew between replicas doesn't matter
+const leaseExpiry = () => sql`now() + make_interval(secs => ${LEASE_SECONDS})`;
+
+// Where clause matching the job only while this worker holds its lease
+export function heldLease(jobId) {
+  return and(eq(jobs.id, jobId), eq(jobs.lease_owner, WORKER_ID));
+}
+
+export function isLeaseActive(job, now = new Date()) {
+  return !!job.lease_expires_at && new Date(job.lease_expires_at) > now;
+}
+
+/**
+ * Atomically claim a job. Returns the updated job row, or null if another
+ * worker holds an unexpired lease.
+ */
+export async function acquireJobLease(jobId) {
+  const db = getDb();
+
+  const [job] = await db.update(jobs)
+    .set({ lease_owner: WORKER_ID, lease_expires_at: leaseExpiry(), updated_date: new Date() })
+    .where(and(
+      eq(jobs.id, jobId),
+      or(isNull(jobs.lease_expires_at), lt(jobs.lease_expires_at, sql`now()`))
+    ))
+    .returning();
+
+  return job || null;
+}
+
+/**
+ * Keep extending the lease while a batch runs.
+ * isLost() turns true if another worker took the job over (e.g. after a long stall).
+ */
+export function startLeaseHeartbeat(jobId) {
+  const db = getDb();
+  let lost = false;
+
+  const interval = setInterval(async () => {
+    try {
+      const renewed = await db.update(jobs)
+        .set({ lease_expires_at: leaseExpiry() })
+        .where(heldLease(jobId))
+        .returning({ id: jobs.id });
+
+      if (renewed.length === 0) {
+        lost = true;
+        clearInterval(interval);
+        console.error(`[Lease] Worker ${WORKER_ID} lost the lease on job ${jobId}`);
+      }
+    } catch (error) {
+      // Transient DB errors are fine - the lease has headroom for a missed beat
+      console.error(`[Lease] Heartbeat failed for job ${jobId}:`, error.message);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  return {
+    stop: () => clearInterval(interval),
+    isLost: () => lost
+  };
+}
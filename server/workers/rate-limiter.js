@@ -0,0 +1,311 @@
+/**
+ * Process-wide rate limiting for AI, embedding and Zilliz calls
+ * Every call goes through a limiter keyed by "<provider>/<model>" (or
+ * "zilliz/<host>"), shared by every job, dry run and query in this process,
+ * so concurrent jobs no longer multiply their per-batch limits.
+ *
+ * Each key has a concurrency limit and optional requests-per-minute and
+ * tokens-per-minute limits. They come from RATE_LIMITS, a JSON object keyed by
+ * exact key, provider id or "*", most specific first:
+ *   RATE_LIMITS={"*":{"concurrency":8},"openai/gpt-4o":{"rpm":500,"tpm":30000},"zilliz":{"concurrency":4}}
+ *
+ * Limiters adapt to what providers report: Retry-After and exhausted
+ * x-ratelimit-* / anthropic-ratelimit-* headers pause the key until the reset,
+ * reported request and token limits are adopted when none are configured, and
+ * each 429 halves the key's concurrency, which then recovers one slot per run
+ * of successful calls.
+ */
+
+const WINDOW_MS = 60000;
+const DEFAULT_LIMITS = { concurrency: 8, rpm: null, tpm: null };
+const RATE_LIMITED_PAUSE_MS = 5000; // Pause after a 429 that doesn't say how long to wait
+const RECOVERY_SUCCESSES = 20; // Successful calls before a throttled key gets a slot back
+
+const limiters = new Map();
+
+let cachedConfig = null;
+let cachedConfigSource = null;
+
+function getRateLimitConfig() {
+  const source = process.env.RATE_LIMITS || '';
+  if (source === cachedConfigSource) return cachedConfig;
+
+  cachedConfigSource = source;
+  cachedConfig = {};
+  if (source.trim()) {
+    try {
+      const parsed = JSON.parse(source);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        cachedConfig = parsed;
+      } else {
+        console.error('RATE_LIMITS must be a JSON object keyed by provider/model - ignoring it');
+      }
+    } catch (error) {
+      console.error('RATE_LIMITS is not valid JSON - ignoring it:', error.message);
+    }
+  }
+  return cachedConfig;
+}
+
+// Positive numbers only - anything else means "not limited"
+function toLimit(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+function getConfiguredLimits(key) {
+  const config = getRateLimitConfig();
+  const provider = key.split('/')[0];
+  const merged = { ...DEFAULT_LIMITS, ...config['*'], ...config[provider], ...config[key] };
+  return {
+    concurrency: Math.max(1, Math.floor(toLimit(merged.concurrency) || DEFAULT_LIMITS.concurrency)),
+    rpm: toLimit(merged.rpm),
+    tpm: toLimit(merged.tpm)
+  };
+}
+
+// Durations as sent in rate-limit headers: "20ms", "1s", "6m0s", "1h2m3.5s" or plain seconds
+function parseDuration(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text) * 1000);
+
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) {
+    total += parseFloat(amount) * units[unit];
+    matched = true;
+  }
+  return matched ? Math.round(total) : null;
+}
+
+// Milliseconds until a reset given as a duration or an absolute date
+function parseReset(value) {
+  const duration = parseDuration(value);
+  if (duration !== null) return duration;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function toCount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Rate-limit information from response headers (a fetch Headers object or a
+ * plain object), or null when the response carried none.
+ * Returns { retryAfterMs, limitRequests, limitTokens, remainingRequests,
+ * remainingTokens, resetRequestsMs, resetTokensMs } with null for missing values.
+ */
+export function parseRateLimitHeaders(headers) {
+  if (!headers) return null;
+  const get = (name) => (typeof headers.get === 'function' ? headers.get(name) : headers[name]) ?? null;
+
+  const retryAfterMs = get('retry-after-ms') !== null
+    ? toCount(get('retry-after-ms'))
+    : get('retry-after') !== null ? parseReset(get('retry-after')) : null;
+
+  const info = {
+    retryAfterMs,
+    limitRequests: toCount(get('x-ratelimit-limit-requests') ?? get('anthropic-ratelimit-requests-limit')),
+    limitTokens: toCount(get('x-ratelimit-limit-tokens') ?? get('anthropic-ratelimit-tokens-limit')),
+    remainingRequests: toCount(get('x-ratelimit-remaining-requests') ?? get('anthropic-ratelimit-requests-remaining')),
+    remainingTokens: toCount(get('x-ratelimit-remaining-tokens') ?? get('anthropic-ratelimit-tokens-remaining')),
+    resetRequestsMs: parseReset(get('x-ratelimit-reset-requests') ?? get('anthropic-ratelimit-requests-reset')),
+    resetTokensMs: parseReset(get('x-ratelimit-reset-tokens') ?? get('anthropic-ratelimit-tokens-reset'))
+  };
+  return Object.values(info).some(value => value !== null) ? info : null;
+}
+
+// Rate-limit information from a retry delay such as Gemini's RetryInfo ("23s")
+export function rateLimitFromRetryDelay(retryDelay) {
+  const retryAfterMs = parseDuration(retryDelay);
+  return retryAfterMs === null ? null : { retryAfterMs };
+}
+
+function createRateLimiter(key, configured) {
+  const limits = { ...configured };
+  const recent = []; // { at, tokens } for calls started in the last minute
+  let waiters = []; // Resolvers for the call at the head of the queue
+  let active = 0;
+  let queued = 0;
+  let pausedUntil = 0;
+  let concurrency = limits.concurrency; // Lowered by 429s, restored gradually
+  let successesSinceThrottle = 0;
+  let turn = Promise.resolve(); // Calls take capacity in arrival order
+
+  function prune(now) {
+    while (recent.length > 0 && now - recent[0].at >= WINDOW_MS) recent.shift();
+  }
+
+  function tokensInWindow() {
+    return recent.reduce((sum, call) => sum + call.tokens, 0);
+  }
+
+  // Milliseconds until a call of `tokens` may start; Infinity while at the concurrency limit
+  function getWait(tokens, now) {
+    prune(now);
+    if (pausedUntil > now) return pausedUntil - now;
+    if (active >= concurrency) return Infinity;
+
+    const untilOldestExpires = recent.length > 0 ? recent[0].at + WINDOW_MS - now : 0;
+    if (limits.rpm && recent.length >= limits.rpm) return untilOldestExpires;
+    // A call larger than the whole budget still goes through once the window is empty
+    if (limits.tpm && recent.length > 0 && tokensInWindow() + tokens > limits.tpm) return untilOldestExpires;
+    return 0;
+  }
+
+  function notify() {
+    const resolvers = waiters;
+    waiters = [];
+    resolvers.forEach(resolve => resolve());
+  }
+
+  async function acquire(tokens) {
+    for (;;) {
+      const wait = getWait(tokens, Date.now());
+      if (wait === 0) break;
+      await new Promise(resolve => {
+        waiters.push(resolve);
+        if (wait !== Infinity) setTimeout(resolve, wait);
+      });
+    }
+    active++;
+    const call = { at: Date.now(), tokens };
+    recent.push(call);
+    return call;
+  }
+
+  function pauseFor(ms) {
+    if (ms > 0) pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+  }
+
+  function observe(info) {
+    if (!info) return;
+    pauseFor(info.retryAfterMs);
+    if (info.remainingRequests === 0) pauseFor(info.resetRequestsMs);
+    if (info.remainingTokens === 0) pauseFor(info.resetTokensMs);
+    if (!configured.rpm && info.limitRequests) limits.rpm = info.limitRequests;
+    if (!configured.tpm && info.limitTokens) limits.tpm = info.limitTokens;
+  }
+
+  function throttle(info) {
+    concurrency = Math.max(1, Math.floor(concurrency / 2));
+    successesSinceThrottle = 0;
+    if (!info?.retryAfterMs) pauseFor(RATE_LIMITED_PAUSE_MS);
+    console.warn(`[Rate limit] ${key} was rate limited - concurrency lowered to ${concurrency}${pausedUntil > Date.now() ? `, paused ${Math.round((pausedUntil - Date.now()) / 1000)}s` : ''}`);
+  }
+
+  function recover() {
+    if (concurrency >= limits.concurrency) return;
+    successesSinceThrottle++;
+    if (successesSinceThrottle >= RECOVERY_SUCCESSES) {
+      concurrency++;
+      successesSinceThrottle = 0;
+    }
+  }
+
+  return {
+    key,
+
+    /**
+     * Run `fn` once the key has capacity.
+     * options.tokens: estimated tokens, counted against tokens-per-minute
+     * options.usedTokens(result): actual tokens, replacing the estimate
+     * options.timeoutMs: time limit for the call itself - waiting for capacity doesn't count.
+     *   fn is called with { signal }, aborted when the time limit is reached; a call that
+     *   carries on anyway keeps its slot until it settles, so the concurrency limit holds.
+     */
+    async run(fn, { tokens = 0, usedTokens, timeoutMs, timeoutMessage } = {}) {
+      queued++;
+      const acquired = turn.then(() => acquire(tokens));
+      turn = acquired.catch(() => {});
+      let call;
+      try {
+        call = await acquired;
+      } finally {
+        queued--;
+      }
+
+      const controller = new AbortController();
+      let timeoutId;
+      let pending;
+      try {
+        pending = fn({ signal: controller.signal });
+        const result = await (timeoutMs
+          ? Promise.race([
+            pending,
+            new Promise((_, reject) => {
+              timeoutId = setTimeout(() => {
+                const error = new Error(timeoutMessage || `${key} request timed out after ${timeoutMs}ms`);
+                error.code = 'ETIMEDOUT';
+                controller.abort(error);
+                reject(error);
+              }, timeoutMs);
+            })
+          ])
+          : pending);
+
+        observe(result?.rateLimit);
+        recover();
+        const used = usedTokens?.(result);
+        if (used !== undefined && used !== null) call.tokens = used;
+        return result;
+      } catch (error) {
+        observe(error.rateLimit);
+        if (error.status === 429) throttle(error.rateLimit);
+        throw error;
+      } finally {
+        clearTimeout(timeoutId);
+        const release = () => {
+          active--;
+          notify();
+        };
+        if (controller.signal.aborted) {
+          Promise.resolve(pending).then(release, release);
+        } else {
+          release();
+        }
+      }
+    },
+
+    describe() {
+      const now = Date.now();
+      prune(now);
+      return {
+        key,
+        limits: { ...limits },
+        concurrency,
+        active,
+        queued,
+        requests_last_minute: recent.length,
+        tokens_last_minute: tokensInWindow(),
+        paused_for_ms: Math.max(0, pausedUntil - now)
+      };
+    }
+  };
+}
+
+export function getRateLimiter(key) {
+  if (!limiters.has(key)) {
+    limiters.set(key, createRateLimiter(key, getConfiguredLimits(key)));
+  }
+  return limiters.get(key);
+}
+
+// Limiter key for a Zilliz cluster - one per endpoint host
+export function zillizRateLimitKey(endpoint) {
+  try {
+    return `zilliz/${new URL(endpoint).host}`;
+  } catch {
+    return `zilliz/${endpoint}`;
+  }
+}
+
+// Current state of every limiter used since the process started
+export function listRateLimiters() {
+  return [...limiters.values()].map(limiter => limiter.describe());
+}
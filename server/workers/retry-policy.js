@@ -0,0 +1,139 @@
+/**
+ * Error classification and retry policy for AI, embedding and Zilliz calls
+ * Every failure falls into one class, and each class has its own retry budget
+ * and jittered backoff:
+ *   retryable          - timeouts, network errors, 5xx, 408, 409: a few quick retries
+ *   rate_limited       - 429, quota, overloaded: more retries with longer waits,
+ *                        never shorter than the provider's Retry-After
+ *   content_too_large  - context length exceeded, 413: retried with less content
+ *                        when the caller can shrink it, otherwise not at all
+ *   fatal              - auth, bad requests, missing configuration, bugs and
+ *                        anything else unrecognised: never retried
+ * The class is stored on the error (error.errorClass) and in job_records, so
+ * failures can be grouped by cause.
+ */
+
+export const ERROR_CLASSES = ['retryable', 'rate_limited', 'content_too_large', 'fatal'];
+
+const RETRY_POLICIES = {
+  retryable: { attempts: 4, baseDelayMs: 1000, maxDelayMs: 20000 },
+  rate_limited: { attempts: 8, baseDelayMs: 2000, maxDelayMs: 60000 },
+  content_too_large: { attempts: 3, baseDelayMs: 0, maxDelayMs: 0 },
+  fatal: { attempts: 1, baseDelayMs: 0, maxDelayMs: 0 }
+};
+
+const MIN_KEEP_FRACTION = 0.1; // Never shrink content below a tenth of the original
+
+const CONTENT_TOO_LARGE_PATTERN = /context[_ ]length|maximum context|prompt is too long|input is too long|too many tokens|token count .*exceeds|exceeds the maximum number of tokens|request[_ ]too[_ ]large|reduce the length/i;
+const RATE_LIMITED_PATTERN = /rate[_ ]limit|too many requests|quota|resource[_ ]exhausted|overloaded/i;
+const FATAL_PATTERN = /api key|not configured|unauthorized|permission denied|invalid x-api-key/i;
+
+// Node (ECONNRESET, ...) and undici (UND_ERR_SOCKET, ...) network failure codes
+const NETWORK_ERROR_CODE = /^(ECONNRESET|ECONNREFUSED|ECONNABORTED|ETIMEDOUT|EPIPE|ENOTFOUND|EAI_AGAIN|ENETUNREACH|EHOSTUNREACH|UND_ERR_\w+)$/;
+// Timeouts and aborts, including the OpenAI SDK's connection errors (which carry no code)
+const TRANSIENT_ERROR_NAMES = ['AbortError', 'TimeoutError', 'APIConnectionError', 'APIConnectionTimeoutError'];
+
+// A network failure, timeout or abort - here or in the errors it wraps (fetch puts the code on error.cause)
+function isTransientFailure(error) {
+  for (let current = error, depth = 0; current && depth < 5; current = current.cause, depth++) {
+    if (NETWORK_ERROR_CODE.test(current.code || '')) return true;
+    if (TRANSIENT_ERROR_NAMES.includes(current.name) || TRANSIENT_ERROR_NAMES.includes(current.constructor?.name)) return true;
+  }
+  return false;
+}
+
+export function classifyError(error) {
+  if (error?.errorClass) return error.errorClass;
+
+  const status = error?.status;
+  const message = `${error?.code || ''} ${error?.message || ''}`;
+
+  if (status === 413 || CONTENT_TOO_LARGE_PATTERN.test(message)) return 'content_too_large';
+  if (status === 429 || status === 529 || RATE_LIMITED_PATTERN.test(message)) return 'rate_limited';
+  if (error?.retryable === false || FATAL_PATTERN.test(message)) return 'fatal';
+  if (status >= 500 || status === 408 || status === 409 || isTransientFailure(error)) return 'retryable';
+  // Other 4xx, invalid replies and our own bugs (TypeError, ...) would fail the same way again
+  return 'fatal';
+}
+
+// Wait before the next attempt: exponential backoff with jitter, at least the provider's Retry-After
+function getRetryDelay(errorClass, classAttempt, error) {
+  const policy = RETRY_POLICIES[errorClass];
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, classAttempt - 1));
+  const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  return Math.max(delay, error.rateLimit?.retryAfterMs || 0);
+}
+
+// Context-length errors that state both the limit and the size sent, by provider
+const CONTEXT_LIMIT_MESSAGES = [
+  // OpenAI: "maximum context length is 8192 tokens. However, you requested 10000 tokens" / "your messages resulted in 10000 tokens"
+  { pattern: /maximum context length is ([\d,]+) tokens.*?(?:requested|resulted in) ([\d,]+) tokens/is, limit: 1, requested: 2 },
+  // Anthropic: "prompt is too long: 210000 tokens > 200000 maximum"
+  { pattern: /([\d,]+) tokens > ([\d,]+) maximum/i, limit: 2, requested: 1 },
+  // Gemini: "The input token count (1200000) exceeds the maximum number of tokens allowed (1048576)"
+  { pattern: /token count \(?([\d,]+)\)? exceeds the maximum number of tokens allowed \(?([\d,]+)\)?/i, limit: 2, requested: 1 }
+];
+
+/**
+ * How much of the content to keep after a context-length error: the reported
+ * limit over the reported size, with some margin. Halves it when the message
+ * isn't one of the known phrasings.
+ */
+function getShrinkFactor(error) {
+  const message = String(error.message || '');
+  for (const { pattern, limit, requested } of CONTEXT_LIMIT_MESSAGES) {
+    const match = message.match(pattern);
+    if (!match) continue;
+    const toCount = (value) => parseInt(value.replace(/,/g, ''), 10);
+    const ratio = toCount(match[limit]) / toCount(match[requested]);
+    if (ratio > 0 && ratio < 1) return Math.min(0.9, ratio * 0.9);
+  }
+  return 0.5;
+}
+
+// The first `keepFraction` of a text, cut at a word boundary
+export function shrinkContent(text, keepFraction) {
+  if (keepFraction >= 1 || !text) return text;
+  const cut = text.slice(0, Math.floor(text.length * keepFraction));
+  const lastSpace = cut.lastIndexOf(' ');
+  return lastSpace > cut.length * 0.8 ? cut.slice(0, lastSpace) : cut;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run `operation` with the retry policy of whatever it fails with.
+ * operation({ attempt, keepFraction }) - keepFraction is the share of the
+ * content to send, below 1 after context-length errors when `shrink` is set.
+ * Errors are rethrown with error.errorClass set.
+ */
+export async function withRetry(operation, { shrink = false } = {}) {
+  const attemptsByClass = {};
+  let keepFraction = 1;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation({ attempt, keepFraction });
+    } catch (error) {
+      const errorClass = classifyError(error);
+      error.errorClass = errorClass;
+      attemptsByClass[errorClass] = (attemptsByClass[errorClass] || 0) + 1;
+
+      const canShrink = shrink && keepFraction > MIN_KEEP_FRACTION;
+      if (errorClass === 'content_too_large' && !canShrink) throw error;
+      if (attemptsByClass[errorClass] >= RETRY_POLICIES[errorClass].attempts) throw error;
+
+      if (errorClass === 'content_too_large') {
+        keepFraction = Math.max(MIN_KEEP_FRACTION, keepFraction * getShrinkFactor(error));
+        console.log(`Attempt ${attempt} failed (${errorClass}): ${error.message}. Retrying with ${Math.round(keepFraction * 100)}% of the content...`);
+        continue;
+      }
+
+      const delay = getRetryDelay(errorClass, attemptsByClass[errorClass], error);
+      console.log(`Attempt ${attempt} failed (${errorClass}): ${error.message}. Retrying in ${delay}ms...`);
+      await sleep(delay);
+    }
+  }
+}
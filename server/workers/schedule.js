@@ -0,0 +1,356 @@
+/**
+ * Schedule evaluation for augmentor instances
+ * Understands the schedule_* fields written by CreateInstanceDialog
+ * (schedule_enabled, schedule_days, schedule_frequency, ...) as well as
+ * the legacy schedule_type/schedule_interval columns.
+ *
+ * All times of day are interpreted in the instance's schedule_timezone
+ * (IANA name, e.g. 'Europe/London'), not the server's local timezone.
+ */
+
+import { parseCronExpression, cronMatchesDay, cronDailySlots } from './cron-expression.js';
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const MAX_PREVIEW_DAYS = 400; // How far ahead getNextRunTimes will search
+
+// ===== Timezone helpers =====
+
+const formatterCache = new Map();
+
+function getPartsFormatter(timezone) {
+  if (!formatterCache.has(timezone)) {
+    formatterCache.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  return formatterCache.get(timezone);
+}
+
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function getScheduleTimezone(instance) {
+  return isValidTimezone(instance.schedule_timezone) ? instance.schedule_timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Wall-clock parts of `date` in `timezone`: { year, month (1-12), day, hour, minute, weekday (0=Sunday) }
+ */
+export function getZonedParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of getPartsFormatter(timezone).formatToParts(date)) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+  };
+}
+
+/**
+ * Convert a wall-clock time in `timezone` to a UTC Date.
+ * Times inside a DST gap resolve to the equivalent instant after the jump.
+ */
+export function zonedTimeToUtc({ year, month, day, hour, minute }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let guess = wallClock;
+
+  // Two passes settle the offset, including across DST transitions
+  for (let i = 0; i < 2; i++) {
+    const seen = getZonedParts(new Date(guess), timezone);
+    guess += wallClock - Date.UTC(seen.year, seen.month - 1, seen.day, seen.hour, seen.minute);
+  }
+
+  return new Date(guess);
+}
+
+// Calendar day `offset` days after the given { year, month, day }
+function addDays({ year, month, day }, offset) {
+  const date = new Date(Date.UTC(year, month - 1, day + offset));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+}
+
+// Format a run time for display in the instance's timezone
+export function formatInTimezone(date, timezone) {
+  return date.toLocaleString('en-GB', {
+    timeZone: timezone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZoneName: 'short'
+  });
+}
+
+// ===== Schedule fields =====
+
+// Parse schedule_days which is stored as a JSON string but returned as an array by the API
+export function parseScheduleDays(scheduleDays) {
+  if (!scheduleDays) return [];
+  if (Array.isArray(scheduleDays)) return scheduleDays;
+
+  try {
+    const parsed = JSON.parse(scheduleDays);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// Parse 'HH:MM' into { hour, minute }, falling back to the given default
+function parseTime(value, fallback = '09:00') {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || fallback) || /^(\d{1,2}):(\d{2})$/.exec(fallback);
+  const hour = Math.min(23, parseInt(match[1], 10));
+  const minute = Math.min(59, parseInt(match[2], 10));
+  return { hour, minute };
+}
+
+/**
+ * Times of day ({ hour, minute }) at which an instance runs on a selected day
+ */
+export function getDailySlots(instance) {
+  switch (instance.schedule_frequency) {
+    case 'twice_daily':
+      return [parseTime(instance.schedule_time, '09:00'), parseTime(instance.schedule_time_second, '21:00')]
+        .sort((a, b) => (a.hour * 60 + a.minute) - (b.hour * 60 + b.minute));
+
+    case 'every_x_hours': {
+      const interval = Math.max(1, Math.min(23, instance.schedule_hours_interval || 4));
+      const slots = [];
+      for (let hour = 0; hour < 24; hour += interval) {
+        slots.push({ hour, minute: 0 });
+      }
+      return slots;
+    }
+
+    case 'hourly':
+      return Array.from({ length: 24 }, (_, hour) => ({ hour, minute: 0 }));
+
+    case 'once_daily':
+    case 'daily': // Older dialog default
+    default:
+      return [parseTime(instance.schedule_time, '09:00')];
+  }
+}
+
+const cronCache = new Map();
+
+// Parsed schedule_cron, or null if missing/invalid (invalid expressions never run)
+function getParsedCron(instance) {
+  const expression = (instance.schedule_cron || '').trim();
+  if (!expression) return null;
+
+  if (!cronCache.has(expression)) {
+    let parsed = null;
+    try {
+      parsed = parseCronExpression(expression);
+    } catch (error) {
+      console.warn(`Invalid cron expression "${expression}": ${error.message}`);
+    }
+    cronCache.set(expression, parsed);
+  }
+  return cronCache.get(expression);
+}
+
+// Instances using the new schedule fields take precedence over legacy columns
+export function usesNewSchedule(instance) {
+  if (instance.schedule_enabled !== true) return false;
+
+  if (instance.schedule_frequency === 'cron') {
+    return !!(instance.schedule_cron || '').trim();
+  }
+  return parseScheduleDays(instance.schedule_days).length > 0;
+}
+
+// Legacy schedule type, or null when the instance has no legacy schedule. Only instances that
+// predate schedule_enabled (null) use the legacy columns - false means the schedule was turned
+// off, even though migrate-schedule-fields.js left the legacy values in place.
+function getLegacyScheduleType(instance) {
+  if (instance.schedule_enabled !== null && instance.schedule_enabled !== undefined) return null;
+  const scheduleType = instance.schedule_type || 'minutes'; // Default to minutes for legacy
+  if (scheduleType === 'disabled') return null;
+  if (scheduleType === 'minutes' && !(instance.schedule_interval > 0)) return null;
+  return scheduleType;
+}
+
+/**
+ * Times of day an instance runs on the given calendar day (in its timezone).
+ * Covers the new schedule fields and the legacy daily/weekly types.
+ */
+function getSlotsForDay(instance, day) {
+  if (usesNewSchedule(instance)) {
+    if (instance.schedule_frequency === 'cron') {
+      const parsed = getParsedCron(instance);
+      return parsed && cronMatchesDay(parsed, day) ? cronDailySlots(parsed) : [];
+    }
+
+    const days = parseScheduleDays(instance.schedule_days);
+    return days.includes(WEEKDAYS[day.weekday]) ? getDailySlots(instance) : [];
+  }
+
+  const legacySlot = { hour: instance.schedule_hour ?? 9, minute: instance.schedule_minute ?? 0 };
+  switch (getLegacyScheduleType(instance)) {
+    case 'daily':
+      return [legacySlot];
+    case 'weekly':
+      return day.weekday === (instance.schedule_day_of_week ?? 1) ? [legacySlot] : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Most recent scheduled run time at or before `now`, limited to today in the
+ * instance's timezone. Returns null if nothing is due today.
+ */
+export function getLatestDueSlot(instance, now) {
+  const timezone = getScheduleTimezone(instance);
+  const today = getZonedParts(now, timezone);
+  const nowMinuteOfDay = today.hour * 60 + today.minute;
+
+  // Latest wall-clock slot that has passed today
+  let latest = null;
+  for (const slot of getSlotsForDay(instance, today)) {
+    const minuteOfDay = slot.hour * 60 + slot.minute;
+    if (minuteOfDay <= nowMinuteOfDay && (!latest || minuteOfDay > latest.hour * 60 + latest.minute)) {
+      latest = slot;
+    }
+  }
+
+  if (!latest) return null;
+
+  const slotTime = zonedTimeToUtc({ ...today, ...latest }, timezone);
+  return slotTime <= now ? slotTime : null;
+}
+
+/**
+ * Determine if an instance should run based on its schedule configuration
+ */
+export function shouldInstanceRun(instance, now) {
+  if (usesNewSchedule(instance)) {
+    const slot = getLatestDueSlot(instance, now);
+    if (!slot) return false;
+
+    // Run once per slot
+    return !instance.last_run || new Date(instance.last_run) < slot;
+  }
+
+  // Enabled but no days (or cron expression) set, turned off, or no legacy schedule - nothing to run
+  if (!getLegacyScheduleType(instance)) return false;
+
+  return shouldLegacyInstanceRun(instance, now);
+}
+
+/**
+ * Legacy evaluation for schedule_type/schedule_interval columns
+ */
+function shouldLegacyInstanceRun(instance, now) {
+  // If no last run, it should run
+  if (!instance.last_run) {
+    return true;
+  }
+
+  const lastRun = new Date(instance.last_run);
+  const scheduleType = instance.schedule_type || 'minutes'; // Default to minutes for legacy
+
+  switch (scheduleType) {
+    case 'disabled':
+      return false;
+
+    case 'minutes': {
+      // Legacy behavior: check if enough minutes have passed
+      const minuteInterval = instance.schedule_interval || 0;
+      if (minuteInterval <= 0) return false;
+
+      const nextRunMinutes = new Date(lastRun);
+      nextRunMinutes.setMinutes(nextRunMinutes.getMinutes() + minuteInterval);
+      return now >= nextRunMinutes;
+    }
+
+    case 'daily':
+    case 'weekly': {
+      // Due if today's slot has passed and it hasn't run since
+      const slot = getLatestDueSlot(instance, now);
+      return !!slot && lastRun < slot;
+    }
+
+    default:
+      console.warn(`Unknown schedule type: ${scheduleType}`);
+      return false;
+  }
+}
+
+/**
+ * Next `count` run times after `from`, as UTC Dates.
+ * Returns an empty array if the instance has no active schedule.
+ */
+export function getNextRunTimes(instance, count = 5, from = new Date()) {
+  const runs = [];
+
+  if (!usesNewSchedule(instance)) {
+    const legacyType = getLegacyScheduleType(instance);
+    if (!legacyType) return runs;
+
+    if (legacyType === 'minutes') {
+      const intervalMs = instance.schedule_interval * 60 * 1000;
+      let next = instance.last_run ? new Date(new Date(instance.last_run).getTime() + intervalMs) : from;
+      if (next < from) next = from; // Overdue - runs on the next scheduler tick
+
+      while (runs.length < count) {
+        runs.push(next);
+        next = new Date(next.getTime() + intervalMs);
+      }
+      return runs;
+    }
+  }
+
+  const timezone = getScheduleTimezone(instance);
+  const today = getZonedParts(from, timezone);
+
+  const fromMinuteOfDay = today.hour * 60 + today.minute;
+
+  for (let offset = 0; offset < MAX_PREVIEW_DAYS && runs.length < count; offset++) {
+    const day = addDays(today, offset);
+    const slots = getSlotsForDay(instance, day)
+      .sort((a, b) => (a.hour * 60 + a.minute) - (b.hour * 60 + b.minute));
+
+    for (const { hour, minute } of slots) {
+      if (runs.length >= count) break;
+      if (offset === 0 && hour * 60 + minute < fromMinuteOfDay) continue; // Already passed today
+
+      const slot = zonedTimeToUtc({ ...day, hour, minute }, timezone);
+      if (slot > from) {
+        runs.push(slot);
+      }
+    }
+  }
+
+  return runs;
+}
@@ -1,14 +1,17 @@
 import cron from 'node-cron';
 import { getDb } from '../db/client.js';
 import { databaseInstances, jobs } from '../db/schema.js';
-import { eq, and, gt, or, isNull, inArray, ne } from 'drizzle-orm';
+import { eq, and, gt, or, inArray, ne, isNull } from 'drizzle-orm';
+import { shouldInstanceRun, usesNewSchedule } from './schedule.js';
+import { isLeaseActive } from './job-lease.js';
 
 /**
  * Batch job worker for processing scheduled instances and resuming jobs
  * Runs every minute to:
- * 1. Resume running jobs (in case of timeout/restart)
+ * 1. Resume running jobs (in case of timeout/restart) - for offline jobs this is
+ *    also what polls the provider batch they are waiting on
  * 2. Retry failed jobs (if they can be recovered)
- * 3. Check for scheduled instances that need processing
+ * 3. Check for scheduled instances that need processing and start a job for them
  */
 
 export function startScheduler() {
@@ -29,7 +32,8 @@ export function startScheduler() {
 
 /**
  * Resume jobs that are in 'running' or 'failed' status
- * This handles cases where jobs were interrupted by timeouts/restarts or failed
+ * This handles cases where jobs were interrupted by timeouts/restarts or failed.
+ * Paused jobs are left alone until resumed via /api/jobs/:job_id/resume.
  */
 async function resumeJobs() {
   const db = getDb();
@@ -51,8 +55,8 @@ async function resumeJobs() {
     const { processBatch } = await import('../routes/augmentor.js');
 
     for (const job of jobsToResume) {
-      // Check if job is not already being processed (is_processing_batch flag)
-      if (!job.is_processing_batch) {
+      // Skip jobs another worker holds a live lease on - expired leases (crashed workers) are picked up
+      if (!isLeaseActive(job)) {
         // For failed jobs, check if they're recoverable
         if (job.status === 'failed') {
           // Don't retry if all records have failed
@@ -90,17 +94,23 @@ async function processScheduledInstances() {
   const now = new Date();
 
   try {
-    // Find active instances that have scheduling enabled
+    // Find active augmentor instances that have scheduling enabled
     const instances = await db
       .select()
       .from(databaseInstances)
       .where(
         and(
           eq(databaseInstances.status, 'active'),
+          eq(databaseInstances.instance_type, 'augmentor'),
           or(
-            gt(databaseInstances.schedule_interval, 0), // Legacy: minutes interval
+            eq(databaseInstances.schedule_enabled, true),
+            // Legacy columns only count for instances that predate schedule_enabled
             and(
-              databaseInstances.schedule_type ? ne(databaseInstances.schedule_type, 'disabled') : false
+              isNull(databaseInstances.schedule_enabled),
+              or(
+                gt(databaseInstances.schedule_interval, 0), // Legacy: minutes interval
+                ne(databaseInstances.schedule_type, 'disabled') // Legacy: daily/weekly
+              )
             )
           )
         )
@@ -116,7 +126,10 @@ async function processScheduledInstances() {
       const shouldRun = shouldInstanceRun(instance, now);
 
       if (shouldRun) {
-        console.log(`Processing instance ${instance.id}: ${instance.name} (type: ${instance.schedule_type || 'minutes'})`);
+        const scheduleLabel = usesNewSchedule(instance)
+          ? instance.schedule_frequency
+          : (instance.schedule_type || 'minutes');
+        console.log(`Processing instance ${instance.id}: ${instance.name} (schedule: ${scheduleLabel})`);
         await processInstance(instance);
       }
     }
@@ -126,106 +139,38 @@ async function processScheduledInstances() {
   }
 }
 
-/**
- * Determine if an instance should run based on its schedule configuration
- */
-function shouldInstanceRun(instance, now) {
-  // If no last run, it should run
-  if (!instance.last_run) {
-    return true;
-  }
-
-  const lastRun = new Date(instance.last_run);
-  const scheduleType = instance.schedule_type || 'minutes'; // Default to minutes for legacy
-
-  switch (scheduleType) {
-    case 'disabled':
-      return false;
-
-    case 'minutes':
-      // Legacy behavior: check if enough minutes have passed
-      const minuteInterval = instance.schedule_interval || 0;
-      if (minuteInterval <= 0) return false;
-
-      const nextRunMinutes = new Date(lastRun);
-      nextRunMinutes.setMinutes(nextRunMinutes.getMinutes() + minuteInterval);
-      return now >= nextRunMinutes;
-
-    case 'daily':
-      // Check if it's the right time today and hasn't run today yet
-      const todayScheduledTime = new Date(now);
-      todayScheduledTime.setHours(instance.schedule_hour || 9, instance.schedule_minute || 0, 0, 0);
-
-      // Has it already run today?
-      const lastRunDate = lastRun.toDateString();
-      const todayDate = now.toDateString();
-
-      if (lastRunDate === todayDate) {
-        return false; // Already ran today
-      }
-
-      // Is it past the scheduled time?
-      return now >= todayScheduledTime;
-
-    case 'weekly':
-      // Check if it's the right day and time
-      const currentDayOfWeek = now.getDay();
-      const scheduledDayOfWeek = instance.schedule_day_of_week || 1;
-
-      // Not the right day
-      if (currentDayOfWeek !== scheduledDayOfWeek) {
-        return false;
-      }
-
-      // Right day - check time
-      const todayWeeklyTime = new Date(now);
-      todayWeeklyTime.setHours(instance.schedule_hour || 9, instance.schedule_minute || 0, 0, 0);
+async function processInstance(instance) {
+  const db = getDb();
 
-      // Has it already run this week? (within last 7 days on same weekday)
-      const daysSinceLastRun = Math.floor((now - lastRun) / (1000 * 60 * 60 * 24));
-      if (daysSinceLastRun < 7 && lastRun.getDay() === currentDayOfWeek) {
-        return false; // Already ran this week
-      }
+  try {
+    // Skip this run if the instance already has a job in flight
+    const activeJobs = await db
+      .select({ id: jobs.id, status: jobs.status })
+      .from(jobs)
+      .where(
+        and(
+          eq(jobs.instance_id, instance.id),
+          inArray(jobs.status, ['pending', 'running', 'paused'])
+        )
+      );
 
-      // Is it past the scheduled time?
-      return now >= todayWeeklyTime;
+    if (activeJobs.length > 0) {
+      console.log(`Skipping scheduled run for instance ${instance.id} - job ${activeJobs[0].id} is still ${activeJobs[0].status}`);
+    } else {
+      console.log(`Starting job for instance ${instance.id}`);
 
-    default:
-      console.warn(`Unknown schedule type: ${scheduleType}`);
-      return false;
-  }
-}
+      // Import startAugmentorJob dynamically to avoid circular dependency
+      const { startAugmentorJob } = await import('../routes/augmentor.js');
+      const jobId = await startAugmentorJob(instance, 'scheduler');
 
-async function processInstance(instance) {
-  const db = getDb();
+      console.log(`Started scheduled job ${jobId} for instance ${instance.id}`);
+    }
 
-  try {
-    console.log(`Starting job for instance ${instance.id}`);
-
-    // TODO: Implement actual job processing logic here
-    // This is where you would:
-    // 1. Create a job record
-    // 2. Process the Zilliz data
-    // 3. Update job status
-    // 4. Create job logs
-
-    // Example: Create a job record
-    // const jobId = generateId();
-    // await db.insert(jobs).values({
-    //   id: jobId,
-    //   instance_id: instance.id,
-    //   status: 'pending',
-    //   execution_type: 'full_execution',
-    //   created_by: 'scheduler'
-    // });
-
-    // Update last_run timestamp
+    // Update last_run timestamp so this slot isn't picked up again
     await db
       .update(databaseInstances)
       .set({ last_run: new Date() })
       .where(eq(databaseInstances.id, instance.id));
-
-    console.log(`Completed processing instance ${instance.id}`);
   } catch (error) {
     console.error(`Error processing instance ${instance.id}:`, error);
 
@@ -1,6 +1,6 @@
 import { Link, useLocation } from "react-router-dom";
 import { createPageUrl } from "@/utils";
-import { Database, Activity, Zap, LogOut, User } from "lucide-react";
+import { Database, Activity, FileText, Zap, LogOut, User } from "lucide-react";
 import { useState, useEffect } from "react";
 import { Button } from "@/components/ui/button";
 
@@ -35,6 +35,11 @@ export default function Layout({ children }) {
       url: createPageUrl("Jobs"),
       icon: Activity,
     },
+    {
+      title: "Prompts",
+      url: createPageUrl("Prompts"),
+      icon: FileText,
+    },
   ];
 
   return (
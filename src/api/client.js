@@ -73,6 +73,19 @@ export const instancesApi = {
       method: 'DELETE',
     });
   },
+
+  schedulePreview: async (id, count = 5) => {
+    const result = await apiRequest(`/instances/${id}/schedule/preview?count=${count}`);
+    return result.data;
+  },
+
+  previewSchedule: async (scheduleConfig, count = 5) => {
+    const result = await apiRequest(`/instances/schedule/preview?count=${count}`, {
+      method: 'POST',
+      body: JSON.stringify(scheduleConfig),
+    });
+    return result.data;
+  },
 };
 
 // Jobs API
@@ -92,6 +105,20 @@ export const jobsApi = {
     return result.data;
   },
 
+  /** @param {{ status?: string, error_class?: string, limit?: number }} [options] */
+  records: async (job_id, options = {}) => {
+    const { status, error_class, limit = 100 } = options;
+    const params = new URLSearchParams({ limit: String(limit) });
+    if (status) params.set('status', status);
+    if (error_class) params.set('error_class', error_class);
+    const result = await apiRequest(`/jobs/${job_id}/records?${params}`);
+    return result.data;
+  },
+
+  exceptions: async (job_id) => {
+    return apiRequest(`/jobs/${job_id}/exceptions`);
+  },
+
   cancel: async (job_id) => {
     const result = await apiRequest(`/jobs/${job_id}/cancel`, {
       method: 'POST',
@@ -99,6 +126,35 @@ export const jobsApi = {
     return result;
   },
 
+  pause: async (job_id) => {
+    const result = await apiRequest(`/jobs/${job_id}/pause`, {
+      method: 'POST',
+    });
+    return result;
+  },
+
+  resume: async (job_id) => {
+    const result = await apiRequest(`/jobs/${job_id}/resume`, {
+      method: 'POST',
+    });
+    return result;
+  },
+
+  updateBudget: async (job_id, caps) => {
+    const result = await apiRequest(`/jobs/${job_id}/budget`, {
+      method: 'PUT',
+      body: JSON.stringify(caps),
+    });
+    return result;
+  },
+
+  retryFailed: async (job_id) => {
+    const result = await apiRequest(`/jobs/${job_id}/retry-failed`, {
+      method: 'POST',
+    });
+    return result;
+  },
+
   delete: async (job_id) => {
     const result = await apiRequest(`/jobs/${job_id}`, {
       method: 'DELETE',
@@ -107,7 +163,75 @@ export const jobsApi = {
   },
 };
 
+// Augmentor API
+export const augmentorApi = {
+  compareDryRun: async (instance_id, variants, sampling = {}) => {
+    return apiRequest('/augmentor/dry-run/compare', {
+      method: 'POST',
+      body: JSON.stringify({ instance_id, variants, ...sampling }),
+    });
+  },
+
+  estimateCost: async (instance_id) => {
+    return apiRequest('/augmentor/estimate', {
+      method: 'POST',
+      body: JSON.stringify({ instance_id }),
+    });
+  },
+};
+
+// Models API
+export const modelsApi = {
+  list: async () => {
+    const result = await apiRequest('/models');
+    return result.data;
+  },
+
+  embeddings: async () => {
+    const result = await apiRequest('/models/embeddings');
+    return result.data;
+  },
+};
+
+// Prompt library API
+export const promptsApi = {
+  list: async () => {
+    const result = await apiRequest('/prompts');
+    return result.data;
+  },
+
+  get: async (id) => {
+    const result = await apiRequest(`/prompts/${id}`);
+    return result.data;
+  },
+
+  create: async (data) => {
+    const result = await apiRequest('/prompts', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    });
+    return result.data;
+  },
+
+  createVersion: async (id, { template, notes }) => {
+    return apiRequest(`/prompts/${id}/versions`, {
+      method: 'POST',
+      body: JSON.stringify({ template, notes }),
+    });
+  },
+
+  rollback: async (id, version_id) => {
+    return apiRequest(`/prompts/${id}/rollback`, {
+      method: 'POST',
+      body: JSON.stringify({ version_id }),
+    });
+  },
+};
+
 export default {
   instances: instancesApi,
   jobs: jobsApi,
+  augmentor: augmentorApi,
+  models: modelsApi,
+  prompts: promptsApi,
 };
@@ -65,7 +65,7 @@ export default function ContentAnalysisDialog({ open, onOpenChange, results, err
           </div>
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
             <div className="bg-white/70 p-3 rounded-lg">
-              <div className="text-xs text-slate-600 mb-1">Total Records</div>
+              <div className="text-xs text-slate-600 mb-1">{stats.sampled ? 'Records Sampled' : 'Total Records'}</div>
               <div className="text-2xl font-bold text-slate-900">{stats.total_records.toLocaleString()}</div>
             </div>
             <div className="bg-white/70 p-3 rounded-lg">
@@ -85,6 +85,13 @@ export default function ContentAnalysisDialog({ open, onOpenChange, results, err
             </div>
           </div>
 
+          {stats.sampled && (
+            <div className="mt-3 text-xs text-blue-800">
+              Sampled: statistics cover the first {stats.total_records.toLocaleString()}
+              {stats.records_in_scope !== null ? ` of ${stats.records_in_scope.toLocaleString()}` : ''} records by primary key.
+            </div>
+          )}
+
           {/* Truncation Warning */}
           {stats.records_would_truncate > 0 && (
             <div className="mt-4 bg-amber-50 border border-amber-200 p-3 rounded-lg flex items-start gap-2">
@@ -107,7 +114,11 @@ export default function ContentAnalysisDialog({ open, onOpenChange, results, err
         <div className="flex-1 border border-slate-200 rounded-lg overflow-hidden flex flex-col min-h-0">
           <div className="bg-slate-100 px-4 py-3 border-b border-slate-200 flex items-center gap-2">
             <FileText className="w-4 h-4 text-slate-600" />
-            <h3 className="font-semibold text-slate-900">Records by Size (Largest First)</h3>
+            <h3 className="font-semibold text-slate-900">
+              {stats.records_shown < stats.total_records
+                ? `Largest ${stats.records_shown.toLocaleString()} of ${stats.total_records.toLocaleString()} Records`
+                : 'Records by Size (Largest First)'}
+            </h3>
           </div>
           <div className="flex-1 overflow-auto">
             <Table>
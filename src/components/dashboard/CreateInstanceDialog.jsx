@@ -10,7 +10,8 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import { Checkbox } from "@/components/ui/checkbox";
 import { Switch } from "@/components/ui/switch";
-import { Database, Bot, Key, Clock, Search, Calendar } from "lucide-react";
+import { Database, Bot, Key, Clock, Search, Calendar, Wallet } from "lucide-react";
+import { instancesApi, modelsApi, promptsApi } from "@/api/client";
 
 const AI_OPERATIONS = [
   { value: 'strip_english', label: 'Strip English Words', description: 'Remove English words from text field' },
@@ -20,21 +21,28 @@ const AI_OPERATIONS = [
   { value: 'custom', label: 'Custom Operation', description: 'Define your own AI prompt' }
 ];
 
-const AI_MODELS = [
-  { value: 'gpt-4o', label: 'GPT-4o', description: 'Latest OpenAI, excellent quality (~15-20s)', provider: 'OpenAI' },
-  { value: 'gpt-4-turbo', label: 'GPT-4 Turbo', description: 'Good quality, fast (~15-20s)', provider: 'OpenAI' },
-  { value: 'gpt-4', label: 'GPT-4', description: 'Highest quality, slower (~30-40s)', provider: 'OpenAI' },
-  { value: 'gpt-3.5-turbo', label: 'GPT-3.5 Turbo', description: 'Fast but lower quality (~5-7s)', provider: 'OpenAI' },
-  { value: 'gemini-pro-latest', label: 'Gemini Pro', description: 'Latest Pro, excellent quality (~5-10s)', provider: 'Google' },
-  { value: 'gemini-flash-latest', label: 'Gemini Flash', description: 'Latest Flash, very fast (~2-4s)', provider: 'Google' }
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+
+// Fields the server needs to compute a schedule preview
+const SCHEDULE_FIELDS = [
+  'schedule_enabled', 'schedule_days', 'schedule_frequency', 'schedule_hours_interval',
+  'schedule_time', 'schedule_time_second', 'schedule_cron', 'schedule_timezone', 'last_run'
 ];
 
-const DEFAULT_PROMPTS = {
-  strip_english: "Given the following text, remove all English words and phrases, leaving only non-English content. If the text is purely English, return an empty string. The text is: {{FIELD_VALUE}}",
-  translate: "Translate the following text to [TARGET_LANGUAGE]. The text is: {{FIELD_VALUE}}",
-  extract_entities: "Extract named entities (people, organizations, locations, dates) from the following text. Return the result as a single JSON object with keys 'people', 'organizations', 'locations', 'dates'. The text is: {{FIELD_VALUE}}",
-  summarize: "Summarize the following text in one or two sentences. The text is: {{FIELD_VALUE}}",
-  custom: ""
+// Select value for a prompt typed in the dialog rather than picked from the library
+const CUSTOM_PROMPT = 'custom';
+
+// Structured output for operations whose result is data rather than text
+const DEFAULT_OUTPUT_SCHEMAS = {
+  extract_entities: JSON.stringify({
+    fields: [
+      { name: 'people', type: 'string[]', description: 'People mentioned' },
+      { name: 'organizations', type: 'string[]', description: 'Organizations mentioned' },
+      { name: 'locations', type: 'string[]', description: 'Locations mentioned' },
+      { name: 'dates', type: 'string[]', description: 'Dates mentioned' }
+    ]
+  }, null, 2)
 };
 
 export default function CreateInstanceDialog({ open, onOpenChange, onSave, initialData }) {
@@ -47,23 +55,43 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
     collection_name: '',
     primary_key_field: 'id',
     query_filter: 'changed_flag != "done"',
+    pagination_mode: 'cursor', // 'cursor' (by primary key) | 'offset'
+    write_mode: 'upsert', // 'upsert' | 'delete_insert'
     target_field: '',
     vector_field_name: '',
     ai_operation: 'strip_english',
-    prompt: DEFAULT_PROMPTS.strip_english,
+    prompt: '', // Filled from the prompt library once it loads
+    prompt_version_id: null,
+    prompt_notes: '',
+    output_schema: '',
+    field_mappings: '',
     embedding_model_name: 'text-embedding-3-large', // Changed default
+    embedding_strategy: 'truncate', // 'truncate' | 'chunk_average' | 'chunk_rows'
+    embedding_chunk_tokens: 512,
+    embedding_chunk_overlap: 64,
     generative_model_name: 'gpt-4o', // Default to latest model with good balance
     schedule_enabled: false,
     schedule_days: [], // Array of days: ['monday', 'tuesday', etc.]
-    schedule_frequency: 'daily', // 'hourly', 'daily', 'twice_daily', 'every_x_hours'
+    schedule_frequency: 'once_daily', // 'once_daily', 'twice_daily', 'every_x_hours', 'hourly'
     schedule_hours_interval: 4, // For every X hours
     schedule_time: '09:00', // For daily/twice daily runs
     schedule_time_second: '21:00', // For twice daily second run
+    schedule_cron: '', // For cron frequency, e.g. '*/15 8-17 * * 1-5'
+    schedule_timezone: BROWSER_TIMEZONE, // IANA timezone the times above are in
+    job_budget_usd: '', // Budget caps - empty means uncapped
+    job_budget_tokens: '',
+    monthly_budget_usd: '',
+    monthly_budget_tokens: '',
     top_k: 5,
   });
 
   const [isLoading, setIsLoading] = useState(false);
   const [instanceType, setInstanceType] = useState('augmentor');
+  const [schedulePreview, setSchedulePreview] = useState(null);
+  const [schedulePreviewError, setSchedulePreviewError] = useState(null);
+  const [aiModels, setAiModels] = useState([]);
+  const [embeddingModels, setEmbeddingModels] = useState([]);
+  const [promptLibrary, setPromptLibrary] = useState([]);
 
   useEffect(() => {
     if (initialData) {
@@ -73,16 +101,31 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
         ...initialData,
         instance_type: type,
         primary_key_field: initialData.primary_key_field || 'id',
-        prompt: initialData.prompt || DEFAULT_PROMPTS[initialData.ai_operation] || '',
+        pagination_mode: initialData.pagination_mode || 'cursor',
+        write_mode: initialData.write_mode || 'upsert',
+        prompt: initialData.prompt || '',
+        prompt_version_id: initialData.prompt_version_id || null,
+        prompt_notes: '',
+        output_schema: initialData.output_schema || '',
+        field_mappings: initialData.field_mappings || '',
         vector_field_name: initialData.vector_field_name || '',
         embedding_model_name: initialData.embedding_model_name || 'text-embedding-3-large',
+        embedding_strategy: initialData.embedding_strategy || 'truncate',
+        embedding_chunk_tokens: initialData.embedding_chunk_tokens || 512,
+        embedding_chunk_overlap: initialData.embedding_chunk_overlap ?? 64,
         generative_model_name: initialData.generative_model_name || 'gpt-4o',
         schedule_enabled: initialData.schedule_enabled || false,
         schedule_days: initialData.schedule_days || [],
-        schedule_frequency: initialData.schedule_frequency || 'daily',
+        schedule_frequency: initialData.schedule_frequency || 'once_daily',
         schedule_hours_interval: initialData.schedule_hours_interval || 4,
         schedule_time: initialData.schedule_time || '09:00',
         schedule_time_second: initialData.schedule_time_second || '21:00',
+        schedule_cron: initialData.schedule_cron || '',
+        schedule_timezone: initialData.schedule_timezone || 'UTC',
+        job_budget_usd: initialData.job_budget_usd ?? '',
+        job_budget_tokens: initialData.job_budget_tokens ?? '',
+        monthly_budget_usd: initialData.monthly_budget_usd ?? '',
+        monthly_budget_tokens: initialData.monthly_budget_tokens ?? '',
         top_k: initialData.top_k || 5,
       });
     } else {
@@ -97,23 +140,98 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
         collection_name: '',
         primary_key_field: 'id',
         query_filter: '',
+        pagination_mode: 'cursor',
+        write_mode: 'upsert',
         target_field: '',
         vector_field_name: '',
         ai_operation: 'strip_english',
-        prompt: DEFAULT_PROMPTS.strip_english,
+        prompt: '',
+        prompt_version_id: null,
+        prompt_notes: '',
+        output_schema: '',
+        field_mappings: '',
         embedding_model_name: 'text-embedding-3-large',
+        embedding_strategy: 'truncate',
+        embedding_chunk_tokens: 512,
+        embedding_chunk_overlap: 64,
         generative_model_name: 'gpt-4o',
         schedule_enabled: false,
         schedule_days: [],
-        schedule_frequency: 'daily',
+        schedule_frequency: 'once_daily',
         schedule_hours_interval: 4,
         schedule_time: '09:00',
         schedule_time_second: '21:00',
+        schedule_cron: '',
+        schedule_timezone: BROWSER_TIMEZONE,
+        job_budget_usd: '',
+        job_budget_tokens: '',
+        monthly_budget_usd: '',
+        monthly_budget_tokens: '',
         top_k: 5,
       });
     }
   }, [initialData, open, instanceType]);
 
+  // Load generative models from the provider registry
+  useEffect(() => {
+    if (!open) return;
+    modelsApi.list()
+      .then(setAiModels)
+      .catch((error) => console.error('Failed to load models:', error));
+    modelsApi.embeddings()
+      .then(setEmbeddingModels)
+      .catch((error) => console.error('Failed to load embedding models:', error));
+    promptsApi.list()
+      .then(setPromptLibrary)
+      .catch((error) => console.error('Failed to load prompt library:', error));
+  }, [open]);
+
+  // Latest library version for an AI operation, used as that operation's default prompt
+  const getLibraryPrompt = (operation) =>
+    promptLibrary.find(p => p.ai_operation === operation && p.latest_version)?.latest_version || null;
+
+  // A new augmentor starts with the library prompt for its operation
+  useEffect(() => {
+    if (instanceType !== 'augmentor' || formData.prompt || formData.prompt_version_id) return;
+    const version = getLibraryPrompt(formData.ai_operation);
+    if (version) {
+      setFormData(prev => ({ ...prev, prompt: version.template, prompt_version_id: version.id }));
+    }
+  }, [promptLibrary, formData.ai_operation, instanceType]);
+
+  const selectedLibraryPrompt = promptLibrary.find(p => p.latest_version?.id === formData.prompt_version_id);
+  const isPromptEdited = Boolean(formData.prompt_version_id) && (
+    selectedLibraryPrompt ? formData.prompt !== selectedLibraryPrompt.latest_version.template : formData.prompt !== initialData?.prompt
+  );
+
+  // Keep a saved model selectable even if its provider no longer lists it
+  const modelOptions = formData.generative_model_name && !aiModels.some(m => m.value === formData.generative_model_name)
+    ? [...aiModels, { value: formData.generative_model_name, label: formData.generative_model_name, provider: 'Custom', configured: true }]
+    : aiModels;
+
+  // Fetch upcoming run times whenever the schedule changes (debounced)
+  const scheduleKey = JSON.stringify(SCHEDULE_FIELDS.map(field => formData[field]));
+  useEffect(() => {
+    if (!open || instanceType !== 'augmentor' || !formData.schedule_enabled) {
+      setSchedulePreview(null);
+      setSchedulePreviewError(null);
+      return;
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        const config = Object.fromEntries(SCHEDULE_FIELDS.map(field => [field, formData[field]]));
+        setSchedulePreview(await instancesApi.previewSchedule(config, 5));
+        setSchedulePreviewError(null);
+      } catch (error) {
+        setSchedulePreview(null);
+        setSchedulePreviewError(error.message);
+      }
+    }, 400);
+
+    return () => clearTimeout(timeout);
+  }, [open, instanceType, scheduleKey]);
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
@@ -128,7 +246,10 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
     setFormData(prev => {
       const newState = { ...prev, [field]: value };
       if (field === 'ai_operation') {
-        newState.prompt = DEFAULT_PROMPTS[value] || '';
+        const version = getLibraryPrompt(value);
+        newState.prompt = version?.template || '';
+        newState.prompt_version_id = version?.id || null;
+        newState.output_schema = DEFAULT_OUTPUT_SCHEMAS[value] || '';
       }
       return newState;
     });
@@ -141,16 +262,19 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
         ...prev,
         instance_type: value,
         // Reset fields that are specific to one type or another
-        prompt: value === 'augmentor' ? DEFAULT_PROMPTS.strip_english : '',
+        prompt: value === 'augmentor' ? getLibraryPrompt('strip_english')?.template || '' : '',
+        prompt_version_id: value === 'augmentor' ? getLibraryPrompt('strip_english')?.id || null : null,
         ai_operation: value === 'augmentor' ? 'strip_english' : '',
         query_filter: value === 'augmentor' ? '' : prev.query_filter,
         target_field: value === 'augmentor' ? '' : prev.target_field,
         schedule_enabled: value === 'augmentor' ? false : prev.schedule_enabled,
         schedule_days: value === 'augmentor' ? [] : prev.schedule_days,
-        schedule_frequency: value === 'augmentor' ? 'daily' : prev.schedule_frequency,
+        schedule_frequency: value === 'augmentor' ? 'once_daily' : prev.schedule_frequency,
         schedule_hours_interval: value === 'augmentor' ? 4 : prev.schedule_hours_interval,
         schedule_time: value === 'augmentor' ? '09:00' : prev.schedule_time,
         schedule_time_second: value === 'augmentor' ? '21:00' : prev.schedule_time_second,
+        schedule_cron: value === 'augmentor' ? '' : prev.schedule_cron,
+        schedule_timezone: value === 'augmentor' ? BROWSER_TIMEZONE : prev.schedule_timezone,
         top_k: value === 'query' ? 5 : prev.top_k,
     }));
   }
@@ -303,6 +427,48 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
                 </div>
               )}
 
+              {instanceType === 'augmentor' && (
+                <div>
+                  <Label htmlFor="pagination_mode">Batch Pagination</Label>
+                  <Select
+                    value={formData.pagination_mode}
+                    onValueChange={(value) => handleChange('pagination_mode', value)}
+                  >
+                    <SelectTrigger id="pagination_mode">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="cursor">Cursor (by primary key) - recommended</SelectItem>
+                      <SelectItem value="offset">Offset (legacy)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <p className="text-xs text-slate-500 mt-2">
+                    Cursor mode fetches each batch with <code>{formData.primary_key_field || 'id'} &gt; last seen</code>, so records leaving the filter mid-job don't cause others to be skipped.
+                  </p>
+                </div>
+              )}
+
+              {instanceType === 'augmentor' && (
+                <div>
+                  <Label htmlFor="write_mode">Write Mode</Label>
+                  <Select
+                    value={formData.write_mode}
+                    onValueChange={(value) => handleChange('write_mode', value)}
+                  >
+                    <SelectTrigger id="write_mode">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="upsert">Upsert - recommended</SelectItem>
+                      <SelectItem value="delete_insert">Delete + insert (with backup)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                  <p className="text-xs text-slate-500 mt-2">
+                    Delete + insert saves the original records first and restores them automatically if the insert fails.
+                  </p>
+                </div>
+              )}
+
              {instanceType === 'augmentor' && (
                 <div>
                   <Label htmlFor="target_field">Target Field *</Label>
@@ -328,6 +494,58 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
                   Provide the name of the existing vector field. If provided, the entire updated target field will be re-embedded into this field.
                 </p>
               </div>
+
+              {instanceType === 'augmentor' && formData.vector_field_name && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <Label htmlFor="embedding_strategy">Embedding Strategy</Label>
+                    <Select
+                      value={formData.embedding_strategy}
+                      onValueChange={(value) => handleChange('embedding_strategy', value)}
+                    >
+                      <SelectTrigger id="embedding_strategy">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="truncate">Truncate to model limit</SelectItem>
+                        <SelectItem value="chunk_average">Chunk and average</SelectItem>
+                        <SelectItem value="chunk_rows">Chunk to separate rows</SelectItem>
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  {formData.embedding_strategy !== 'truncate' && (
+                    <>
+                      <div>
+                        <Label htmlFor="embedding_chunk_tokens">Chunk Size (tokens)</Label>
+                        <Input
+                          id="embedding_chunk_tokens"
+                          type="number"
+                          min={16}
+                          value={formData.embedding_chunk_tokens}
+                          onChange={(e) => handleChange('embedding_chunk_tokens', parseInt(e.target.value, 10) || 0)}
+                        />
+                      </div>
+                      <div>
+                        <Label htmlFor="embedding_chunk_overlap">Chunk Overlap (tokens)</Label>
+                        <Input
+                          id="embedding_chunk_overlap"
+                          type="number"
+                          min={0}
+                          value={formData.embedding_chunk_overlap}
+                          onChange={(e) => handleChange('embedding_chunk_overlap', parseInt(e.target.value, 10) || 0)}
+                        />
+                      </div>
+                    </>
+                  )}
+                  <p className="text-xs text-slate-500 md:col-span-3">
+                    {formData.embedding_strategy === 'chunk_rows'
+                      ? 'Each record keeps an averaged vector, and long records also get one row per chunk (id#chunk-N). Requires a VarChar primary key.'
+                      : formData.embedding_strategy === 'chunk_average'
+                      ? 'Long content is split into overlapping chunks whose vectors are averaged, so the whole page is represented.'
+                      : 'Content past the embedding model\'s input limit is left out of the vector.'}
+                  </p>
+                </div>
+              )}
             </CardContent>
           </Card>
 
@@ -343,7 +561,7 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
                 <CardContent className="space-y-4">
                     <Alert>
                         <AlertDescription>
-                        OpenAI API key is configured globally and will be used for embedding search terms.
+                        Search terms are embedded with the instance's embedding model, using the provider keys configured on the server.
                         </AlertDescription>
                     </Alert>
                     <div>
@@ -365,10 +583,11 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
                             id="embedding_model_name"
                             value={formData.embedding_model_name}
                             onChange={(e) => handleChange('embedding_model_name', e.target.value)}
-                            placeholder="e.g., text-embedding-ada-002, text-embedding-3-large"
+                            placeholder="e.g., text-embedding-3-large, gemini/text-embedding-004"
+                            list="embedding-model-options"
                         />
                         <p className="text-xs text-slate-500 mt-2">
-                            The OpenAI model used for embedding search terms.
+                            Used for embedding search terms. Must match the collection's vector dimension.
                         </p>
                     </div>
                 </CardContent>
@@ -414,6 +633,39 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
                     </Select>
                 </div>
 
+                <div>
+                    <Label htmlFor="prompt_library">Prompt Library</Label>
+                    <Select
+                    value={formData.prompt_version_id || CUSTOM_PROMPT}
+                    onValueChange={(value) => {
+                        const version = promptLibrary.find(p => p.latest_version?.id === value)?.latest_version;
+                        setFormData(prev => ({
+                        ...prev,
+                        prompt_version_id: version?.id || null,
+                        prompt: version ? version.template : prev.prompt,
+                        }));
+                    }}
+                    >
+                    <SelectTrigger id="prompt_library">
+                        <SelectValue placeholder="Select a prompt" />
+                    </SelectTrigger>
+                    <SelectContent>
+                        {promptLibrary.filter(p => p.latest_version).map((p) => (
+                        <SelectItem key={p.id} value={p.latest_version.id}>
+                            {p.name} (v{p.latest_version.version})
+                        </SelectItem>
+                        ))}
+                        {formData.prompt_version_id && !selectedLibraryPrompt && (
+                        <SelectItem value={formData.prompt_version_id}>Current version (not the latest)</SelectItem>
+                        )}
+                        <SelectItem value={CUSTOM_PROMPT}>Custom prompt (saved to the library as a new prompt)</SelectItem>
+                    </SelectContent>
+                    </Select>
+                    <p className="text-xs text-slate-500 mt-2">
+                    Instances on a prompt&apos;s latest version follow new versions saved on the Prompts page.
+                    </p>
+                </div>
+
                 <div>
                     <Label htmlFor="prompt">AI Prompt *</Label>
                     <Textarea
@@ -424,6 +676,59 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
                     rows={4}
                     required={instanceType === 'augmentor'}
                     />
+                    <p className="text-xs text-slate-500 mt-2">
+                    {'{{FIELD_VALUE}}'} is the target field&apos;s content and {'{{record.title}}'} any other field of the record.
+                    Use {'{{record.title | default: "Untitled"}}'} for fallbacks and {'{{#if record.url}}…{{else}}…{{/if}}'} (or {'{{#if record.langcode == "de"}}'}) for conditionals.
+                    Referenced fields are checked against the collection on save.
+                    </p>
+                </div>
+
+                {isPromptEdited && (
+                    <div>
+                    <Label htmlFor="prompt_notes">Version Notes</Label>
+                    <Input
+                        id="prompt_notes"
+                        value={formData.prompt_notes}
+                        onChange={(e) => handleChange('prompt_notes', e.target.value)}
+                        placeholder="What changed and why"
+                    />
+                    <p className="text-xs text-slate-500 mt-2">
+                        Your edits are saved as a new version of this prompt and used by this instance only.
+                    </p>
+                    </div>
+                )}
+
+                <div>
+                    <Label htmlFor="output_schema">Output Schema (optional)</Label>
+                    <Textarea
+                    id="output_schema"
+                    value={formData.output_schema}
+                    onChange={(e) => handleChange('output_schema', e.target.value)}
+                    placeholder={'{ "fields": [{ "name": "people", "type": "string[]", "zilliz_field": "people" }] }'}
+                    rows={6}
+                    className="font-mono text-xs"
+                    />
+                    <p className="text-xs text-slate-500 mt-2">
+                    When set, the model must return a JSON object with these fields, validated per record (invalid output is retried, then the record fails).
+                    Types: string, number, integer, boolean, string[], number[], object. Fields with a zilliz_field are written to that field;
+                    if none maps to the target field, it receives the whole object as JSON.
+                    </p>
+                </div>
+
+                <div>
+                    <Label htmlFor="field_mappings">Field Mappings (optional)</Label>
+                    <Textarea
+                    id="field_mappings"
+                    value={formData.field_mappings}
+                    onChange={(e) => handleChange('field_mappings', e.target.value)}
+                    placeholder={'{\n  "input_fields": ["title"],\n  "outputs": [\n    { "field": "summary", "prompt": "Summarize {{record.title}}: {{FIELD_VALUE}}" },\n    { "field": "tags", "path": "keywords" }\n  ]\n}'}
+                    rows={6}
+                    className="font-mono text-xs"
+                    />
+                    <p className="text-xs text-slate-500 mt-2">
+                    Write more fields in the same pass. Input fields can be used as {'{{field}}'} in any prompt. Each output gets its own prompt
+                    ({'{{FIELD_VALUE}}'} is the processed target content), a path into the structured output, or a prompt plus a path into its JSON reply.
+                    </p>
                 </div>
 
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -438,11 +743,20 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
                         <SelectValue placeholder="Select AI model" />
                         </SelectTrigger>
                         <SelectContent>
-                        {AI_MODELS.map((model) => (
+                        {modelOptions.map((model) => (
                             <SelectItem key={model.value} value={model.value}>
                             <div>
-                                <div className="font-medium">{model.label} <span className="text-xs text-slate-400">({model.provider})</span></div>
-                                <div className="text-xs text-slate-500">{model.description}</div>
+                                <div className="font-medium">
+                                    {model.label} <span className="text-xs text-slate-400">({model.provider})</span>
+                                    {!model.configured && <span className="text-xs text-amber-600 ml-1">not configured</span>}
+                                </div>
+                                {model.description && <div className="text-xs text-slate-500">{model.description}</div>}
+                                {model.context_window && (
+                                    <div className="text-xs text-slate-400">
+                                        {Math.round(model.context_window / 1000)}k context
+                                        {model.pricing && ` · $${model.pricing.input} / $${model.pricing.output} per 1M tokens`}
+                                    </div>
+                                )}
                             </div>
                             </SelectItem>
                         ))}
@@ -458,10 +772,11 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
                         id="embedding_model_name"
                         value={formData.embedding_model_name}
                         onChange={(e) => handleChange('embedding_model_name', e.target.value)}
-                        placeholder="e.g., text-embedding-ada-002, text-embedding-3-large"
+                        placeholder="e.g., text-embedding-3-large, gemini/text-embedding-004"
+                        list="embedding-model-options"
                     />
                     <p className="text-xs text-slate-500 mt-2">
-                        The OpenAI model used for generating vectors.
+                        Used for generating vectors. Checked against the vector field's dimension on save.
                     </p>
                     </div>
                 </div>
@@ -469,6 +784,76 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
             </Card>
           )}
           
+          {/* Budget caps */}
+          {instanceType === 'augmentor' && (
+            <Card>
+                <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-lg">
+                    <Wallet className="w-5 h-5" />
+                    Budget
+                </CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                <p className="text-xs text-slate-500">
+                    Jobs pause before their next AI call once a cap is reached, and can be resumed from the Jobs page after raising it. Leave a field empty for no cap.
+                </p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                    <Label htmlFor="job_budget_usd">Per-job cap (USD)</Label>
+                    <Input
+                        id="job_budget_usd"
+                        type="number"
+                        min={0}
+                        step="0.01"
+                        value={formData.job_budget_usd}
+                        onChange={(e) => handleChange('job_budget_usd', e.target.value)}
+                        placeholder="No cap"
+                    />
+                    </div>
+                    <div>
+                    <Label htmlFor="job_budget_tokens">Per-job cap (tokens)</Label>
+                    <Input
+                        id="job_budget_tokens"
+                        type="number"
+                        min={0}
+                        step="1000"
+                        value={formData.job_budget_tokens}
+                        onChange={(e) => handleChange('job_budget_tokens', e.target.value)}
+                        placeholder="No cap"
+                    />
+                    </div>
+                    <div>
+                    <Label htmlFor="monthly_budget_usd">Monthly cap (USD)</Label>
+                    <Input
+                        id="monthly_budget_usd"
+                        type="number"
+                        min={0}
+                        step="0.01"
+                        value={formData.monthly_budget_usd}
+                        onChange={(e) => handleChange('monthly_budget_usd', e.target.value)}
+                        placeholder="No cap"
+                    />
+                    </div>
+                    <div>
+                    <Label htmlFor="monthly_budget_tokens">Monthly cap (tokens)</Label>
+                    <Input
+                        id="monthly_budget_tokens"
+                        type="number"
+                        min={0}
+                        step="1000"
+                        value={formData.monthly_budget_tokens}
+                        onChange={(e) => handleChange('monthly_budget_tokens', e.target.value)}
+                        placeholder="No cap"
+                    />
+                    </div>
+                </div>
+                <p className="text-xs text-slate-500">
+                    Per-job caps apply to jobs started after saving. Monthly caps cover all of this instance's jobs in the calendar month (UTC).
+                </p>
+                </CardContent>
+            </Card>
+          )}
+
           {/* Scheduling Configuration */}
           {instanceType === 'augmentor' && (
             <Card>
@@ -496,7 +881,8 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
 
                 {formData.schedule_enabled && (
                     <>
-                    {/* Days of Week Selection */}
+                    {/* Days of Week Selection (cron expressions carry their own days) */}
+                    {formData.schedule_frequency !== 'cron' && (
                     <div>
                         <Label>Run on these days</Label>
                         <div className="grid grid-cols-7 gap-2 mt-2">
@@ -535,6 +921,7 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
                         </p>
                         )}
                     </div>
+                    )}
 
                     {/* Frequency Selection */}
                     <div>
@@ -551,6 +938,7 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
                             <SelectItem value="twice_daily">Twice per day</SelectItem>
                             <SelectItem value="every_x_hours">Every X hours</SelectItem>
                             <SelectItem value="hourly">Every hour</SelectItem>
+                            <SelectItem value="cron">Custom (cron expression)</SelectItem>
                         </SelectContent>
                         </Select>
                     </div>
@@ -620,8 +1008,47 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
                         </p>
                     )}
 
+                    {formData.schedule_frequency === 'cron' && (
+                        <div>
+                        <Label htmlFor="schedule_cron">Cron expression</Label>
+                        <Input
+                            id="schedule_cron"
+                            value={formData.schedule_cron}
+                            onChange={(e) => handleChange('schedule_cron', e.target.value)}
+                            placeholder="e.g., */15 8-17 * * 1-5"
+                            className="font-mono"
+                        />
+                        <p className="text-xs text-slate-500 mt-1">
+                            Five fields: minute hour day-of-month month day-of-week. Day-of-month and day-of-week must both match, so <code>0 9 1-7 * 1</code> is the first Monday of the month.
+                        </p>
+                        {schedulePreview?.description && (
+                            <p className="text-xs text-green-700 mt-1">✓ {schedulePreview.description}</p>
+                        )}
+                        </div>
+                    )}
+
+                    {/* Timezone */}
+                    <div>
+                        <Label htmlFor="schedule_timezone">Timezone</Label>
+                        <Input
+                        id="schedule_timezone"
+                        list="schedule_timezone_options"
+                        value={formData.schedule_timezone}
+                        onChange={(e) => handleChange('schedule_timezone', e.target.value)}
+                        placeholder="e.g., Europe/London"
+                        />
+                        <datalist id="schedule_timezone_options">
+                        {TIMEZONES.map((tz) => (
+                            <option key={tz} value={tz} />
+                        ))}
+                        </datalist>
+                        <p className="text-xs text-slate-500 mt-1">
+                        Run times are in this timezone, including daylight saving changes.
+                        </p>
+                    </div>
+
                     {/* Schedule Summary */}
-                    {formData.schedule_days.length > 0 && (
+                    {formData.schedule_frequency !== 'cron' && formData.schedule_days.length > 0 && (
                         <Alert className="bg-green-50 border-green-200">
                         <AlertDescription className="text-xs">
                             <strong>Schedule Summary:</strong> Will run {
@@ -629,10 +1056,28 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
                             formData.schedule_frequency === 'twice_daily' ? `twice daily at ${formData.schedule_time} and ${formData.schedule_time_second}` :
                             formData.schedule_frequency === 'every_x_hours' ? `every ${formData.schedule_hours_interval} hour${formData.schedule_hours_interval !== 1 ? 's' : ''}` :
                             'every hour'
-                            } on {formData.schedule_days.map(d => d.charAt(0).toUpperCase() + d.slice(1)).join(', ')}.
+                            } on {formData.schedule_days.map(d => d.charAt(0).toUpperCase() + d.slice(1)).join(', ')} ({formData.schedule_timezone}).
                         </AlertDescription>
                         </Alert>
                     )}
+
+                    {/* Next Runs Preview */}
+                    {schedulePreviewError && (
+                        <p className="text-xs text-red-600">⚠️ {schedulePreviewError}</p>
+                    )}
+                    {schedulePreview && schedulePreview.runs.length > 0 && (
+                        <div className="p-3 bg-slate-50 rounded-lg">
+                        <p className="text-xs font-medium text-slate-700 mb-2 flex items-center gap-1">
+                            <Clock className="w-3 h-3" />
+                            Next runs
+                        </p>
+                        <ul className="space-y-1">
+                            {schedulePreview.runs.map((run) => (
+                            <li key={run.at} className="text-xs text-slate-600 font-mono">{run.local}</li>
+                            ))}
+                        </ul>
+                        </div>
+                    )}
                     </>
                 )}
 
@@ -665,6 +1110,14 @@ export default function CreateInstanceDialog({ open, onOpenChange, onSave, initi
               {isLoading ? 'Saving...' : (initialData ? 'Update Instance' : 'Create Instance')}
             </Button>
           </div>
+
+          <datalist id="embedding-model-options">
+            {embeddingModels.map((model) => (
+              <option key={model.value} value={model.value}>
+                {`${model.label} (${model.provider}, ${model.dimensions} dims)${model.configured ? '' : ' - not configured'}`}
+              </option>
+            ))}
+          </datalist>
         </form>
       </DialogContent>
     </Dialog>
@@ -0,0 +1,260 @@
+import { useState, useEffect } from 'react';
+import { augmentorApi, modelsApi, promptsApi } from '@/api/client';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Loader2, Plus, Trash2, Trophy, XCircle } from 'lucide-react';
+import { formatCost } from '@/lib/format-spend';
+import DryRunSamplingControls, { DEFAULT_SAMPLING, toSamplingRequest } from './DryRunSamplingControls';
+
+const MAX_VARIANTS = 4;
+
+// Prompt select values besides library version ids
+const CURRENT_PROMPT = 'current';
+const CUSTOM_PROMPT = 'custom';
+
+function formatDelta(value, format = (v) => v) {
+  if (value === null || value === undefined) return '—';
+  if (value === 0) return '±0';
+  return `${value > 0 ? '+' : '−'}${format(Math.abs(value))}`;
+}
+
+export default function DryRunComparison({ instance, onChooseWinner }) {
+  const [models, setModels] = useState([]);
+  const [libraryVersions, setLibraryVersions] = useState([]);
+  const [variants, setVariants] = useState([]);
+  const [sampling, setSampling] = useState({ ...DEFAULT_SAMPLING, sample_size: 3 });
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  useEffect(() => {
+    if (!instance) return;
+    setResults(null);
+    setError(null);
+    setVariants([
+      { model: instance.generative_model_name, promptChoice: CURRENT_PROMPT, prompt: '' },
+      { model: instance.generative_model_name, promptChoice: CURRENT_PROMPT, prompt: '' },
+    ]);
+    modelsApi.list()
+      .then(setModels)
+      .catch((error) => console.error('Failed to load models:', error));
+    promptsApi.list()
+      .then((prompts) => setLibraryVersions(prompts.filter(p => p.latest_version).map(p => ({
+        id: p.latest_version.id,
+        label: `${p.name} (v${p.latest_version.version})`,
+        template: p.latest_version.template,
+      }))))
+      .catch((error) => console.error('Failed to load prompt library:', error));
+  }, [instance?.id]);
+
+  const updateVariant = (index, changes) => {
+    setVariants(prev => prev.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  // Request shape: only send what differs from the instance
+  const toRequestVariant = (variant) => ({
+    model: variant.model,
+    ...(variant.promptChoice === CUSTOM_PROMPT ? { prompt: variant.prompt } : {}),
+    ...(variant.promptChoice !== CUSTOM_PROMPT && variant.promptChoice !== CURRENT_PROMPT ? { prompt_version_id: variant.promptChoice } : {}),
+  });
+
+  const handleRun = async () => {
+    setIsRunning(true);
+    setError(null);
+    try {
+      setResults(await augmentorApi.compareDryRun(instance.id, variants.map(toRequestVariant), toSamplingRequest(sampling)));
+    } catch (error) {
+      setResults(null);
+      setError(error.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  return (
+    <div className="flex-1 overflow-y-auto p-4 space-y-6">
+      {/* Variant setup */}
+      <div className="space-y-3">
+        {variants.map((variant, index) => (
+          <div key={index} className="border border-slate-200 rounded-lg p-3 space-y-2 bg-white">
+            <div className="flex items-center justify-between">
+              <h4 className="text-sm font-semibold text-slate-900">
+                Variant {String.fromCharCode(65 + index)}
+                {index === 0 && <span className="ml-2 text-xs font-normal text-slate-500">baseline</span>}
+              </h4>
+              {variants.length > 2 && (
+                <Button variant="ghost" size="sm" onClick={() => setVariants(prev => prev.filter((_, i) => i !== index))}>
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              )}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+              <div>
+                <Label className="text-xs">Model</Label>
+                <Select value={variant.model} onValueChange={(value) => updateVariant(index, { model: value })}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select a model" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {!models.some(m => m.value === variant.model) && variant.model && (
+                      <SelectItem value={variant.model}>{variant.model}</SelectItem>
+                    )}
+                    {models.map((model) => (
+                      <SelectItem key={model.value} value={model.value} disabled={!model.configured}>
+                        {model.label} <span className="text-xs text-slate-500">({model.provider})</span>
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label className="text-xs">Prompt</Label>
+                <Select value={variant.promptChoice} onValueChange={(value) => updateVariant(index, { promptChoice: value })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={CURRENT_PROMPT}>Instance prompt</SelectItem>
+                    {libraryVersions.map((version) => (
+                      <SelectItem key={version.id} value={version.id}>{version.label}</SelectItem>
+                    ))}
+                    <SelectItem value={CUSTOM_PROMPT}>Custom prompt</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+            {variant.promptChoice === CUSTOM_PROMPT && (
+              <Textarea
+                value={variant.prompt}
+                onChange={(e) => updateVariant(index, { prompt: e.target.value })}
+                placeholder={instance?.prompt}
+                rows={3}
+                className="font-mono text-xs"
+              />
+            )}
+          </div>
+        ))}
+
+        <div className="flex items-end justify-between gap-4">
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={variants.length >= MAX_VARIANTS}
+            onClick={() => setVariants(prev => [...prev, { model: instance.generative_model_name, promptChoice: CURRENT_PROMPT, prompt: '' }])}
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            Add Variant
+          </Button>
+          <DryRunSamplingControls value={sampling} onChange={setSampling} maxSampleSize={10}>
+            <Button onClick={handleRun} disabled={isRunning}>
+              {isRunning && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Run Comparison
+            </Button>
+          </DryRunSamplingControls>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 p-4 rounded-lg border border-red-200 text-sm text-red-700 flex items-center gap-2">
+          <XCircle className="w-4 h-4" />
+          {error}
+        </div>
+      )}
+
+      {results && (
+        <>
+          {/* Side-by-side totals */}
+          <div className="border border-slate-200 rounded-lg overflow-hidden">
+            <Table className="text-xs">
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Variant</TableHead>
+                  <TableHead>Avg latency</TableHead>
+                  <TableHead>Tokens (in / out)</TableHead>
+                  <TableHead>Cost</TableHead>
+                  <TableHead>Output chars</TableHead>
+                  <TableHead>Errors</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {results.variants.map((variant, index) => (
+                  <TableRow key={index}>
+                    <TableCell>
+                      <div className="font-semibold text-slate-900">{String.fromCharCode(65 + index)}</div>
+                      <div className="text-slate-500">{variant.label}</div>
+                    </TableCell>
+                    <TableCell>
+                      {variant.avg_latency_ms !== null ? `${variant.avg_latency_ms} ms` : '—'}
+                      {index > 0 && <div className="text-slate-400">{formatDelta(variant.vs_baseline.latency_ms, v => `${v} ms`)}</div>}
+                    </TableCell>
+                    <TableCell>{variant.input_tokens} / {variant.output_tokens}</TableCell>
+                    <TableCell>
+                      {formatCost(variant.cost_usd)}
+                      {index > 0 && <div className="text-slate-400">{formatDelta(variant.vs_baseline.cost_usd, formatCost)}</div>}
+                    </TableCell>
+                    <TableCell>
+                      {variant.total_chars}
+                      {index > 0 && <div className="text-slate-400">{formatDelta(variant.vs_baseline.chars)}</div>}
+                    </TableCell>
+                    <TableCell>
+                      {variant.errors > 0 ? <Badge variant="destructive">{variant.errors}</Badge> : 0}
+                    </TableCell>
+                    <TableCell>
+                      <Button variant="outline" size="sm" onClick={() => onChooseWinner(variant)}>
+                        <Trophy className="w-4 h-4 mr-1" />
+                        Use
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+
+          {/* Outputs per record */}
+          {results.records.map((record) => (
+            <div key={String(record.record_id)} className="border border-slate-200 rounded-lg overflow-hidden">
+              <div className="bg-slate-100 px-4 py-2 border-b border-slate-200 text-xs text-slate-600">
+                <span className="font-mono text-slate-900">{String(record.record_id)}</span>
+                {' '}&bull; {record.input_length} chars in
+                {!record.ai_needed && ' • AI skipped (clean after Pass 1)'}
+              </div>
+              <div className="grid gap-px bg-slate-200" style={{ gridTemplateColumns: `repeat(${record.outputs.length}, minmax(0, 1fr))` }}>
+                {record.outputs.map((output, index) => (
+                  <div key={index} className="bg-white p-3">
+                    <div className="text-xs text-slate-500 mb-2">
+                      <span className="font-semibold text-slate-900">{String.fromCharCode(65 + index)}</span>
+                      {!output.error && !output.skipped && (
+                        <> &bull; {output.latency_ms} ms &bull; {formatCost(output.cost_usd)} &bull; {output.chars} chars ({formatDelta(output.char_delta)})</>
+                      )}
+                      {output.content_kept_percent < 100 && (
+                        <span className="text-amber-700"> &bull; first {output.content_kept_percent}% of input (too large for the model)</span>
+                      )}
+                    </div>
+                    {output.error ? (
+                      <p className="text-xs text-red-700">{output.error_class && `[${output.error_class}] `}{output.error}</p>
+                    ) : (
+                      <p className="text-xs text-slate-700 whitespace-pre-wrap font-mono max-h-64 overflow-y-auto">{output.content}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
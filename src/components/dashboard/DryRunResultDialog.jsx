@@ -15,10 +15,31 @@ import {
   TableRow,
 } from '@/components/ui/table';
 import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
 import { CheckCircle, XCircle, Loader2 } from 'lucide-react';
+import { useState, useEffect } from 'react';
+import { formatCost } from '@/lib/format-spend';
+import DryRunComparison from './DryRunComparison';
+import DryRunSamplingControls, { DEFAULT_SAMPLING, toSamplingRequest } from './DryRunSamplingControls';
 
-export default function DryRunResultDialog({ open, onOpenChange, results, error, isLoading }) {
-  const hasEmbedding = results?.after?.embedding_dimensions > 0;
+// Mapped field values can be text, arrays or objects
+function formatFieldValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+}
+
+export default function DryRunResultDialog({ open, onOpenChange, results, error, isLoading, instance, onChooseWinner, onRun }) {
+  const [sampling, setSampling] = useState(DEFAULT_SAMPLING);
+  const [selectedSample, setSelectedSample] = useState(0);
+
+  useEffect(() => {
+    setSelectedSample(0);
+  }, [results]);
+
+  // Sampled runs list every record; the detailed view shows one at a time
+  const samples = results?.samples || null;
+  const shownResult = samples ? samples[selectedSample] : results;
 
   const renderContent = () => {
     if (isLoading) {
@@ -27,7 +48,7 @@ export default function DryRunResultDialog({ open, onOpenChange, results, error,
           <div className="text-center">
             <Loader2 className="mx-auto w-12 h-12 text-blue-500 animate-spin mb-4" />
             <h3 className="text-lg font-bold text-slate-900">Running Dry Run...</h3>
-            <p className="text-slate-600 mt-2">Processing a sample record with AI...</p>
+            <p className="text-slate-600 mt-2">Processing sampled records with AI...</p>
           </div>
         </div>
       );
@@ -45,7 +66,7 @@ export default function DryRunResultDialog({ open, onOpenChange, results, error,
       );
     }
 
-    if (!results || !results.before) {
+    if (!results || (!results.before && !samples)) {
       return (
         <div className="flex-1 flex items-center justify-center bg-yellow-50 p-6 rounded-lg">
           <div className="text-center">
@@ -58,6 +79,114 @@ export default function DryRunResultDialog({ open, onOpenChange, results, error,
 
     return (
       <div className="flex-1 overflow-y-auto p-4 space-y-6">
+        {samples && renderSampleOverview()}
+        {shownResult?.error ? (
+          <div className="bg-red-50 p-4 rounded-lg border border-red-200 text-sm text-red-700">
+            Record <span className="font-mono">{String(shownResult.record_id)}</span> failed: {shownResult.error}
+          </div>
+        ) : shownResult?.before && renderRecordDetails(shownResult)}
+      </div>
+    );
+  };
+
+  // Aggregate Pass 1 / Pass 2 statistics and the per-record list of a sampled run
+  const renderSampleOverview = () => {
+    const { aggregate, sampling: info } = results;
+    return (
+      <>
+        <div className="bg-slate-50 p-4 rounded-lg border border-slate-200">
+          <h3 className="font-semibold text-slate-900 mb-1">
+            {aggregate.records} Sampled Record{aggregate.records === 1 ? '' : 's'}
+            {aggregate.errors > 0 && <Badge variant="destructive" className="ml-2">{aggregate.errors} failed</Badge>}
+          </h3>
+          <p className="text-xs text-slate-500 mb-3">
+            Strategy: {info.strategy}
+            {info.scanned !== null && <> &bull; chosen from {info.scanned} records{info.scan_capped && ' (scan limit reached)'}</>}
+            {info.language_field && <> &bull; language field: {info.language_field}</>}
+            {info.missing_ids.length > 0 && <> &bull; not found: {info.missing_ids.join(', ')}</>}
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+            <div>
+              <h4 className="text-xs font-semibold text-blue-900 mb-1">Pass 1</h4>
+              {aggregate.pass1.enabled ? (
+                <ul className="text-xs text-slate-700 space-y-0.5">
+                  <li>{aggregate.pass1.chars_original} → {aggregate.pass1.chars_after_filtering} chars</li>
+                  <li>{aggregate.pass1.sentences_removed} sentences removed</li>
+                  <li>avg {aggregate.pass1.avg_percent_remaining}% remaining</li>
+                  <li>{aggregate.pass1.fully_cleaned} record(s) clean without AI</li>
+                  <li>
+                    {Object.entries(aggregate.pass1.language_counts).map(([lang, count]) => `${lang}: ${count}`).join(' • ')}
+                  </li>
+                </ul>
+              ) : (
+                <p className="text-xs text-slate-500">Disabled</p>
+              )}
+            </div>
+            <div>
+              <h4 className="text-xs font-semibold text-green-900 mb-1">Pass 2</h4>
+              <ul className="text-xs text-slate-700 space-y-0.5">
+                <li>{aggregate.pass2.ai_calls} AI call(s), {aggregate.pass2.ai_skipped} skipped</li>
+                {aggregate.pass2.avg_latency_ms !== null && <li>avg {aggregate.pass2.avg_latency_ms} ms</li>}
+                <li>{aggregate.pass2.usage.input_tokens} in / {aggregate.pass2.usage.output_tokens} out tokens</li>
+                <li>~{formatCost(aggregate.pass2.estimated_cost_usd)}</li>
+              </ul>
+            </div>
+            <div>
+              <h4 className="text-xs font-semibold text-slate-900 mb-1">Final</h4>
+              <ul className="text-xs text-slate-700 space-y-0.5">
+                <li>avg {aggregate.final.avg_length ?? '—'} chars</li>
+                <li>avg ~{aggregate.final.avg_estimated_tokens ?? '—'} tokens</li>
+                {aggregate.final.mapped_fields > 0 && <li>{aggregate.final.mapped_fields} mapped field value(s)</li>}
+              </ul>
+            </div>
+          </div>
+        </div>
+
+        <div className="border border-slate-200 rounded-lg overflow-hidden">
+          <Table className="text-xs">
+            <TableHeader>
+              <TableRow>
+                <TableHead>Record</TableHead>
+                <TableHead>Language</TableHead>
+                <TableHead>Original</TableHead>
+                <TableHead>After Pass 1</TableHead>
+                <TableHead>Path</TableHead>
+                <TableHead>Final</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {samples.map((sample, index) => (
+                <TableRow
+                  key={String(sample.record_id)}
+                  onClick={() => setSelectedSample(index)}
+                  className={`cursor-pointer ${index === selectedSample ? 'bg-blue-50' : ''}`}
+                >
+                  <TableCell className="font-mono">{String(sample.record_id)}</TableCell>
+                  <TableCell>{sample.language || '—'}</TableCell>
+                  {sample.error ? (
+                    <TableCell colSpan={4} className="text-red-700">{sample.error_class && `[${sample.error_class}] `}{sample.error}</TableCell>
+                  ) : (
+                    <>
+                      <TableCell>{sample.original.length} chars</TableCell>
+                      <TableCell>{sample.pass1.enabled ? `${sample.pass1.stats.percent_remaining}%` : '—'}</TableCell>
+                      <TableCell>{sample.pass2.needed ? 'AI' : 'Pass 1 only'}</TableCell>
+                      <TableCell>{sample.final.length} chars</TableCell>
+                    </>
+                  )}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </>
+    );
+  };
+
+  const renderRecordDetails = (results) => {
+    const hasEmbedding = results.after?.embedding_dimensions > 0;
+
+    return (
+      <>
         {/* Metadata */}
         <div className="bg-blue-50 p-4 rounded-lg border border-blue-200">
           <h3 className="font-semibold text-blue-900 mb-2">Processing Info</h3>
@@ -82,6 +211,17 @@ export default function DryRunResultDialog({ open, onOpenChange, results, error,
                 <span className="ml-2 font-mono text-blue-900">{results.after.embedding_dimensions}</span>
               </div>
             )}
+            {hasEmbedding && results.final?.embedding_strategy && (
+              <div className="col-span-2">
+                <span className="text-blue-700 font-medium">Embedding Strategy:</span>
+                <span className="ml-2 font-mono text-blue-900">
+                  {results.final.embedding_strategy} &bull; ~{results.final.estimated_tokens} tokens
+                  {results.final.embedding_chunks?.length > 0 && (
+                    ` • ${results.final.embedding_chunks.length} chunk${results.final.embedding_chunks.length === 1 ? '' : 's'} (${results.final.embedding_chunks.map(c => c.tokens).join(', ')} tokens)`
+                  )}
+                </span>
+              </div>
+            )}
           </div>
         </div>
 
@@ -144,6 +284,9 @@ export default function DryRunResultDialog({ open, onOpenChange, results, error,
                     {results.pass2?.skipped && (
                       <span className="ml-2">• AI Skipped</span>
                     )}
+                    {results.metadata?.content_kept_percent < 100 && (
+                      <span className="ml-2 text-amber-700">• Only the first {results.metadata.content_kept_percent}% fit the model&apos;s context</span>
+                    )}
                   </p>
                 </div>
                 {hasEmbedding && (
@@ -167,31 +310,138 @@ export default function DryRunResultDialog({ open, onOpenChange, results, error,
           </div>
         </div>
 
+        {/* Mapped Fields: before → after for every extra output field */}
+        {results.mapped_fields?.length > 0 && (
+          <div className="border border-indigo-200 rounded-lg overflow-hidden">
+            <div className="bg-indigo-50 px-4 py-2 border-b border-indigo-200">
+              <h3 className="font-semibold text-indigo-900">Mapped Fields</h3>
+              <p className="text-xs text-indigo-700 mt-1">
+                {results.mapped_fields.length} field{results.mapped_fields.length === 1 ? '' : 's'} written besides the target field
+              </p>
+            </div>
+            <Table className="text-xs">
+              <TableHeader>
+                <TableRow>
+                  <TableHead>Field</TableHead>
+                  <TableHead>Before</TableHead>
+                  <TableHead>After</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {results.mapped_fields.map((mapped) => (
+                  <TableRow key={mapped.field} className="align-top">
+                    <TableCell>
+                      <div className="font-mono text-slate-900">{mapped.field}</div>
+                      <div className="text-slate-400">{mapped.source}</div>
+                    </TableCell>
+                    <TableCell className="font-mono text-slate-500 whitespace-pre-wrap break-words max-w-xs">
+                      {formatFieldValue(mapped.before)}
+                    </TableCell>
+                    <TableCell className="font-mono text-slate-900 whitespace-pre-wrap break-words max-w-xs">
+                      {formatFieldValue(mapped.after)}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+
+        {/* Structured Output */}
+        {results.pass2?.structured_output && (
+          <div className="border border-purple-200 rounded-lg overflow-hidden">
+            <div className="bg-purple-50 px-4 py-2 border-b border-purple-200">
+              <h3 className="font-semibold text-purple-900">Structured Output</h3>
+              <p className="text-xs text-purple-700 mt-1">
+                Validated against the output schema
+                {results.pass2.structured_output.attempts > 1 && ` after ${results.pass2.structured_output.attempts} attempts`}
+              </p>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 p-4 bg-white">
+              <div>
+                <h4 className="text-xs font-semibold text-slate-600 mb-1">Model Output</h4>
+                <pre className="text-xs text-slate-700 whitespace-pre-wrap font-mono max-h-64 overflow-y-auto">
+                  {JSON.stringify(results.pass2.structured_output.data, null, 2)}
+                </pre>
+              </div>
+              <div>
+                <h4 className="text-xs font-semibold text-slate-600 mb-1">Zilliz Fields Written</h4>
+                {Object.keys(results.pass2.structured_output.fields || {}).length > 0 ? (
+                  <pre className="text-xs text-slate-700 whitespace-pre-wrap font-mono max-h-64 overflow-y-auto">
+                    {JSON.stringify(results.pass2.structured_output.fields, null, 2)}
+                  </pre>
+                ) : (
+                  <p className="text-xs text-slate-500">No fields mapped besides the target field.</p>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Prompt Used */}
         {results.metadata?.prompt_used && (
           <details className="bg-slate-50 p-4 rounded-lg border border-slate-200">
             <summary className="cursor-pointer font-semibold text-slate-900 text-sm">
-              View Prompt Used
+              {results.metadata.prompt_rendered ? 'View Prompt Sent to Model' : 'View Prompt Used'}
             </summary>
             <p className="mt-2 text-xs text-slate-600 whitespace-pre-wrap font-mono">
-              {results.metadata.prompt_used}
+              {results.metadata.prompt_rendered || results.metadata.prompt_used}
             </p>
+            {results.metadata.prompt_rendered && (
+              <>
+                <h4 className="mt-4 text-xs font-semibold text-slate-700">Template</h4>
+                <p className="mt-1 text-xs text-slate-500 whitespace-pre-wrap font-mono">
+                  {results.metadata.prompt_used}
+                </p>
+              </>
+            )}
+            {results.mapped_fields?.filter(mapped => mapped.prompt_rendered).map(mapped => (
+              <div key={mapped.field}>
+                <h4 className="mt-4 text-xs font-semibold text-slate-700">Prompt for {mapped.field}</h4>
+                <p className="mt-1 text-xs text-slate-600 whitespace-pre-wrap font-mono">
+                  {mapped.prompt_rendered}
+                </p>
+              </div>
+            ))}
           </details>
         )}
-      </div>
+      </>
     );
   };
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
-      <DialogContent className="max-w-4xl max-h-[90vh] flex flex-col">
+      <DialogContent className="max-w-5xl max-h-[90vh] flex flex-col">
         <DialogHeader>
           <DialogTitle className="text-2xl">Dry Run Results</DialogTitle>
           <DialogDescription>
             This is a preview of what would happen. No data has been changed in Zilliz.
           </DialogDescription>
         </DialogHeader>
-        {renderContent()}
+        {instance ? (
+          <Tabs defaultValue="record" className="flex-1 flex flex-col min-h-0">
+            <TabsList className="self-start">
+              <TabsTrigger value="record">Sample Records</TabsTrigger>
+              <TabsTrigger value="compare">Compare Models &amp; Prompts</TabsTrigger>
+            </TabsList>
+            <TabsContent value="record" className="flex-1 flex flex-col min-h-0">
+              {onRun && (
+                <div className="px-4 pt-2">
+                  <DryRunSamplingControls value={sampling} onChange={setSampling}>
+                    <Button onClick={() => onRun(toSamplingRequest(sampling))} disabled={isLoading}>
+                      {isLoading && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                      Run Again
+                    </Button>
+                  </DryRunSamplingControls>
+                </div>
+              )}
+              {renderContent()}
+            </TabsContent>
+            <TabsContent value="compare" className="flex-1 flex flex-col min-h-0">
+              <DryRunComparison instance={instance} onChooseWinner={onChooseWinner} />
+            </TabsContent>
+          </Tabs>
+        ) : renderContent()}
       </DialogContent>
     </Dialog>
   );
@@ -0,0 +1,89 @@
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+
+const SAMPLING_STRATEGIES = [
+  { value: 'first', label: 'First records', description: 'The first records matching the query filter' },
+  { value: 'random', label: 'Random', description: 'A random sample of matching records' },
+  { value: 'largest', label: 'Largest content', description: 'The largest records, as in Content Analysis' },
+  { value: 'per_language', label: 'Per language', description: 'An even spread over the languages found' },
+  { value: 'ids', label: 'Record IDs', description: 'Exactly the records you list' },
+];
+
+export const DEFAULT_SAMPLING = { sampling: 'first', sample_size: 1, record_ids: '', language_field: '' };
+
+// Request body fields for /dry-run and /dry-run/compare
+export function toSamplingRequest(value) {
+  if (value.sampling === 'ids') {
+    return {
+      sampling: 'ids',
+      record_ids: value.record_ids.split(/[\s,]+/).map(id => id.trim()).filter(Boolean),
+    };
+  }
+  return {
+    sampling: value.sampling,
+    sample_size: value.sample_size,
+    ...(value.sampling === 'per_language' && value.language_field ? { language_field: value.language_field } : {}),
+  };
+}
+
+export default function DryRunSamplingControls({ value, onChange, maxSampleSize = 20, children }) {
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  return (
+    <div className="flex flex-wrap items-end gap-2">
+      <div>
+        <Label className="text-xs">Sampling</Label>
+        <Select value={value.sampling} onValueChange={(sampling) => update({ sampling })}>
+          <SelectTrigger className="w-44">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {SAMPLING_STRATEGIES.map((strategy) => (
+              <SelectItem key={strategy.value} value={strategy.value}>
+                <div>
+                  <div className="font-medium">{strategy.label}</div>
+                  <div className="text-xs text-slate-500">{strategy.description}</div>
+                </div>
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+      {value.sampling === 'ids' ? (
+        <div className="flex-1 min-w-[200px]">
+          <Label className="text-xs">Record IDs</Label>
+          <Input
+            value={value.record_ids}
+            onChange={(e) => update({ record_ids: e.target.value })}
+            placeholder="id1, id2, id3"
+          />
+        </div>
+      ) : (
+        <div>
+          <Label className="text-xs">Records</Label>
+          <Input
+            type="number"
+            min={1}
+            max={maxSampleSize}
+            value={value.sample_size}
+            onChange={(e) => update({ sample_size: parseInt(e.target.value) || 1 })}
+            className="w-20"
+          />
+        </div>
+      )}
+      {value.sampling === 'per_language' && (
+        <div>
+          <Label className="text-xs">Language field (optional)</Label>
+          <Input
+            value={value.language_field}
+            onChange={(e) => update({ language_field: e.target.value })}
+            placeholder="detect from content"
+            className="w-44"
+          />
+        </div>
+      )}
+      {children}
+    </div>
+  );
+}
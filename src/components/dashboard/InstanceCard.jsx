@@ -1,10 +1,13 @@
 
+import { useState, useEffect } from "react";
 import { Link } from "react-router-dom";
 import { createPageUrl } from "@/utils";
+import { instancesApi } from "@/api/client";
 import { Card, CardContent, CardHeader } from "@/components/ui/card";
 import { Button } from "@/components/ui/button";
 import { Badge } from "@/components/ui/badge";
 import { format } from "date-fns";
+import { formatCost, formatTokens } from "@/lib/format-spend";
 import {
   Play,
   Pause,
@@ -18,6 +21,7 @@ import {
   Loader2, // Import Loader2 for spinner
   Search, // Import Search Icon
   BarChart3, // Import BarChart3 for Content Analysis
+  PackageCheck,
 } from "lucide-react";
 import {
     DropdownMenu,
@@ -59,6 +63,26 @@ export default function InstanceCard({
   };
   
   const isQueryType = instance.instance_type === 'query';
+  // The legacy interval only counts for instances that predate schedule_enabled
+  const isScheduled = !isQueryType && (instance.schedule_enabled || (instance.schedule_enabled == null && instance.schedule_interval > 0));
+
+  // Upcoming run times, computed server-side in the instance's timezone
+  const [nextRuns, setNextRuns] = useState(null);
+  useEffect(() => {
+    if (!isScheduled) {
+      setNextRuns(null);
+      return;
+    }
+
+    let cancelled = false;
+    instancesApi.schedulePreview(instance.id, 3)
+      .then((preview) => {
+        if (!cancelled) setNextRuns(preview.runs);
+      })
+      .catch((error) => console.error('Failed to load schedule preview:', error));
+
+    return () => { cancelled = true; };
+  }, [instance.id, instance.updated_date, isScheduled]);
 
   return (
     <Card className="bg-white/70 backdrop-blur-sm border-slate-200/50 hover:shadow-lg transition-all duration-200 group flex flex-col">
@@ -167,17 +191,46 @@ export default function InstanceCard({
                     </div>
                 </div>
 
+                {/* Spend across all jobs */}
+                {instance.spend && (
+                    <div className="p-3 bg-slate-50/70 rounded-xl">
+                        <p className="text-xs text-slate-500 mb-1">Spend</p>
+                        <div className="text-sm">
+                            <span className="font-semibold text-slate-900">{formatCost(instance.spend.month_usd)}</span>
+                            <span className="text-xs text-slate-600 ml-1">
+                                this month{instance.monthly_budget_usd != null && ` of ${formatCost(instance.monthly_budget_usd)} cap`}
+                            </span>
+                            <span className="text-xs text-slate-600 ml-2">&bull; {formatCost(instance.spend.total_usd)} total</span>
+                        </div>
+                        <p className="text-xs text-slate-600 mt-1">
+                            {formatTokens(instance.spend.input_tokens)} in / {formatTokens(instance.spend.output_tokens)} out / {formatTokens(instance.spend.embedding_tokens)} embedding tokens
+                        </p>
+                    </div>
+                )}
+
                 {/* Schedule or Last Run Info */}
-                {instance.schedule_interval > 0 ? (
-                    <div className="flex items-center gap-2 p-3 bg-slate-50/70 rounded-xl text-sm">
-                        <Clock className="w-4 h-4 text-slate-600"/>
-                        <div>
+                {isScheduled ? (
+                    <div className="flex items-start gap-2 p-3 bg-slate-50/70 rounded-xl text-sm">
+                        <Clock className="w-4 h-4 text-slate-600 mt-0.5"/>
+                        <div className="min-w-0">
                             <p className="text-sm font-medium text-slate-900">Scheduled Processing</p>
-                            <p className="text-xs text-slate-600">
-                                {instance.status === 'active' ? 
-                                    `Runs every ${instance.schedule_interval} minute(s)` : 
-                                    'Schedule paused'
-                                }
+                            {instance.status !== 'active' ? (
+                                <p className="text-xs text-slate-600">Schedule paused</p>
+                            ) : nextRuns && nextRuns.length > 0 ? (
+                                <ul className="text-xs text-slate-600 space-y-0.5">
+                                    {nextRuns.map((run, i) => (
+                                        <li key={run.at} className="font-mono truncate">
+                                            {i === 0 ? 'Next: ' : ''}{run.local}
+                                        </li>
+                                    ))}
+                                </ul>
+                            ) : (
+                                <p className="text-xs text-slate-600">
+                                    {nextRuns ? 'No upcoming runs' : 'Loading next runs...'}
+                                </p>
+                            )}
+                            <p className="text-xs text-slate-500 mt-1">
+                                Last run: {instance.last_run ? format(new Date(instance.last_run), "MMM d, yyyy 'at' h:mm a") : "Never"}
                             </p>
                         </div>
                     </div>
@@ -228,6 +281,9 @@ export default function InstanceCard({
                         <DropdownMenuItem onClick={() => onExecute('full-execution')} className="text-red-600 focus:text-red-600" disabled={isDryRunLoading}>
                             <Zap className="w-4 h-4 mr-2" /> Full Execution
                         </DropdownMenuItem>
+                        <DropdownMenuItem onClick={() => onExecute('offline-execution')} className="text-red-600 focus:text-red-600" disabled={isDryRunLoading}>
+                            <PackageCheck className="w-4 h-4 mr-2" /> Offline Execution (Batch API)
+                        </DropdownMenuItem>
                     </DropdownMenuContent>
                 </DropdownMenu>
             )}
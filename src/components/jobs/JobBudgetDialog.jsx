@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import { jobsApi } from '@/api/client';
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Loader2 } from 'lucide-react';
+import { formatCost, formatTokens } from '@/lib/format-spend';
+
+// Empty inputs clear a cap
+const toInputValue = (value) => (value === null || value === undefined ? '' : String(value));
+const toCap = (value) => (value.trim() === '' ? null : Number(value));
+
+const NO_CAPS = { budget_usd: '', budget_tokens: '', monthly_budget_usd: '', monthly_budget_tokens: '' };
+
+function CapInput({ id, label, value, onChange, step, placeholder }) {
+    return (
+        <div className="space-y-1">
+            <Label htmlFor={id} className="text-xs">{label}</Label>
+            <Input
+                id={id}
+                type="number"
+                min={0}
+                step={step}
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                placeholder={placeholder}
+            />
+        </div>
+    );
+}
+
+export default function JobBudgetDialog({ job, instance, open, onOpenChange, onSaved }) {
+    const [caps, setCaps] = useState(NO_CAPS);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!open || !job) return;
+        setError(null);
+        setCaps({
+            budget_usd: toInputValue(job.budget_usd),
+            budget_tokens: toInputValue(job.budget_tokens),
+            monthly_budget_usd: toInputValue(instance?.monthly_budget_usd),
+            monthly_budget_tokens: toInputValue(instance?.monthly_budget_tokens),
+        });
+    }, [open, job?.id]);
+
+    if (!job) return null;
+
+    const isBudgetPaused = job.status === 'paused' && job.pause_reason === 'budget';
+    const jobTokens = (job.input_tokens || 0) + (job.output_tokens || 0) + (job.embedding_tokens || 0);
+    const update = (field) => (value) => setCaps(prev => ({ ...prev, [field]: value }));
+
+    const handleSave = async (resume) => {
+        setIsSaving(true);
+        setError(null);
+        try {
+            await jobsApi.updateBudget(job.id, Object.fromEntries(
+                Object.entries(caps).map(([field, value]) => [field, toCap(value)])
+            ));
+            if (resume) {
+                await jobsApi.resume(job.id);
+            }
+            onSaved?.(resume);
+            onOpenChange(false);
+        } catch (error) {
+            setError(error.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <Dialog open={open} onOpenChange={onOpenChange}>
+            <DialogContent className="max-w-lg" onClick={(e) => e.stopPropagation()}>
+                <DialogHeader>
+                    <DialogTitle>Budget caps</DialogTitle>
+                    <DialogDescription>
+                        Jobs pause before their next AI call once a cap is reached. Leave a field empty for no cap.
+                    </DialogDescription>
+                </DialogHeader>
+
+                <div className="space-y-4">
+                    <div>
+                        <h4 className="text-sm font-semibold text-slate-900">This job</h4>
+                        <p className="text-xs text-slate-500 mb-2">
+                            Spent {formatCost(job.cost_usd || 0)} &bull; {formatTokens(jobTokens)} tokens
+                        </p>
+                        <div className="grid grid-cols-2 gap-3">
+                            <CapInput id="budget_usd" label="Cap (USD)" value={caps.budget_usd} onChange={update('budget_usd')} step="0.01" placeholder="No cap" />
+                            <CapInput id="budget_tokens" label="Cap (tokens)" value={caps.budget_tokens} onChange={update('budget_tokens')} step="1000" placeholder="No cap" />
+                        </div>
+                    </div>
+
+                    <div>
+                        <h4 className="text-sm font-semibold text-slate-900">{instance?.name || 'Instance'} per month</h4>
+                        <p className="text-xs text-slate-500 mb-2">
+                            Spent {formatCost(instance?.spend?.month_usd || 0)} this month across all jobs
+                        </p>
+                        <div className="grid grid-cols-2 gap-3">
+                            <CapInput id="monthly_budget_usd" label="Monthly cap (USD)" value={caps.monthly_budget_usd} onChange={update('monthly_budget_usd')} step="0.01" placeholder="No cap" />
+                            <CapInput id="monthly_budget_tokens" label="Monthly cap (tokens)" value={caps.monthly_budget_tokens} onChange={update('monthly_budget_tokens')} step="1000" placeholder="No cap" />
+                        </div>
+                    </div>
+
+                    {error && <p className="text-sm text-red-700">{error}</p>}
+                </div>
+
+                <DialogFooter>
+                    <Button variant="outline" onClick={() => handleSave(false)} disabled={isSaving}>
+                        Save
+                    </Button>
+                    {isBudgetPaused && (
+                        <Button onClick={() => handleSave(true)} disabled={isSaving}>
+                            {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                            Save & Resume
+                        </Button>
+                    )}
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
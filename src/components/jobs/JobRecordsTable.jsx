@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { jobsApi } from '@/api/client';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Loader2 } from 'lucide-react';
+import { formatCost } from '@/lib/format-spend';
+
+const FILTERS = [
+    { value: null, label: 'All' },
+    { value: 'failed', label: 'Failed' },
+    { value: 'success', label: 'Succeeded' },
+];
+
+// Failure causes, as classified by the server's retry policy
+const ERROR_CLASS_LABELS = {
+    retryable: 'Transient',
+    rate_limited: 'Rate limited',
+    content_too_large: 'Too large',
+    fatal: 'Fatal',
+};
+
+export default function JobRecordsTable({ jobId }) {
+    const [records, setRecords] = useState([]);
+    const [statusFilter, setStatusFilter] = useState(null);
+    const [errorClassFilter, setErrorClassFilter] = useState(null);
+    const [errorClassCounts, setErrorClassCounts] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+
+    useEffect(() => {
+        const loadRecords = async () => {
+            try {
+                const recordsData = await jobsApi.records(jobId, {
+                    status: statusFilter,
+                    error_class: statusFilter === 'failed' ? errorClassFilter : null,
+                });
+                setRecords(recordsData);
+                if (statusFilter === 'failed') {
+                    const exceptions = await jobsApi.exceptions(jobId);
+                    setErrorClassCounts(exceptions.errorClassCounts || []);
+                }
+            } catch (error) {
+                console.error('Failed to load job records:', error);
+            } finally {
+                setIsLoading(false);
+            }
+        };
+
+        loadRecords();
+        const interval = setInterval(loadRecords, 5000);
+        return () => clearInterval(interval);
+    }, [jobId, statusFilter, errorClassFilter]);
+
+    const formatPass = (pass) => {
+        if (pass === 1) return 'Pass 1';
+        if (pass === 2) return 'Pass 2 (AI)';
+        return '—';
+    };
+
+    return (
+        <div className="mt-4 bg-slate-50 rounded-lg p-4">
+            <div className="flex items-center justify-between mb-2">
+                <h4 className="font-semibold text-sm text-slate-700">Records</h4>
+                <div className="flex gap-1">
+                    {FILTERS.map(({ value, label }) => (
+                        <Button
+                            key={label}
+                            size="sm"
+                            variant={statusFilter === value ? 'secondary' : 'ghost'}
+                            className="h-7 text-xs"
+                            onClick={() => { setIsLoading(true); setStatusFilter(value); setErrorClassFilter(null); }}
+                        >
+                            {label}
+                        </Button>
+                    ))}
+                </div>
+            </div>
+
+            {statusFilter === 'failed' && errorClassCounts.length > 0 && (
+                <div className="flex flex-wrap items-center gap-1 mb-2">
+                    <span className="text-xs text-slate-500 mr-1">By cause:</span>
+                    {errorClassCounts.filter(({ errorClass }) => errorClass).map(({ errorClass, count }) => (
+                        <Button
+                            key={errorClass}
+                            size="sm"
+                            variant={errorClassFilter === errorClass ? 'secondary' : 'ghost'}
+                            className="h-7 text-xs"
+                            onClick={() => {
+                                setIsLoading(true);
+                                setErrorClassFilter(errorClassFilter === errorClass ? null : errorClass);
+                            }}
+                        >
+                            {ERROR_CLASS_LABELS[errorClass] || errorClass} ({count})
+                        </Button>
+                    ))}
+                </div>
+            )}
+
+            {isLoading ? (
+                <div className="p-4 flex items-center justify-center gap-2">
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                    <span className="text-sm text-slate-600">Loading records...</span>
+                </div>
+            ) : records.length === 0 ? (
+                <p className="text-sm text-slate-600 text-center p-4">No records yet</p>
+            ) : (
+                <div className="max-h-96 overflow-y-auto">
+                    <table className="w-full text-xs">
+                        <thead className="text-slate-500 text-left sticky top-0 bg-slate-50">
+                            <tr>
+                                <th className="p-2">Record ID</th>
+                                <th className="p-2">Status</th>
+                                <th className="p-2">Pass</th>
+                                <th className="p-2 text-right">Chars</th>
+                                <th className="p-2">Model</th>
+                                <th className="p-2 text-right">Duration</th>
+                                <th className="p-2 text-right">Tokens</th>
+                                <th className="p-2 text-right">Embedding</th>
+                                <th className="p-2 text-right">Cost</th>
+                                <th className="p-2">Error</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {records.map((record) => (
+                                <tr key={record.id} className={record.status === 'failed' ? 'bg-red-50' : 'bg-white'}>
+                                    <td className="p-2 font-mono">{record.record_id}</td>
+                                    <td className="p-2">
+                                        <Badge
+                                            variant="outline"
+                                            className={record.status === 'failed' ? 'text-red-700 border-red-200' : 'text-green-700 border-green-200'}
+                                        >
+                                            {record.status}
+                                        </Badge>
+                                    </td>
+                                    <td className="p-2">{formatPass(record.pass)}</td>
+                                    <td className="p-2 text-right font-mono">
+                                        {record.chars_before?.toLocaleString() ?? '—'} → {record.chars_after?.toLocaleString() ?? '—'}
+                                    </td>
+                                    <td className="p-2">{record.model || '—'}</td>
+                                    <td className="p-2 text-right font-mono">
+                                        {record.duration_ms != null ? `${(record.duration_ms / 1000).toFixed(1)}s` : '—'}
+                                    </td>
+                                    <td className="p-2 text-right font-mono">
+                                        {record.input_tokens != null ? `${record.input_tokens} / ${record.output_tokens ?? 0}` : '—'}
+                                    </td>
+                                    <td className="p-2 text-right font-mono">{record.embedding_tokens ?? '—'}</td>
+                                    <td className="p-2 text-right font-mono">{record.cost_usd != null ? formatCost(record.cost_usd) : '—'}</td>
+                                    <td className="p-2 text-red-700">
+                                        {record.error_class && (
+                                            <Badge variant="outline" className="mr-1 text-red-700 border-red-200">
+                                                {ERROR_CLASS_LABELS[record.error_class] || record.error_class}
+                                            </Badge>
+                                        )}
+                                        {record.error}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,13 @@
+// Display helpers for token counts and USD costs reported by the server.
+
+export function formatCost(value) {
+  if (value === null || value === undefined) return 'n/a';
+  return `$${value.toFixed(value < 0.01 ? 5 : 3)}`;
+}
+
+export function formatTokens(value) {
+  if (!value) return '0';
+  if (value >= 1_000_000) return `${(value / 1_000_000).toFixed(1)}M`;
+  if (value >= 1_000) return `${(value / 1_000).toFixed(1)}k`;
+  return String(Math.round(value));
+}
@@ -1,6 +1,7 @@
 import Dashboard from './pages/Dashboard';
 import Jobs from './pages/Jobs';
 import QueryRunner from './pages/QueryRunner';
+import Prompts from './pages/Prompts';
 import Login from './pages/Login';
 import LoginFailed from './pages/LoginFailed';
 import __Layout from './Layout.jsx';
@@ -10,6 +11,7 @@ export const PAGES = {
     "Dashboard": Dashboard,
     "Jobs": Jobs,
     "QueryRunner": QueryRunner,
+    "Prompts": Prompts,
     "login": Login,
     "login-failed": LoginFailed,
 }
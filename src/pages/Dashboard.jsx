@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from "react";
-import { instancesApi } from "@/api/client";
+import { instancesApi, augmentorApi } from "@/api/client";
+import { formatCost, formatTokens } from "@/lib/format-spend";
 import { Button } from "@/components/ui/button";
 import { Plus, LogIn } from "lucide-react";
 import { AnimatePresence } from "framer-motion";
@@ -27,6 +28,7 @@ export default function Dashboard() {
   const [dryRunResults, setDryRunResults] = useState(null);
   const [dryRunError, setDryRunError] = useState(null);
   const [isDryRunOpen, setIsDryRunOpen] = useState(false);
+  const [dryRunInstance, setDryRunInstance] = useState(null);
 
   const [isContentAnalysisLoading, setIsContentAnalysisLoading] = useState(false);
   const [contentAnalysisResults, setContentAnalysisResults] = useState(null);
@@ -189,6 +191,9 @@ export default function Dashboard() {
           results={dryRunResults}
           error={dryRunError}
           isLoading={isDryRunLoading}
+          instance={dryRunInstance}
+          onChooseWinner={handleChooseWinner}
+          onRun={(sampling) => runDryRun(dryRunInstance, sampling)}
         />
         <ContentAnalysisDialog
           open={isContentAnalysisOpen}
@@ -239,6 +244,33 @@ export default function Dashboard() {
     }
   }
 
+  // Apply the model and prompt of the comparison variant a reviewer picked
+  async function handleChooseWinner(variant) {
+    if (!window.confirm(`Switch ${dryRunInstance.name} to "${variant.label}"?`)) return;
+    try {
+      const changes = { generative_model_name: variant.model, prompt: variant.prompt };
+      if (variant.prompt_version_id) {
+        changes.prompt_version_id = variant.prompt_version_id;
+      }
+      await instancesApi.update(dryRunInstance.id, changes);
+      setDryRunInstance({ ...dryRunInstance, ...changes });
+      loadData();
+      toast({
+        title: "🏆 Variant Applied",
+        description: `${dryRunInstance.name} now uses ${variant.label}`,
+        duration: 4000,
+      });
+    } catch (error) {
+      console.error("Error applying variant:", error);
+      toast({
+        title: "❌ Update Failed",
+        description: error.message || "Could not apply the variant. Please try again.",
+        variant: "destructive",
+        duration: 6000,
+      });
+    }
+  }
+
   async function handleToggleStatus(instance) {
     try {
       const newStatus = instance.status === 'active' ? 'paused' : 'active';
@@ -255,48 +287,55 @@ export default function Dashboard() {
     }
   }
 
-  async function handleExecute(instance, executionType) {
-    if (executionType === 'dry-run') {
-      // Dry run
-      setIsDryRunLoading(true);
-      setDryRunResults(null);
-      setDryRunError(null);
-      setIsDryRunOpen(true);
+  // sampling: { sampling, sample_size, record_ids, language_field } - defaults to the first matching record
+  async function runDryRun(instance, sampling = {}) {
+    setIsDryRunLoading(true);
+    setDryRunResults(null);
+    setDryRunError(null);
+    setDryRunInstance(instance);
+    setIsDryRunOpen(true);
 
-      try {
-        const response = await fetch(`${window.location.origin}/api/augmentor/dry-run`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${localStorage.getItem('base44_access_token') || 'placeholder-token'}`
-          },
-          body: JSON.stringify({ instance_id: instance.id })
-        });
-
-        if (!response.ok) {
-          const errorData = await response.json();
-          throw new Error(errorData.error || 'Dry run failed');
-        }
+    try {
+      const response = await fetch(`${window.location.origin}/api/augmentor/dry-run`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${localStorage.getItem('base44_access_token') || 'placeholder-token'}`
+        },
+        body: JSON.stringify({ instance_id: instance.id, ...sampling })
+      });
 
-        const result = await response.json();
-        setDryRunResults(result);
-        toast({
-          title: "🔍 Preview Ready",
-          description: "Sample processing complete. Review the before/after comparison below.",
-          duration: 4000,
-        });
-      } catch (error) {
-        console.error('Dry run error:', error);
-        setDryRunError(error.message);
-        toast({
-          title: "❌ Preview Failed",
-          description: error.message || "Could not generate preview. Check your settings.",
-          variant: "destructive",
-          duration: 6000,
-        });
-      } finally {
-        setIsDryRunLoading(false);
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Dry run failed');
       }
+
+      const result = await response.json();
+      setDryRunResults(result);
+      toast({
+        title: "🔍 Preview Ready",
+        description: result.samples
+          ? `${result.samples.length} records processed. Review the statistics and each record below.`
+          : "Sample processing complete. Review the before/after comparison below.",
+        duration: 4000,
+      });
+    } catch (error) {
+      console.error('Dry run error:', error);
+      setDryRunError(error.message);
+      toast({
+        title: "❌ Preview Failed",
+        description: error.message || "Could not generate preview. Check your settings.",
+        variant: "destructive",
+        duration: 6000,
+      });
+    } finally {
+      setIsDryRunLoading(false);
+    }
+  }
+
+  async function handleExecute(instance, executionType) {
+    if (executionType === 'dry-run') {
+      await runDryRun(instance);
     } else if (executionType === 'content-analysis') {
       // Content Analysis
       setIsContentAnalysisLoading(true);
@@ -339,7 +378,10 @@ export default function Dashboard() {
         setIsContentAnalysisLoading(false);
       }
     } else {
-      // Start full job
+      // Start full job, once the user has seen what it's likely to cost
+      const offline = executionType === 'offline-execution';
+      if (!(await confirmFullExecution(instance, { offline }))) return;
+
       try {
         const response = await fetch(`${window.location.origin}/api/augmentor/start`, {
           method: 'POST',
@@ -347,7 +389,7 @@ export default function Dashboard() {
             'Content-Type': 'application/json',
             'Authorization': `Bearer ${localStorage.getItem('base44_access_token') || 'placeholder-token'}`
           },
-          body: JSON.stringify({ instance_id: instance.id })
+          body: JSON.stringify({ instance_id: instance.id, execution_type: offline ? 'offline' : 'full_execution' })
         });
 
         if (!response.ok) {
@@ -358,7 +400,9 @@ export default function Dashboard() {
         const result = await response.json();
         toast({
           title: "✅ Processing Started",
-          description: `Augmenting ${instance.collection_name} collection. Processing will continue in the background.`,
+          description: offline
+            ? `Augmenting ${instance.collection_name} collection through the provider's batch API. Results can take up to 24 hours per batch.`
+            : `Augmenting ${instance.collection_name} collection. Processing will continue in the background.`,
           duration: 3000,
         });
         loadData();
@@ -374,6 +418,34 @@ export default function Dashboard() {
     }
   }
 
+  async function confirmFullExecution(instance, { offline = false } = {}) {
+    const label = offline ? 'offline execution' : 'full execution';
+    try {
+      const estimate = await augmentorApi.estimateCost(instance.id);
+      if (offline && !estimate.offline.available) {
+        window.alert(`${estimate.model} has no batch API. Offline execution needs an OpenAI or Anthropic model.`);
+        return false;
+      }
+      const unpriced = [
+        !estimate.pricing_known.chat && estimate.model,
+        !estimate.pricing_known.embedding && estimate.embedding_model,
+      ].filter(Boolean);
+      return window.confirm([
+        `Start ${label} of "${instance.name}" on ${estimate.total_records} records?`,
+        '',
+        offline
+          ? `Estimated cost: ~${formatCost(estimate.offline.cost_usd.total)} (~${formatCost(estimate.cost_usd.total)} as a full execution)`
+          : `Estimated cost: ~${formatCost(estimate.cost_usd.total)}`,
+        `Estimated tokens: ${formatTokens(estimate.tokens.input)} in / ${formatTokens(estimate.tokens.output)} out / ${formatTokens(estimate.tokens.embedding)} embedding`,
+        `${Math.round(estimate.ai_fraction * 100)}% of ${estimate.sampled_records} sampled records need AI after Pass 1`,
+        ...(unpriced.length ? [`No price configured for: ${unpriced.join(', ')}`] : []),
+      ].join('\n'));
+    } catch (error) {
+      console.error('Cost estimate error:', error);
+      return window.confirm(`Could not estimate the cost (${error.message}). Start ${label} of "${instance.name}" anyway?`);
+    }
+  }
+
   async function handleDeleteInstance(instance) {
     if (window.confirm(`Are you sure you want to delete "${instance.name}"?`)) {
       try {
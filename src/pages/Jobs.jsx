@@ -4,12 +4,15 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Badge } from "@/components/ui/badge";
 import { Progress } from "@/components/ui/progress";
 import { Button } from "@/components/ui/button";
-import { Activity, CheckCircle, XCircle, Clock, Ban, RefreshCw, AlertTriangle, ChevronDown, LogIn, Trash2 } from "lucide-react";
+import { Activity, CheckCircle, XCircle, Clock, Ban, RefreshCw, AlertTriangle, ChevronDown, LogIn, Trash2, RotateCcw, Pause, Play, Wallet } from "lucide-react";
 import { format, formatDistanceToNow, parseISO } from "date-fns";
 import { useToast } from "@/components/ui/use-toast";
+import { formatCost, formatTokens } from "@/lib/format-spend";
 import { Alert, AlertDescription } from "@/components/ui/alert";
 import { base44 } from "@/api/base44Client";
 import LogViewer from '../components/jobs/LogViewer';
+import JobRecordsTable from '../components/jobs/JobRecordsTable';
+import JobBudgetDialog from '../components/jobs/JobBudgetDialog';
 
 
 export default function JobsPage() {
@@ -18,6 +21,7 @@ export default function JobsPage() {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [expandedJobs, setExpandedJobs] = useState(new Set());
+  const [budgetJobId, setBudgetJobId] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(null);
   const { toast } = useToast();
 
@@ -122,6 +126,76 @@ export default function JobsPage() {
     }
   };
 
+  const handlePauseJob = async (jobId) => {
+    try {
+      await jobsApi.pause(jobId);
+      toast({
+        title: "⏸️ Pausing Job",
+        description: "Processing will pause after the current batch completes.",
+        duration: 4000,
+      });
+      loadData(true);
+    } catch (error) {
+      console.error("Failed to pause job:", error);
+      toast({
+        title: "❌ Cannot Pause Job",
+        description: error.message || "Unable to pause. Please try again.",
+        variant: "destructive",
+        duration: 6000,
+      });
+    }
+  };
+
+  const handleResumeJob = async (jobId) => {
+    try {
+      await jobsApi.resume(jobId);
+      toast({
+        title: "▶️ Job Resumed",
+        description: "Processing continues from where it was paused.",
+        duration: 4000,
+      });
+      loadData(true);
+    } catch (error) {
+      console.error("Failed to resume job:", error);
+      toast({
+        title: "❌ Cannot Resume Job",
+        description: error.message || "Unable to resume. Please try again.",
+        variant: "destructive",
+        duration: 6000,
+      });
+    }
+  };
+
+  const handleBudgetSaved = (resumed) => {
+    toast({
+      title: resumed ? "▶️ Job Resumed" : "✅ Budget Updated",
+      description: resumed ? "Budget raised - processing continues from where it was paused." : "The new caps apply from the next batch.",
+      duration: 4000,
+    });
+    loadData(true);
+  };
+
+  const handleRetryFailed = async (job) => {
+    if (!window.confirm(`Start a new job for the ${job.failed_records} failed record(s) of this job?`)) return;
+    try {
+      const result = await jobsApi.retryFailed(job.id);
+      toast({
+        title: "🔁 Retry Started",
+        description: result.message,
+        duration: 4000,
+      });
+      loadData(true);
+    } catch (error) {
+      console.error("Failed to retry job:", error);
+      toast({
+        title: "❌ Cannot Retry Job",
+        description: error.message || "Unable to retry. Please try again.",
+        variant: "destructive",
+        duration: 6000,
+      });
+    }
+  };
+
   const handleDeleteJob = async (jobId, jobName) => {
     if (!window.confirm(`Are you sure you want to delete this job and all its logs?\n\nJob: ${jobName}`)) return;
     try {
@@ -149,13 +223,28 @@ export default function JobsPage() {
       case 'failed': return { color: 'red', icon: XCircle };
       case 'running': return { color: 'blue', icon: Activity };
       case 'pending': return { color: 'yellow', icon: Clock };
+      case 'paused': return { color: 'orange', icon: Pause };
       case 'cancelled': return { color: 'gray', icon: Ban };
       default: return { color: 'gray', icon: Clock };
     }
   };
 
+  // Full and offline executions both work through the collection record by record
+  const isRecordJob = (job) => job.execution_type === 'full_execution' || job.execution_type === 'offline';
+
+  const getExecutionLabel = (job) => {
+    if (job.execution_type === 'dry_run') return 'Dry Run';
+    if (job.parent_job_id) return 'Retry Failed';
+    return job.execution_type === 'offline' ? 'Offline (Batch API)' : 'Full Execution';
+  };
+
   const renderJobDetails = (job) => {
-    return <LogViewer jobId={job.id} />;
+    return (
+      <>
+        {isRecordJob(job) && <JobRecordsTable jobId={job.id} />}
+        <LogViewer jobId={job.id} />
+      </>
+    );
   }
 
   if (isAuthenticated === false) {
@@ -211,7 +300,9 @@ export default function JobsPage() {
               const hasTotal = job.total_records > 0;
               const progress = hasTotal ? ((job.processed_records + job.failed_records) / job.total_records) * 100 : 0;
               
-              const isCancellable = job.status === 'running' || job.status === 'pending';
+              const isPausable = job.status === 'running' || job.status === 'pending';
+              const isCancellable = isPausable || job.status === 'paused';
+              const isBudgetPaused = job.status === 'paused' && job.pause_reason === 'budget';
               const isExpanded = expandedJobs.has(job.id);
 
               return (
@@ -222,6 +313,8 @@ export default function JobsPage() {
                         <CardTitle className="text-lg font-bold text-slate-900">{getInstanceName(job.instance_id)}</CardTitle>
                         <p className="text-sm text-slate-500">
                           Job ID: {job.id} &bull; 
+                          {job.parent_job_id && <>Retry of {job.parent_job_id} &bull; </>}
+                          {job.prompt_version && <>Prompt: {job.prompt_name} v{job.prompt_version} &bull; </>}
                           {job.started_at ? 
                             `Started ${formatDistanceToNow(parseISO(job.started_at), { addSuffix: true })}` :
                             `Created ${formatDistanceToNow(parseISO(job.created_date), { addSuffix: true })}`
@@ -230,8 +323,32 @@ export default function JobsPage() {
                       </div>
                       <div className="flex items-center gap-2">
                          <Badge variant="secondary" className="font-mono text-xs">
-                          {job.execution_type === 'dry_run' ? 'Dry Run' : 'Full Execution'}
+                          {getExecutionLabel(job)}
                          </Badge>
+                         {!isCancellable && isRecordJob(job) && job.failed_records > 0 && (
+                            <Button variant="outline" size="sm" onClick={(e) => { e.stopPropagation(); handleRetryFailed(job); }}>
+                                <RotateCcw className="w-4 h-4 mr-2"/>
+                                Retry failed
+                            </Button>
+                         )}
+                         {isPausable && (
+                            <Button variant="outline" size="sm" onClick={(e) => { e.stopPropagation(); handlePauseJob(job.id); }}>
+                                <Pause className="w-4 h-4 mr-2"/>
+                                Pause
+                            </Button>
+                         )}
+                         {isCancellable && isRecordJob(job) && (
+                            <Button variant="outline" size="sm" onClick={(e) => { e.stopPropagation(); setBudgetJobId(job.id); }}>
+                                <Wallet className="w-4 h-4 mr-2"/>
+                                {isBudgetPaused ? 'Raise cap' : 'Budget'}
+                            </Button>
+                         )}
+                         {job.status === 'paused' && !isBudgetPaused && (
+                            <Button variant="outline" size="sm" onClick={(e) => { e.stopPropagation(); handleResumeJob(job.id); }}>
+                                <Play className="w-4 h-4 mr-2"/>
+                                Resume
+                            </Button>
+                         )}
                          {isCancellable && (
                             <Button variant="outline" size="sm" onClick={(e) => { e.stopPropagation(); handleCancelJob(job.id); }}>
                                 <Ban className="w-4 h-4 mr-2"/>
@@ -261,12 +378,31 @@ export default function JobsPage() {
                     </div>
                   </CardHeader>
                   <CardContent>
-                    {job.execution_type === 'full_execution' && !hasTotal && (
+                    {isBudgetPaused && (
+                      <Alert className="mb-4 border-orange-200 bg-orange-50">
+                        <Wallet className="h-4 w-4" />
+                        <AlertDescription className="text-orange-800">
+                          Paused by a budget cap before its next AI call. Raise the cap to resume - see the job log for which cap was reached.
+                        </AlertDescription>
+                      </Alert>
+                    )}
+                    {job.offline_batch_id && isCancellable && (
+                      <Alert className="mb-4 border-blue-200 bg-blue-50">
+                        <Clock className="h-4 w-4" />
+                        <AlertDescription className="text-blue-800">
+                          Waiting on provider batch <span className="font-mono">{job.offline_batch_id}</span>
+                          {job.offline_batch_status && <> ({job.offline_batch_status})</>}
+                          {job.offline_batch_submitted_at && <>, submitted {formatDistanceToNow(parseISO(job.offline_batch_submitted_at), { addSuffix: true })}</>}.
+                          {' '}Results are collected automatically once it finishes.
+                        </AlertDescription>
+                      </Alert>
+                    )}
+                    {isRecordJob(job) && !hasTotal && (
                        <div className="mb-4 text-center p-3 bg-slate-100 rounded-lg">
                          <p className="font-medium text-slate-700">Processing records... Progress will be shown as batches complete.</p>
                        </div>
                     )}
-                    {job.execution_type === 'full_execution' && hasTotal && (
+                    {isRecordJob(job) && hasTotal && (
                       <div className="mb-4">
                         <div className="flex justify-between mb-1 text-sm font-medium">
                           <span className="text-slate-700">Progress</span>
@@ -277,7 +413,7 @@ export default function JobsPage() {
                         <Progress value={progress} className="w-full" indicatorClassName={`bg-${color}-500`} />
                       </div>
                     )}
-                    <div className="grid grid-cols-3 gap-4 text-center text-xs">
+                    <div className="grid grid-cols-4 gap-4 text-center text-xs">
                       <div className="p-2 bg-green-50 rounded-md">
                         <p className="font-bold text-lg text-green-800">{job.processed_records || 0}</p>
                         <p className="font-medium text-green-600">Completed</p>
@@ -295,6 +431,13 @@ export default function JobsPage() {
                           </p>
                         )}
                       </div>
+                      <div className="p-2 bg-amber-50 rounded-md">
+                        <p className="font-bold text-lg text-amber-800">{formatCost(job.cost_usd || 0)}</p>
+                        <p className="font-medium text-amber-600">Spend</p>
+                        <p className="text-xs text-slate-500 mt-1">
+                          {formatTokens(job.input_tokens)} in / {formatTokens(job.output_tokens)} out / {formatTokens(job.embedding_tokens)} emb
+                        </p>
+                      </div>
                     </div>
                     {isExpanded && renderJobDetails(job)}
                   </CardContent>
@@ -304,6 +447,14 @@ export default function JobsPage() {
           )}
         </div>
       </div>
+
+      <JobBudgetDialog
+        job={jobs.find(j => j.id === budgetJobId)}
+        instance={instances.find(i => i.id === jobs.find(j => j.id === budgetJobId)?.instance_id)}
+        open={!!budgetJobId}
+        onOpenChange={(open) => { if (!open) setBudgetJobId(null); }}
+        onSaved={handleBudgetSaved}
+      />
     </div>
   );
 }
\ No newline at end of file
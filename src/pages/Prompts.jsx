@@ -0,0 +1,352 @@
+import { useState, useEffect, useCallback } from "react";
+import { promptsApi } from "@/api/client";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+import { Alert, AlertDescription } from "@/components/ui/alert";
+import { FileText, Plus, RefreshCw, AlertTriangle, History, GitCompare, Save } from "lucide-react";
+import { format, parseISO } from "date-fns";
+import { useToast } from "@/components/ui/use-toast";
+import { diffLines } from "@/lib/line-diff";
+
+const DIFF_LINE_STYLES = {
+  same: "text-slate-600",
+  added: "bg-green-50 text-green-800",
+  removed: "bg-red-50 text-red-800 line-through decoration-red-300",
+};
+
+const DIFF_LINE_PREFIX = { same: "  ", added: "+ ", removed: "- " };
+
+// Instances the new template doesn't fit stay on the previous version
+const describePinned = (pinned = []) => (pinned.length
+  ? ` ${pinned.length} kept on the previous version: ${pinned.map(i => `${i.name} (${i.error})`).join('; ')}`
+  : "");
+
+export default function PromptsPage() {
+  const [prompts, setPrompts] = useState([]);
+  const [selectedPrompt, setSelectedPrompt] = useState(null);
+  const [compareIds, setCompareIds] = useState([]);
+  const [draft, setDraft] = useState({ template: "", notes: "" });
+  const [newPrompt, setNewPrompt] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const { toast } = useToast();
+
+  const loadPrompts = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+    try {
+      setPrompts(await promptsApi.list());
+    } catch (error) {
+      console.error("Error loading prompts:", error);
+      setError(error.message || "Failed to load prompts.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  const loadPrompt = useCallback(async (id) => {
+    try {
+      const prompt = await promptsApi.get(id);
+      setSelectedPrompt(prompt);
+      setDraft({ template: prompt.versions[0]?.template || "", notes: "" });
+      // Compare the two most recent versions by default
+      setCompareIds(prompt.versions.slice(0, 2).map(v => v.id).reverse());
+    } catch (error) {
+      console.error("Error loading prompt:", error);
+      toast({
+        title: "❌ Cannot Load Prompt",
+        description: error.message,
+        variant: "destructive",
+        duration: 6000,
+      });
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    loadPrompts();
+  }, [loadPrompts]);
+
+  const refresh = async (id) => {
+    await Promise.all([loadPrompts(), loadPrompt(id)]);
+  };
+
+  const handleToggleCompare = (versionId) => {
+    setCompareIds(prev => {
+      if (prev.includes(versionId)) return prev.filter(id => id !== versionId);
+      return [...prev, versionId].slice(-2);
+    });
+  };
+
+  const handleSaveVersion = async () => {
+    setIsSaving(true);
+    try {
+      const result = await promptsApi.createVersion(selectedPrompt.id, draft);
+      toast({
+        title: `✅ Saved version ${result.data.version}`,
+        description: `${result.instances_updated} instance(s) now use the new version.${describePinned(result.instances_pinned)}`,
+        duration: result.instances_pinned?.length ? 10000 : 4000,
+      });
+      await refresh(selectedPrompt.id);
+    } catch (error) {
+      toast({
+        title: "❌ Cannot Save Version",
+        description: error.message,
+        variant: "destructive",
+        duration: 6000,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleRollback = async (version) => {
+    if (!window.confirm(`Roll back "${selectedPrompt.name}" to version ${version.version}?\n\nInstances on the latest version will switch to this text.`)) return;
+    try {
+      const result = await promptsApi.rollback(selectedPrompt.id, version.id);
+      toast({
+        title: `⏪ Rolled back to version ${version.version}`,
+        description: `Saved as version ${result.data.version}; ${result.instances_updated} instance(s) updated.${describePinned(result.instances_pinned)}`,
+        duration: result.instances_pinned?.length ? 10000 : 4000,
+      });
+      await refresh(selectedPrompt.id);
+    } catch (error) {
+      toast({
+        title: "❌ Cannot Roll Back",
+        description: error.message,
+        variant: "destructive",
+        duration: 6000,
+      });
+    }
+  };
+
+  const handleCreatePrompt = async () => {
+    setIsSaving(true);
+    try {
+      const created = await promptsApi.create(newPrompt);
+      setNewPrompt(null);
+      await refresh(created.id);
+    } catch (error) {
+      toast({
+        title: "❌ Cannot Create Prompt",
+        description: error.message,
+        variant: "destructive",
+        duration: 6000,
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const versions = selectedPrompt?.versions || [];
+  const compared = versions
+    .filter(v => compareIds.includes(v.id))
+    .sort((a, b) => a.version - b.version);
+  const latestVersion = versions[0];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-50 to-blue-50/30 p-6">
+      <div className="max-w-7xl mx-auto space-y-8">
+        <div className="flex justify-between items-center">
+          <h1 className="text-4xl font-bold text-slate-900">Prompts</h1>
+          <div className="flex items-center gap-2">
+            <Button variant="outline" onClick={() => setNewPrompt({ name: "", template: "", notes: "" })}>
+              <Plus className="w-4 h-4 mr-2" />
+              New Prompt
+            </Button>
+            <Button variant="ghost" size="icon" onClick={loadPrompts} disabled={isLoading}>
+              <RefreshCw className={`w-5 h-5 ${isLoading ? 'animate-spin' : ''}`} />
+            </Button>
+          </div>
+        </div>
+
+        {error && (
+          <Alert variant="destructive">
+            <AlertTriangle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {newPrompt && (
+          <Card className="bg-white/70 backdrop-blur-sm">
+            <CardHeader>
+              <CardTitle className="text-lg">New Prompt</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="space-y-2">
+                <Label htmlFor="new-prompt-name">Name</Label>
+                <Input
+                  id="new-prompt-name"
+                  value={newPrompt.name}
+                  onChange={(e) => setNewPrompt({ ...newPrompt, name: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="new-prompt-template">Template</Label>
+                <Textarea
+                  id="new-prompt-template"
+                  className="font-mono text-sm min-h-[160px]"
+                  value={newPrompt.template}
+                  onChange={(e) => setNewPrompt({ ...newPrompt, template: e.target.value })}
+                  placeholder="Use {{FIELD_VALUE}} for the record content"
+                />
+              </div>
+              <div className="flex justify-end gap-2">
+                <Button variant="ghost" onClick={() => setNewPrompt(null)}>Cancel</Button>
+                <Button onClick={handleCreatePrompt} disabled={isSaving || !newPrompt.name || !newPrompt.template}>
+                  Create
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="space-y-3">
+            {isLoading && prompts.length === 0 ? (
+              <p className="text-slate-500">Loading prompts...</p>
+            ) : prompts.length === 0 ? (
+              <p className="text-slate-500">No prompts yet. Saving an instance with a prompt adds it here.</p>
+            ) : (
+              prompts.map(prompt => (
+                <Card
+                  key={prompt.id}
+                  className={`bg-white/70 backdrop-blur-sm cursor-pointer hover:bg-slate-50/50 ${selectedPrompt?.id === prompt.id ? 'ring-2 ring-blue-300' : ''}`}
+                  onClick={() => loadPrompt(prompt.id)}
+                >
+                  <CardContent className="p-4">
+                    <div className="flex items-start justify-between gap-2">
+                      <div className="flex items-center gap-2">
+                        <FileText className="w-4 h-4 text-slate-500" />
+                        <span className="font-semibold text-slate-900">{prompt.name}</span>
+                      </div>
+                      <Badge variant="secondary" className="font-mono text-xs">v{prompt.latest_version?.version}</Badge>
+                    </div>
+                    <p className="text-xs text-slate-500 mt-2">
+                      {prompt.version_count} version(s) &bull; used by {prompt.instance_count} instance(s)
+                      {prompt.ai_operation && <> &bull; {prompt.ai_operation}</>}
+                    </p>
+                  </CardContent>
+                </Card>
+              ))
+            )}
+          </div>
+
+          <div className="lg:col-span-2 space-y-6">
+            {!selectedPrompt ? (
+              <div className="text-center py-16 bg-white/30 backdrop-blur-sm rounded-2xl border border-slate-200/50">
+                <p className="text-slate-600">Select a prompt to see its history.</p>
+              </div>
+            ) : (
+              <>
+                <Card className="bg-white/70 backdrop-blur-sm">
+                  <CardHeader>
+                    <CardTitle className="text-lg flex items-center gap-2">
+                      <History className="w-5 h-5" />
+                      {selectedPrompt.name} &mdash; History
+                    </CardTitle>
+                    {selectedPrompt.description && (
+                      <p className="text-sm text-slate-500">{selectedPrompt.description}</p>
+                    )}
+                  </CardHeader>
+                  <CardContent className="space-y-2">
+                    {versions.map(version => (
+                      <div key={version.id} className="flex items-start justify-between gap-4 p-3 rounded-lg border border-slate-200 bg-white">
+                        <label className="flex items-start gap-3 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            className="mt-1"
+                            checked={compareIds.includes(version.id)}
+                            onChange={() => handleToggleCompare(version.id)}
+                          />
+                          <div>
+                            <p className="text-sm font-medium text-slate-900">
+                              Version {version.version}
+                              {version.id === latestVersion?.id && <Badge variant="outline" className="ml-2 text-xs">latest</Badge>}
+                            </p>
+                            <p className="text-xs text-slate-500">
+                              {version.created_by} &bull; {format(parseISO(version.created_date), "PPp")}
+                            </p>
+                            {version.notes && <p className="text-sm text-slate-700 mt-1">{version.notes}</p>}
+                            {version.instances.length > 0 && (
+                              <p className="text-xs text-slate-500 mt-1">
+                                Used by: {version.instances.map(i => i.name).join(", ")}
+                              </p>
+                            )}
+                          </div>
+                        </label>
+                        {version.id !== latestVersion?.id && (
+                          <Button variant="outline" size="sm" onClick={() => handleRollback(version)}>
+                            Roll back
+                          </Button>
+                        )}
+                      </div>
+                    ))}
+                  </CardContent>
+                </Card>
+
+                {compared.length === 2 && (
+                  <Card className="bg-white/70 backdrop-blur-sm">
+                    <CardHeader>
+                      <CardTitle className="text-lg flex items-center gap-2">
+                        <GitCompare className="w-5 h-5" />
+                        Version {compared[0].version} &rarr; Version {compared[1].version}
+                      </CardTitle>
+                    </CardHeader>
+                    <CardContent>
+                      <pre className="text-xs font-mono whitespace-pre-wrap rounded-lg border border-slate-200 bg-white p-3">
+                        {diffLines(compared[0].template, compared[1].template).map((line, i) => (
+                          <div key={i} className={DIFF_LINE_STYLES[line.type]}>
+                            {DIFF_LINE_PREFIX[line.type]}{line.text}
+                          </div>
+                        ))}
+                      </pre>
+                    </CardContent>
+                  </Card>
+                )}
+
+                <Card className="bg-white/70 backdrop-blur-sm">
+                  <CardHeader>
+                    <CardTitle className="text-lg">New Version</CardTitle>
+                    <p className="text-sm text-slate-500">
+                      Instances on the latest version switch to the new one. Instances pinned to older versions keep theirs.
+                    </p>
+                  </CardHeader>
+                  <CardContent className="space-y-4">
+                    <Textarea
+                      className="font-mono text-sm min-h-[200px]"
+                      value={draft.template}
+                      onChange={(e) => setDraft({ ...draft, template: e.target.value })}
+                    />
+                    <div className="space-y-2">
+                      <Label htmlFor="version-notes">Notes</Label>
+                      <Input
+                        id="version-notes"
+                        value={draft.notes}
+                        onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+                        placeholder="What changed and why"
+                      />
+                    </div>
+                    <div className="flex justify-end">
+                      <Button
+                        onClick={handleSaveVersion}
+                        disabled={isSaving || !draft.template || draft.template === latestVersion?.template}
+                      >
+                        <Save className="w-4 h-4 mr-2" />
+                        Save Version
+                      </Button>
+                    </div>
+                  </CardContent>
+                </Card>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}